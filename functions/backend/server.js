@@ -1,5 +1,6 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -12,7 +13,13 @@ if (fs.existsSync(backendEnvPath)) {
 const express = require('express');
 const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
 const cors = require('cors');
-const { readCachedResponse, writeCachedResponse, clearInMemoryCache } = require('../shared/cache');
+const {
+  deleteFirestoreCacheChunks,
+  fetchCachedResponse,
+  readCachedResponse,
+  writeCachedResponse,
+  clearInMemoryCache
+} = require('../shared/cache');
 let chromium;
 try {
   ({ chromium } = require('playwright'));
@@ -21,7 +28,47 @@ try {
   console.warn('Playwright is not installed; headless image fetches are disabled.');
 }
 const { getFirestore, serverTimestamp } = require('../shared/firestore');
+const { requireAdmin, requireUser } = require('../shared/adminAuth');
+const { redactDiagnostics } = require('../shared/redact');
 const { clearRssCacheByFeed } = require('../shared/rssCacheHelper');
+const { parseHtml, selectAll, getText, getAttribute } = require('../shared/htmlSelector');
+const {
+  buildEventRecordKey,
+  getEventStore,
+  setEventStore,
+  toTimestampMs
+} = require('../shared/eventStore');
+const { queryJsonPath } = require('../shared/jsonPath');
+const { extractStructuredData, findSchemaNodes, getSchemaTypes, resolveSchemaReference } = require('../shared/structuredData');
+const { validateConfigSchema, isValidTimeZone } = require('../shared/configSchema');
+const { createSearchIndex } = require('../shared/searchIndex');
+const { parseTimeWindowPolicy, describeTimeWindowPolicy, isStartAllowed } = require('../shared/timeWindowPolicy');
+const { buildIcsCalendar } = require('../shared/icsCalendar');
+const {
+  THUMBNAIL_SCALES,
+  isImageProcessingAvailable,
+  isProxyableImageUrl,
+  renderThumbnails
+} = require('../shared/imageThumbnail');
+const { assertPublicHttpUrl } = require('../shared/publicUrl');
+const { buildRssFeed, buildAtomFeed, buildJsonFeed, escapeXml } = require('../shared/feedWriter');
+const { getCalendarFeedStore, setCalendarFeedStore } = require('../shared/calendarFeed');
+const { getImageLookupStore, setImageLookupStore } = require('../shared/imageLookupStore');
+const { createBrowserPool } = require('../shared/browserPool');
+const { recordDatasourceRun, listDatasourceRuns } = require('../shared/datasourceHealth');
+const {
+  diffDatasources,
+  recordDatasourceRevision,
+  listDatasourceRevisions,
+  getDatasourceRevision,
+  setLocalDatasourceRevisionsPath
+} = require('../shared/datasourceHistory');
+const {
+  acquireCircuit,
+  recordCircuitSuccess,
+  recordCircuitFailure,
+  getCircuitState
+} = require('../shared/circuitBreaker');
 let nodemailer;
 try {
   nodemailer = require('nodemailer');
@@ -45,16 +92,30 @@ const YOUTUBE_API_KEY =
   '';
 const YOUTUBE_SEARCH_CACHE_COLLECTION = 'youtubeSearchCache';
 const YOUTUBE_SEARCH_CACHE_TTL_MS = 1000 * 60 * 60 * 6; // 6 hours
+const YOUTUBE_SEARCH_CACHE_HARD_TTL_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
 const RSS_CACHE_COLLECTION = 'rssCache';
 const RSS_CACHE_TTL_MS = 1000 * 60 * 30; // 30 minutes
+// Past the TTL a cached response is served stale while one background fetch
+// refreshes it; past the hard TTL callers wait for the upstream again.
+const RSS_CACHE_HARD_TTL_MS = 1000 * 60 * 60 * 6; // 6 hours
 const RSS_CACHE_VERSION = 'v1';
-const RSS_CACHE_SCHEMA_VERSION = 3;
+const RSS_CACHE_SCHEMA_VERSION = 4;
 const DEFAULT_SMITHSONIAN_FEED_URL = 'https://www.trumba.com/calendars/smithsonian-events.rss';
 const HEADLESS_NAV_TIMEOUT_MS = 30000;
 const HEADLESS_PAGE_WAIT_MS = 2400;
 const HEADLESS_BROWSER_USER_AGENT =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 11_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36';
-let headlessBrowserPromise = null;
+const HEADLESS_MAX_PAGES = Math.max(1, Number(process.env.SHOWS_BROWSER_MAX_PAGES) || 2);
+const HEADLESS_MAX_QUEUE = 50;
+const HEADLESS_JOB_TIMEOUT_MS = 45000;
+const HEADLESS_IDLE_TIMEOUT_MS = 60000;
+// Above this RSS the pool drops to one page at a time.
+const HEADLESS_MAX_RSS_BYTES = Number(process.env.SHOWS_BROWSER_MAX_RSS_MB) > 0
+  ? Number(process.env.SHOWS_BROWSER_MAX_RSS_MB) * 1024 * 1024
+  : 768 * 1024 * 1024;
+const IMAGE_LOOKUP_FOUND_TTL_MS = 1000 * 60 * 60 * 24 * 14; // 14 days
+const IMAGE_LOOKUP_NONE_TTL_MS = 1000 * 60 * 60 * 24 * 3; // 3 days
+const IMAGE_LOOKUP_ERROR_TTL_MS = 1000 * 60 * 60; // 1 hour
 
 async function safeReadCachedResponse(collection, keyParts, ttlMs) {
   try {
@@ -73,12 +134,52 @@ async function safeWriteCachedResponse(collection, keyParts, payload) {
   }
 }
 
+function parseCachedFeedEvents(body) {
+  try {
+    const parsed = JSON.parse(body);
+    if (Array.isArray(parsed)) return parsed;
+    return Array.isArray(parsed?.events) ? parsed.events : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Feed events through rssCache with stale-while-revalidate. `loadEvents`
+ * fetches the full event list (once per key, however many callers are waiting)
+ * and `describe(events)` supplies the rest of the cached body and metadata.
+ * Entries written under another `schemaVersion` are ignored.
+ */
+async function readThroughFeedCache(cacheKeyParts, loadEvents, describe, { schemaVersion } = {}) {
+  const loader = async () => {
+    const events = await loadEvents();
+    const { body, metadata } = describe(events);
+    return {
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ ...body, cachedAt: new Date().toISOString() }),
+      metadata
+    };
+  };
+  const ttl = { softTtlMs: RSS_CACHE_TTL_MS, hardTtlMs: RSS_CACHE_HARD_TTL_MS };
+  const isUsable = cached =>
+    schemaVersion === undefined || Number(cached.metadata?.schemaVersion) === schemaVersion;
+  let result = await fetchCachedResponse(RSS_CACHE_COLLECTION, cacheKeyParts, ttl, loader, { isUsable });
+  let events = parseCachedFeedEvents(result.body);
+  if (!events && result.cached) {
+    result = await fetchCachedResponse(RSS_CACHE_COLLECTION, cacheKeyParts, ttl, loader, { forceRefresh: true });
+    events = parseCachedFeedEvents(result.body);
+  }
+  return { events: events || [], cached: result.cached };
+}
+
 async function clearFirestoreCollection(db, collection, batchSize = 400) {
   if (!db || !collection) return 0;
   let deleted = 0;
   while (true) {
     const snapshot = await db.collection(collection).limit(batchSize).get();
     if (snapshot.empty) break;
+    await Promise.all(snapshot.docs.map(deleteFirestoreCacheChunks));
     const batch = db.batch();
     snapshot.docs.forEach(doc => batch.delete(doc.ref));
     await batch.commit();
@@ -127,7 +228,7 @@ function clampDays(value) {
   }
   const num = Number.parseInt(value, 10);
   if (!Number.isFinite(num)) return TICKETMASTER_DEFAULT_DAYS;
-  return Math.min(Math.max(num, 1), 31);
+  return Math.min(Math.max(num, 1), MAX_LOOKAHEAD_DAYS);
 }
 
 function normalizePositiveInteger(value, { min = 1, max = Number.MAX_SAFE_INTEGER } = {}) {
@@ -189,26 +290,80 @@ function parseEventLocalParts(value) {
   };
 }
 
-function isWeekdayBeforeCutoff(event) {
-  if (event?.source && event.source !== 'ticketmaster') {
-    return false;
-  }
-  const raw = getEventStartValue(event);
-  if (!raw) return false;
-  const parts = parseEventLocalParts(raw);
-  if (!parts) return false;
-  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
-  const isWeekday = weekday >= 1 && weekday <= 5;
-  if (!isWeekday) return false;
-  if (parts.hour === null || parts.minute === null) return false;
-  if (parts.hour < WEEKDAY_CUTOFF_HOUR) return true;
-  if (parts.hour === WEEKDAY_CUTOFF_HOUR && parts.minute < WEEKDAY_CUTOFF_MINUTE) return true;
-  return false;
-}
-
-function applyWeekdayCutoff(events) {
+const EVENT_TIME_PATTERN =
+  /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+function normalizeEventTime(time, timeZone) {
+  if (!time || typeof time !== 'object') return time;
+  const rawLocal = typeof time.local === 'string' ? time.local.trim() : '';
+  const rawUtc = typeof time.utc === 'string' ? time.utc.trim() : '';
+  const utcDate = rawUtc ? new Date(rawUtc) : null;
+  let utc = utcDate && !Number.isNaN(utcDate.getTime()) ? utcDate.toISOString() : null;
+  let local = rawLocal || null;
+  const match = rawLocal.match(EVENT_TIME_PATTERN);
+  if (match) {
+    const [, date, hour, minute, second = '00', offset] = match;
+    if (hour === undefined) {
+      local = date;
+    } else if (offset) {
+      // An offset makes this an instant; show it on the venue's clock. Without
+      // a zone there is no venue clock to show, so clients format `utc`.
+      const normalizedOffset = offset.length === 5 ? `${offset.slice(0, 3)}:${offset.slice(3)}` : offset;
+      const instant = new Date(`${date}T${hour}:${minute}:${second}${normalizedOffset}`);
+      if (!Number.isNaN(instant.getTime())) {
+        utc = utc || instant.toISOString();
+        local = (timeZone && formatZonedWallClock(instant, timeZone)) || null;
+      }
+    } else {
+      local = `${date}T${hour}:${minute}:${second}`;
+      if (!utc && timeZone) {
+        const [year, month, day] = date.split('-').map(Number);
+        utc = zonedTimeToUtcIso(
+          { year, month, day, hour: Number(hour), minute: Number(minute), second: Number(second) },
+          timeZone
+        );
+      }
+    }
+  } else if (!rawLocal && utc && timeZone) {
+    local = formatZonedWallClock(new Date(utc), timeZone);
+  }
+  return { ...time, local, utc: utc || null };
+}
+
+/**
+ * Gives an event the shape every consumer expects: `start`/`end` as
+ * `{ local, utc }` where `local` is the venue wall clock without an offset
+ * and `utc` the matching instant, plus the IANA `timeZone` they were read in.
+ * The zone comes from the event itself or `fallbackTimeZone` (the datasource
+ * config); without one, offset-less times are left without a `utc`.
+ */
+function normalizeEventTimes(event, fallbackTimeZone) {
+  if (!event || typeof event !== 'object') return event;
+  const timeZone = resolveEventTimeZone(event, isValidTimeZone(fallbackTimeZone) ? fallbackTimeZone.trim() : null);
+  const normalized = { ...event };
+  if (event.start) normalized.start = normalizeEventTime(event.start, timeZone);
+  if (event.end) normalized.end = normalizeEventTime(event.end, timeZone);
+  if (timeZone) normalized.timeZone = timeZone;
+  return normalized;
+}
+
+/**
+ * Drops events whose venue-local start falls outside the listener's time
+ * windows (see shared/timeWindowPolicy). Events from sources the policy does
+ * not cover, and events without a venue wall clock (no start, or only a UTC
+ * instant), are kept.
+ */
+function applyTimeWindowPolicy(events, policy = parseTimeWindowPolicy()) {
   if (!Array.isArray(events)) return [];
-  return events.filter(event => !isWeekdayBeforeCutoff(event));
+  if (!policy.enabled) return events;
+  return events.filter(event => {
+    if (policy.sources.length && event?.source && !policy.sources.includes(event.source)) {
+      return true;
+    }
+    const local = typeof event?.start?.local === 'string' ? event.start.local.trim() : '';
+    if (!local || /(?:Z|[+-]\d{2}:?\d{2})$/i.test(local)) return true;
+    return isStartAllowed(policy, parseEventLocalParts(local));
+  });
 }
 
 function youtubeSearchCacheKey(query) {
@@ -400,16 +555,50 @@ const plaidClient = (() => {
   return new PlaidApi(config);
 })();
 
-// Serve static files (like index.html, style.css, script.js)
-// Allow API routes (like `/api/shows`) to continue past the static middleware
-// when no matching asset is found. Express 5 changes the default `fallthrough`
-// behavior, so we explicitly enable it to avoid returning a 404 before our API
-// handlers get a chance to run.
-app.use(
-  express.static(path.resolve(__dirname, '../../'), {
-    fallthrough: true
-  })
-);
+// Serve static files from an explicit allowlist only. The repository root also
+// holds backups, logs and credentials, so anything not listed here falls through
+// to the API routes and ends in a 404. STATIC_ROOT overrides the directory.
+const STATIC_ROOT = process.env.STATIC_ROOT || path.resolve(__dirname, '../../');
+const PUBLIC_STATIC_FILES = new Set([
+  '/',
+  '/index.html',
+  '/datasources-admin.html',
+  '/report.html',
+  '/restore.html',
+  '/settings.html',
+  '/style.css',
+  '/service-worker.js'
+]);
+const PUBLIC_STATIC_DIRECTORIES = ['/js/', '/assets/'];
+
+function isPublicStaticPath(requestPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch {
+    return false;
+  }
+  if (decoded.includes('\\') || decoded.includes('\0')) return false;
+  // Rejects `..` traversal as well as dotfiles and dot-directories such as `.git`.
+  if (decoded.split('/').some(segment => segment.startsWith('.'))) return false;
+  if (PUBLIC_STATIC_FILES.has(decoded)) return true;
+  return PUBLIC_STATIC_DIRECTORIES.some(prefix => decoded.startsWith(prefix) && decoded.length > prefix.length);
+}
+
+// Express 5 changes the default `fallthrough` behavior, so we explicitly enable
+// it to let API routes (like `/api/shows`) run when no asset matches.
+const serveStaticAsset = express.static(STATIC_ROOT, {
+  fallthrough: true,
+  dotfiles: 'deny',
+  redirect: false
+});
+
+app.use((req, res, next) => {
+  if ((req.method !== 'GET' && req.method !== 'HEAD') || !isPublicStaticPath(req.path)) {
+    return next();
+  }
+  return serveStaticAsset(req, res, next);
+});
 
 app.post('/contact', async (req, res) => {
   const { name, from, message } = req.body || {};
@@ -454,7 +643,7 @@ app.get('/api/descriptions', (req, res) => {
   res.json(readDescriptions());
 });
 
-app.post('/api/description', (req, res) => {
+app.post('/api/description', requireAdmin, (req, res) => {
   const { panelId, position, text } = req.body || {};
   if (!panelId || !['top', 'bottom'].includes(position) || typeof text !== 'string') {
     return res.status(400).json({ error: 'invalid' });
@@ -487,10 +676,12 @@ const TICKETMASTER_API_KEY =
 const TICKETMASTER_API_URL = 'https://app.ticketmaster.com/discovery/v2/events.json';
 const TICKETMASTER_CACHE_COLLECTION = 'ticketmasterCache';
 const TICKETMASTER_CACHE_TTL_MS = 1000 * 60 * 15; // 15 minutes
-const TICKETMASTER_CACHE_VERSION = 'v1';
+const TICKETMASTER_CACHE_HARD_TTL_MS = 1000 * 60 * 60 * 2; // 2 hours
+const TICKETMASTER_CACHE_VERSION = 'v3';
 const TICKETMASTER_MAX_RADIUS_MILES = 150;
 const TICKETMASTER_DEFAULT_RADIUS = 50;
 const TICKETMASTER_DEFAULT_DAYS = 14;
+const MAX_LOOKAHEAD_DAYS = 31;
 const TICKETMASTER_PAGE_SIZE = 100;
 const TICKETMASTER_SEGMENTS = [
   { key: 'music', description: 'Live music', params: { classificationName: 'Music' } },
@@ -505,6 +696,21 @@ const BLACK_CAT_CACHE_COLLECTION = 'blackCatCache';
 const BLACK_CAT_CACHE_TTL_MS = 1000 * 60 * 30; // 30 minutes
 const BLACK_CAT_CACHE_VERSION = 'v2';
 const BLACK_CAT_IMAGE_FETCH_LIMIT_DEFAULT = 12;
+// DC Improv and Black Cat list bare wall-clock times for their own stages.
+const DC_VENUE_TIME_ZONE = 'America/New_York';
+const HTML_SCRAPE_CACHE_COLLECTION = 'htmlScrapeCache';
+const HTML_SCRAPE_CACHE_TTL_MS = 1000 * 60 * 30; // 30 minutes
+const HTML_SCRAPE_CACHE_VERSION = 'v1';
+const HTML_SCRAPE_IMAGE_FETCH_LIMIT_DEFAULT = 12;
+const HTML_SCRAPE_DEFAULT_TIME = '20:00';
+const HTML_SCRAPE_DEFAULT_DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'MMMM D, YYYY',
+  'MMM D, YYYY',
+  'M/D/YYYY',
+  'MMMM D',
+  'MMM D'
+];
 const DC_IMPROV_VENUE = {
   name: 'DC Improv',
   address: {
@@ -530,15 +736,70 @@ const BLACK_CAT_GENRES = ['Music'];
 const DC_IMPROV_SOURCE_ID = 'dcimprov';
 const BLACK_CAT_SOURCE_ID = 'blackcat';
 const DATA_SOURCES_COLLECTION = 'showDatasources';
-const LOCAL_DATASOURCES_PATH = path.join(__dirname, 'datasources.json');
+const LOCAL_DATASOURCES_PATH = process.env.SHOWS_DATASOURCES_PATH || path.join(__dirname, 'datasources.json');
+// Local datasource edits keep their revision history in a file beside datasources.json.
+const LOCAL_DATASOURCE_REVISIONS_PATH = path.join(path.dirname(LOCAL_DATASOURCES_PATH), 'datasourceRevisions.json');
+setLocalDatasourceRevisionsPath(LOCAL_DATASOURCE_REVISIONS_PATH);
 const PREVIEW_BODY_LIMIT = 250000;
 const RSS_ITEM_LIMIT = 500;
 const RSS_REQUEST_TIMEOUT_MS = 10000;
 const RSS_IMAGE_FETCH_TIMEOUT_MS = 8000;
 const RSS_IMAGE_FETCH_LIMIT_DEFAULT = 25;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INGEST_DEFAULT_INTERVAL_MINUTES = 30;
+const INGEST_MIN_INTERVAL_MINUTES = 5;
+const INGEST_LOOKAHEAD_DAYS = 31;
+const INGEST_STALE_AFTER_MS = 1000 * 60 * 60 * 6; // 6 hours
+const INGEST_DEFAULT_REGIONS = [
+  { id: 'washington-dc', latitude: 38.9072, longitude: -77.0369, radiusMiles: TICKETMASTER_DEFAULT_RADIUS }
+];
+const EVENT_DEDUPE_START_TOLERANCE_MS = 1000 * 60 * 90; // 90 minutes
+const EVENT_DEDUPE_TITLE_SIMILARITY = 0.6;
+const EVENT_DEDUPE_TITLE_STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'at',
+  'feat',
+  'featuring',
+  'live',
+  'presents',
+  'the',
+  'tickets',
+  'tour',
+  'with'
+]);
+const EVENT_DEDUPE_VENUE_STOP_WORDS = new Set(['the', 'and', 'at', 'dc', 'washington']);
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICAL_RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const ICAL_RECURRENCE_MAX_PERIODS = 2000;
+const ICAL_RECURRENCE_MAX_INSTANCES = 200;
+const JSON_FEED_CACHE_VERSION = 'v1';
+const JSON_FEED_MAX_PAGES = 10;
+const JSON_FEED_DEFAULT_MAX_PAGES = 5;
+const JSON_FEED_DEFAULT_MAPPING = {
+  items: null,
+  id: ['id', 'uid', 'guid'],
+  title: ['title', 'name'],
+  start: ['start', 'startDate', 'start_time', 'startTime'],
+  end: ['end', 'endDate', 'end_time', 'endTime'],
+  timeZone: ['timeZone', 'timezone'],
+  url: ['url', 'link'],
+  image: ['image', 'imageUrl', 'image_url'],
+  summary: ['description', 'summary'],
+  genres: ['genres', 'categories', 'tags'],
+  venue: ['venue', 'location'],
+  price: ['price', 'priceRange']
+};
+const JSONLD_CACHE_VERSION = 'v1';
+const JSONLD_DEFAULT_EVENT_TYPES = ['Event', 'MusicEvent', 'ComedyEvent'];
+const JSONLD_EVENT_TYPE_GENRES = { MusicEvent: 'Music', ComedyEvent: 'Comedy' };
+const JSONLD_MAX_LISTING_URLS = 10;
+const JSONLD_MAX_EVENT_PAGES = 100;
+const JSONLD_DEFAULT_EVENT_PAGES = 25;
+const JSONLD_PAGE_CONCURRENCY = 4;
+const JSONLD_FETCH_DEADLINE_MS = 25000;
 const SIXTH_AND_I_MIRROR_URL = 'https://r.jina.ai/http://www.sixthandi.org/events/';
-const WEEKDAY_CUTOFF_HOUR = 16;
-const WEEKDAY_CUTOFF_MINUTE = 30;
 
 function normalizeDatasourceId(value) {
   if (!value) return '';
@@ -558,6 +819,12 @@ function normalizeTimestamp(value) {
     }
   }
   if (typeof value === 'string') return value;
+  // Timestamps that went through JSON (e.g. revision snapshots) keep only their fields.
+  const seconds = value.seconds ?? value._seconds;
+  if (Number.isFinite(seconds)) {
+    const nanos = Number(value.nanoseconds ?? value._nanoseconds) || 0;
+    return new Date(seconds * 1000 + Math.floor(nanos / 1e6)).toISOString();
+  }
   return null;
 }
 
@@ -735,7 +1002,12 @@ async function getDatasourceById(id) {
   return sources.find(source => source.id === normalizedId) || null;
 }
 
-async function saveDatasource(source, { isNew = false } = {}) {
+/**
+ * Persists a datasource. Firestore saves merge into the existing document
+ * unless `replace` is set, which rewrites it (used by rollbacks so fields added
+ * after the restored revision do not survive).
+ */
+async function saveDatasource(source, { isNew = false, replace = false } = {}) {
   const nowIso = new Date().toISOString();
   const db = getFirestore();
   if (db) {
@@ -756,8 +1028,11 @@ async function saveDatasource(source, { isNew = false } = {}) {
       };
       if (isNew) {
         payload.createdAt = serverTimestamp();
+      } else if (replace) {
+        const createdAtMs = Date.parse(normalizeTimestamp(createdAt) || '');
+        if (Number.isFinite(createdAtMs)) payload.createdAt = new Date(createdAtMs);
       }
-      await docRef.set(payload, { merge: true });
+      await docRef.set(payload, replace ? {} : { merge: true });
       return {
         ...source,
         createdAt: source.createdAt || (isNew ? nowIso : source.createdAt),
@@ -772,7 +1047,8 @@ async function saveDatasource(source, { isNew = false } = {}) {
   const existingSources = readLocalDatasources() || buildDefaultDatasources();
   const index = existingSources.findIndex(item => item.id === source.id);
   if (index >= 0) {
-    existingSources[index] = { ...existingSources[index], ...source, updatedAt: nowIso };
+    const base = replace ? { createdAt: existingSources[index].createdAt } : existingSources[index];
+    existingSources[index] = { ...base, ...source, updatedAt: nowIso };
   } else {
     existingSources.push({ ...source, createdAt: nowIso, updatedAt: nowIso });
   }
@@ -796,8 +1072,9 @@ async function deleteDatasourceById(id) {
   const existingSources = readLocalDatasources();
   if (!existingSources) return false;
   const filtered = existingSources.filter(item => item.id !== normalizedId);
+  if (filtered.length === existingSources.length) return false;
   writeLocalDatasources(filtered);
-  return filtered.length !== existingSources.length;
+  return true;
 }
 
 function isValidHttpUrl(value) {
@@ -833,8 +1110,9 @@ function ticketmasterCacheKeyParts({
     `lat:${lat}`,
     `lon:${lon}`,
     `radius:${radius}`,
-    `start:${startDateTime || ''}`,
-    `end:${endDateTime || ''}`,
+    // Day granularity: the exact window start moves every second.
+    `start:${String(startDateTime || '').slice(0, 10)}`,
+    `end:${String(endDateTime || '').slice(0, 10)}`,
     segmentKey ? `segments:${segmentKey}` : ''
   ];
 }
@@ -871,15 +1149,25 @@ function formatTicketmasterEvent(event, segmentKey) {
   const country =
     (venue.country && (venue.country.countryCode || venue.country.name)) ||
     '';
-  const localDateTime = start.dateTime || (start.localDate ? `${start.localDate}${start.localTime ? 'T' + start.localTime : 'T00:00:00'}` : null);
+  // Ticketmaster gives the venue wall clock (localDate/localTime) and the
+  // instant (dateTime) separately; keep both rather than re-parsing the wall
+  // clock in the server's zone.
+  const timeZone = [event.dates?.timezone, venue.timezone].find(isValidTimeZone) || null;
+  const dateTime = start.dateTime ? new Date(start.dateTime) : null;
+  const utcFromDateTime = dateTime && !Number.isNaN(dateTime.getTime()) ? dateTime.toISOString() : null;
   let localIso = null;
-  if (localDateTime) {
-    const parsed = new Date(localDateTime);
-    if (!Number.isNaN(parsed.getTime())) {
-      localIso = parsed.toISOString();
+  let utcIso = utcFromDateTime;
+  if (start.localDate && start.localTime) {
+    localIso = `${start.localDate}T${start.localTime.length === 5 ? `${start.localTime}:00` : start.localTime}`;
+    if (!utcIso && timeZone) {
+      const parts = parseEventLocalParts(localIso);
+      utcIso = zonedTimeToUtcIso({ ...parts, second: Number(start.localTime.slice(6, 8)) || 0 }, timeZone);
     }
+  } else if (start.localDate) {
+    localIso = start.localDate;
+  } else if (utcFromDateTime && timeZone) {
+    localIso = formatZonedWallClock(dateTime, timeZone);
   }
-  const utcIso = start.dateTime ? new Date(start.dateTime).toISOString() : null;
   const distance = Number.isFinite(event.distance) ? Number(event.distance) : null;
   const classificationNameSet = new Set();
   const classifications = Array.isArray(event.classifications)
@@ -971,6 +1259,7 @@ function formatTicketmasterEvent(event, segmentKey) {
     id,
     name: { text: event.name || '' },
     start: { local: localIso, utc: utcIso },
+    timeZone,
     url: event.url || '',
     venue: {
       name: venue.name || '',
@@ -1153,6 +1442,24 @@ function listHasTokenMatch(values, tokens) {
   return tokens.some(token => values.some(value => filterTokenMatchesValue(token, value)));
 }
 
+/**
+ * Normalized tokens the datasource and `/api/shows` filters match against:
+ * the event's genre tokens and one lower-cased blob of title, summary, venue
+ * and genres.
+ */
+function buildEventFilterTokens(event) {
+  const genreTokens = normalizeFilterList(event?.genres);
+  const textBlob = normalizeFilterToken(
+    [
+      event?.name?.text || '',
+      event?.summary || '',
+      event?.venue?.name || '',
+      ...genreTokens
+    ].join(' ')
+  );
+  return { genreTokens, textBlob };
+}
+
 function applySourceEventFilters(events, source) {
   if (!Array.isArray(events) || !events.length) return [];
   const config = source?.config && typeof source.config === 'object' ? source.config : {};
@@ -1171,15 +1478,7 @@ function applySourceEventFilters(events, source) {
   }
 
   return events.filter(event => {
-    const genreTokens = normalizeFilterList(event?.genres);
-    const textBlob = normalizeFilterToken(
-      [
-        event?.name?.text || '',
-        event?.summary || '',
-        event?.venue?.name || '',
-        ...genreTokens
-      ].join(' ')
-    );
+    const { genreTokens, textBlob } = buildEventFilterTokens(event);
     const genreLikeValues = textBlob ? [...genreTokens, textBlob] : genreTokens;
 
     if (includeGenres.length && !listHasTokenMatch(genreLikeValues, includeGenres)) {
@@ -1395,15 +1694,22 @@ function extractLinkHref(html, relName) {
   return '';
 }
 
-function extractOpenGraphImage(html, baseUrl) {
-  const og = extractMetaContent(html, 'og:image');
-  if (og) return resolveUrlMaybe(og, baseUrl);
-  const twitter = extractMetaContent(html, 'twitter:image');
-  if (twitter) return resolveUrlMaybe(twitter, baseUrl);
-  const linkImage = extractLinkHref(html, 'image_src');
-  if (linkImage) return resolveUrlMaybe(linkImage, baseUrl);
-  const firstImg = extractFirstImageUrl(html);
-  return resolveUrlMaybe(firstImg, baseUrl);
+/**
+ * Picks a page's artwork and names the strategy that found it: `og`,
+ * `twitter`, `image_src` or `img` (the best-scoring `<img>`).
+ */
+function extractPageImage(html, baseUrl) {
+  const candidates = [
+    ['og', () => extractMetaContent(html, 'og:image')],
+    ['twitter', () => extractMetaContent(html, 'twitter:image')],
+    ['image_src', () => extractLinkHref(html, 'image_src')],
+    ['img', () => extractFirstImageUrl(html)]
+  ];
+  for (const [strategy, extract] of candidates) {
+    const imageUrl = resolveUrlMaybe(extract(), baseUrl);
+    if (imageUrl) return { imageUrl, strategy };
+  }
+  return { imageUrl: '', strategy: null };
 }
 
 async function fetchImageFromUrl(url) {
@@ -1421,111 +1727,112 @@ async function fetchImageFromUrl(url) {
       signal: controller?.signal
     });
     if (timeout) clearTimeout(timeout);
-    if (!response.ok) return '';
+    // 404/410 mean the page is gone; other failures may clear up on their own.
+    if (!response.ok) return { imageUrl: '', strategy: null, failed: ![404, 410].includes(response.status) };
     const html = await response.text();
-    return extractOpenGraphImage(html, url);
+    return { ...extractPageImage(html, url), failed: false };
   } catch (err) {
     if (timeout) clearTimeout(timeout);
-    return '';
+    return { imageUrl: '', strategy: null, failed: true };
   }
 }
 
-async function getHeadlessBrowserInstance() {
-  if (!chromium) return null;
-  if (headlessBrowserPromise) return headlessBrowserPromise;
-  headlessBrowserPromise = chromium
-    .launch({ headless: true })
-    .catch(err => {
-      headlessBrowserPromise = null;
-      console.warn('Failed to launch Playwright browser for image scraping', err?.message || err);
-      return null;
-    });
-  return headlessBrowserPromise;
+function createHeadlessBrowserPool() {
+  return createBrowserPool({
+    launch: chromium ? () => chromium.launch({ headless: true }) : null,
+    maxPages: HEADLESS_MAX_PAGES,
+    maxQueue: HEADLESS_MAX_QUEUE,
+    jobTimeoutMs: HEADLESS_JOB_TIMEOUT_MS,
+    idleTimeoutMs: HEADLESS_IDLE_TIMEOUT_MS,
+    maxRssBytes: HEADLESS_MAX_RSS_BYTES,
+    contextOptions: {
+      userAgent: HEADLESS_BROWSER_USER_AGENT,
+      extraHTTPHeaders: { 'Accept-Language': 'en-US,en;q=0.9' }
+    }
+  });
+}
+
+// Every headless page goes through this pool (see shared/browserPool).
+let headlessBrowserPool = createHeadlessBrowserPool();
+
+function setHeadlessBrowserPool(pool) {
+  headlessBrowserPool = pool || createHeadlessBrowserPool();
 }
 
 async function fetchImageFromBrowser(url) {
-  if (!chromium || !url) return '';
-  const browser = await getHeadlessBrowserInstance();
-  if (!browser) return '';
-  let page = null;
+  const notFound = { imageUrl: '', strategy: null, failed: false };
+  if (!url || !headlessBrowserPool.isAvailable()) return notFound;
+  try {
+    const resolved = await headlessBrowserPool.run(page => scrapeImageFromBrowserPage(page, url));
+    return { imageUrl: resolved, strategy: resolved ? 'browser' : null, failed: false };
+  } catch (err) {
+    if (err?.code === 'browser_unavailable') return notFound;
+    return { imageUrl: '', strategy: null, failed: true };
+  }
+}
+
+async function scrapeImageFromBrowserPage(page, url) {
+  await page.goto(url, {
+    waitUntil: 'domcontentloaded',
+    timeout: HEADLESS_NAV_TIMEOUT_MS
+  });
   try {
-    page = await browser.newPage();
-    await page.setExtraHTTPHeaders({ 'Accept-Language': 'en-US,en;q=0.9' });
-    await page.setUserAgent(HEADLESS_BROWSER_USER_AGENT);
-    await page.goto(url, {
-      waitUntil: 'domcontentloaded',
+    await page.waitForSelector('.tribe-events-event-image img, img.wp-post-image, .right img[alt], img[src*="/i/"]', {
       timeout: HEADLESS_NAV_TIMEOUT_MS
     });
-    try {
-      await page.waitForSelector('.tribe-events-event-image img, img.wp-post-image, .right img[alt], img[src*="/i/"]', {
-        timeout: HEADLESS_NAV_TIMEOUT_MS
+  } catch {
+    await page.waitForTimeout(HEADLESS_PAGE_WAIT_MS);
+  }
+  const imageUrl = await page.evaluate(() => {
+    const pickMeta = name => document.querySelector(name)?.getAttribute('content') || '';
+    const og = pickMeta('meta[property="og:image"]');
+    if (og) return og;
+    const twitter = pickMeta('meta[name="twitter:image"]');
+    if (twitter) return twitter;
+    const preferredSelectors = [
+      '.tribe-events-event-image img',
+      'img.wp-post-image',
+      '.single-tribe_events img',
+      '.right img[alt]'
+    ];
+    for (const selector of preferredSelectors) {
+      const img = document.querySelector(selector);
+      if (img && img.src) return img.src;
+    }
+    const isDecorative = value =>
+      /(?:^|[\/._-])(logo|logos|icon|icons|favicon|sprite|avatar|gravatar|placeholder|spacer|pixel|loader|loading)(?:[\/._-]|$)/i
+        .test(value || '');
+    const candidates = Array.from(document.querySelectorAll('img'))
+      .map(img => {
+        const src = img.currentSrc || img.src || img.getAttribute('data-src') || '';
+        if (!src || src.startsWith('data:')) return null;
+        const className = String(img.className || '');
+        const alt = String(img.alt || '').trim();
+        const combined = `${src} ${className} ${alt}`;
+        if (isDecorative(combined)) return null;
+        const width = Number(img.naturalWidth || img.width || 0);
+        const height = Number(img.naturalHeight || img.height || 0);
+        let score = 0;
+        if (/wp-post-image|attachment-/i.test(className)) score += 120;
+        if (/tribe|event|show|hero|featured/i.test(combined)) score += 40;
+        if (/\/wp-content\/uploads\//i.test(src)) score += 70;
+        if (alt && !isDecorative(alt)) score += 20;
+        if (width >= 240) score += 25;
+        if (height >= 180) score += 25;
+        if (width > 0 && width < 120) score -= 20;
+        if (height > 0 && height < 120) score -= 20;
+        if (/\.svg(\?|$)/i.test(src)) score -= 80;
+        return { src, score, area: width * height };
+      })
+      .filter(Boolean)
+      .sort((a, b) => {
+        if (a.score !== b.score) return b.score - a.score;
+        return b.area - a.area;
       });
-    } catch {
-      await page.waitForTimeout(HEADLESS_PAGE_WAIT_MS);
-    }
-    const imageUrl = await page.evaluate(() => {
-      const pickMeta = name => document.querySelector(name)?.getAttribute('content') || '';
-      const og = pickMeta('meta[property="og:image"]');
-      if (og) return og;
-      const twitter = pickMeta('meta[name="twitter:image"]');
-      if (twitter) return twitter;
-      const preferredSelectors = [
-        '.tribe-events-event-image img',
-        'img.wp-post-image',
-        '.single-tribe_events img',
-        '.right img[alt]'
-      ];
-      for (const selector of preferredSelectors) {
-        const img = document.querySelector(selector);
-        if (img && img.src) return img.src;
-      }
-      const isDecorative = value =>
-        /(?:^|[\/._-])(logo|logos|icon|icons|favicon|sprite|avatar|gravatar|placeholder|spacer|pixel|loader|loading)(?:[\/._-]|$)/i
-          .test(value || '');
-      const candidates = Array.from(document.querySelectorAll('img'))
-        .map(img => {
-          const src = img.currentSrc || img.src || img.getAttribute('data-src') || '';
-          if (!src || src.startsWith('data:')) return null;
-          const className = String(img.className || '');
-          const alt = String(img.alt || '').trim();
-          const combined = `${src} ${className} ${alt}`;
-          if (isDecorative(combined)) return null;
-          const width = Number(img.naturalWidth || img.width || 0);
-          const height = Number(img.naturalHeight || img.height || 0);
-          let score = 0;
-          if (/wp-post-image|attachment-/i.test(className)) score += 120;
-          if (/tribe|event|show|hero|featured/i.test(combined)) score += 40;
-          if (/\/wp-content\/uploads\//i.test(src)) score += 70;
-          if (alt && !isDecorative(alt)) score += 20;
-          if (width >= 240) score += 25;
-          if (height >= 180) score += 25;
-          if (width > 0 && width < 120) score -= 20;
-          if (height > 0 && height < 120) score -= 20;
-          if (/\.svg(\?|$)/i.test(src)) score -= 80;
-          return { src, score, area: width * height };
-        })
-        .filter(Boolean)
-        .sort((a, b) => {
-          if (a.score !== b.score) return b.score - a.score;
-          return b.area - a.area;
-        });
-      if (candidates.length) return candidates[0].src;
-      return '';
-    });
-    if (imageUrl) return resolveUrlMaybe(imageUrl, url);
-    const html = await page.content();
-    return extractOpenGraphImage(html, url);
-  } catch (err) {
+    if (candidates.length) return candidates[0].src;
     return '';
-  } finally {
-    if (page) {
-      try {
-        await page.close();
-      } catch {
-        // ignore
-      }
-    }
-  }
+  });
+  return imageUrl ? resolveUrlMaybe(imageUrl, url) : extractPageImage(await page.content(), url).imageUrl;
 }
 
 const PLACEHOLDER_IMAGE_PATTERN =
@@ -1550,20 +1857,57 @@ async function fetchImageFromEventLinks(event) {
     event.alternateLinks.forEach(addUrl);
   }
   for (const candidateUrl of candidateUrls) {
-    let imageUrl = await fetchImageFromUrl(candidateUrl);
-    if (!imageUrl || isPlaceholderImage(imageUrl)) {
-      imageUrl = await fetchImageFromBrowser(candidateUrl);
-    }
-    if (imageUrl) {
-      if (isPlaceholderImage(imageUrl)) {
-        continue;
-      }
-      return imageUrl;
-    }
+    const lookup = await lookupEventPageImage(candidateUrl, event?.source);
+    if (lookup.imageUrl) return lookup.imageUrl;
   }
   return '';
 }
 
+function resolveImageLookupTtlMs(status) {
+  if (status === 'found') return IMAGE_LOOKUP_FOUND_TTL_MS;
+  if (status === 'error') return IMAGE_LOOKUP_ERROR_TTL_MS;
+  return IMAGE_LOOKUP_NONE_TTL_MS;
+}
+
+/**
+ * Resolves an event page's artwork through the image lookup store, scraping
+ * (plain fetch first, headless browser second) only when there is no
+ * unexpired result — including a remembered "none found".
+ */
+async function lookupEventPageImage(url, sourceId) {
+  const store = getImageLookupStore();
+  try {
+    const cached = await store.get(url);
+    if (cached) return cached;
+  } catch (err) {
+    console.warn('Image lookup read failed', err?.message || err);
+  }
+
+  let result = await fetchImageFromUrl(url);
+  if (!result.imageUrl || isPlaceholderImage(result.imageUrl)) {
+    const fromBrowser = await fetchImageFromBrowser(url);
+    result = { ...fromBrowser, failed: result.failed && !fromBrowser.imageUrl };
+  }
+  const found = Boolean(result.imageUrl) && !isPlaceholderImage(result.imageUrl);
+  const status = found ? 'found' : result.failed ? 'error' : 'none';
+  const now = Date.now();
+  const entry = {
+    url,
+    sourceId: sourceId || null,
+    status,
+    imageUrl: found ? result.imageUrl : null,
+    strategy: found ? result.strategy : null,
+    checkedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + resolveImageLookupTtlMs(status)).toISOString()
+  };
+  try {
+    return await store.set(url, entry);
+  } catch (err) {
+    console.warn('Image lookup write failed', err?.message || err);
+    return entry;
+  }
+}
+
 function extractDcImprovLines(html) {
   if (!html || typeof html !== 'string') return [];
   let sanitized = html
@@ -1683,7 +2027,7 @@ function parseDcImprovMonthDay(text, fallbackMonthIndex, today) {
   return { year, monthIndex, day };
 }
 
-function resolveDcImprovYear(monthIndex, day, today) {
+function resolveUpcomingYear(monthIndex, day, today) {
   const baseYear = today.getFullYear();
   const candidate = new Date(baseYear, monthIndex, day);
   if (
@@ -1695,6 +2039,10 @@ function resolveDcImprovYear(monthIndex, day, today) {
   return baseYear;
 }
 
+function resolveDcImprovYear(monthIndex, day, today) {
+  return resolveUpcomingYear(monthIndex, day, today);
+}
+
 function parseDcImprovDateLine(line, today) {
   if (!line) return null;
   const [datePartRaw, timePartRaw] = line.split('@');
@@ -1721,7 +2069,7 @@ function parseDcImprovDateLine(line, today) {
   };
 }
 
-function buildDcImprovEventId(name, localIso, url) {
+function buildScrapedEventId(sourceId, name, localIso, url) {
   const base = typeof name === 'string' ? name.toLowerCase() : 'show';
   const slug = base
     .replace(/[^a-z0-9]+/g, '-')
@@ -1729,7 +2077,11 @@ function buildDcImprovEventId(name, localIso, url) {
     .slice(0, 80);
   const datePart = localIso ? localIso.split('T')[0] : 'date-unknown';
   const urlPart = url ? url.replace(/https?:\/\//, '').slice(0, 40) : '';
-  return `dcimprov::${slug || 'show'}::${datePart}${urlPart ? `::${urlPart}` : ''}`;
+  return `${sourceId}::${slug || 'show'}::${datePart}${urlPart ? `::${urlPart}` : ''}`;
+}
+
+function buildDcImprovEventId(name, localIso, url) {
+  return buildScrapedEventId(DC_IMPROV_SOURCE_ID, name, localIso, url);
 }
 
 function normalizeDcImprovVenue(detailLine) {
@@ -1897,16 +2249,18 @@ async function fetchDcImprovEvents({ latitude, longitude, allowCache = true }) {
     generatedAt: new Date().toISOString(),
     events
   };
-  await safeWriteCachedResponse(DC_IMPROV_CACHE_COLLECTION, cacheKey, {
-    status: 200,
-    contentType: 'application/json',
-    body: JSON.stringify(payload),
-    metadata: {
-      count: events.length,
-      cachedAt: new Date().toISOString()
-    }
-  });
-  return { events: applyDcImprovDistance(events, latitude, longitude), cached: false };
+  if (allowCache) {
+    await safeWriteCachedResponse(DC_IMPROV_CACHE_COLLECTION, cacheKey, {
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify(payload),
+      metadata: {
+        count: events.length,
+        cachedAt: new Date().toISOString()
+      }
+    });
+  }
+  return { events: applyDcImprovDistance(events, latitude, longitude), cached: false, status: response.status };
 }
 
 function applyDcImprovDistance(events, latitude, longitude) {
@@ -1995,15 +2349,7 @@ function parseBlackCatMonthDay(text, today) {
 }
 
 function resolveBlackCatYear(monthIndex, day, today) {
-  const baseYear = today.getFullYear();
-  const candidate = new Date(baseYear, monthIndex, day);
-  if (
-    candidate.getTime() < today.getTime() - 24 * 60 * 60 * 1000 &&
-    monthIndex < today.getMonth()
-  ) {
-    return baseYear + 1;
-  }
-  return baseYear;
+  return resolveUpcomingYear(monthIndex, day, today);
 }
 
 function parseBlackCatDateLine(line, today) {
@@ -2016,14 +2362,7 @@ function parseBlackCatDateLine(line, today) {
 }
 
 function buildBlackCatEventId(name, localIso, url) {
-  const base = typeof name === 'string' ? name.toLowerCase() : 'show';
-  const slug = base
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .slice(0, 80);
-  const datePart = localIso ? localIso.split('T')[0] : 'date-unknown';
-  const urlPart = url ? url.replace(/https?:\/\//, '').slice(0, 40) : '';
-  return `blackcat::${slug || 'show'}::${datePart}${urlPart ? `::${urlPart}` : ''}`;
+  return buildScrapedEventId(BLACK_CAT_SOURCE_ID, name, localIso, url);
 }
 
 function normalizeBlackCatVenue(detailLine) {
@@ -2278,16 +2617,18 @@ async function fetchBlackCatEvents({ latitude, longitude, allowCache = true }) {
     generatedAt: new Date().toISOString(),
     events
   };
-  await safeWriteCachedResponse(BLACK_CAT_CACHE_COLLECTION, cacheKey, {
-    status: 200,
-    contentType: 'application/json',
-    body: JSON.stringify(payload),
-    metadata: {
-      count: events.length,
-      cachedAt: new Date().toISOString()
-    }
-  });
-  return { events: applyBlackCatDistance(events, latitude, longitude), cached: false };
+  if (allowCache) {
+    await safeWriteCachedResponse(BLACK_CAT_CACHE_COLLECTION, cacheKey, {
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify(payload),
+      metadata: {
+        count: events.length,
+        cachedAt: new Date().toISOString()
+      }
+    });
+  }
+  return { events: applyBlackCatDistance(events, latitude, longitude), cached: false, status: response.status };
 }
 
 function applyBlackCatDistance(events, latitude, longitude) {
@@ -2365,102 +2706,1520 @@ function isBlackCatHeaderImage(url) {
   return /header|logo|nav|banner|bg|site|blackcat-logo/i.test(url);
 }
 
-function buildRssEventId(sourceId, guid, title, startIso, link) {
-  const base = guid || link || title || 'event';
-  const slug = String(base)
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .slice(0, 80);
-  const datePart = startIso ? startIso.split('T')[0] : 'date-unknown';
-  return `${sourceId}::${slug || 'event'}::${datePart}`;
-}
+// --- Declarative HTML scraper datasources ---
+// An `html` datasource describes a listing page with CSS selectors instead of a
+// bespoke parser. `itemSelector` picks one element per event and each entry in
+// `fields` is evaluated relative to that element (see evaluateHtmlFieldRule).
+const HTML_DATE_FORMAT_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', field: 'year' },
+  YY: { pattern: '(\\d{2})', field: 'shortYear' },
+  MMMM: {
+    pattern: '(January|February|March|April|May|June|July|August|September|October|November|December)',
+    field: 'monthName'
+  },
+  MMM: { pattern: '(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sept?|Oct|Nov|Dec)\\.?', field: 'monthName' },
+  MM: { pattern: '(\\d{2})', field: 'month' },
+  M: { pattern: '(\\d{1,2})', field: 'month' },
+  DD: { pattern: '(\\d{2})', field: 'day' },
+  D: { pattern: '(\\d{1,2})(?:st|nd|rd|th)?', field: 'day' },
+  dddd: { pattern: '(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)' },
+  ddd: { pattern: '(?:Mon|Tues?|Wed|Thu(?:rs?)?|Fri|Sat|Sun)\\.?' }
+};
+const MONTH_ABBREVIATIONS = [
+  'jan',
+  'feb',
+  'mar',
+  'apr',
+  'may',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'oct',
+  'nov',
+  'dec'
+];
 
-function buildRssVenue(source, locationLabel) {
-  const configVenue =
-    source?.config?.venue && typeof source.config.venue === 'object'
-      ? source.config.venue
-      : null;
-  const address =
-    configVenue?.address && typeof configVenue.address === 'object'
-      ? {
-          city: configVenue.address.city || '',
-          region: configVenue.address.region || '',
-          country: configVenue.address.country || ''
-        }
-      : { city: '', region: '', country: '' };
-  const name = locationLabel || configVenue?.name || source?.name || source?.id || '';
-  return { name, address };
+function compileHtmlDateFormat(format) {
+  if (!format || typeof format !== 'string') return null;
+  const fields = [];
+  const source = format.replace(
+    /(YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D)|(\s+)|([\s\S])/g,
+    (_, token, space, literal) => {
+      if (token) {
+        const definition = HTML_DATE_FORMAT_TOKENS[token];
+        if (definition.field) fields.push(definition.field);
+        return definition.pattern;
+      }
+      if (space) return '\\s+';
+      return escapeRegex(literal);
+    }
+  );
+  return { regex: new RegExp(`\\b${source}(?!\\d)`, 'i'), fields };
 }
 
-function extractRssCoordinates(itemXml) {
-  const latRaw = extractXmlValue(itemXml, ['geo:lat', 'georss:lat']);
-  const lonRaw = extractXmlValue(itemXml, ['geo:long', 'georss:long', 'georss:lon']);
-  let lat = Number.parseFloat(latRaw);
-  let lon = Number.parseFloat(lonRaw);
-  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-    const point = extractXmlValue(itemXml, ['georss:point']);
-    if (point) {
-      const parts = point.split(/\s+/).map(Number);
-      if (parts.length >= 2) {
-        lat = Number.isFinite(parts[0]) ? parts[0] : lat;
-        lon = Number.isFinite(parts[1]) ? parts[1] : lon;
-      }
+function parseHtmlDateText(text, formats, today) {
+  if (!text || typeof text !== 'string') return null;
+  const candidates = Array.isArray(formats) && formats.length ? formats : HTML_SCRAPE_DEFAULT_DATE_FORMATS;
+  for (const format of candidates) {
+    const compiled = compileHtmlDateFormat(format);
+    if (!compiled) continue;
+    const match = text.match(compiled.regex);
+    if (!match) continue;
+    const values = {};
+    compiled.fields.forEach((field, index) => {
+      values[field] = match[index + 1];
+    });
+    const monthIndex = values.monthName
+      ? MONTH_ABBREVIATIONS.indexOf(values.monthName.slice(0, 3).toLowerCase())
+      : Number(values.month) - 1;
+    const day = Number(values.day);
+    if (!(monthIndex >= 0 && monthIndex <= 11) || !Number.isFinite(day) || day < 1 || day > 31) {
+      continue;
+    }
+    let year;
+    if (values.year) {
+      year = Number(values.year);
+    } else if (values.shortYear) {
+      year = 2000 + Number(values.shortYear);
+    } else {
+      year = resolveUpcomingYear(monthIndex, day, today);
     }
+    return { year, monthIndex, day };
   }
-  return {
-    latitude: Number.isFinite(lat) ? lat : null,
-    longitude: Number.isFinite(lon) ? lon : null
-  };
+  return null;
 }
 
-function isEventInLookahead(startIso, endIso, lookaheadDays) {
-  if (!startIso && !endIso) return true;
-  const now = new Date();
-  const windowEnd = new Date(now.getTime() + lookaheadDays * 24 * 60 * 60 * 1000);
-  const startDate = startIso ? new Date(startIso) : null;
-  const endDate = endIso ? new Date(endIso) : null;
-  const validStart = startDate && !Number.isNaN(startDate.getTime()) ? startDate : null;
-  const validEnd = endDate && !Number.isNaN(endDate.getTime()) ? endDate : null;
-  const eventStart = validStart || validEnd;
-  const eventEnd = validEnd || validStart;
-  if (!eventStart && !eventEnd) return true;
-  if (eventStart && eventStart > windowEnd) return false;
-  if (eventEnd && eventEnd < now) return false;
-  return true;
+function parseHtmlTimeText(text, { assumePm = false } = {}) {
+  if (!text || typeof text !== 'string') return null;
+  const normalized = text.replace(/\./g, '').toLowerCase();
+  const meridiemMatch = normalized.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/);
+  const clockMatch = meridiemMatch ? null : normalized.match(/\b(\d{1,2}):(\d{2})\b/);
+  const bareMatch =
+    meridiemMatch || clockMatch || !assumePm ? null : normalized.match(/\b(\d{1,2})\b/);
+  const match = meridiemMatch || clockMatch || bareMatch;
+  if (!match) return null;
+  let hour = Number.parseInt(match[1], 10);
+  const minute = match[2] ? Number.parseInt(match[2], 10) : 0;
+  const meridiem = meridiemMatch ? meridiemMatch[3] : '';
+  if (meridiem === 'pm' && hour !== 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (!meridiem && assumePm && hour < 12) hour += 12;
+  if (!Number.isFinite(hour) || !Number.isFinite(minute) || hour > 23 || minute > 59) return null;
+  return { hour, minute };
 }
 
-function unfoldIcalLines(text) {
-  if (!text || typeof text !== 'string') return [];
-  const rawLines = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
-  const lines = [];
-  rawLines.forEach((line, idx) => {
-    if (idx === 0) {
-      line = line.replace(/^\uFEFF/, '');
-    }
-    if (!line) return;
-    if (line.startsWith(' ') || line.startsWith('\t')) {
-      if (lines.length) {
-        lines[lines.length - 1] += line.slice(1);
-      } else {
-        lines.push(line.trimStart());
-      }
-      return;
-    }
-    lines.push(line);
-  });
-  return lines;
+function compileHtmlRulePattern(pattern, label) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    const wrapped = new Error(`Invalid ${label} pattern: ${err.message}`);
+    wrapped.status = 400;
+    wrapped.code = 'invalid_html_config';
+    throw wrapped;
+  }
+}
+
+/**
+ * Evaluates one field rule against an item element. A rule is either a
+ * selector string or an object with:
+ *   selector  selector (or list of selectors) relative to the item; omit to use the item itself
+ *   attr      read this attribute instead of the text content
+ *   all       join every match instead of taking the first one
+ *   join      separator for `all` and `parts` (default ' ')
+ *   pattern   regex applied to the value; the first capture group wins when present
+ *   exclude   regex; matching values are skipped
+ *   map       { substring: replacement } lookup applied to the lower-cased value
+ *   default   value used when nothing matched
+ *   parts     list of nested rules whose non-empty results are joined
+ */
+function evaluateHtmlFieldRule(scope, rule) {
+  if (!scope || !rule) return '';
+  const normalizedRule = typeof rule === 'string'
+    ? { selector: rule }
+    : Array.isArray(rule)
+      ? { parts: rule }
+      : rule;
+  if (typeof normalizedRule !== 'object') return '';
+  const fallback = typeof normalizedRule.default === 'string' ? normalizedRule.default : '';
+  const join = typeof normalizedRule.join === 'string' ? normalizedRule.join : ' ';
+
+  if (Array.isArray(normalizedRule.parts)) {
+    const joined = normalizedRule.parts
+      .map(part => evaluateHtmlFieldRule(scope, part))
+      .filter(Boolean)
+      .join(join);
+    return joined || fallback;
+  }
+
+  const selectors = []
+    .concat(normalizedRule.selector || [])
+    .filter(selector => typeof selector === 'string' && selector.trim());
+  const nodes = selectors.length
+    ? Array.from(new Set(selectors.flatMap(selector => selectAll(scope, selector))))
+      .sort((a, b) => a.index - b.index)
+    : [scope];
+  const exclude = normalizedRule.exclude
+    ? compileHtmlRulePattern(normalizedRule.exclude, 'exclude')
+    : null;
+  const values = nodes
+    .map(node =>
+      normalizedRule.attr
+        ? decodeHtmlEntities(getAttribute(node, normalizedRule.attr)).trim()
+        : cleanText(getText(node))
+    )
+    .filter(value => value && !(exclude && exclude.test(value)));
+  let value = (normalizedRule.all ? values : values.slice(0, 1)).join(join);
+
+  if (value && normalizedRule.pattern) {
+    const match = value.match(compileHtmlRulePattern(normalizedRule.pattern, 'field'));
+    value = match ? (match[1] ?? match[0]).trim() : '';
+  }
+  if (value && normalizedRule.map && typeof normalizedRule.map === 'object') {
+    const lower = value.toLowerCase();
+    const entry = Object.entries(normalizedRule.map).find(([key]) => lower.includes(key.toLowerCase()));
+    value = entry ? String(entry[1]) : '';
+  }
+  return value || fallback;
 }
 
-function parseIcalLine(line) {
-  if (!line || typeof line !== 'string') return null;
-  const idx = line.indexOf(':');
-  if (idx < 0) return null;
-  const left = line.slice(0, idx);
-  const value = line.slice(idx + 1);
-  if (!left) return null;
-  const parts = left.split(';');
-  const name = parts.shift().trim().toUpperCase();
+function buildHtmlSourceVenue(source, venueName) {
+  const configVenue =
+    source?.config?.venue && typeof source.config.venue === 'object' ? source.config.venue : {};
+  const address =
+    configVenue.address && typeof configVenue.address === 'object'
+      ? { ...configVenue.address }
+      : { city: '', region: '', country: '' };
+  return {
+    ...configVenue,
+    name: venueName || configVenue.name || source?.name || source?.id || '',
+    address
+  };
+}
+
+function parseHtmlSourceEvents(html, source) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const itemSelector = typeof config.itemSelector === 'string' ? config.itemSelector.trim() : '';
+  if (!html || typeof html !== 'string' || !itemSelector) return [];
+  const fields = config.fields && typeof config.fields === 'object' ? config.fields : {};
+  const pageUrl = typeof config.url === 'string' ? config.url : '';
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const defaultTime =
+    parseHtmlTimeText(config.defaultTime || HTML_SCRAPE_DEFAULT_TIME) || { hour: 20, minute: 0 };
+  const configGenres = Array.isArray(config.genres)
+    ? config.genres.map(genre => String(genre).trim()).filter(Boolean)
+    : [];
+
+  const document = parseHtml(html);
+  const items = selectAll(document, itemSelector).map(node => ({ node, isHeading: false }));
+  const headings = config.dateHeadingSelector
+    ? selectAll(document, config.dateHeadingSelector).map(node => ({ node, isHeading: true }))
+    : [];
+  const ordered = [...items, ...headings].sort((a, b) => a.node.index - b.node.index);
+
+  const events = [];
+  let headingText = '';
+  ordered.forEach(({ node, isHeading }) => {
+    if (isHeading) {
+      headingText = cleanText(getText(node));
+      return;
+    }
+    const title = evaluateHtmlFieldRule(node, fields.title);
+    if (!title) return;
+    const dateText = evaluateHtmlFieldRule(node, fields.date) || headingText;
+    const date = parseHtmlDateText(dateText, config.dateFormats, today);
+    if (!date) return;
+    const time =
+      parseHtmlTimeText(evaluateHtmlFieldRule(node, fields.time), {
+        assumePm: Boolean(config.assumePm)
+      }) || defaultTime;
+    const localIso = `${date.year}-${String(date.monthIndex + 1).padStart(2, '0')}` +
+      `-${String(date.day).padStart(2, '0')}T${String(time.hour).padStart(2, '0')}` +
+      `:${String(time.minute).padStart(2, '0')}:00`;
+    const url = resolveUrlMaybe(evaluateHtmlFieldRule(node, fields.link), pageUrl) || pageUrl;
+    const imageUrl = resolveUrlMaybe(evaluateHtmlFieldRule(node, fields.image), pageUrl);
+    const scrapedGenres = evaluateHtmlFieldRule(node, fields.genres)
+      .split(/[,|]/)
+      .map(genre => genre.trim())
+      .filter(Boolean);
+
+    const event = {
+      id: '',
+      name: { text: title },
+      start: { local: localIso },
+      url,
+      venue: buildHtmlSourceVenue(source, evaluateHtmlFieldRule(node, fields.venue)),
+      segment: typeof config.segment === 'string' && config.segment ? config.segment : null,
+      summary: evaluateHtmlFieldRule(node, fields.summary),
+      source: source.id,
+      genres: Array.from(new Set([...configGenres, ...scrapedGenres]))
+    };
+    if (config.timeZone) {
+      const utcIso = zonedTimeToUtcIso(
+        {
+          year: date.year,
+          month: date.monthIndex + 1,
+          day: date.day,
+          hour: time.hour,
+          minute: time.minute,
+          second: 0
+        },
+        config.timeZone
+      );
+      if (utcIso) event.start.utc = utcIso;
+    }
+    if (imageUrl) {
+      event.images = [
+        {
+          url: imageUrl,
+          ratio: null,
+          width: null,
+          height: null,
+          fallback: false
+        }
+      ];
+    }
+    event.id = buildScrapedEventId(source.id, title, localIso, url);
+    events.push(event);
+  });
+
+  return events;
+}
+
+function htmlSourceCacheKeyParts(source) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const configDigest = crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex');
+  return [
+    'html',
+    HTML_SCRAPE_CACHE_VERSION,
+    source?.id || '',
+    config.cacheVersion ? `config:${config.cacheVersion}` : '',
+    configDigest
+  ];
+}
+
+function applyHtmlSourceDistance(events, source, context) {
+  const coords = source?.config?.coordinates;
+  const distance = distanceMiles(
+    context?.latitude,
+    context?.longitude,
+    Number(coords?.latitude),
+    Number(coords?.longitude)
+  );
+  if (!Number.isFinite(distance)) return events;
+  return events.map(event => ({ ...event, distance }));
+}
+
+/**
+ * Looks up fallback images for events without one, stopping after `limit`
+ * images are found. With `countAttempts` the limit caps page fetches instead,
+ * so a listing of image-less pages stays bounded.
+ */
+async function hydrateEventImagesFromLinks(events, limit, { countAttempts = false } = {}) {
+  let remaining = Number.isFinite(limit) && limit > 0 ? limit : 0;
+  for (const event of events) {
+    if (remaining <= 0) break;
+    if (!event?.url || (Array.isArray(event.images) && event.images.length)) continue;
+    if (countAttempts) remaining -= 1;
+    const imageUrl = await fetchImageFromEventLinks(event);
+    if (imageUrl) {
+      event.images = [
+        {
+          url: imageUrl,
+          ratio: null,
+          width: null,
+          height: null,
+          fallback: true
+        }
+      ];
+      if (!countAttempts) remaining -= 1;
+    }
+  }
+}
+
+async function fetchHtmlSourceEvents(source, context = {}, { allowCache = true } = {}) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  if (!config.url || !isValidHttpUrl(config.url)) {
+    const err = new Error('Datasource page URL is missing or invalid');
+    err.status = 400;
+    err.code = 'missing_url';
+    throw err;
+  }
+  if (typeof config.itemSelector !== 'string' || !config.itemSelector.trim()) {
+    const err = new Error('Datasource item selector is missing');
+    err.status = 400;
+    err.code = 'missing_item_selector';
+    throw err;
+  }
+
+  const cacheKey = htmlSourceCacheKeyParts(source);
+  const ttlMinutes = Number(config.cacheTtlMinutes);
+  const ttlMs = Number.isFinite(ttlMinutes) && ttlMinutes > 0
+    ? ttlMinutes * 60 * 1000
+    : HTML_SCRAPE_CACHE_TTL_MS;
+  if (allowCache) {
+    const cached = await safeReadCachedResponse(HTML_SCRAPE_CACHE_COLLECTION, cacheKey, ttlMs);
+    if (cached && typeof cached.body === 'string') {
+      try {
+        const parsed = JSON.parse(cached.body);
+        if (parsed && Array.isArray(parsed.events)) {
+          return { events: applyHtmlSourceDistance(parsed.events, source, context), cached: true };
+        }
+      } catch (err) {
+        console.warn(`Unable to parse cached events for ${source.id}`, err);
+      }
+    }
+  }
+
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timeout = controller
+    ? setTimeout(() => controller.abort(), RSS_REQUEST_TIMEOUT_MS)
+    : null;
+  let html;
+  let status = null;
+  try {
+    const response = await fetch(config.url, {
+      headers: {
+        Accept: 'text/html,application/xhtml+xml',
+        'User-Agent': 'LiveShowsBot/1.0'
+      },
+      signal: controller?.signal
+    });
+    status = response.status;
+    // The timeout stays armed through the body read so a stalled stream still aborts.
+    html = await response.text();
+    if (!response.ok) {
+      const err = new Error(`${source.name || source.id} request failed: ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+  } catch (err) {
+    if (err?.name === 'AbortError') {
+      const timeoutErr = new Error(`${source.name || source.id} request timed out`);
+      timeoutErr.status = 408;
+      throw timeoutErr;
+    }
+    throw err;
+  } finally {
+    if (timeout) clearTimeout(timeout);
+  }
+
+  let events;
+  try {
+    events = parseHtmlSourceEvents(html, source);
+  } catch (err) {
+    if (err?.code === 'invalid_html_config') throw err;
+    const wrapped = new Error(err?.message || 'Unable to apply datasource selectors');
+    wrapped.status = 400;
+    wrapped.code = 'invalid_html_config';
+    throw wrapped;
+  }
+  events = applySourceEventFilters(events, source);
+  if (config.fetchImageFromLink) {
+    const limit =
+      Number.isFinite(config.imageFetchLimit) && Number(config.imageFetchLimit) >= 0
+        ? Number(config.imageFetchLimit)
+        : HTML_SCRAPE_IMAGE_FETCH_LIMIT_DEFAULT;
+    await hydrateEventImagesFromLinks(events, limit, { countAttempts: true });
+  }
+
+  if (allowCache) {
+    await safeWriteCachedResponse(HTML_SCRAPE_CACHE_COLLECTION, cacheKey, {
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({
+        source: source.id,
+        generatedAt: new Date().toISOString(),
+        events
+      }),
+      metadata: {
+        url: config.url,
+        count: events.length,
+        cachedAt: new Date().toISOString()
+      }
+    });
+  }
+  return { events: applyHtmlSourceDistance(events, source, context), cached: false, status };
+}
+
+// --- JSON feed datasources ---
+
+function resolveJsonFeedMapping(source) {
+  const mapping = source?.config?.mapping && typeof source.config.mapping === 'object'
+    ? source.config.mapping
+    : {};
+  return { ...JSON_FEED_DEFAULT_MAPPING, ...mapping };
+}
+
+function queryJsonFeedPath(item, path) {
+  try {
+    return queryJsonPath(item, path);
+  } catch (err) {
+    const wrapped = new Error(err?.message || `Invalid JSON path ${path}`);
+    wrapped.status = 400;
+    wrapped.code = 'invalid_json_mapping';
+    throw wrapped;
+  }
+}
+
+function isEmptyJsonValue(value) {
+  return (
+    value === null ||
+    value === undefined ||
+    (typeof value === 'string' && !value.trim()) ||
+    (Array.isArray(value) && !value.length)
+  );
+}
+
+/**
+ * Reads the first non-empty value for a mapping entry. A mapping entry is a
+ * JSONPath string or an array of paths tried in order.
+ */
+function readJsonMappedValue(item, spec) {
+  if (!spec) return null;
+  const paths = Array.isArray(spec) ? spec : [spec];
+  for (const path of paths) {
+    if (typeof path !== 'string' || !path.trim()) continue;
+    const match = queryJsonFeedPath(item, path).find(value => !isEmptyJsonValue(value));
+    if (match !== undefined) return match;
+  }
+  return null;
+}
+
+function readJsonMappedValues(item, spec) {
+  if (!spec) return [];
+  const paths = Array.isArray(spec) ? spec : [spec];
+  for (const path of paths) {
+    if (typeof path !== 'string' || !path.trim()) continue;
+    const values = queryJsonFeedPath(item, path)
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => !isEmptyJsonValue(value));
+    if (values.length) return values;
+  }
+  return [];
+}
+
+function jsonFeedText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return cleanText(value);
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (typeof value === 'object') {
+    return jsonFeedText(value.text ?? value.name ?? value.title ?? value.label ?? value.value ?? '');
+  }
+  return '';
+}
+
+function jsonFeedUrl(value, baseUrl) {
+  const raw = typeof value === 'object' && value !== null
+    ? value.url || value.href || value.src || ''
+    : value;
+  if (typeof raw !== 'string' || !raw.trim()) return '';
+  return resolveUrlMaybe(raw.trim(), baseUrl) || '';
+}
+
+function formatZonedWallClock(date, timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false
+    }).formatToParts(date);
+    const values = {};
+    parts.forEach(part => {
+      if (part.type !== 'literal') values[part.type] = part.value;
+    });
+    const hour = values.hour === '24' ? '00' : values.hour;
+    return `${values.year}-${values.month}-${values.day}T${hour}:${values.minute}:${values.second}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalizes a JSON feed date into `{ local, utc }`. Accepts ISO strings with
+ * or without an offset, date-only strings and epoch seconds/milliseconds.
+ * Offset-less values are interpreted in `timeZone` when one is known.
+ */
+function parseJsonFeedDate(value, timeZone) {
+  if (isEmptyJsonValue(value)) return null;
+  const zone = typeof timeZone === 'string' && timeZone.trim() ? timeZone.trim() : '';
+  const fromDate = date => {
+    if (Number.isNaN(date.getTime())) return null;
+    const utc = date.toISOString();
+    return { local: (zone && formatZonedWallClock(date, zone)) || utc, utc };
+  };
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return fromDate(new Date(value > 1e12 ? value : value * 1000));
+  }
+  if (typeof value === 'object') {
+    return parseJsonFeedDate(value.dateTime ?? value.utc ?? value.local ?? value.date ?? null, timeZone);
+  }
+  const text = String(value).trim();
+  if (/^\d{10,13}$/.test(text)) {
+    return parseJsonFeedDate(Number(text), timeZone);
+  }
+  const match = text.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+  );
+  if (!match) {
+    return fromDate(new Date(text));
+  }
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+  const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  if (offset) {
+    const parsed = new Date(`${local}${offset.length === 5 ? `${offset.slice(0, 3)}:${offset.slice(3)}` : offset}`);
+    if (Number.isNaN(parsed.getTime())) return null;
+    return { local, utc: parsed.toISOString() };
+  }
+  const utc = zone
+    ? zonedTimeToUtcIso(
+        {
+          year: Number(year),
+          month: Number(month),
+          day: Number(day),
+          hour: Number(hour),
+          minute: Number(minute),
+          second: Number(second)
+        },
+        zone
+      )
+    : null;
+  return { local, utc: utc || null };
+}
+
+function parseJsonFeedAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  if (/\bfree\b/i.test(value)) return 0;
+  const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+function parseJsonFeedCurrency(value, fallback) {
+  if (typeof value === 'string') {
+    const code = value.match(/\b[A-Z]{3}\b/);
+    if (code) return code[0];
+    if (value.includes('$')) return fallback || 'USD';
+    if (value.includes('€')) return 'EUR';
+    if (value.includes('£')) return 'GBP';
+  }
+  return fallback || null;
+}
+
+/**
+ * Builds Ticketmaster-style price ranges from a mapped price value. The value
+ * may be a number, a label such as "$15 - $20" or "Free", an object with
+ * `min`/`max`/`currency`, or an array of any of those. An object mapping
+ * (`{ min, max, currency }` of paths) reads each part separately.
+ */
+function buildJsonFeedPriceRanges(item, spec, defaultCurrency) {
+  if (!spec) return [];
+  if (typeof spec === 'object' && !Array.isArray(spec)) {
+    const min = parseJsonFeedAmount(readJsonMappedValue(item, spec.min));
+    const max = parseJsonFeedAmount(readJsonMappedValue(item, spec.max));
+    if (min === null && max === null) return [];
+    const currency = jsonFeedText(readJsonMappedValue(item, spec.currency)) || defaultCurrency || null;
+    return [{ type: 'standard', currency, min: min ?? max, max: max ?? min }];
+  }
+  return readJsonMappedValues(item, spec)
+    .map(value => {
+      if (value && typeof value === 'object') {
+        const min = parseJsonFeedAmount(value.min ?? value.minPrice ?? value.low ?? value.price ?? value.amount);
+        const max = parseJsonFeedAmount(value.max ?? value.maxPrice ?? value.high ?? value.price ?? value.amount);
+        if (min === null && max === null) return null;
+        return {
+          type: typeof value.type === 'string' ? value.type : 'standard',
+          currency: (typeof value.currency === 'string' && value.currency) || defaultCurrency || null,
+          min: min ?? max,
+          max: max ?? min
+        };
+      }
+      if (typeof value === 'string') {
+        const amounts = (value.replace(/,/g, '').match(/\d+(?:\.\d+)?/g) || []).map(Number);
+        if (!amounts.length && !/\bfree\b/i.test(value)) return null;
+        const min = amounts.length ? Math.min(...amounts) : 0;
+        const max = amounts.length ? Math.max(...amounts) : 0;
+        return { type: 'standard', currency: parseJsonFeedCurrency(value, defaultCurrency), min, max };
+      }
+      const amount = parseJsonFeedAmount(value);
+      return amount === null
+        ? null
+        : { type: 'standard', currency: defaultCurrency || null, min: amount, max: amount };
+    })
+    .filter(Boolean);
+}
+
+function buildJsonFeedVenue(item, spec, source) {
+  const fallback = buildRssVenue(source, '');
+  const venue = { name: fallback.name, address: { ...fallback.address } };
+  let latitude = null;
+  let longitude = null;
+  const applyObject = value => {
+    if (!value || typeof value !== 'object') return;
+    const address = value.address && typeof value.address === 'object' ? value.address : value;
+    const name = jsonFeedText(value.name ?? value.title ?? '');
+    if (name) venue.name = name;
+    const city = jsonFeedText(address.city ?? address.addressLocality ?? address.locality ?? '');
+    const region = jsonFeedText(
+      address.region ?? address.state ?? address.stateCode ?? address.addressRegion ?? ''
+    );
+    const country = jsonFeedText(
+      address.country ?? address.countryCode ?? address.addressCountry ?? ''
+    );
+    if (city) venue.address.city = city;
+    if (region) venue.address.region = region;
+    if (country) venue.address.country = country;
+    const coords = value.coordinates || value.geo || value.location || value;
+    latitude = Number.parseFloat(coords?.latitude ?? coords?.lat);
+    longitude = Number.parseFloat(coords?.longitude ?? coords?.lon ?? coords?.lng);
+  };
+
+  if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+    applyObject({
+      name: readJsonMappedValue(item, spec.name),
+      city: readJsonMappedValue(item, spec.city),
+      region: readJsonMappedValue(item, spec.region),
+      country: readJsonMappedValue(item, spec.country),
+      latitude: readJsonMappedValue(item, spec.latitude),
+      longitude: readJsonMappedValue(item, spec.longitude)
+    });
+  } else {
+    const value = readJsonMappedValue(item, spec);
+    if (value && typeof value === 'object') {
+      applyObject(Array.isArray(value) ? value[0] : value);
+    } else if (value !== null) {
+      const name = jsonFeedText(value);
+      if (name) venue.name = name;
+    }
+  }
+
+  return {
+    venue,
+    coordinates: Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null
+  };
+}
+
+function mapJsonFeedItem(item, source, context, { baseUrl } = {}) {
+  if (!item || typeof item !== 'object') return null;
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const mapping = resolveJsonFeedMapping(source);
+  const title = jsonFeedText(readJsonMappedValue(item, mapping.title));
+  if (!title) return null;
+
+  const timeZone =
+    jsonFeedText(readJsonMappedValue(item, mapping.timeZone)) ||
+    (typeof config.timeZone === 'string' ? config.timeZone : '');
+  const start = parseJsonFeedDate(readJsonMappedValue(item, mapping.start), timeZone);
+  const end = parseJsonFeedDate(readJsonMappedValue(item, mapping.end), timeZone);
+  const startIso = start ? start.utc || start.local : null;
+  const endIso = end ? end.utc || end.local : null;
+  if (!isEventInLookahead(startIso, endIso, context.lookaheadDays || TICKETMASTER_DEFAULT_DAYS)) {
+    return null;
+  }
+
+  const url = jsonFeedUrl(readJsonMappedValue(item, mapping.url), baseUrl);
+  const rawId = jsonFeedText(readJsonMappedValue(item, mapping.id));
+  const { venue, coordinates } = buildJsonFeedVenue(item, mapping.venue, source);
+  const coords = coordinates || (
+    Number.isFinite(Number(config.coordinates?.latitude)) &&
+    Number.isFinite(Number(config.coordinates?.longitude))
+      ? { latitude: Number(config.coordinates.latitude), longitude: Number(config.coordinates.longitude) }
+      : null
+  );
+  const distance = coords
+    ? distanceMiles(context.latitude, context.longitude, coords.latitude, coords.longitude)
+    : null;
+  const genreSet = new Set([
+    ...readJsonMappedValues(item, mapping.genres).map(jsonFeedText),
+    ...(Array.isArray(config.genres) ? config.genres : [])
+  ]);
+  genreSet.delete('');
+  const images = readJsonMappedValues(item, mapping.image)
+    .map(value => {
+      const imageUrl = jsonFeedUrl(value, baseUrl);
+      if (!imageUrl) return null;
+      const width = Number(value?.width);
+      const height = Number(value?.height);
+      return {
+        url: imageUrl,
+        ratio: typeof value?.ratio === 'string' ? value.ratio : null,
+        width: Number.isFinite(width) ? width : null,
+        height: Number.isFinite(height) ? height : null,
+        fallback: false
+      };
+    })
+    .filter(Boolean);
+  const priceRanges = buildJsonFeedPriceRanges(item, mapping.price, config.currency);
+
+  const event = {
+    id: buildRssEventId(source.id, rawId || url, title, start?.local || startIso, url),
+    name: { text: title },
+    start: start || { local: null, utc: null },
+    url,
+    venue,
+    segment: config.segment || null,
+    distance: Number.isFinite(distance) ? distance : null,
+    summary: jsonFeedText(readJsonMappedValue(item, mapping.summary)),
+    source: source.id,
+    genres: Array.from(genreSet)
+  };
+  if (end) {
+    event.end = end;
+  }
+  if (isValidTimeZone(timeZone)) {
+    event.timeZone = timeZone.trim();
+  }
+  if (images.length) {
+    event.images = images;
+  }
+  if (priceRanges.length) {
+    event.priceRanges = priceRanges;
+  }
+  return event;
+}
+
+function extractJsonFeedItems(data, source) {
+  const { items } = resolveJsonFeedMapping(source);
+  if (!items) {
+    if (Array.isArray(data)) return data;
+    const err = new Error('Datasource mapping is missing an items path');
+    err.status = 400;
+    err.code = 'missing_items_path';
+    throw err;
+  }
+  const matches = queryJsonFeedPath(data, items);
+  return matches.length === 1 && Array.isArray(matches[0]) ? matches[0] : matches;
+}
+
+function parseJsonFeedEvents(data, source, context = {}, options = {}) {
+  return extractJsonFeedItems(data, source)
+    .map(item => mapJsonFeedItem(item, source, context, options))
+    .filter(Boolean);
+}
+
+function resolveJsonFeedPagination(source) {
+  const pagination = source?.config?.pagination;
+  if (!pagination || typeof pagination !== 'object' || !pagination.type) return null;
+  const maxPages = normalizePositiveInteger(pagination.maxPages, { min: 1, max: JSON_FEED_MAX_PAGES });
+  const pageSize = normalizePositiveInteger(pagination.pageSize, { min: 1, max: 1000 });
+  const start = Number(pagination.start);
+  return {
+    type: String(pagination.type).toLowerCase(),
+    param: pagination.param || (pagination.type === 'offset' ? 'offset' : pagination.type === 'cursor' ? 'cursor' : 'page'),
+    start: Number.isFinite(start) ? start : (pagination.type === 'offset' ? 0 : 1),
+    pageSize,
+    sizeParam: pagination.sizeParam || '',
+    cursorPath: pagination.cursorPath || '',
+    nextPath: pagination.nextPath || '',
+    maxPages: maxPages || JSON_FEED_DEFAULT_MAX_PAGES
+  };
+}
+
+function buildJsonFeedPageUrl(feedUrl, pagination, { pageIndex, offset, cursor }) {
+  if (!pagination) return feedUrl;
+  const url = new URL(feedUrl);
+  if (pagination.sizeParam && pagination.pageSize) {
+    url.searchParams.set(pagination.sizeParam, String(pagination.pageSize));
+  }
+  if (pagination.type === 'page') {
+    url.searchParams.set(pagination.param, String(pagination.start + pageIndex));
+  } else if (pagination.type === 'offset') {
+    url.searchParams.set(pagination.param, String(pagination.start + offset));
+  } else if (pagination.type === 'cursor' && cursor) {
+    url.searchParams.set(pagination.param, cursor);
+  }
+  return url.toString();
+}
+
+async function fetchJsonFeedPage(url, source) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const extraHeaders = config.headers && typeof config.headers === 'object' ? config.headers : {};
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timeout = controller
+    ? setTimeout(() => controller.abort(), RSS_REQUEST_TIMEOUT_MS)
+    : null;
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        Accept: 'application/json, text/plain, */*',
+        'User-Agent': 'LiveShowsBot/1.0',
+        ...extraHeaders
+      },
+      signal: controller?.signal
+    });
+    // The timeout stays armed through the body read so a stalled stream still aborts.
+    const text = await response.text();
+    if (!response.ok) {
+      // Upstream error pages can be large or echo request details; keep a short redacted excerpt.
+      const excerpt = text ? redactOutbound(text.slice(0, 200).replace(/\s+/g, ' ').trim()) : '';
+      const err = new Error(`JSON feed request failed: ${response.status}${excerpt ? ` ${excerpt}` : ''}`);
+      err.status = response.status;
+      throw err;
+    }
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch {
+      const err = new Error('JSON feed response was not valid JSON');
+      err.status = 502;
+      err.code = 'invalid_json';
+      throw err;
+    }
+  } catch (err) {
+    if (err?.name === 'AbortError') {
+      const timeoutErr = new Error('JSON feed request timed out');
+      timeoutErr.status = 408;
+      throw timeoutErr;
+    }
+    throw err;
+  } finally {
+    if (timeout) clearTimeout(timeout);
+  }
+}
+
+async function fetchJsonFeedEvents(source, context = {}, { limit, allowCache = true } = {}) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const feedUrl = config.feedUrl;
+  if (!feedUrl || !isValidHttpUrl(feedUrl)) {
+    const err = new Error('Datasource feed URL is missing or invalid');
+    err.status = 400;
+    err.code = 'missing_feed_url';
+    throw err;
+  }
+  const normalizedContext =
+    context && typeof context === 'object' ? { ...context } : {};
+  const lookaheadDays = clampDays(normalizedContext.lookaheadDays);
+  normalizedContext.lookaheadDays = lookaheadDays;
+  const latKey = Number.isFinite(normalizedContext.latitude)
+    ? normalizedContext.latitude.toFixed(4)
+    : 'lat:none';
+  const lonKey = Number.isFinite(normalizedContext.longitude)
+    ? normalizedContext.longitude.toFixed(4)
+    : 'lon:none';
+  const mappingDigest = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({
+      mapping: config.mapping || null,
+      pagination: config.pagination || null,
+      timeZone: config.timeZone || null,
+      filters: [config.includeGenres, config.excludeGenres, config.includeKeywords, config.excludeKeywords],
+      genres: config.genres || null,
+      segment: config.segment || null,
+      coordinates: config.coordinates || null,
+      currency: config.currency || null,
+      headers: config.headers || null
+    }))
+    .digest('hex');
+  const cacheKeyParts = [
+    'json',
+    JSON_FEED_CACHE_VERSION,
+    feedUrl,
+    mappingDigest,
+    `days:${lookaheadDays}`,
+    `lat:${latKey}`,
+    `lon:${lonKey}`
+  ];
+  const shouldUseCache = allowCache && (limit === undefined || limit === null);
+  const loadEvents = async () => {
+    const pagination = resolveJsonFeedPagination(source);
+    const maxPages = pagination ? pagination.maxPages : 1;
+    const seenIds = new Set();
+    const seenUrls = new Set();
+    let events = [];
+    let pageUrl = buildJsonFeedPageUrl(feedUrl, pagination, { pageIndex: 0, offset: 0, cursor: '' });
+    let offset = 0;
+    for (let pageIndex = 0; pageIndex < maxPages && pageUrl; pageIndex += 1) {
+      if (seenUrls.has(pageUrl)) break;
+      seenUrls.add(pageUrl);
+      const data = await fetchJsonFeedPage(pageUrl, source);
+      const items = extractJsonFeedItems(data, source);
+      items
+        .map(item => mapJsonFeedItem(item, source, normalizedContext, { baseUrl: pageUrl }))
+        .filter(Boolean)
+        .forEach(event => {
+          if (seenIds.has(event.id)) return;
+          seenIds.add(event.id);
+          events.push(event);
+        });
+      if (!pagination || !items.length) break;
+      if (pagination.pageSize && items.length < pagination.pageSize) break;
+      offset += pagination.pageSize || items.length;
+      if (pagination.type === 'cursor') {
+        const cursor = jsonFeedText(readJsonMappedValue(data, pagination.cursorPath));
+        pageUrl = cursor ? buildJsonFeedPageUrl(feedUrl, pagination, { cursor }) : '';
+      } else if (pagination.type === 'link') {
+        pageUrl = jsonFeedUrl(readJsonMappedValue(data, pagination.nextPath), pageUrl);
+      } else {
+        pageUrl = buildJsonFeedPageUrl(feedUrl, pagination, { pageIndex: pageIndex + 1, offset });
+      }
+    }
+
+    events = applySourceEventFilters(events, source);
+    if (config.fetchImageFromLink) {
+      const imageLimit =
+        Number.isFinite(config.imageFetchLimit) && Number(config.imageFetchLimit) >= 0
+          ? Number(config.imageFetchLimit)
+          : RSS_IMAGE_FETCH_LIMIT_DEFAULT;
+      await hydrateEventImagesFromLinks(events, imageLimit);
+    }
+    return events;
+  };
+
+  if (!shouldUseCache) {
+    const events = await loadEvents();
+    return { events: Number.isFinite(limit) && limit > 0 ? events.slice(0, limit) : events, cached: false };
+  }
+  return readThroughFeedCache(cacheKeyParts, loadEvents, events => ({
+    body: { events, feedUrl, lookaheadDays },
+    metadata: {
+      feedUrl,
+      lookaheadDays,
+      latitude: normalizedContext.latitude ?? null,
+      longitude: normalizedContext.longitude ?? null,
+      count: events.length
+    }
+  }));
+}
+
+// --- schema.org (JSON-LD / microdata) datasources ---
+
+function jsonLdValues(value, nodesById) {
+  return [].concat(value ?? [])
+    .map(entry => resolveSchemaReference(entry, nodesById))
+    .filter(entry => !isEmptyJsonValue(entry));
+}
+
+function jsonLdText(value) {
+  if (Array.isArray(value)) return value.map(jsonLdText).find(Boolean) || '';
+  if (value && typeof value === 'object' && value['@value'] !== undefined) return jsonLdText(value['@value']);
+  return jsonFeedText(value);
+}
+
+function jsonLdUrl(value, baseUrl) {
+  for (const entry of [].concat(value ?? [])) {
+    const raw = entry && typeof entry === 'object' ? jsonLdText(entry.contentUrl ?? entry.url ?? '') : entry;
+    const url = jsonFeedUrl(raw, baseUrl);
+    if (url) return url;
+  }
+  return '';
+}
+
+function resolveJsonLdEventTypes(source) {
+  const types = source?.config?.eventTypes;
+  return Array.isArray(types) && types.length ? types : JSONLD_DEFAULT_EVENT_TYPES;
+}
+
+/**
+ * Maps a schema.org `location` (Place, PostalAddress, VirtualLocation or a
+ * plain string) onto the normalized venue, falling back to `config.venue`.
+ */
+function buildJsonLdVenue(location, source, nodesById) {
+  const fallback = buildRssVenue(source, '');
+  const venue = { name: fallback.name, address: { ...fallback.address } };
+  const places = jsonLdValues(location, nodesById);
+  const place =
+    places.find(value => typeof value === 'object' && !getSchemaTypes(value).includes('VirtualLocation')) ||
+    places[0];
+  if (typeof place === 'string') {
+    const name = cleanText(place);
+    if (name) venue.name = name;
+    return { venue, coordinates: null };
+  }
+  if (!place || typeof place !== 'object') return { venue, coordinates: null };
+  const types = getSchemaTypes(place);
+  if (types.includes('VirtualLocation')) {
+    venue.name = jsonLdText(place.name) || 'Online';
+    return { venue, coordinates: null };
+  }
+
+  const name = jsonLdText(place.name);
+  if (name) venue.name = name;
+  const address = types.includes('PostalAddress') ? place : jsonLdValues(place.address, nodesById)[0];
+  if (typeof address === 'string') {
+    const line1 = cleanText(address);
+    if (line1) venue.address.line1 = line1;
+  } else if (address && typeof address === 'object') {
+    const fields = {
+      line1: address.streetAddress,
+      city: address.addressLocality,
+      region: address.addressRegion,
+      postalCode: address.postalCode,
+      country: address.addressCountry
+    };
+    Object.entries(fields).forEach(([key, value]) => {
+      const text = jsonLdText(value);
+      if (text) venue.address[key] = text;
+    });
+  }
+  const geo = jsonLdValues(place.geo, nodesById)[0] || place;
+  const latitude = Number.parseFloat(jsonLdText(geo?.latitude));
+  const longitude = Number.parseFloat(jsonLdText(geo?.longitude));
+  return {
+    venue,
+    coordinates: Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null
+  };
+}
+
+/**
+ * Reads Offer / AggregateOffer nodes (including `priceSpecification`) into
+ * Ticketmaster-style price ranges. Also returns the first ticket link, which
+ * stands in for the event URL when the event has none.
+ */
+function buildJsonLdOffers(offers, nodesById, defaultCurrency) {
+  const priceRanges = [];
+  let url = '';
+  const collect = value => {
+    jsonLdValues(value, nodesById).forEach(offer => {
+      if (!offer || typeof offer !== 'object') return;
+      if (offer.lowPrice === undefined && offer.price === undefined && offer.offers) {
+        collect(offer.offers);
+        return;
+      }
+      if (!url) url = jsonLdText(offer.url);
+      const spec = jsonLdValues(offer.priceSpecification, nodesById).find(entry => typeof entry === 'object') || {};
+      const amount = entry => parseJsonFeedAmount(jsonLdText(entry));
+      const min = amount(offer.lowPrice ?? spec.minPrice ?? offer.price ?? spec.price);
+      const max = amount(offer.highPrice ?? spec.maxPrice ?? offer.price ?? spec.price);
+      if (min === null && max === null) return;
+      priceRanges.push({
+        type: 'standard',
+        currency: jsonLdText(offer.priceCurrency) || jsonLdText(spec.priceCurrency) || defaultCurrency || null,
+        min: min ?? max,
+        max: max ?? min
+      });
+    });
+  };
+  collect(offers);
+  return { priceRanges, url };
+}
+
+function buildJsonLdPerformers(performer, nodesById, baseUrl) {
+  const seen = new Set();
+  return jsonLdValues(performer, nodesById)
+    .map(value => {
+      const name = jsonLdText(typeof value === 'object' ? value.name : value);
+      if (!name || seen.has(name.toLowerCase())) return null;
+      seen.add(name.toLowerCase());
+      const url = typeof value === 'object' ? jsonLdUrl(value.url ?? value.sameAs, baseUrl) : '';
+      return url ? { name, url } : { name };
+    })
+    .filter(Boolean);
+}
+
+function buildJsonLdImages(image, nodesById, baseUrl) {
+  const seen = new Set();
+  return jsonLdValues(image, nodesById)
+    .map(value => {
+      const url = jsonLdUrl(value, baseUrl);
+      if (!url || seen.has(url)) return null;
+      seen.add(url);
+      const width = typeof value === 'object' ? parseJsonFeedAmount(jsonLdText(value.width)) : null;
+      const height = typeof value === 'object' ? parseJsonFeedAmount(jsonLdText(value.height)) : null;
+      return { url, ratio: null, width, height, fallback: false };
+    })
+    .filter(Boolean);
+}
+
+function isJsonLdEventCancelled(node) {
+  return [].concat(node.eventStatus ?? []).some(status =>
+    /EventCancelled$/i.test(String(status && typeof status === 'object' ? status['@id'] || status.name || '' : status))
+  );
+}
+
+function mapJsonLdEvent(node, source, context, { baseUrl, nodesById = new Map() } = {}) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const title = jsonLdText(node.name);
+  if (!title || isJsonLdEventCancelled(node)) return null;
+
+  const timeZone = typeof config.timeZone === 'string' ? config.timeZone : '';
+  const start = parseJsonFeedDate(jsonLdText(node.startDate), timeZone);
+  if (!start) return null;
+  const end = parseJsonFeedDate(jsonLdText(node.endDate), timeZone);
+  if (!isEventInLookahead(start.utc || start.local, end ? end.utc || end.local : null, context.lookaheadDays || TICKETMASTER_DEFAULT_DAYS)) {
+    return null;
+  }
+
+  const offers = buildJsonLdOffers(node.offers, nodesById, config.currency);
+  const url = jsonLdUrl(node.url, baseUrl) || jsonFeedUrl(offers.url, baseUrl) || baseUrl || '';
+  const { venue, coordinates } = buildJsonLdVenue(node.location, source, nodesById);
+  const coords = coordinates || (
+    Number.isFinite(Number(config.coordinates?.latitude)) &&
+    Number.isFinite(Number(config.coordinates?.longitude))
+      ? { latitude: Number(config.coordinates.latitude), longitude: Number(config.coordinates.longitude) }
+      : null
+  );
+  const distance = coords
+    ? distanceMiles(context.latitude, context.longitude, coords.latitude, coords.longitude)
+    : null;
+  const genreSet = new Set([
+    ...getSchemaTypes(node).map(type => JSONLD_EVENT_TYPE_GENRES[type]),
+    ...(Array.isArray(config.genres) ? config.genres : [])
+  ]);
+  genreSet.delete(undefined);
+  const performers = buildJsonLdPerformers(node.performer, nodesById, baseUrl);
+  const images = buildJsonLdImages(node.image, nodesById, baseUrl);
+
+  const event = {
+    // Title, date and URL match between a listing entry and its detail page, so both collapse to one id.
+    id: buildScrapedEventId(source.id, title, start.local, url),
+    name: { text: title },
+    start,
+    url,
+    venue,
+    segment: config.segment || null,
+    distance: Number.isFinite(distance) ? distance : null,
+    summary: jsonLdText(node.description),
+    source: source.id,
+    genres: Array.from(genreSet)
+  };
+  if (end) {
+    event.end = end;
+  }
+  if (isValidTimeZone(timeZone)) {
+    event.timeZone = timeZone.trim();
+  }
+  if (coordinates) {
+    event.coordinates = coordinates;
+  }
+  if (performers.length) {
+    event.performers = performers;
+  }
+  if (images.length) {
+    event.images = images;
+  }
+  if (offers.priceRanges.length) {
+    event.priceRanges = offers.priceRanges;
+  }
+  return event;
+}
+
+/**
+ * Returns detail-page links a listing advertises: `ItemList` entries whose
+ * item is only a URL (or an event without a start date), plus event nodes
+ * that are missing `startDate`.
+ */
+function collectJsonLdEventLinks(roots, eventNodes, nodesById, baseUrl) {
+  const links = [];
+  findSchemaNodes(roots, ['ListItem'], nodesById).forEach(listItem => {
+    const item = resolveSchemaReference(listItem.item, nodesById);
+    if (item && typeof item === 'object' && item.startDate) return;
+    links.push(
+      (item && typeof item === 'object'
+        ? jsonLdUrl(item.url, baseUrl) || jsonFeedUrl(item['@id'], baseUrl)
+        : jsonFeedUrl(item, baseUrl)) || jsonLdUrl(listItem.url, baseUrl)
+    );
+  });
+  eventNodes
+    .filter(node => !node.startDate)
+    .forEach(node => links.push(jsonLdUrl(node.url, baseUrl)));
+  return links.filter(Boolean);
+}
+
+function extractJsonLdPage(html, source, context = {}, { baseUrl, followLinks = true } = {}) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const { jsonLd, microdata, nodesById } = extractStructuredData(html);
+  const types = resolveJsonLdEventTypes(source);
+  let nodes = findSchemaNodes(jsonLd, types, nodesById);
+  if (!nodes.length) {
+    nodes = findSchemaNodes(microdata, types, nodesById);
+  }
+  const events = nodes
+    .map(node => mapJsonLdEvent(node, source, context, { baseUrl, nodesById }))
+    .filter(Boolean);
+
+  const links = [];
+  if (!followLinks) return { events, links };
+  if (config.followEventLinks) {
+    links.push(...collectJsonLdEventLinks([...jsonLd, ...microdata], nodes, nodesById, baseUrl));
+  }
+  if (typeof config.eventLinkSelector === 'string' && config.eventLinkSelector.trim()) {
+    selectAll(parseHtml(html), config.eventLinkSelector).forEach(node => {
+      const href = getAttribute(node, 'href');
+      const url = href ? resolveUrlMaybe(href, baseUrl) : '';
+      if (url) links.push(url);
+    });
+  }
+  return { events, links };
+}
+
+function parseJsonLdEvents(html, source, context = {}, options = {}) {
+  return extractJsonLdPage(html, source, context, { ...options, followLinks: false }).events;
+}
+
+function resolveJsonLdPageUrls(config) {
+  const urls = [config.url, ...(Array.isArray(config.urls) ? config.urls : [])]
+    .filter(url => typeof url === 'string' && isValidHttpUrl(url));
+  return Array.from(new Set(urls)).slice(0, JSONLD_MAX_LISTING_URLS);
+}
+
+/** Runs `worker` over `items` with at most `limit` calls in flight; results keep item order. */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+async function fetchJsonLdPage(url, source, { timeoutMs = RSS_REQUEST_TIMEOUT_MS } = {}) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timeout = controller
+    ? setTimeout(() => controller.abort(), Math.max(timeoutMs, 0))
+    : null;
+  try {
+    const response = await fetch(url, {
+      headers: {
+        Accept: 'text/html,application/xhtml+xml',
+        'User-Agent': 'LiveShowsBot/1.0'
+      },
+      signal: controller?.signal
+    });
+    if (timeout) clearTimeout(timeout);
+    const html = await response.text();
+    if (!response.ok) {
+      const err = new Error(`${source.name || source.id} request failed: ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+    return html;
+  } catch (err) {
+    if (timeout) clearTimeout(timeout);
+    if (err?.name === 'AbortError') {
+      const timeoutErr = new Error(`${source.name || source.id} request timed out`);
+      timeoutErr.status = 408;
+      throw timeoutErr;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Fetches every listing page, then (when configured) up to `maxEventPages`
+ * linked detail pages. A failing detail page is skipped rather than failing
+ * the whole source; events found on both collapse to the detail version.
+ */
+async function fetchJsonLdEvents(source, context = {}, { allowCache = true } = {}) {
+  const config = source?.config && typeof source.config === 'object' ? source.config : {};
+  const pageUrls = resolveJsonLdPageUrls(config);
+  if (!pageUrls.length) {
+    const err = new Error('Datasource page URL is missing or invalid');
+    err.status = 400;
+    err.code = 'missing_url';
+    throw err;
+  }
+  const normalizedContext =
+    context && typeof context === 'object' ? { ...context } : {};
+  normalizedContext.lookaheadDays = clampDays(normalizedContext.lookaheadDays);
+  const configDigest = crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex');
+  const cacheKey = [
+    'jsonld',
+    JSONLD_CACHE_VERSION,
+    source?.id || '',
+    config.cacheVersion ? `config:${config.cacheVersion}` : '',
+    configDigest,
+    `days:${normalizedContext.lookaheadDays}`,
+    `lat:${Number.isFinite(normalizedContext.latitude) ? normalizedContext.latitude.toFixed(4) : 'none'}`,
+    `lon:${Number.isFinite(normalizedContext.longitude) ? normalizedContext.longitude.toFixed(4) : 'none'}`
+  ];
+  const ttlMinutes = Number(config.cacheTtlMinutes);
+  const ttlMs = Number.isFinite(ttlMinutes) && ttlMinutes > 0
+    ? ttlMinutes * 60 * 1000
+    : HTML_SCRAPE_CACHE_TTL_MS;
+  if (allowCache) {
+    const cached = await safeReadCachedResponse(HTML_SCRAPE_CACHE_COLLECTION, cacheKey, ttlMs);
+    if (cached && typeof cached.body === 'string') {
+      try {
+        const parsed = JSON.parse(cached.body);
+        if (parsed && Array.isArray(parsed.events)) {
+          return { events: parsed.events, cached: true };
+        }
+      } catch (err) {
+        console.warn(`Unable to parse cached events for ${source.id}`, err);
+      }
+    }
+  }
+
+  // Pages are fetched a few at a time under one deadline for the whole
+  // source; detail pages still unfetched when it passes are skipped.
+  const deadline = Date.now() + JSONLD_FETCH_DEADLINE_MS;
+  const pageTimeoutMs = () => Math.min(RSS_REQUEST_TIMEOUT_MS, deadline - Date.now());
+  const eventsById = new Map();
+  const fetchedUrls = new Set(pageUrls);
+  const eventLinks = [];
+  const listingPages = await mapWithConcurrency(pageUrls, JSONLD_PAGE_CONCURRENCY, async pageUrl => {
+    const html = await fetchJsonLdPage(pageUrl, source, { timeoutMs: pageTimeoutMs() });
+    return extractJsonLdPage(html, source, normalizedContext, { baseUrl: pageUrl });
+  });
+  listingPages.forEach(page => {
+    page.events.forEach(event => eventsById.set(event.id, event));
+    eventLinks.push(...page.links);
+  });
+
+  const maxEventPages = normalizePositiveInteger(config.maxEventPages, { min: 1, max: JSONLD_MAX_EVENT_PAGES }) ||
+    JSONLD_DEFAULT_EVENT_PAGES;
+  const detailUrls = [];
+  eventLinks.forEach(url => {
+    if (fetchedUrls.has(url) || detailUrls.length >= maxEventPages) return;
+    fetchedUrls.add(url);
+    detailUrls.push(url);
+  });
+  let skippedDetailPages = 0;
+  const detailEvents = await mapWithConcurrency(detailUrls, JSONLD_PAGE_CONCURRENCY, async detailUrl => {
+    if (pageTimeoutMs() <= 0) {
+      skippedDetailPages += 1;
+      return [];
+    }
+    try {
+      const html = await fetchJsonLdPage(detailUrl, source, { timeoutMs: pageTimeoutMs() });
+      // Links on detail pages are not followed further.
+      return parseJsonLdEvents(html, source, normalizedContext, { baseUrl: detailUrl });
+    } catch (err) {
+      console.warn(`Unable to read event page ${detailUrl} for ${source.id}`, err?.message || err);
+      return [];
+    }
+  });
+  detailEvents.flat().forEach(event => eventsById.set(event.id, event));
+  if (skippedDetailPages) {
+    console.warn(`Skipped ${skippedDetailPages} event page(s) for ${source.id} after the fetch deadline`);
+  }
+
+  const events = applySourceEventFilters(Array.from(eventsById.values()), source);
+  if (config.fetchImageFromLink) {
+    const limit =
+      Number.isFinite(config.imageFetchLimit) && Number(config.imageFetchLimit) >= 0
+        ? Number(config.imageFetchLimit)
+        : HTML_SCRAPE_IMAGE_FETCH_LIMIT_DEFAULT;
+    await hydrateEventImagesFromLinks(events, limit);
+  }
+
+  if (allowCache) {
+    await safeWriteCachedResponse(HTML_SCRAPE_CACHE_COLLECTION, cacheKey, {
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({
+        source: source.id,
+        generatedAt: new Date().toISOString(),
+        events
+      }),
+      metadata: {
+        url: pageUrls[0],
+        pages: pageUrls.length + detailUrls.length,
+        count: events.length,
+        cachedAt: new Date().toISOString()
+      }
+    });
+  }
+  return { events, cached: false };
+}
+
+function buildRssEventId(sourceId, guid, title, startIso, link) {
+  const base = guid || link || title || 'event';
+  const slug = String(base)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  const datePart = startIso ? startIso.split('T')[0] : 'date-unknown';
+  return `${sourceId}::${slug || 'event'}::${datePart}`;
+}
+
+function buildRssVenue(source, locationLabel) {
+  const configVenue =
+    source?.config?.venue && typeof source.config.venue === 'object'
+      ? source.config.venue
+      : null;
+  const address =
+    configVenue?.address && typeof configVenue.address === 'object'
+      ? {
+          city: configVenue.address.city || '',
+          region: configVenue.address.region || '',
+          country: configVenue.address.country || ''
+        }
+      : { city: '', region: '', country: '' };
+  const name = locationLabel || configVenue?.name || source?.name || source?.id || '';
+  return { name, address };
+}
+
+function extractRssCoordinates(itemXml) {
+  const latRaw = extractXmlValue(itemXml, ['geo:lat', 'georss:lat']);
+  const lonRaw = extractXmlValue(itemXml, ['geo:long', 'georss:long', 'georss:lon']);
+  let lat = Number.parseFloat(latRaw);
+  let lon = Number.parseFloat(lonRaw);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    const point = extractXmlValue(itemXml, ['georss:point']);
+    if (point) {
+      const parts = point.split(/\s+/).map(Number);
+      if (parts.length >= 2) {
+        lat = Number.isFinite(parts[0]) ? parts[0] : lat;
+        lon = Number.isFinite(parts[1]) ? parts[1] : lon;
+      }
+    }
+  }
+  return {
+    latitude: Number.isFinite(lat) ? lat : null,
+    longitude: Number.isFinite(lon) ? lon : null
+  };
+}
+
+function isEventInLookahead(startIso, endIso, lookaheadDays) {
+  if (!startIso && !endIso) return true;
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + lookaheadDays * 24 * 60 * 60 * 1000);
+  const startDate = startIso ? new Date(startIso) : null;
+  const endDate = endIso ? new Date(endIso) : null;
+  const validStart = startDate && !Number.isNaN(startDate.getTime()) ? startDate : null;
+  const validEnd = endDate && !Number.isNaN(endDate.getTime()) ? endDate : null;
+  const eventStart = validStart || validEnd;
+  const eventEnd = validEnd || validStart;
+  if (!eventStart && !eventEnd) return true;
+  if (eventStart && eventStart > windowEnd) return false;
+  if (eventEnd && eventEnd < now) return false;
+  return true;
+}
+
+function unfoldIcalLines(text) {
+  if (!text || typeof text !== 'string') return [];
+  const rawLines = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+  const lines = [];
+  rawLines.forEach((line, idx) => {
+    if (idx === 0) {
+      line = line.replace(/^\uFEFF/, '');
+    }
+    if (!line) return;
+    if (line.startsWith(' ') || line.startsWith('\t')) {
+      if (lines.length) {
+        lines[lines.length - 1] += line.slice(1);
+      } else {
+        lines.push(line.trimStart());
+      }
+      return;
+    }
+    lines.push(line);
+  });
+  return lines;
+}
+
+function parseIcalLine(line) {
+  if (!line || typeof line !== 'string') return null;
+  const idx = line.indexOf(':');
+  if (idx < 0) return null;
+  const left = line.slice(0, idx);
+  const value = line.slice(idx + 1);
+  if (!left) return null;
+  const parts = left.split(';');
+  const name = parts.shift().trim().toUpperCase();
   const params = {};
   parts.forEach(part => {
     const [rawKey, ...rest] = part.split('=');
@@ -2756,81 +4515,284 @@ function extractIcalImageUrl(props, baseUrl) {
   return '';
 }
 
-function parseIcalFeed(ics, source, context) {
-  if (!ics || typeof ics !== 'string') return [];
-  const lines = unfoldIcalLines(ics);
-  const events = [];
-  let props = null;
-  const pushEvent = () => {
-    if (!props || !props.length) return;
-    const findProp = name => props.find(item => item.name === name);
-    const findProps = name => props.filter(item => item.name === name);
-    const uid = decodeIcalText(findProp('UID')?.value || '');
-    const summary = decodeIcalText(findProp('SUMMARY')?.value || '') || 'Untitled event';
-    const tzOverride = source?.config?.timeZone;
-    const startProp = findProp('DTSTART');
-    const endProp = findProp('DTEND');
-    const startIso = parseIcalDateTime(
-      startProp?.value || '',
-      startProp?.params?.TZID,
-      tzOverride
-    );
-    const endIso = parseIcalDateTime(
-      endProp?.value || '',
-      endProp?.params?.TZID,
-      tzOverride
-    );
-    if (!isEventInLookahead(startIso, endIso, context.lookaheadDays || TICKETMASTER_DEFAULT_DAYS)) {
-      return;
-    }
-    const altDesc = findProp('X-ALT-DESC');
-    const altDescHtml =
-      altDesc && String(altDesc.params?.FMTTYPE || '').toLowerCase().includes('text/html')
-        ? decodeIcalText(altDesc.value || '')
-        : '';
-    const descriptionRaw = altDescHtml || decodeIcalText(findProp('DESCRIPTION')?.value || '');
-    const locationLabel = decodeIcalText(findProp('LOCATION')?.value || '');
-    const urlProp = findProp('URL');
-    let eventUrl = decodeIcalText(urlProp?.value || '');
-    if (!eventUrl && descriptionRaw) {
-      eventUrl = extractFirstUrlFromText(descriptionRaw);
-    }
-    const categories = [];
-    findProps('CATEGORIES').forEach(prop => {
-      const value = decodeIcalText(prop.value || '');
-      if (!value) return;
-      value.split(',').map(item => cleanText(item)).filter(Boolean).forEach(item => categories.push(item));
-    });
-    const imageFromProps = extractIcalImageUrl(props, eventUrl);
-    const imageFromDesc = descriptionRaw ? resolveUrlMaybe(extractFirstImageUrl(descriptionRaw), eventUrl) : '';
-    const imageUrl = imageFromProps || imageFromDesc;
+function parseIcalDateParts(rawValue) {
+  if (!rawValue || typeof rawValue !== 'string') return null;
+  const match = rawValue.trim().match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?)?(Z|[+-]\d{4})?$/
+  );
+  if (!match) return null;
+  return {
+    naiveMs: Date.UTC(
+      Number(match[1]),
+      Number(match[2]) - 1,
+      Number(match[3]),
+      Number(match[4] || 0),
+      Number(match[5] || 0),
+      Number(match[6] || 0)
+    ),
+    dateOnly: !match[4],
+    zoneToken: match[7] || ''
+  };
+}
 
-    const event = {
-      id: buildRssEventId(source.id, uid || eventUrl || summary, summary, startIso, eventUrl),
-      name: { text: summary },
-      start: { local: startIso || null, utc: startIso || null },
-      url: eventUrl || '',
-      venue: buildRssVenue(source, locationLabel),
-      summary: cleanText(descriptionRaw),
-      source: source.id,
-      genres: categories.filter(category => !isCategoryDateLike(category))
-    };
-    if (endIso) {
-      event.end = { local: endIso, utc: endIso };
+// Wall-clock values are carried as "naive" UTC milliseconds so recurrence
+// stepping stays on the venue's local time across DST changes.
+function formatIcalNaiveValue(naiveMs, dateOnly, zoneToken) {
+  const date = new Date(naiveMs);
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+  if (dateOnly) return day;
+  return `${day}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}${zoneToken}`;
+}
+
+function parseIcalRrule(value) {
+  if (!value || typeof value !== 'string') return null;
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [rawKey, rawValue] = part.split('=');
+    if (rawKey && rawValue) rule[rawKey.trim().toUpperCase()] = rawValue.trim();
+  });
+  const freq = String(rule.FREQ || '').toUpperCase();
+  if (!ICAL_RECURRENCE_FREQUENCIES.includes(freq)) return null;
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(',')
+        .map(token => {
+          const match = token.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          return match
+            ? { ordinal: match[1] ? Number(match[1]) : 0, weekday: ICAL_WEEKDAYS.indexOf(match[2]) }
+            : null;
+        })
+        .filter(Boolean)
+    : [];
+  const byMonthDay = rule.BYMONTHDAY
+    ? rule.BYMONTHDAY.split(',')
+        .map(Number)
+        .filter(day => Number.isInteger(day) && day !== 0 && Math.abs(day) <= 31)
+    : [];
+  return {
+    freq,
+    interval: normalizePositiveInteger(rule.INTERVAL) || 1,
+    count: normalizePositiveInteger(rule.COUNT),
+    until: rule.UNTIL || '',
+    byDay,
+    byMonthDay
+  };
+}
+
+function icalPeriodCandidates(rule, startMs, periodIndex) {
+  const start = new Date(startMs);
+  const startDayMs = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const timeOfDay = startMs - startDayMs;
+  const weekdays = rule.byDay.map(entry => entry.weekday);
+
+  if (rule.freq === 'DAILY') {
+    const dayMs = startMs + periodIndex * rule.interval * DAY_MS;
+    if (weekdays.length && !weekdays.includes(new Date(dayMs).getUTCDay())) return [];
+    return [dayMs];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStartMs =
+      startDayMs - ((start.getUTCDay() + 6) % 7) * DAY_MS + periodIndex * rule.interval * 7 * DAY_MS;
+    const days = weekdays.length ? Array.from(new Set(weekdays)) : [start.getUTCDay()];
+    return days
+      .map(weekday => weekStartMs + ((weekday + 6) % 7) * DAY_MS + timeOfDay)
+      .sort((a, b) => a - b);
+  }
+
+  const monthOffset = start.getUTCMonth() + periodIndex * rule.interval;
+  const year = start.getUTCFullYear() + Math.floor(monthOffset / 12);
+  const month = monthOffset % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const weekdayOf = day => new Date(Date.UTC(year, month, day)).getUTCDay();
+  const days = new Set();
+  if (rule.byMonthDay.length) {
+    rule.byMonthDay.forEach(value => {
+      const day = value > 0 ? value : daysInMonth + value + 1;
+      if (day < 1 || day > daysInMonth) return;
+      if (weekdays.length && !weekdays.includes(weekdayOf(day))) return;
+      days.add(day);
+    });
+  } else if (rule.byDay.length) {
+    rule.byDay.forEach(({ ordinal, weekday }) => {
+      const first = 1 + ((weekday - weekdayOf(1) + 7) % 7);
+      const matches = [];
+      for (let day = first; day <= daysInMonth; day += 7) matches.push(day);
+      if (!ordinal) {
+        matches.forEach(day => days.add(day));
+        return;
+      }
+      const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+      if (day) days.add(day);
+    });
+  } else if (start.getUTCDate() <= daysInMonth) {
+    days.add(start.getUTCDate());
+  }
+  return Array.from(days)
+    .sort((a, b) => a - b)
+    .map(day => Date.UTC(year, month, day) + timeOfDay);
+}
+
+function icalFirstPeriodIndex(rule, startMs, windowStartMs) {
+  // COUNT is measured from DTSTART, so counted rules always walk from the beginning.
+  if (rule.count || windowStartMs <= startMs) return 0;
+  const elapsedMs = windowStartMs - startMs;
+  if (rule.freq === 'DAILY') {
+    return Math.max(0, Math.floor(elapsedMs / (rule.interval * DAY_MS)) - 1);
+  }
+  if (rule.freq === 'WEEKLY') {
+    return Math.max(0, Math.floor(elapsedMs / (rule.interval * 7 * DAY_MS)) - 1);
+  }
+  const start = new Date(startMs);
+  const windowStart = new Date(windowStartMs);
+  const months =
+    (windowStart.getUTCFullYear() - start.getUTCFullYear()) * 12 +
+    (windowStart.getUTCMonth() - start.getUTCMonth());
+  return Math.max(0, Math.floor(months / rule.interval) - 1);
+}
+
+/**
+ * Expands an RRULE into the UTC ISO start times that overlap the lookahead
+ * window. Supports FREQ=DAILY/WEEKLY/MONTHLY with INTERVAL, COUNT, UNTIL,
+ * BYDAY (including ordinals such as 2TU or -1FR for monthly rules) and
+ * BYMONTHDAY. Excluded starts still count toward COUNT, as RFC 5545 requires.
+ */
+function expandIcalRecurrence({
+  startValue,
+  tzid,
+  fallbackTimeZone,
+  rrule,
+  durationMs = 0,
+  exclusions = new Set(),
+  windowStartMs,
+  windowEndMs
+}) {
+  const parts = parseIcalDateParts(startValue);
+  const rule = parseIcalRrule(rrule);
+  if (!parts || !rule) return null;
+  const untilIso = rule.until ? parseIcalDateTime(rule.until, tzid, fallbackTimeZone) : null;
+  const untilMs = untilIso ? Date.parse(untilIso) : Infinity;
+  const firstPeriod = icalFirstPeriodIndex(rule, parts.naiveMs, windowStartMs - DAY_MS);
+  const occurrences = [];
+  let emitted = 0;
+  for (let period = firstPeriod; period < firstPeriod + ICAL_RECURRENCE_MAX_PERIODS; period += 1) {
+    for (const naiveMs of icalPeriodCandidates(rule, parts.naiveMs, period)) {
+      if (naiveMs < parts.naiveMs) continue;
+      const value = formatIcalNaiveValue(naiveMs, parts.dateOnly, parts.zoneToken);
+      const iso = parseIcalDateTime(value, tzid, fallbackTimeZone);
+      if (!iso) continue;
+      const startMs = Date.parse(iso);
+      if (startMs > untilMs || startMs > windowEndMs) return occurrences;
+      if (rule.count && emitted >= rule.count) return occurrences;
+      emitted += 1;
+      if (exclusions.has(iso) || exclusions.has(`date:${value.slice(0, 8)}`)) continue;
+      if (startMs + Math.max(durationMs, 0) < windowStartMs) continue;
+      occurrences.push(iso);
+      if (occurrences.length >= ICAL_RECURRENCE_MAX_INSTANCES) return occurrences;
     }
-    if (imageUrl) {
-      event.images = [
-        {
-          url: imageUrl,
-          ratio: null,
-          width: null,
-          height: null,
-          fallback: true
-        }
-      ];
+  }
+  return occurrences;
+}
+
+function collectIcalExclusions(props, fallbackTimeZone) {
+  const exclusions = new Set();
+  props
+    .filter(item => item.name === 'EXDATE')
+    .forEach(prop => {
+      String(prop.value || '')
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean)
+        .forEach(value => {
+          const parts = parseIcalDateParts(value);
+          if (parts?.dateOnly) {
+            exclusions.add(`date:${value.slice(0, 8)}`);
+            return;
+          }
+          const iso = parseIcalDateTime(value, prop.params?.TZID, fallbackTimeZone);
+          if (iso) exclusions.add(iso);
+        });
+    });
+  return exclusions;
+}
+
+function buildIcalEvent(props, source, { startIso, endIso, idStartIso }) {
+  const findProp = name => props.find(item => item.name === name);
+  const findProps = name => props.filter(item => item.name === name);
+  const uid = decodeIcalText(findProp('UID')?.value || '');
+  const summary = decodeIcalText(findProp('SUMMARY')?.value || '') || 'Untitled event';
+  const altDesc = findProp('X-ALT-DESC');
+  const altDescHtml =
+    altDesc && String(altDesc.params?.FMTTYPE || '').toLowerCase().includes('text/html')
+      ? decodeIcalText(altDesc.value || '')
+      : '';
+  const descriptionRaw = altDescHtml || decodeIcalText(findProp('DESCRIPTION')?.value || '');
+  const locationLabel = decodeIcalText(findProp('LOCATION')?.value || '');
+  const urlProp = findProp('URL');
+  let eventUrl = decodeIcalText(urlProp?.value || '');
+  if (!eventUrl && descriptionRaw) {
+    eventUrl = extractFirstUrlFromText(descriptionRaw);
+  }
+  const categories = [];
+  findProps('CATEGORIES').forEach(prop => {
+    const value = decodeIcalText(prop.value || '');
+    if (!value) return;
+    value.split(',').map(item => cleanText(item)).filter(Boolean).forEach(item => categories.push(item));
+  });
+  const imageFromProps = extractIcalImageUrl(props, eventUrl);
+  const imageFromDesc = descriptionRaw ? resolveUrlMaybe(extractFirstImageUrl(descriptionRaw), eventUrl) : '';
+  const imageUrl = imageFromProps || imageFromDesc;
+  const startProp = findProp('DTSTART');
+  const timeZone = [startProp?.params?.TZID, source?.config?.timeZone].find(isValidTimeZone) || null;
+  const allDay = /^\d{8}$/.test(String(startProp?.value || '').trim());
+  // Date-only (all-day) values keep just the date; timed values become the
+  // wall clock in the event's TZID or the configured zone.
+  const toEventTime = iso => {
+    if (!iso) return { local: null, utc: null };
+    if (allDay) {
+      const [year, month, day] = iso.slice(0, 10).split('-').map(Number);
+      const utc = timeZone ? zonedTimeToUtcIso({ year, month, day, hour: 0, minute: 0, second: 0 }, timeZone) : null;
+      return { local: iso.slice(0, 10), utc: utc || iso };
     }
-    events.push(event);
+    const local = timeZone ? formatZonedWallClock(new Date(iso), timeZone) : iso.slice(0, 19);
+    return { local: local || iso.slice(0, 19), utc: iso };
+  };
+
+  const event = {
+    id: buildRssEventId(source.id, uid || eventUrl || summary, summary, idStartIso || startIso, eventUrl),
+    name: { text: summary },
+    start: toEventTime(startIso),
+    url: eventUrl || '',
+    venue: buildRssVenue(source, locationLabel),
+    summary: cleanText(descriptionRaw),
+    source: source.id,
+    genres: categories.filter(category => !isCategoryDateLike(category))
   };
+  if (endIso) {
+    event.end = toEventTime(endIso);
+  }
+  if (timeZone) {
+    event.timeZone = timeZone;
+  }
+  if (imageUrl) {
+    event.images = [
+      {
+        url: imageUrl,
+        ratio: null,
+        width: null,
+        height: null,
+        fallback: true
+      }
+    ];
+  }
+  return event;
+}
+
+function parseIcalFeed(ics, source, context) {
+  if (!ics || typeof ics !== 'string') return [];
+  const lines = unfoldIcalLines(ics);
+  const components = [];
+  let props = null;
 
   lines.forEach(line => {
     const trimmed = line.trim();
@@ -2839,7 +4801,7 @@ function parseIcalFeed(ics, source, context) {
       return;
     }
     if (trimmed === 'END:VEVENT') {
-      pushEvent();
+      if (props && props.length) components.push(props);
       props = null;
       return;
     }
@@ -2849,10 +4811,100 @@ function parseIcalFeed(ics, source, context) {
     props.push(parsed);
   });
 
+  const tzOverride = source?.config?.timeZone;
+  const lookaheadDays = context.lookaheadDays || TICKETMASTER_DEFAULT_DAYS;
+  const windowStartMs = Date.now();
+  const windowEndMs = windowStartMs + lookaheadDays * DAY_MS;
+  const readTimes = componentProps => {
+    const startProp = componentProps.find(item => item.name === 'DTSTART');
+    const endProp = componentProps.find(item => item.name === 'DTEND');
+    return {
+      startProp,
+      startIso: parseIcalDateTime(startProp?.value || '', startProp?.params?.TZID, tzOverride),
+      endIso: parseIcalDateTime(endProp?.value || '', endProp?.params?.TZID, tzOverride)
+    };
+  };
+  const isCancelled = componentProps =>
+    String(componentProps.find(item => item.name === 'STATUS')?.value || '').trim().toUpperCase() === 'CANCELLED';
+  const uidOf = componentProps => decodeIcalText(componentProps.find(item => item.name === 'UID')?.value || '');
+
+  // RECURRENCE-ID components replace the generated instance they point at.
+  const overrides = new Map();
+  const masters = [];
+  components.forEach(componentProps => {
+    const recurrenceProp = componentProps.find(item => item.name === 'RECURRENCE-ID');
+    const uid = uidOf(componentProps);
+    if (recurrenceProp && uid) {
+      const recurrenceIso = parseIcalDateTime(
+        recurrenceProp.value || '',
+        recurrenceProp.params?.TZID,
+        tzOverride
+      );
+      if (recurrenceIso) {
+        overrides.set(`${uid}|${recurrenceIso}`, { props: componentProps, recurrenceIso, used: false });
+        return;
+      }
+    }
+    masters.push(componentProps);
+  });
+
+  const events = [];
+  const pushInstance = (componentProps, { startIso, endIso, idStartIso }) => {
+    if (!isEventInLookahead(startIso, endIso, lookaheadDays)) return;
+    events.push(buildIcalEvent(componentProps, source, { startIso, endIso, idStartIso }));
+  };
+  const pushOverride = override => {
+    override.used = true;
+    if (isCancelled(override.props)) return;
+    const { startIso, endIso } = readTimes(override.props);
+    pushInstance(override.props, {
+      startIso: startIso || override.recurrenceIso,
+      endIso,
+      idStartIso: override.recurrenceIso
+    });
+  };
+
+  masters.forEach(componentProps => {
+    const { startProp, startIso, endIso } = readTimes(componentProps);
+    const rruleValue = componentProps.find(item => item.name === 'RRULE')?.value || '';
+    const durationMs = startIso && endIso ? Date.parse(endIso) - Date.parse(startIso) : 0;
+    const occurrences = rruleValue && startIso
+      ? expandIcalRecurrence({
+          startValue: startProp.value,
+          tzid: startProp.params?.TZID,
+          fallbackTimeZone: tzOverride,
+          rrule: rruleValue,
+          durationMs,
+          exclusions: collectIcalExclusions(componentProps, tzOverride),
+          windowStartMs,
+          windowEndMs
+        })
+      : null;
+    if (!occurrences) {
+      pushInstance(componentProps, { startIso, endIso });
+      return;
+    }
+    const uid = uidOf(componentProps);
+    occurrences.forEach(occurrenceIso => {
+      const override = uid ? overrides.get(`${uid}|${occurrenceIso}`) : null;
+      if (override) {
+        pushOverride(override);
+        return;
+      }
+      const occurrenceEnd = endIso ? new Date(Date.parse(occurrenceIso) + durationMs).toISOString() : null;
+      pushInstance(componentProps, { startIso: occurrenceIso, endIso: occurrenceEnd });
+    });
+  });
+
+  // Overrides that moved an instance into the window from outside the expanded range.
+  overrides.forEach(override => {
+    if (!override.used) pushOverride(override);
+  });
+
   return events;
 }
 
-async function fetchIcalEvents(source, context = {}, { limit } = {}) {
+async function fetchIcalEvents(source, context = {}, { limit, allowCache = true } = {}) {
   const feedUrl = source?.config?.feedUrl;
   if (!feedUrl || !isValidHttpUrl(feedUrl)) {
     const err = new Error('Datasource feed URL is missing or invalid');
@@ -2917,117 +4969,100 @@ async function fetchIcalEvents(source, context = {}, { limit } = {}) {
     `lat:${latKey}`,
     `lon:${lonKey}`
   ];
-  const shouldUseCache = (limit === undefined || limit === null) && !isSixthAndI;
-  if (shouldUseCache) {
-    const cached = await safeReadCachedResponse(RSS_CACHE_COLLECTION, cacheKeyParts, RSS_CACHE_TTL_MS);
-    const cachedSchema = Number(cached?.metadata?.schemaVersion);
-    if (cached && typeof cached.body === 'string' && cachedSchema === RSS_CACHE_SCHEMA_VERSION) {
-      try {
-        const parsed = JSON.parse(cached.body);
-        const cachedEvents = Array.isArray(parsed)
-          ? parsed
-          : Array.isArray(parsed?.events)
-            ? parsed.events
-            : null;
-        if (cachedEvents) {
-          return { events: cachedEvents, cached: true };
-        }
-      } catch {
-        // ignore parse errors
-      }
-    }
-  }
-
-  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
-  const timeout = controller
-    ? setTimeout(() => controller.abort(), RSS_REQUEST_TIMEOUT_MS)
-    : null;
-  try {
-    const response = await fetch(feedUrl, {
-      method: 'GET',
-      headers: {
-        Accept: 'text/calendar, text/plain, */*',
-        'User-Agent': 'LiveShowsRSS/1.0'
-      },
-      signal: controller?.signal
-    });
-    if (timeout) clearTimeout(timeout);
-    const text = await response.text();
-    let events = [];
-    const shouldUseMirrorFallback =
-      isSixthAndISource(source) && (!response.ok || isCloudflareChallengeHtml(text));
-    if (shouldUseMirrorFallback) {
-      events = await fetchSixthAndIMirrorEvents(source, normalizedContext);
-    }
-    if (!events.length) {
-      if (!response.ok) {
-        const err = new Error(text || `iCal request failed: ${response.status}`);
-        err.status = response.status;
-        throw err;
+  const shouldUseCache = allowCache && (limit === undefined || limit === null) && !isSixthAndI;
+  let upstreamStatus = null;
+  const loadEvents = async () => {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller
+      ? setTimeout(() => controller.abort(), RSS_REQUEST_TIMEOUT_MS)
+      : null;
+    try {
+      const response = await fetch(feedUrl, {
+        method: 'GET',
+        headers: {
+          Accept: 'text/calendar, text/plain, */*',
+          'User-Agent': 'LiveShowsRSS/1.0'
+        },
+        signal: controller?.signal
+      });
+      if (timeout) clearTimeout(timeout);
+      upstreamStatus = response.status;
+      const text = await response.text();
+      let events = [];
+      const shouldUseMirrorFallback =
+        isSixthAndISource(source) && (!response.ok || isCloudflareChallengeHtml(text));
+      if (shouldUseMirrorFallback) {
+        events = await fetchSixthAndIMirrorEvents(source, normalizedContext);
       }
-      events = parseIcalFeed(text, source, normalizedContext);
-    }
-    events = applySourceEventFilters(events, source);
-    const shouldFetchImageFromLink = source?.config?.fetchImageFromLink !== false;
-    if (shouldFetchImageFromLink) {
-      const limitCount =
-        Number.isFinite(source?.config?.imageFetchLimit) && Number(source.config.imageFetchLimit) >= 0
-          ? Math.max(0, Number(source.config.imageFetchLimit))
-          : RSS_IMAGE_FETCH_LIMIT_DEFAULT;
-      let remaining = limitCount;
-      for (const event of events) {
-        if (remaining <= 0) break;
-        if (!event?.url || (Array.isArray(event.images) && event.images.length)) continue;
-        const imageUrl = await fetchImageFromEventLinks(event);
-        if (imageUrl) {
-          event.images = [
-            {
-              url: imageUrl,
-              ratio: null,
-              width: null,
-              height: null,
-              fallback: true
-            }
-          ];
-          remaining -= 1;
+      if (!events.length) {
+        if (!response.ok) {
+          const err = new Error(text || `iCal request failed: ${response.status}`);
+          err.status = response.status;
+          throw err;
         }
+        events = parseIcalFeed(text, source, normalizedContext);
       }
-    }
-    const fullEvents = events;
-    if (Number.isFinite(limit) && limit > 0) {
-      events = events.slice(0, limit);
-    }
-    if (shouldUseCache) {
-      await safeWriteCachedResponse(RSS_CACHE_COLLECTION, cacheKeyParts, {
-        status: 200,
-        contentType: 'application/json',
-        body: JSON.stringify({
-          events: fullEvents,
-          feedUrl,
-          lookaheadDays,
-          latitude: normalizedContext.latitude ?? null,
-          longitude: normalizedContext.longitude ?? null,
-          cachedAt: new Date().toISOString()
-        }),
-        metadata: {
-          feedUrl,
-          lookaheadDays,
-          latitude: normalizedContext.latitude ?? null,
-          longitude: normalizedContext.longitude ?? null,
-          schemaVersion: RSS_CACHE_SCHEMA_VERSION
+      events = applySourceEventFilters(events, source);
+      const shouldFetchImageFromLink = source?.config?.fetchImageFromLink !== false;
+      if (shouldFetchImageFromLink) {
+        const limitCount =
+          Number.isFinite(source?.config?.imageFetchLimit) && Number(source.config.imageFetchLimit) >= 0
+            ? Math.max(0, Number(source.config.imageFetchLimit))
+            : RSS_IMAGE_FETCH_LIMIT_DEFAULT;
+        let remaining = limitCount;
+        for (const event of events) {
+          if (remaining <= 0) break;
+          if (!event?.url || (Array.isArray(event.images) && event.images.length)) continue;
+          const imageUrl = await fetchImageFromEventLinks(event);
+          if (imageUrl) {
+            event.images = [
+              {
+                url: imageUrl,
+                ratio: null,
+                width: null,
+                height: null,
+                fallback: true
+              }
+            ];
+            remaining -= 1;
+          }
         }
-      });
-    }
-    return { events, cached: false };
-  } catch (err) {
-    if (timeout) clearTimeout(timeout);
-    if (err?.name === 'AbortError') {
-      const timeoutErr = new Error('iCal request timed out');
-      timeoutErr.status = 408;
-      throw timeoutErr;
+      }
+      return events;
+    } catch (err) {
+      if (timeout) clearTimeout(timeout);
+      if (err?.name === 'AbortError') {
+        const timeoutErr = new Error('iCal request timed out');
+        timeoutErr.status = 408;
+        throw timeoutErr;
+      }
+      throw err;
     }
-    throw err;
+  };
+
+  if (!shouldUseCache) {
+    const events = await loadEvents();
+    return {
+      events: Number.isFinite(limit) && limit > 0 ? events.slice(0, limit) : events,
+      cached: false,
+      status: upstreamStatus
+    };
   }
+  const location = {
+    latitude: normalizedContext.latitude ?? null,
+    longitude: normalizedContext.longitude ?? null
+  };
+  const result = await readThroughFeedCache(
+    cacheKeyParts,
+    loadEvents,
+    events => ({
+      body: { events, feedUrl, lookaheadDays, ...location },
+      metadata: { feedUrl, lookaheadDays, ...location, schemaVersion: RSS_CACHE_SCHEMA_VERSION }
+    }),
+    { schemaVersion: RSS_CACHE_SCHEMA_VERSION }
+  );
+  // Null when this call was answered from the cache (or by another caller's fetch).
+  return { ...result, status: result.cached ? null : upstreamStatus };
 }
 
 function parseRssEventItem(itemXml, source, context) {
@@ -3231,7 +5266,7 @@ async function parseRssFeed(xml, source, context) {
   return events;
 }
 
-async function fetchRssEvents(source, context = {}, { limit } = {}) {
+async function fetchRssEvents(source, context = {}, { limit, allowCache = true } = {}) {
   const feedUrl = source?.config?.feedUrl;
   if (!feedUrl || !isValidHttpUrl(feedUrl)) {
     const err = new Error('Datasource feed URL is missing or invalid');
@@ -3256,83 +5291,71 @@ async function fetchRssEvents(source, context = {}, { limit } = {}) {
     `lat:${latKey}`,
     `lon:${lonKey}`
   ];
-  const shouldUseCache = limit === undefined || limit === null;
-  if (shouldUseCache) {
-    const cached = await safeReadCachedResponse(RSS_CACHE_COLLECTION, cacheKeyParts, RSS_CACHE_TTL_MS);
-    const cachedSchema = Number(cached?.metadata?.schemaVersion);
-    if (cached && typeof cached.body === 'string' && cachedSchema === RSS_CACHE_SCHEMA_VERSION) {
-      try {
-        const parsed = JSON.parse(cached.body);
-        const cachedEvents = Array.isArray(parsed)
-          ? parsed
-          : Array.isArray(parsed?.events)
-            ? parsed.events
-            : null;
-        if (cachedEvents) {
-          return { events: cachedEvents, cached: true };
-        }
-      } catch {
-        // ignore parse errors
+  const shouldUseCache = allowCache && (limit === undefined || limit === null);
+  let upstreamStatus = null;
+  const loadEvents = async () => {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller
+      ? setTimeout(() => controller.abort(), RSS_REQUEST_TIMEOUT_MS)
+      : null;
+    try {
+      const response = await fetch(feedUrl, {
+        method: 'GET',
+        headers: {
+          Accept: 'application/rss+xml, application/xml, text/xml, */*',
+          'User-Agent': 'LiveShowsRSS/1.0'
+        },
+        signal: controller?.signal
+      });
+      if (timeout) clearTimeout(timeout);
+      upstreamStatus = response.status;
+      const xml = await response.text();
+      if (!response.ok) {
+        const err = new Error(xml || `RSS request failed: ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+      return await parseRssFeed(xml, source, normalizedContext);
+    } catch (err) {
+      if (timeout) clearTimeout(timeout);
+      if (err?.name === 'AbortError') {
+        const timeoutErr = new Error('RSS request timed out');
+        timeoutErr.status = 408;
+        throw timeoutErr;
       }
-    }
-  }
-
-  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
-  const timeout = controller
-    ? setTimeout(() => controller.abort(), RSS_REQUEST_TIMEOUT_MS)
-    : null;
-  try {
-    const response = await fetch(feedUrl, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/rss+xml, application/xml, text/xml, */*',
-        'User-Agent': 'LiveShowsRSS/1.0'
-      },
-      signal: controller?.signal
-    });
-    if (timeout) clearTimeout(timeout);
-    const xml = await response.text();
-    if (!response.ok) {
-      const err = new Error(xml || `RSS request failed: ${response.status}`);
-      err.status = response.status;
       throw err;
     }
-    let events = await parseRssFeed(xml, source, normalizedContext);
-    const fullEvents = events;
-    if (Number.isFinite(limit) && limit > 0) {
-      events = events.slice(0, limit);
-    }
-    if (shouldUseCache) {
-      await safeWriteCachedResponse(RSS_CACHE_COLLECTION, cacheKeyParts, {
-        status: 200,
-        contentType: 'application/json',
-        body: JSON.stringify({
-          events: fullEvents,
-          feedUrl,
-          lookaheadDays,
-          latitude: normalizedContext.latitude ?? null,
-          longitude: normalizedContext.longitude ?? null,
-          cachedAt: new Date().toISOString()
-        }),
-        metadata: {
-          feedUrl,
-          lookaheadDays,
-          latitude: normalizedContext.latitude ?? null,
-          longitude: normalizedContext.longitude ?? null,
-          schemaVersion: RSS_CACHE_SCHEMA_VERSION
-        }
-      });
-    }
-    return { events, cached: false };
-  } catch (err) {
-    if (timeout) clearTimeout(timeout);
-    if (err?.name === 'AbortError') {
-      const timeoutErr = new Error('RSS request timed out');
-      timeoutErr.status = 408;
-      throw timeoutErr;
-    }
-    throw err;
+  };
+
+  if (!shouldUseCache) {
+    const events = await loadEvents();
+    return {
+      events: Number.isFinite(limit) && limit > 0 ? events.slice(0, limit) : events,
+      cached: false,
+      status: upstreamStatus
+    };
   }
+  const location = {
+    latitude: normalizedContext.latitude ?? null,
+    longitude: normalizedContext.longitude ?? null
+  };
+  const result = await readThroughFeedCache(
+    cacheKeyParts,
+    loadEvents,
+    events => ({
+      body: { events, feedUrl, lookaheadDays, ...location },
+      metadata: { feedUrl, lookaheadDays, ...location, schemaVersion: RSS_CACHE_SCHEMA_VERSION }
+    }),
+    { schemaVersion: RSS_CACHE_SCHEMA_VERSION }
+  );
+  // Null when this call was answered from the cache (or by another caller's fetch).
+  return { ...result, status: result.cached ? null : upstreamStatus };
+}
+
+// Everything that leaves the server as diagnostics (summaries, segment lists,
+// error messages) goes through here so API keys never reach a browser.
+function redactOutbound(value) {
+  return redactDiagnostics(value, { secrets: [TICKETMASTER_API_KEY, YOUTUBE_API_KEY] });
 }
 
 async function fetchTicketmasterSegment({ latitude, longitude, radiusMiles, startDateTime, endDateTime, segment }) {
@@ -3350,13 +5373,14 @@ async function fetchTicketmasterSegment({ latitude, longitude, radiusMiles, star
     if (value != null) params.set(key, value);
   });
   const url = `${TICKETMASTER_API_URL}?${params.toString()}`;
+  const requestUrl = redactOutbound(url);
   const response = await fetch(url);
   const text = await response.text();
   if (!response.ok) {
-    const err = new Error(text || `Ticketmaster request failed: ${response.status}`);
+    const err = new Error(redactOutbound(text) || `Ticketmaster request failed: ${response.status}`);
     err.status = response.status;
-    err.requestUrl = url;
-    err.responseText = text;
+    err.requestUrl = requestUrl;
+    err.responseText = redactOutbound(text);
     throw err;
   }
   let data;
@@ -3365,8 +5389,8 @@ async function fetchTicketmasterSegment({ latitude, longitude, radiusMiles, star
   } catch (parseErr) {
     const err = new Error('Ticketmaster response was not valid JSON');
     err.status = response.status;
-    err.requestUrl = url;
-    err.responseText = text;
+    err.requestUrl = requestUrl;
+    err.responseText = redactOutbound(text);
     throw err;
   }
   const events = Array.isArray(data?._embedded?.events) ? data._embedded.events : [];
@@ -3378,7 +5402,7 @@ async function fetchTicketmasterSegment({ latitude, longitude, radiusMiles, star
       description: segment.description,
       status: response.status,
       total: formatted.length,
-      requestUrl: url,
+      requestUrl,
       rawTotal: typeof data?.page?.totalElements === 'number' ? data.page.totalElements : null
     }
   };
@@ -3424,133 +5448,331 @@ async function fetchTicketmasterEvents({
     segments: resolvedSegments
   });
 
-  if (allowCache) {
-    const cached = await safeReadCachedResponse(
-      TICKETMASTER_CACHE_COLLECTION,
-      cacheKey,
-      TICKETMASTER_CACHE_TTL_MS
-    );
-    if (cached && typeof cached.body === 'string') {
-      try {
-        const parsed = JSON.parse(cached.body);
-        if (parsed && typeof parsed === 'object') {
-          return {
-            payload: { ...parsed, cached: true },
-            cached: true
-          };
+  const loadPayload = async () => {
+    const segmentResults = await Promise.all(
+      resolvedSegments.map(segment =>
+        fetchTicketmasterSegment({
+          latitude,
+          longitude,
+          radiusMiles: resolvedRadius,
+          startDateTime,
+          endDateTime,
+          segment
+        }).catch(error => ({ error, segment }))
+      )
+    );
+
+    const combined = new Map();
+    const segmentSummaries = [];
+    let successful = false;
+
+    for (const result of segmentResults) {
+      if (result.error) {
+        const { error, segment } = result;
+        const message = redactOutbound(error.message || 'Request failed');
+        console.error('Ticketmaster segment fetch failed', segment.description || segment.key, message);
+        segmentSummaries.push({
+          key: segment.key,
+          description: segment.description,
+          ok: false,
+          status: typeof error.status === 'number' ? error.status : null,
+          error: message,
+          requestUrl: error.requestUrl ? redactOutbound(error.requestUrl) : null
+        });
+        continue;
+      }
+
+      successful = true;
+      segmentSummaries.push({
+        key: result.summary.key,
+        description: result.summary.description,
+        ok: true,
+        status: result.summary.status,
+        total: result.summary.total,
+        requestUrl: result.summary.requestUrl,
+        rawTotal: result.summary.rawTotal
+      });
+
+      for (const event of result.events) {
+        if (!event || event.id == null) continue;
+        const key = String(event.id);
+        if (!combined.has(key)) {
+          combined.set(key, event);
         }
-      } catch (err) {
-        console.warn('Unable to parse cached Ticketmaster payload', err);
       }
     }
-  }
 
-  const segmentResults = await Promise.all(
-    resolvedSegments.map(segment =>
-      fetchTicketmasterSegment({
-        latitude,
-        longitude,
+    if (!successful) {
+      const err = new Error('Ticketmaster fetch failed');
+      err.code = 'ticketmaster_fetch_failed';
+      err.status = 502;
+      err.segments = segmentSummaries;
+      throw err;
+    }
+
+    const events = Array.from(combined.values());
+
+    const payload = {
+      source: 'ticketmaster',
+      generatedAt: new Date().toISOString(),
+      cached: false,
+      radiusMiles: resolvedRadius,
+      lookaheadDays: resolvedDays,
+      events,
+      segments: segmentSummaries
+    };
+
+    return {
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify(payload),
+      metadata: {
         radiusMiles: resolvedRadius,
-        startDateTime,
-        endDateTime,
-        segment
-      }).catch(error => ({ error, segment }))
-    )
-  );
+        lookaheadDays: resolvedDays,
+        cachedAt: new Date().toISOString(),
+        segments: segmentSummaries
+      }
+    };
+  };
 
-  const combined = new Map();
-  const segmentSummaries = [];
-  let successful = false;
+  const result = allowCache
+    ? await fetchCachedResponse(
+        TICKETMASTER_CACHE_COLLECTION,
+        cacheKey,
+        { softTtlMs: TICKETMASTER_CACHE_TTL_MS, hardTtlMs: TICKETMASTER_CACHE_HARD_TTL_MS },
+        loadPayload
+      )
+    : { ...(await loadPayload()), cached: false };
+  return {
+    payload: { ...JSON.parse(result.body), cached: result.cached },
+    cached: result.cached
+  };
+}
 
-  for (const result of segmentResults) {
-    if (result.error) {
-      const { error, segment } = result;
-      console.error('Ticketmaster segment fetch failed', segment.description || segment.key, error);
-      segmentSummaries.push({
-        key: segment.key,
-        description: segment.description,
-        ok: false,
-        status: typeof error.status === 'number' ? error.status : null,
-        error: error.message || 'Request failed',
-        requestUrl: error.requestUrl || null
-      });
-      continue;
-    }
+// --- Cross-source duplicate merging ---
 
-    successful = true;
-    segmentSummaries.push({
-      key: result.summary.key,
-      description: result.summary.description,
-      ok: true,
-      status: result.summary.status,
-      total: result.summary.total,
-      requestUrl: result.summary.requestUrl,
-      rawTotal: result.summary.rawTotal
-    });
+function normalizeDedupeText(value) {
+  if (!value || typeof value !== 'string') return '';
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
 
-    for (const event of result.events) {
-      if (!event || event.id == null) continue;
-      const key = String(event.id);
-      if (!combined.has(key)) {
-        combined.set(key, event);
-      }
-    }
-  }
+function dedupeTokens(value, stopWords) {
+  return normalizeDedupeText(value)
+    .split(' ')
+    .filter(token => token && !stopWords.has(token));
+}
+
+function tokensOverlap(aTokens, bTokens, { minShared }) {
+  if (!aTokens.length || !bTokens.length) return false;
+  const aKey = aTokens.join(' ');
+  const bKey = bTokens.join(' ');
+  if (aKey === bKey) return true;
+  const [shorter, longer] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+  const longerSet = new Set(longer);
+  const shared = shorter.filter(token => longerSet.has(token)).length;
+  if (shared === shorter.length && shared >= minShared) return true;
+  const union = new Set([...aTokens, ...bTokens]).size;
+  return union > 0 && shared / union >= EVENT_DEDUPE_TITLE_SIMILARITY;
+}
+
+/**
+ * Start times for duplicate matching: `utcMs` is the instant, `wallMs` the
+ * venue wall clock read as if it were UTC. Wall clocks are only compared with
+ * each other, so neither depends on the server's own zone.
+ */
+function eventStartTimes(event) {
+  const utcMs = event?.start?.utc ? Date.parse(event.start.utc) : NaN;
+  const local = typeof event?.start?.local === 'string' ? event.start.local.trim() : '';
+  const match = local.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/);
+  const wallMs = match && !/(?:Z|[+-]\d{2}:?\d{2})$/i.test(local)
+    ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]), Number(match[6] || 0))
+    : NaN;
+  return {
+    utcMs: Number.isFinite(utcMs) ? utcMs : null,
+    wallMs: Number.isFinite(wallMs) ? wallMs : null
+  };
+}
 
-  if (!successful) {
-    const err = new Error('Ticketmaster fetch failed');
-    err.code = 'ticketmaster_fetch_failed';
-    err.status = 502;
-    err.segments = segmentSummaries;
-    throw err;
+/** Everything duplicate matching reads from an event, computed once per event. */
+function buildDedupeCandidate(event) {
+  const title = dedupeTokens(event?.name?.text, EVENT_DEDUPE_TITLE_STOP_WORDS);
+  return {
+    event,
+    ...eventStartTimes(event),
+    title,
+    titleKey: title.join(' '),
+    venue: dedupeTokens(event?.venue?.name, EVENT_DEDUPE_VENUE_STOP_WORDS)
+  };
+}
+
+function startsWithinTolerance(a, b) {
+  const within = (x, y) => x !== null && y !== null && Math.abs(x - y) <= EVENT_DEDUPE_START_TOLERANCE_MS;
+  if (a.utcMs !== null && b.utcMs !== null) return within(a.utcMs, b.utcMs);
+  return within(a.wallMs, b.wallMs);
+}
+
+function areLikelyDuplicateEvents(a, b) {
+  if (!startsWithinTolerance(a, b)) return false;
+  if (!tokensOverlap(a.title, b.title, { minShared: 2 })) return false;
+  if (!a.venue.length || !b.venue.length) {
+    // Without a venue on both sides only an exact title match is trusted.
+    return a.titleKey === b.titleKey;
   }
+  return tokensOverlap(a.venue, b.venue, { minShared: 1 });
+}
 
-  const events = Array.from(combined.values());
+/** Bucket keys a candidate is filed under: its start day on each clock it has. */
+function dedupeBucketKeys(candidate) {
+  return [
+    candidate.utcMs !== null ? `u:${Math.floor(candidate.utcMs / DAY_MS)}` : null,
+    candidate.wallMs !== null ? `w:${Math.floor(candidate.wallMs / DAY_MS)}` : null
+  ].filter(Boolean);
+}
 
-  const payload = {
-    source: 'ticketmaster',
-    generatedAt: new Date().toISOString(),
-    cached: false,
-    radiusMiles: resolvedRadius,
-    lookaheadDays: resolvedDays,
-    events,
-    segments: segmentSummaries
-  };
+/** Keys of the buckets that can hold a start within tolerance: the same and adjacent days. */
+function dedupeNeighbourKeys(candidate) {
+  return dedupeBucketKeys(candidate).flatMap(key => {
+    const [clock, day] = key.split(':');
+    return [-1, 0, 1].map(offset => `${clock}:${Number(day) + offset}`);
+  });
+}
 
-  await safeWriteCachedResponse(TICKETMASTER_CACHE_COLLECTION, cacheKey, {
-    status: 200,
-    contentType: 'application/json',
-    body: JSON.stringify(payload),
-    metadata: {
-      radiusMiles: resolvedRadius,
-      lookaheadDays: resolvedDays,
-      cachedAt: new Date().toISOString(),
-      segments: segmentSummaries
-    }
+function scoreEventImages(event) {
+  const images = Array.isArray(event?.images) ? event.images.filter(image => image?.url) : [];
+  return images.reduce((best, image) => {
+    const area = Number.isFinite(image.width) && Number.isFinite(image.height) ? image.width * image.height : 0;
+    // Provider-supplied images outrank ones scraped from event pages.
+    const score = (image.fallback ? 0 : 1e9) + area + 1;
+    return Math.max(best, score);
+  }, 0);
+}
+
+function isTicketingEvent(event) {
+  return Boolean(event?.ticketmaster) || event?.source === 'ticketmaster';
+}
+
+function mergeEventCluster(cluster) {
+  const [base] = cluster;
+  const merged = { ...base };
+  const withImages = cluster.reduce(
+    (best, event) => (scoreEventImages(event) > scoreEventImages(best) ? event : best),
+    base
+  );
+  if (Array.isArray(withImages.images) && withImages.images.length) {
+    merged.images = withImages.images;
+  }
+  const richest = cluster.reduce((best, event) => {
+    const length = typeof event.summary === 'string' ? event.summary.trim().length : 0;
+    const bestLength = typeof best.summary === 'string' ? best.summary.trim().length : 0;
+    return length > bestLength ? event : best;
+  }, base);
+  merged.summary = richest.summary || '';
+  const ticketed = cluster.find(event => isTicketingEvent(event) && event.url);
+  merged.url = (ticketed || cluster.find(event => event.url) || base).url || '';
+  const ticketmasterEvent = cluster.find(event => event.ticketmaster);
+  if (ticketmasterEvent) {
+    merged.ticketmaster = ticketmasterEvent.ticketmaster;
+  }
+  const genres = new Map();
+  cluster.forEach(event => {
+    (Array.isArray(event.genres) ? event.genres : []).forEach(genre => {
+      if (typeof genre !== 'string' || !genre.trim()) return;
+      const key = genre.trim().toLowerCase();
+      if (!genres.has(key)) genres.set(key, genre.trim());
+    });
   });
+  merged.genres = Array.from(genres.values());
+  const distances = cluster.map(event => event.distance).filter(Number.isFinite);
+  if (distances.length) {
+    merged.distance = Math.min(...distances);
+  }
+  merged.sources = cluster.map(event => ({
+    id: event.source || null,
+    eventId: event.id,
+    url: event.url || ''
+  }));
+  return merged;
+}
+
+/**
+ * Collapses the same show reported by several datasources into one event.
+ * Candidates must start within EVENT_DEDUPE_START_TOLERANCE_MS of each other,
+ * share a normalized title and a compatible venue, and come from different
+ * sources. Events keep the input order, so earlier datasources provide the
+ * base record of each merged event.
+ */
+function mergeDuplicateEvents(events) {
+  if (!Array.isArray(events) || events.length < 2) {
+    return { events: Array.isArray(events) ? events : [], collapsed: 0 };
+  }
+  // Clusters are filed by start day so each event is only compared with
+  // clusters starting around the same time; the earliest match still wins.
+  const clusters = [];
+  const buckets = new Map();
+  events.forEach(event => {
+    const candidate = buildDedupeCandidate(event);
+    const nearby = new Set();
+    dedupeNeighbourKeys(candidate).forEach(key => (buckets.get(key) || []).forEach(index => nearby.add(index)));
+    const matchIndex = Array.from(nearby)
+      .sort((a, b) => a - b)
+      .find(index =>
+        !clusters[index].some(member => member.event.source && member.event.source === event.source) &&
+        clusters[index].some(member => areLikelyDuplicateEvents(member, candidate))
+      );
+    const index = matchIndex === undefined ? clusters.push([]) - 1 : matchIndex;
+    clusters[index].push(candidate);
+    dedupeBucketKeys(candidate).forEach(key => {
+      const bucket = buckets.get(key) || [];
+      if (!bucket.includes(index)) bucket.push(index);
+      buckets.set(key, bucket);
+    });
+  });
+  const merged = clusters.map(cluster =>
+    cluster.length > 1 ? mergeEventCluster(cluster.map(member => member.event)) : cluster[0].event
+  );
+  return { events: merged, collapsed: events.length - merged.length };
+}
+
+/**
+ * Sort key for the `/api/shows` ordering: start time, then distance, then id
+ * so ties are deterministic and pagination cursors can resume after a key.
+ * Missing times and distances are null and sort last. A zoneless `local`
+ * is read as a UTC wall clock so the order never depends on the server's zone.
+ */
+function buildEventSortKey(event) {
+  const { utcMs, wallMs } = eventStartTimes(event);
+  const local = typeof event?.start?.local === 'string' ? event.start.local.trim() : '';
+  // Date-only and offset-bearing values parse the same in every zone.
+  const zonedMs = /^\d{4}-\d{2}-\d{2}$|(?:Z|[+-]\d{2}:?\d{2})$/i.test(local) ? Date.parse(local) : NaN;
+  const time = utcMs ?? wallMs ?? zonedMs;
+  return {
+    time: Number.isFinite(time) ? time : null,
+    distance: Number.isFinite(event?.distance) ? event.distance : null,
+    id: event?.id === undefined || event?.id === null ? '' : String(event.id)
+  };
+}
 
-  return { payload, cached: false };
+function compareEventSortKeys(a, b) {
+  const compareNullable = (x, y) => {
+    if (x === y) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return x - y;
+  };
+  return compareNullable(a.time, b.time) ||
+    compareNullable(a.distance, b.distance) ||
+    (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
 }
 
 function sortEventsByTimeAndDistance(events) {
-  return [...events].sort((a, b) => {
-    const aTime = a.start && a.start.utc
-      ? Date.parse(a.start.utc)
-      : (a.start && a.start.local ? Date.parse(a.start.local) : Infinity);
-    const bTime = b.start && b.start.utc
-      ? Date.parse(b.start.utc)
-      : (b.start && b.start.local ? Date.parse(b.start.local) : Infinity);
-    if (Number.isFinite(aTime) && Number.isFinite(bTime)) {
-      if (aTime !== bTime) return aTime - bTime;
-    } else if (Number.isFinite(aTime)) {
-      return -1;
-    } else if (Number.isFinite(bTime)) {
-      return 1;
-    }
-    const aDistance = Number.isFinite(a.distance) ? a.distance : Infinity;
-    const bDistance = Number.isFinite(b.distance) ? b.distance : Infinity;
-    return aDistance - bDistance;
-  });
+  return [...events].sort((a, b) => compareEventSortKeys(buildEventSortKey(a), buildEventSortKey(b)));
 }
 
 async function fetchDatasourcePreview(source, context) {
@@ -3566,11 +5788,294 @@ async function fetchDatasourcePreview(source, context) {
     err.code = 'preview_not_supported';
     throw err;
   }
-  return handler.preview(source, context);
+  const result = await handler.preview(source, context);
+  if (Array.isArray(result?.preview?.events)) {
+    result.preview.events = normalizeDatasourceEventTimes(result.preview.events, source, handler);
+  }
+  return result;
+}
+
+/**
+ * Normalizes a handler's events with normalizeEventTimes, falling back to the
+ * datasource's configured zone and then the handler's own (for single-venue
+ * scrapers).
+ */
+function normalizeDatasourceEventTimes(events, source, handler) {
+  const fallbackTimeZone = source?.config?.timeZone || handler?.timeZone || null;
+  return events.map(event => normalizeEventTimes(event, fallbackTimeZone));
+}
+
+// --- Datasource config schemas ---
+
+const HTML_FIELD_RULE_NAMES = ['title', 'date', 'time', 'link', 'image', 'summary', 'venue', 'genres'];
+
+function validateHtmlSelector(selector) {
+  try {
+    selectAll(parseHtml('<div></div>'), selector);
+    return null;
+  } catch (err) {
+    return { code: 'invalid_selector', message: err?.message || `Invalid selector ${selector}` };
+  }
+}
+
+function validateHtmlFieldRule(rule) {
+  if (typeof rule === 'string') return validateHtmlSelector(rule);
+  if (Array.isArray(rule)) {
+    return rule.map(validateHtmlFieldRule).find(Boolean) || null;
+  }
+  if (!rule || typeof rule !== 'object') {
+    return { code: 'invalid_type', message: 'Field rules must be a selector, a rule object or a list of rules' };
+  }
+  if (Array.isArray(rule.parts)) return validateHtmlFieldRule(rule.parts);
+  const selectors = [].concat(rule.selector || []);
+  const invalidSelector = selectors
+    .map(selector => (typeof selector === 'string' ? validateHtmlSelector(selector) : {
+      code: 'invalid_selector',
+      message: 'Selectors must be strings'
+    }))
+    .find(Boolean);
+  if (invalidSelector) return invalidSelector;
+  try {
+    if (rule.exclude) compileHtmlRulePattern(rule.exclude, 'exclude');
+    if (rule.pattern) compileHtmlRulePattern(rule.pattern, 'pattern');
+  } catch (err) {
+    return { code: 'invalid_pattern', message: err.message };
+  }
+  return null;
+}
+
+function validateHtmlDateFormat(format) {
+  const compiled = compileHtmlDateFormat(format);
+  const hasMonth = compiled?.fields.includes('month') || compiled?.fields.includes('monthName');
+  return compiled && hasMonth && compiled.fields.includes('day')
+    ? null
+    : { code: 'invalid_date_format', message: `Date format "${format}" needs a month and a day token (e.g. MMM D)` };
+}
+
+function validateJsonMappingEntry(entry) {
+  const paths = [].concat(entry);
+  if (!paths.every(path => typeof path === 'string' && path.trim())) {
+    return { code: 'invalid_type', message: 'Mapping entries must be a JSONPath string or a list of them' };
+  }
+  for (const path of paths) {
+    try {
+      queryJsonPath({}, path);
+    } catch (err) {
+      return { code: 'invalid_json_path', message: err.message };
+    }
+  }
+  return null;
+}
+
+const DATASOURCE_COMMON_CONFIG_SCHEMA = {
+  includeGenres: { type: 'stringList' },
+  excludeGenres: { type: 'stringList' },
+  includeKeywords: { type: 'stringList' },
+  excludeKeywords: { type: 'stringList' },
+  genres: { type: 'stringList' },
+  segment: { type: 'string' },
+  timeZone: { type: 'timeZone' },
+  venue: { type: 'object' },
+  coordinates: {
+    type: 'object',
+    fields: {
+      latitude: { type: 'number', required: true, min: -90, max: 90 },
+      longitude: { type: 'number', required: true, min: -180, max: 180 }
+    }
+  },
+  fetchImageFromLink: { type: 'boolean' },
+  imageFetchLimit: { type: 'integer', min: 0, max: 100 },
+  ingestIntervalMinutes: { type: 'integer', min: INGEST_MIN_INTERVAL_MINUTES, max: 24 * 60 },
+  cacheVersion: { type: 'any' }
+};
+
+const TICKETMASTER_CONFIG_SCHEMA = {
+  ...DATASOURCE_COMMON_CONFIG_SCHEMA,
+  segments: {
+    type: 'array',
+    min: 1,
+    items: {
+      type: 'object',
+      fields: {
+        key: { type: 'string', required: true },
+        description: { type: 'string' },
+        params: { type: 'object', allowUnknown: true, fields: {} }
+      }
+    }
+  }
+};
+
+const VENUE_PAGE_CONFIG_SCHEMA = {
+  ...DATASOURCE_COMMON_CONFIG_SCHEMA,
+  url: { type: 'url' }
+};
+
+const FEED_CONFIG_SCHEMA = {
+  ...DATASOURCE_COMMON_CONFIG_SCHEMA,
+  feedUrl: { type: 'url', required: true }
+};
+
+const HTML_CONFIG_SCHEMA = {
+  ...DATASOURCE_COMMON_CONFIG_SCHEMA,
+  url: { type: 'url', required: true },
+  itemSelector: { type: 'string', required: true, validate: validateHtmlSelector },
+  fields: {
+    type: 'object',
+    fields: Object.fromEntries(
+      HTML_FIELD_RULE_NAMES.map(name => [name, { type: 'any', validate: validateHtmlFieldRule }])
+    )
+  },
+  dateHeadingSelector: { type: 'string', validate: validateHtmlSelector },
+  dateFormats: { type: 'array', min: 1, items: { type: 'string', validate: validateHtmlDateFormat } },
+  defaultTime: {
+    type: 'string',
+    validate: value =>
+      parseHtmlTimeText(value)
+        ? null
+        : { code: 'invalid_time', message: `Could not read "${value}" as a time (e.g. 20:00 or 8pm)` }
+  },
+  assumePm: { type: 'boolean' },
+  cacheTtlMinutes: { type: 'number', min: 1, max: 24 * 60 }
+};
+
+const JSON_CONFIG_SCHEMA = {
+  ...FEED_CONFIG_SCHEMA,
+  mapping: {
+    type: 'object',
+    fields: Object.fromEntries(
+      Object.keys(JSON_FEED_DEFAULT_MAPPING).map(name => [name, { type: 'any', validate: validateJsonMappingEntry }])
+    )
+  },
+  pagination: {
+    type: 'object',
+    fields: {
+      type: { type: 'string', required: true, enum: ['page', 'offset', 'cursor', 'link'] },
+      param: { type: 'string' },
+      start: { type: 'integer', min: 0 },
+      pageSize: { type: 'integer', min: 1, max: 1000 },
+      sizeParam: { type: 'string' },
+      cursorPath: { type: 'string', validate: validateJsonMappingEntry },
+      nextPath: { type: 'string', validate: validateJsonMappingEntry },
+      maxPages: { type: 'integer', min: 1, max: JSON_FEED_MAX_PAGES }
+    },
+    validate: value => {
+      if (value.type === 'cursor' && !value.cursorPath) {
+        return { code: 'required', message: 'Cursor pagination needs pagination.cursorPath' };
+      }
+      if (value.type === 'link' && !value.nextPath) {
+        return { code: 'required', message: 'Link pagination needs pagination.nextPath' };
+      }
+      return null;
+    }
+  },
+  headers: { type: 'object', allowUnknown: true, fields: {} },
+  currency: {
+    type: 'string',
+    validate: value =>
+      /^[A-Z]{3}$/.test(value) ? null : { code: 'invalid_currency', message: 'Use a 3-letter ISO currency code such as USD' }
+  }
+};
+
+const JSONLD_CONFIG_SCHEMA = {
+  ...DATASOURCE_COMMON_CONFIG_SCHEMA,
+  url: { type: 'url' },
+  urls: { type: 'array', min: 1, items: { type: 'url' } },
+  followEventLinks: { type: 'boolean' },
+  eventLinkSelector: { type: 'string', validate: validateHtmlSelector },
+  maxEventPages: { type: 'integer', min: 1, max: JSONLD_MAX_EVENT_PAGES },
+  eventTypes: { type: 'stringList' },
+  currency: JSON_CONFIG_SCHEMA.currency,
+  cacheTtlMinutes: { type: 'number', min: 1, max: 24 * 60 }
+};
+
+function validateJsonLdConfig(config) {
+  if (config?.url || (Array.isArray(config?.urls) && config.urls.length)) return [];
+  return [{ field: 'config.url', code: 'required', message: 'config.url or config.urls is required' }];
+}
+
+/**
+ * Validates a normalized datasource against its handler's declared config
+ * schema. Returns `{ errors, warnings }`, each a list of `{ field, code, message }`.
+ */
+function validateDatasource(source) {
+  const issues = { errors: [], warnings: [] };
+  if (!source.name) {
+    issues.errors.push({ field: 'name', code: 'required', message: 'name is required' });
+  }
+  const handler = DATASOURCE_HANDLERS[source.type];
+  if (!handler) {
+    issues.errors.push({
+      field: 'type',
+      code: 'unsupported_type',
+      message: `type must be one of ${Object.keys(DATASOURCE_HANDLERS).join(', ')}`
+    });
+    return issues;
+  }
+  const configIssues = validateConfigSchema(source.config, handler.configSchema);
+  issues.errors.push(...configIssues.errors);
+  issues.warnings.push(...configIssues.warnings);
+  if (typeof handler.validateConfig === 'function') {
+    issues.errors.push(...handler.validateConfig(source.config));
+  }
+  return issues;
+}
+
+const DATASOURCE_TEST_EVENT_LIMIT = 25;
+
+function buildDatasourceTestWarnings(events) {
+  const warnings = [];
+  if (!events.length) {
+    warnings.push({
+      code: 'no_events',
+      message: 'The source returned no upcoming events; check the URL, selectors or filters'
+    });
+    return warnings;
+  }
+  const countMissing = predicate => events.filter(predicate).length;
+  const missingStart = countMissing(event => !event?.start?.utc && !event?.start?.local);
+  if (missingStart) {
+    warnings.push({ code: 'events_missing_start', message: `${missingStart} event(s) have no start time`, count: missingStart });
+  }
+  const missingUtc = countMissing(event => event?.start?.local && !event.start.utc);
+  if (missingUtc) {
+    warnings.push({
+      code: 'events_missing_utc',
+      message: `${missingUtc} event(s) have a local start time but no UTC time; set config.timeZone`,
+      count: missingUtc
+    });
+  }
+  const missingUrl = countMissing(event => !event?.url);
+  if (missingUrl) {
+    warnings.push({ code: 'events_missing_url', message: `${missingUrl} event(s) have no link`, count: missingUrl });
+  }
+  return warnings;
+}
+
+/**
+ * Runs an unsaved datasource through its real handler once — no retries,
+ * circuit breaker, health history, last-good payload or shared response
+ * cache — so the admin UI can check a config before saving it.
+ */
+async function testDatasourceConfig(source, context) {
+  const handler = DATASOURCE_HANDLERS[source.type];
+  const result = await handler.fetch(source, { ...context, allowCache: false });
+  const events = sortEventsByTimeAndDistance(
+    normalizeDatasourceEventTimes(Array.isArray(result?.events) ? result.events : [], source, handler)
+  );
+  return {
+    ok: true,
+    source,
+    cached: Boolean(result?.cached),
+    total: events.length,
+    truncated: events.length > DATASOURCE_TEST_EVENT_LIMIT,
+    events: events.slice(0, DATASOURCE_TEST_EVENT_LIMIT),
+    warnings: buildDatasourceTestWarnings(events)
+  };
 }
 
 const DATASOURCE_HANDLERS = {
   ticketmaster: {
+    configSchema: TICKETMASTER_CONFIG_SCHEMA,
     fetch: async (source, context) => {
       const result = await fetchTicketmasterEvents({
         latitude: context.latitude,
@@ -3578,14 +6083,16 @@ const DATASOURCE_HANDLERS = {
         radiusMiles: context.radiusMiles,
         lookaheadDays: context.lookaheadDays,
         segments: source?.config?.segments || null,
-        allowCache: true
+        allowCache: context.allowCache !== false
       });
-      const allEvents = Array.isArray(result.payload?.events) ? result.payload.events : [];
-      const filteredEvents = applyWeekdayCutoff(allEvents);
+      const segments = result.payload?.segments || [];
+      const statuses = segments.map(segment => segment.status).filter(Number.isFinite);
       return {
         ...result,
-        events: filteredEvents,
-        segments: result.payload?.segments || []
+        events: Array.isArray(result.payload?.events) ? result.payload.events : [],
+        // The worst segment status, so a partly failed fetch does not read as a clean 200.
+        status: result.cached || !statuses.length ? null : Math.max(...statuses),
+        segments
       };
     },
     preview: async (source, context) => {
@@ -3595,11 +6102,10 @@ const DATASOURCE_HANDLERS = {
         radiusMiles: context.radiusMiles,
         lookaheadDays: context.lookaheadDays,
         segments: source?.config?.segments || null,
-        allowCache: true
+        allowCache: context.allowCache !== false
       });
       const allEvents = Array.isArray(result.payload?.events) ? result.payload.events : [];
-      const filteredEvents = applyWeekdayCutoff(allEvents);
-      const orderedEvents = sortEventsByTimeAndDistance(filteredEvents);
+      const orderedEvents = sortEventsByTimeAndDistance(allEvents);
       const previewEvents = orderedEvents.slice(0, context.limit || 25);
       return {
         sourceId: source.id,
@@ -3617,31 +6123,35 @@ const DATASOURCE_HANDLERS = {
     }
   },
   dcimprov: {
+    configSchema: VENUE_PAGE_CONFIG_SCHEMA,
+    timeZone: DC_VENUE_TIME_ZONE,
     fetch: async (source, context) => {
       const result = await fetchDcImprovEvents({
         latitude: context.latitude,
         longitude: context.longitude,
-        allowCache: true
+        allowCache: context.allowCache !== false
       });
-      const filteredEvents = applyWeekdayCutoff(result.events);
       return {
-        events: filteredEvents,
+        events: result.events,
         cached: result.cached,
+        status: result.status,
         segments: []
       };
     }
   },
   blackcat: {
+    configSchema: VENUE_PAGE_CONFIG_SCHEMA,
+    timeZone: DC_VENUE_TIME_ZONE,
     fetch: async (source, context) => {
       const result = await fetchBlackCatEvents({
         latitude: context.latitude,
         longitude: context.longitude,
-        allowCache: true
+        allowCache: context.allowCache !== false
       });
-      const filteredEvents = applyWeekdayCutoff(result.events);
       return {
-        events: filteredEvents,
+        events: result.events,
         cached: result.cached,
+        status: result.status,
         segments: []
       };
     },
@@ -3649,10 +6159,40 @@ const DATASOURCE_HANDLERS = {
       const result = await fetchBlackCatEvents({
         latitude: context.latitude,
         longitude: context.longitude,
-        allowCache: true
+        allowCache: context.allowCache !== false
       });
-      const filteredEvents = applyWeekdayCutoff(result.events);
-      const orderedEvents = sortEventsByTimeAndDistance(filteredEvents);
+      const orderedEvents = sortEventsByTimeAndDistance(result.events);
+      const limit = context.limit || 25;
+      const previewEvents = orderedEvents.slice(0, limit);
+      return {
+        sourceId: source.id,
+        type: source.type,
+        ok: true,
+        status: 200,
+        fetchedAt: new Date().toISOString(),
+        preview: {
+          total: orderedEvents.length,
+          truncated: previewEvents.length < orderedEvents.length,
+          events: previewEvents,
+          segments: []
+        }
+      };
+    }
+  },
+  html: {
+    configSchema: HTML_CONFIG_SCHEMA,
+    fetch: async (source, context) => {
+      const result = await fetchHtmlSourceEvents(source, context, { allowCache: context.allowCache !== false });
+      return {
+        events: result.events,
+        cached: result.cached,
+        status: result.status,
+        segments: []
+      };
+    },
+    preview: async (source, context) => {
+      const result = await fetchHtmlSourceEvents(source, context, { allowCache: context.allowCache !== false });
+      const orderedEvents = sortEventsByTimeAndDistance(result.events);
       const limit = context.limit || 25;
       const previewEvents = orderedEvents.slice(0, limit);
       return {
@@ -3670,20 +6210,51 @@ const DATASOURCE_HANDLERS = {
       };
     }
   },
+  jsonld: {
+    configSchema: JSONLD_CONFIG_SCHEMA,
+    validateConfig: validateJsonLdConfig,
+    fetch: async (source, context) => {
+      const result = await fetchJsonLdEvents(source, context, { allowCache: context.allowCache !== false });
+      return {
+        events: result.events,
+        cached: result.cached,
+        status: result.status,
+        segments: []
+      };
+    },
+    preview: async (source, context) => {
+      const result = await fetchJsonLdEvents(source, context, { allowCache: context.allowCache !== false });
+      const orderedEvents = sortEventsByTimeAndDistance(result.events);
+      const limit = context.limit || 25;
+      const previewEvents = orderedEvents.slice(0, limit);
+      return {
+        sourceId: source.id,
+        type: source.type,
+        ok: true,
+        status: 200,
+        fetchedAt: new Date().toISOString(),
+        preview: {
+          total: orderedEvents.length,
+          truncated: previewEvents.length < orderedEvents.length,
+          events: previewEvents
+        }
+      };
+    }
+  },
   ical: {
+    configSchema: FEED_CONFIG_SCHEMA,
     fetch: async (source, context) => {
-      const result = await fetchIcalEvents(source, context);
-      const filteredEvents = applyWeekdayCutoff(result.events);
+      const result = await fetchIcalEvents(source, context, { allowCache: context.allowCache !== false });
       return {
-        events: filteredEvents,
+        events: result.events,
         cached: result.cached,
+        status: result.status,
         segments: []
       };
     },
     preview: async (source, context) => {
-      const result = await fetchIcalEvents(source, context);
-      const filteredEvents = applyWeekdayCutoff(result.events);
-      const orderedEvents = sortEventsByTimeAndDistance(filteredEvents);
+      const result = await fetchIcalEvents(source, context, { allowCache: context.allowCache !== false });
+      const orderedEvents = sortEventsByTimeAndDistance(result.events);
       const limit = context.limit || 25;
       const previewEvents = orderedEvents.slice(0, limit);
       return {
@@ -3701,19 +6272,19 @@ const DATASOURCE_HANDLERS = {
     }
   },
   rss: {
+    configSchema: FEED_CONFIG_SCHEMA,
     fetch: async (source, context) => {
-      const result = await fetchRssEvents(source, context);
-      const filteredEvents = applyWeekdayCutoff(result.events);
+      const result = await fetchRssEvents(source, context, { allowCache: context.allowCache !== false });
       return {
-        events: filteredEvents,
+        events: result.events,
         cached: result.cached,
+        status: result.status,
         segments: []
       };
     },
     preview: async (source, context) => {
-      const result = await fetchRssEvents(source, context);
-      const filteredEvents = applyWeekdayCutoff(result.events);
-      const orderedEvents = sortEventsByTimeAndDistance(filteredEvents);
+      const result = await fetchRssEvents(source, context, { allowCache: context.allowCache !== false });
+      const orderedEvents = sortEventsByTimeAndDistance(result.events);
       const limit = context.limit || 25;
       const previewEvents = orderedEvents.slice(0, limit);
       return {
@@ -3731,7 +6302,35 @@ const DATASOURCE_HANDLERS = {
     }
   },
   json: {
-    preview: async source => {
+    configSchema: JSON_CONFIG_SCHEMA,
+    fetch: async (source, context) => {
+      const result = await fetchJsonFeedEvents(source, context, { allowCache: context.allowCache !== false });
+      return {
+        events: result.events,
+        cached: result.cached,
+        status: result.status,
+        segments: []
+      };
+    },
+    preview: async (source, context) => {
+      if (source?.config?.mapping && typeof source.config.mapping === 'object') {
+        const result = await fetchJsonFeedEvents(source, context, { allowCache: context.allowCache !== false });
+        const orderedEvents = sortEventsByTimeAndDistance(result.events);
+        const limit = context.limit || 25;
+        const previewEvents = orderedEvents.slice(0, limit);
+        return {
+          sourceId: source.id,
+          type: source.type,
+          ok: true,
+          status: 200,
+          fetchedAt: new Date().toISOString(),
+          preview: {
+            total: orderedEvents.length,
+            truncated: previewEvents.length < orderedEvents.length,
+            events: previewEvents
+          }
+        };
+      }
       const feedUrl = source?.config?.feedUrl;
       if (!feedUrl || !isValidHttpUrl(feedUrl)) {
         const err = new Error('Datasource feed URL is missing or invalid');
@@ -3789,9 +6388,159 @@ const DATASOURCE_HANDLERS = {
       }
     }
   }
-};
+};
+
+// --- Datasource retries, circuit breaker and last-good fallback ---
+
+const DATASOURCE_RETRY_MAX_ATTEMPTS = 3;
+const DATASOURCE_RETRY_BASE_DELAY_MS = 250;
+const DATASOURCE_RETRY_MAX_DELAY_MS = 2000;
+const DATASOURCE_CIRCUIT_FAILURE_THRESHOLD = 3;
+const DATASOURCE_CIRCUIT_COOLDOWN_MS = 2 * 60 * 1000;
+const DATASOURCE_LAST_GOOD_COLLECTION = 'datasourceLastGood';
+const DATASOURCE_LAST_GOOD_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DATASOURCE_NON_RETRYABLE_CODES = new Set(['ticketmaster_api_key_missing']);
+const DATASOURCE_NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_SOCKET'
+]);
+
+// Without an HTTP status only a failed connection is worth retrying; parse
+// errors and other bugs would fail the same way again.
+function isNetworkError(err) {
+  if (err.name === 'TypeError' && /fetch failed/i.test(err.message || '')) return true;
+  return DATASOURCE_NETWORK_ERROR_CODES.has(err.code) || DATASOURCE_NETWORK_ERROR_CODES.has(err.cause?.code);
+}
+
+function isTransientDatasourceError(err) {
+  if (!err || DATASOURCE_NON_RETRYABLE_CODES.has(err.code)) return false;
+  if (err.name === 'AbortError') return true;
+  const status = typeof err.status === 'number' ? err.status : null;
+  if (status === null) return isNetworkError(err);
+  return status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+// Full jitter: a random delay up to the exponential ceiling keeps retries from
+// many instances from landing on a struggling upstream at the same moment.
+function datasourceRetryDelayMs(attempt) {
+  const ceiling = Math.min(
+    DATASOURCE_RETRY_MAX_DELAY_MS,
+    DATASOURCE_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+async function fetchDatasourceWithRetry(handler, source, context, { maxAttempts }) {
+  let attempt = 0;
+  while (true) {
+    attempt += 1;
+    try {
+      const result = await handler.fetch(source, context);
+      return { result, attempts: attempt };
+    } catch (err) {
+      if (attempt >= maxAttempts || !isTransientDatasourceError(err)) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const delayMs = datasourceRetryDelayMs(attempt);
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+}
+
+function datasourceLastGoodKey(source, context) {
+  return [
+    'last-good',
+    source.id,
+    source.type,
+    Number.isFinite(context.latitude) ? context.latitude.toFixed(4) : 'none',
+    Number.isFinite(context.longitude) ? context.longitude.toFixed(4) : 'none',
+    context.radiusMiles,
+    context.lookaheadDays
+  ];
+}
+
+async function readLastGoodDatasourceResult(source, context) {
+  const cached = await safeReadCachedResponse(
+    DATASOURCE_LAST_GOOD_COLLECTION,
+    datasourceLastGoodKey(source, context),
+    DATASOURCE_LAST_GOOD_MAX_AGE_MS
+  );
+  if (!cached || typeof cached.body !== 'string') return null;
+  try {
+    const parsed = JSON.parse(cached.body);
+    return {
+      events: Array.isArray(parsed.events) ? parsed.events : [],
+      segments: Array.isArray(parsed.segments) ? parsed.segments : [],
+      fetchedAt: cached.metadata?.fetchedAt || null
+    };
+  } catch (err) {
+    console.warn('Ignoring unreadable last-good payload', source.id, err?.message || err);
+    return null;
+  }
+}
 
-async function runDatasourceFetch(source, context) {
+async function writeLastGoodDatasourceResult(source, context, events, segments) {
+  await safeWriteCachedResponse(DATASOURCE_LAST_GOOD_COLLECTION, datasourceLastGoodKey(source, context), {
+    status: 200,
+    contentType: 'application/json',
+    body: JSON.stringify({ events, segments }),
+    metadata: { fetchedAt: new Date().toISOString() }
+  });
+}
+
+async function buildStaleDatasourceResult(source, context, { breaker, error }) {
+  const lastGood = await readLastGoodDatasourceResult(source, context);
+  const summary = {
+    id: source.id,
+    name: source.name,
+    type: source.type,
+    breaker
+  };
+  if (!lastGood) {
+    return {
+      source,
+      ok: false,
+      events: [],
+      cached: false,
+      summary: {
+        ...summary,
+        ok: false,
+        status: typeof error?.status === 'number' ? error.status : null,
+        error: redactOutbound(error?.message || 'Request failed')
+      },
+      error
+    };
+  }
+  return {
+    source,
+    ok: true,
+    stale: true,
+    events: lastGood.events,
+    segments: lastGood.segments,
+    cached: true,
+    summary: {
+      ...summary,
+      ok: true,
+      total: lastGood.events.length,
+      stale: true,
+      staleSince: lastGood.fetchedAt,
+      status: typeof error?.status === 'number' ? error.status : null,
+      error: redactOutbound(error?.message || 'Request failed')
+    },
+    error
+  };
+}
+
+async function executeDatasourceFetch(source, context) {
   const handler = DATASOURCE_HANDLERS[source.type];
   if (!handler || typeof handler.fetch !== 'function') {
     return {
@@ -3808,40 +6557,429 @@ async function runDatasourceFetch(source, context) {
       }
     };
   }
+  const breakerOptions = {
+    failureThreshold: DATASOURCE_CIRCUIT_FAILURE_THRESHOLD,
+    cooldownMs: DATASOURCE_CIRCUIT_COOLDOWN_MS
+  };
+  const gate = acquireCircuit(source.id, breakerOptions);
+  if (!gate.allowed) {
+    const err = new Error('Circuit open; upstream skipped');
+    err.code = 'circuit_open';
+    err.status = 503;
+    return buildStaleDatasourceResult(source, context, { breaker: gate.circuit, error: err });
+  }
   try {
-    const result = await handler.fetch(source, context);
-    const events = Array.isArray(result.events) ? result.events : [];
+    // A half-open probe gets a single attempt so a still-broken upstream reopens the circuit quickly.
+    const { result } = await fetchDatasourceWithRetry(handler, source, context, {
+      maxAttempts: gate.probe ? 1 : DATASOURCE_RETRY_MAX_ATTEMPTS
+    });
+    const events = normalizeDatasourceEventTimes(Array.isArray(result.events) ? result.events : [], source, handler);
+    const segments = result.segments || [];
+    const breaker = recordCircuitSuccess(source.id, breakerOptions);
+    // A cached result is already as good as what was last stored.
+    if (!result.cached) {
+      await writeLastGoodDatasourceResult(source, context, events, segments);
+    }
     return {
       source,
       ok: true,
       events,
-      segments: result.segments || [],
+      segments,
       cached: Boolean(result.cached),
       summary: {
         id: source.id,
         name: source.name,
         type: source.type,
         ok: true,
-        total: events.length
+        status: typeof result.status === 'number' ? result.status : null,
+        total: events.length,
+        breaker
       }
     };
   } catch (err) {
+    const breaker = isTransientDatasourceError(err)
+      ? recordCircuitFailure(source.id, breakerOptions)
+      : getCircuitState(source.id, breakerOptions);
+    return buildStaleDatasourceResult(source, context, { breaker, error: err });
+  }
+}
+
+async function runDatasourceFetch(source, context) {
+  const startedAt = Date.now();
+  const result = await executeDatasourceFetch(source, context);
+  recordDatasourceRun(source.id, {
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+    ok: result.ok && !result.stale,
+    status: result.summary.status ?? null,
+    eventCount: result.stale ? 0 : result.events.length,
+    cached: result.cached,
+    error: result.ok && !result.stale ? null : result.summary.error
+  }).catch(err => console.error('Failed to record datasource run', err));
+  return result;
+}
+
+// --- Datasource health history ---
+
+const DATASOURCE_HEALTH_DEFAULT_RUNS = 20;
+const DATASOURCE_HEALTH_MAX_RUNS = 100;
+const DATASOURCE_HEALTH_TREND_TOLERANCE = 0.2;
+
+function summarizeDatasourceRuns(runs) {
+  const total = runs.length;
+  const successes = runs.filter(run => run.ok);
+  const durations = runs.map(run => run.durationMs).filter(Number.isFinite);
+  const lastSuccess = successes[0] || null;
+  const lastFailure = runs.find(run => !run.ok) || null;
+  const firstSuccessIndex = runs.findIndex(run => run.ok);
+  return {
+    total,
+    successes: successes.length,
+    failures: total - successes.length,
+    successRate: total ? Math.round((successes.length / total) * 1000) / 1000 : null,
+    lastRunAt: total ? runs[0].startedAt : null,
+    lastSuccessAt: lastSuccess ? lastSuccess.startedAt : null,
+    lastFailureAt: lastFailure ? lastFailure.startedAt : null,
+    lastError: lastFailure ? lastFailure.error : null,
+    averageDurationMs: durations.length
+      ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length)
+      : null,
+    consecutiveFailures: firstSuccessIndex === -1 ? total : firstSuccessIndex
+  };
+}
+
+function buildEventCountTrend(runs) {
+  const points = runs
+    .filter(run => run.ok)
+    .map(run => ({ at: run.startedAt, count: run.eventCount }))
+    .reverse();
+  if (!points.length) {
+    return { points, latest: null, previousAverage: null, direction: 'unknown' };
+  }
+  const latest = points[points.length - 1].count;
+  const previous = points.slice(0, -1).map(point => point.count);
+  const previousAverage = previous.length
+    ? Math.round((previous.reduce((sum, value) => sum + value, 0) / previous.length) * 10) / 10
+    : null;
+  let direction = 'flat';
+  if (previousAverage === null) {
+    direction = 'unknown';
+  } else if (latest > previousAverage * (1 + DATASOURCE_HEALTH_TREND_TOLERANCE)) {
+    direction = 'up';
+  } else if (latest < previousAverage * (1 - DATASOURCE_HEALTH_TREND_TOLERANCE)) {
+    direction = 'down';
+  }
+  return { points, latest, previousAverage, direction };
+}
+
+function buildDatasourceHealthAlerts(stats, trend) {
+  const alerts = [];
+  if (stats.consecutiveFailures > 0) {
+    alerts.push({ code: 'failing', message: `Last ${stats.consecutiveFailures} run(s) failed` });
+  }
+  if (trend.latest === 0 && trend.previousAverage > 0) {
+    alerts.push({ code: 'zero_events', message: 'Latest successful run returned no events' });
+  }
+  return alerts;
+}
+
+async function buildDatasourceHealth(source, { limit = DATASOURCE_HEALTH_DEFAULT_RUNS } = {}) {
+  const runs = await listDatasourceRuns(source.id, { limit });
+  const stats = summarizeDatasourceRuns(runs);
+  const eventCountTrend = buildEventCountTrend(runs);
+  return {
+    sourceId: source.id,
+    name: source.name,
+    type: source.type,
+    enabled: source.enabled !== false,
+    runs,
+    stats,
+    eventCountTrend,
+    alerts: buildDatasourceHealthAlerts(stats, eventCountTrend)
+  };
+}
+
+// --- Background ingestion into the events store ---
+
+function normalizeIngestionRegion(raw) {
+  const latitude = normalizeCoordinate(raw?.latitude ?? raw?.lat, 4);
+  const longitude = normalizeCoordinate(raw?.longitude ?? raw?.lon, 4);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  const radius = Number(raw?.radiusMiles ?? raw?.radius);
+  return {
+    id: normalizeDatasourceId(raw?.id) || normalizeDatasourceId(`${latitude}_${longitude}`),
+    latitude,
+    longitude,
+    radiusMiles: Number.isFinite(radius) && radius > 0
+      ? Math.min(radius, TICKETMASTER_MAX_RADIUS_MILES)
+      : TICKETMASTER_DEFAULT_RADIUS,
+    lookaheadDays: clampDays(raw?.lookaheadDays ?? INGEST_LOOKAHEAD_DAYS)
+  };
+}
+
+function resolveIngestionRegions() {
+  const raw = process.env.SHOWS_INGEST_REGIONS;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      const regions = (Array.isArray(parsed) ? parsed : [parsed])
+        .map(normalizeIngestionRegion)
+        .filter(Boolean);
+      if (regions.length) return regions;
+    } catch (err) {
+      console.warn('Ignoring invalid SHOWS_INGEST_REGIONS', err);
+    }
+  }
+  return INGEST_DEFAULT_REGIONS.map(normalizeIngestionRegion).filter(Boolean);
+}
+
+function resolveIngestIntervalMs(source) {
+  const minutes = Number(source?.config?.ingestIntervalMinutes);
+  const resolved = Number.isFinite(minutes) && minutes > 0
+    ? Math.max(minutes, INGEST_MIN_INTERVAL_MINUTES)
+    : INGEST_DEFAULT_INTERVAL_MINUTES;
+  return resolved * 60 * 1000;
+}
+
+function ingestionStateKey(sourceId, regionId) {
+  return `${sourceId}__${regionId}`;
+}
+
+function extractEventCoordinates(event, source) {
+  const candidates = [
+    event?.ticketmaster?.raw?._embedded?.venues?.[0]?.location,
+    event?.coordinates,
+    source?.config?.coordinates
+  ];
+  for (const candidate of candidates) {
+    const latitude = Number.parseFloat(candidate?.latitude);
+    const longitude = Number.parseFloat(candidate?.longitude);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      return { latitude, longitude };
+    }
+  }
+  return null;
+}
+
+function buildEventRecords(events, source, region, ingestedAt) {
+  return events
+    .filter(event => event && event.id)
+    .map(event => {
+      const coords = extractEventCoordinates(event, source);
+      return {
+        key: buildEventRecordKey(source.id, region.id, event.id),
+        sourceId: source.id,
+        regionId: region.id,
+        eventId: String(event.id),
+        startMs: toTimestampMs(event.start?.utc || event.start?.local),
+        endMs: toTimestampMs(event.end?.utc || event.end?.local),
+        latitude: coords ? coords.latitude : null,
+        longitude: coords ? coords.longitude : null,
+        event,
+        ingestedAt
+      };
+    });
+}
+
+async function ingestDatasource(source, region, { store, now, force }) {
+  const stateKey = ingestionStateKey(source.id, region.id);
+  const state = await store.getIngestionState(stateKey);
+  const intervalMs = resolveIngestIntervalMs(source);
+  const lastRunMs = toTimestampMs(state?.lastRunAt);
+  if (!force && lastRunMs !== null && now - lastRunMs < intervalMs) {
     return {
-      source,
-      ok: false,
-      events: [],
-      cached: false,
-      summary: {
-        id: source.id,
-        name: source.name,
-        type: source.type,
-        ok: false,
-        status: typeof err?.status === 'number' ? err.status : null,
-        error: err?.message || 'Request failed'
-      },
-      error: err
+      sourceId: source.id,
+      regionId: region.id,
+      skipped: true,
+      nextRunAt: new Date(lastRunMs + intervalMs).toISOString()
     };
   }
+
+  const runAt = new Date(now).toISOString();
+  const result = await runDatasourceFetch(source, {
+    latitude: region.latitude,
+    longitude: region.longitude,
+    radiusMiles: region.radiusMiles,
+    lookaheadDays: region.lookaheadDays
+  });
+  // Stale fallbacks keep the previously ingested events in place rather than re-upserting them.
+  if (!result.ok || result.stale) {
+    const error = result.summary?.error || 'fetch_failed';
+    await store.setIngestionState(stateKey, {
+      sourceId: source.id,
+      regionId: region.id,
+      lastRunAt: runAt,
+      ok: false,
+      error
+    });
+    return { sourceId: source.id, regionId: region.id, ok: false, error };
+  }
+
+  const records = buildEventRecords(result.events, source, region, runAt);
+  await store.upsertEvents(records);
+  const removed = await store.pruneEvents({
+    sourceId: source.id,
+    regionId: region.id,
+    keepKeys: records.map(record => record.key)
+  });
+  await store.setIngestionState(stateKey, {
+    sourceId: source.id,
+    regionId: region.id,
+    lastRunAt: runAt,
+    lastSuccessAt: runAt,
+    ok: true,
+    error: null,
+    count: records.length
+  });
+  return { sourceId: source.id, regionId: region.id, ok: true, upserted: records.length, removed };
+}
+
+/**
+ * Fetches every enabled datasource whose ingest interval has elapsed for each
+ * configured region and upserts the normalized events into the events store.
+ * Events that disappeared from a source's latest fetch are pruned.
+ */
+async function runEventIngestion({ store = getEventStore(), now = Date.now(), force = false, sourceIds } = {}) {
+  const startedAt = new Date().toISOString();
+  const { sources } = await loadDatasources();
+  const targets = sources.filter(
+    source => source.enabled && (!Array.isArray(sourceIds) || sourceIds.includes(source.id))
+  );
+  const regions = resolveIngestionRegions();
+  const runs = [];
+  // Regions run one after another so a single ingestion pass never multiplies upstream load.
+  for (const region of regions) {
+    const settled = await Promise.allSettled(
+      targets.map(source => ingestDatasource(source, region, { store, now, force }))
+    );
+    // A store error fails that source's run only, not the whole pass.
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        runs.push(outcome.value);
+        return;
+      }
+      const error = outcome.reason?.message || String(outcome.reason);
+      console.error('Event ingestion failed', targets[index].id, region.id, error);
+      runs.push({ sourceId: targets[index].id, regionId: region.id, ok: false, error });
+    });
+  }
+  clearShowSearchIndexes();
+  return {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    store: store.kind || null,
+    regions: regions.map(region => region.id),
+    runs
+  };
+}
+
+/**
+ * Builds `/api/shows` results from the events store in the same shape
+ * `runDatasourceFetch` returns, one entry per source. Sources without fresh
+ * ingested data get null so the caller fetches just those live. Returns null
+ * when the request falls outside every ingestion region or no source has
+ * fresh ingested data.
+ */
+async function readStoredShowResults(sources, context, { store = getEventStore(), now = Date.now() } = {}) {
+  const regions = resolveIngestionRegions().filter(region => {
+    const distance = distanceMiles(context.latitude, context.longitude, region.latitude, region.longitude);
+    return Number.isFinite(distance) && distance <= region.radiusMiles;
+  });
+  if (!regions.length) return null;
+  const regionIds = new Set(regions.map(region => region.id));
+
+  const sourceIds = new Set(sources.map(source => source.id));
+  const lastSuccessBySource = new Map();
+  const states = await store.listIngestionStates({ regionIds: Array.from(regionIds) });
+  states.forEach(state => {
+    if (!sourceIds.has(state.sourceId) || !regionIds.has(state.regionId)) return;
+    const successMs = toTimestampMs(state.lastSuccessAt);
+    if (successMs === null || now - successMs > INGEST_STALE_AFTER_MS) return;
+    if (!lastSuccessBySource.has(state.sourceId) || successMs > lastSuccessBySource.get(state.sourceId)) {
+      lastSuccessBySource.set(state.sourceId, successMs);
+    }
+  });
+  if (!lastSuccessBySource.size) return null;
+
+  const records = await store.queryEvents({
+    fromMs: now,
+    toMs: now + context.lookaheadDays * DAY_MS,
+    sourceIds: Array.from(lastSuccessBySource.keys()),
+    regionIds: Array.from(regionIds)
+  });
+  const eventsBySource = new Map();
+  records.forEach(record => {
+    const hasCoords = Number.isFinite(record.latitude) && Number.isFinite(record.longitude);
+    const distance = hasCoords
+      ? distanceMiles(context.latitude, context.longitude, record.latitude, record.longitude)
+      : null;
+    if (hasCoords ? !(distance <= context.radiusMiles) : !regionIds.has(record.regionId)) return;
+    if (!eventsBySource.has(record.sourceId)) eventsBySource.set(record.sourceId, new Map());
+    const bucket = eventsBySource.get(record.sourceId);
+    if (bucket.has(record.eventId)) return;
+    bucket.set(record.eventId, { ...record.event, distance: Number.isFinite(distance) ? distance : null });
+  });
+
+  return sources.map(source => {
+    const successMs = lastSuccessBySource.get(source.id);
+    const summary = {
+      id: source.id,
+      name: source.name,
+      type: source.type,
+      breaker: getCircuitState(source.id, { cooldownMs: DATASOURCE_CIRCUIT_COOLDOWN_MS })
+    };
+    // Not ingested yet (e.g. just added): the caller fetches it live.
+    if (successMs === undefined) return null;
+    const events = Array.from(eventsBySource.get(source.id)?.values() || []);
+    return {
+      source,
+      ok: true,
+      events,
+      segments: [],
+      cached: true,
+      summary: { ...summary, ok: true, total: events.length, ingestedAt: new Date(successMs).toISOString() }
+    };
+  });
+}
+
+function startLocalIngestionLoop() {
+  const minutes = Number(process.env.SHOWS_INGEST_LOOP_MINUTES) || INGEST_MIN_INTERVAL_MINUTES;
+  const tick = () => {
+    runEventIngestion().catch(err => console.error('Event ingestion failed', err));
+  };
+  tick();
+  return setInterval(tick, minutes * 60 * 1000);
+}
+
+// --- Datasource revision history ---
+
+const DATASOURCE_HISTORY_DEFAULT_LIMIT = 50;
+const DATASOURCE_HISTORY_MAX_LIMIT = 200;
+
+function classifyDatasourceChange(before, after) {
+  if (!before) return 'create';
+  if (!after) return 'delete';
+  const changes = diffDatasources(before, after);
+  if (changes.length === 1 && changes[0].field === 'enabled') {
+    return after.enabled ? 'enable' : 'disable';
+  }
+  return 'update';
+}
+
+/**
+ * Records a revision for a datasource write made through the admin API.
+ * No-op updates are skipped so the timeline only lists real changes.
+ */
+async function recordDatasourceChange(req, before, after, { action, restoredFrom } = {}) {
+  const sourceId = after?.id || before?.id;
+  if (before && after && !action && !diffDatasources(before, after).length) return null;
+  return recordDatasourceRevision(sourceId, {
+    action: action || classifyDatasourceChange(before, after),
+    actor: req.user ? { uid: req.user.uid, email: req.user.email } : null,
+    before,
+    after,
+    restoredFrom
+  });
 }
 
 app.get('/api/datasources', async (req, res) => {
@@ -3849,21 +6987,16 @@ app.get('/api/datasources', async (req, res) => {
   res.json({ sources: result.sources, from: result.from });
 });
 
-app.post('/api/datasources', async (req, res) => {
+app.post('/api/datasources', requireAdmin, async (req, res) => {
   const payload = req.body && typeof req.body === 'object' ? req.body : {};
   const idCandidate = normalizeDatasourceId(payload.id || payload.key || payload.slug || payload.name);
   if (!idCandidate) {
     return res.status(400).json({ error: 'missing_id' });
   }
   const normalized = normalizeDatasource({ ...payload, id: idCandidate }, idCandidate);
-  if (!normalized || !normalized.name) {
-    return res.status(400).json({ error: 'missing_name' });
-  }
-  if (['json', 'rss', 'ical'].includes(normalized.type)) {
-    const feedUrl = normalized.config?.feedUrl;
-    if (!feedUrl || !isValidHttpUrl(feedUrl)) {
-      return res.status(400).json({ error: 'missing_feed_url' });
-    }
+  const { errors, warnings } = validateDatasource(normalized);
+  if (errors.length) {
+    return res.status(400).json({ error: 'invalid_datasource', errors, warnings });
   }
   if (normalized.type === 'ticketmaster' && !normalized.config?.segments) {
     normalized.config = {
@@ -3885,6 +7018,7 @@ app.post('/api/datasources', async (req, res) => {
   }
   try {
     const saved = await saveDatasource(normalized, { isNew: true });
+    await recordDatasourceChange(req, null, saved);
     res.status(201).json({ source: saved });
   } catch (err) {
     if (err?.code === 'exists') {
@@ -3894,6 +7028,40 @@ app.post('/api/datasources', async (req, res) => {
   }
 });
 
+app.post('/api/datasources/test', requireAdmin, async (req, res) => {
+  const payload = req.body && typeof req.body === 'object' ? req.body : {};
+  const id = normalizeDatasourceId(payload.id || payload.name) || 'test';
+  const normalized = normalizeDatasource({ ...payload, id }, id);
+  const { errors, warnings } = validateDatasource(normalized);
+  if (errors.length) {
+    return res.status(400).json({ error: 'invalid_datasource', errors, warnings });
+  }
+  const [region] = resolveIngestionRegions();
+  const latitude = normalizeCoordinate(payload.lat ?? payload.latitude, 4);
+  const longitude = normalizeCoordinate(payload.lon ?? payload.longitude, 4);
+  const parsedRadius = parseNumberQuery(payload.radius);
+  const hasCoordinates = Number.isFinite(latitude) && Number.isFinite(longitude);
+  const context = {
+    latitude: hasCoordinates ? latitude : region?.latitude,
+    longitude: hasCoordinates ? longitude : region?.longitude,
+    radiusMiles: Number.isFinite(parsedRadius) && parsedRadius > 0
+      ? Math.min(Math.max(parsedRadius, 1), TICKETMASTER_MAX_RADIUS_MILES)
+      : region?.radiusMiles || TICKETMASTER_DEFAULT_RADIUS,
+    lookaheadDays: payload.days !== undefined ? clampDays(payload.days) : region?.lookaheadDays || TICKETMASTER_DEFAULT_DAYS
+  };
+  try {
+    const result = await testDatasourceConfig(normalized, context);
+    res.json({ ...result, warnings: [...warnings, ...result.warnings] });
+  } catch (err) {
+    res.status(502).json({
+      error: 'datasource_test_failed',
+      message: redactOutbound(err?.message || 'Datasource test failed'),
+      status: typeof err?.status === 'number' ? err.status : null,
+      warnings
+    });
+  }
+});
+
 app.get('/api/datasources/:id/preview', async (req, res) => {
   const source = await getDatasourceById(req.params.id);
   if (!source) {
@@ -3928,8 +7096,68 @@ app.get('/api/datasources/:id/preview', async (req, res) => {
   } catch (err) {
     res.status(typeof err?.status === 'number' ? err.status : 500).json({
       error: err?.code || 'preview_failed',
-      message: err?.message || 'Preview failed'
+      message: redactOutbound(err?.message || 'Preview failed')
+    });
+  }
+});
+
+app.get('/api/datasources/:id/health', async (req, res) => {
+  const source = await getDatasourceById(req.params.id);
+  if (!source) {
+    return res.status(404).json({ error: 'datasource_not_found' });
+  }
+  const limit =
+    normalizePositiveInteger(req.query.limit, { min: 1, max: DATASOURCE_HEALTH_MAX_RUNS }) ||
+    DATASOURCE_HEALTH_DEFAULT_RUNS;
+  try {
+    res.json(await buildDatasourceHealth(source, { limit }));
+  } catch (err) {
+    console.error('Failed to build datasource health', err);
+    res.status(500).json({ error: 'datasource_health_failed' });
+  }
+});
+
+app.get('/api/datasources/:id/history', requireAdmin, async (req, res) => {
+  const sourceId = normalizeDatasourceId(req.params.id);
+  const limit =
+    normalizePositiveInteger(req.query.limit, { min: 1, max: DATASOURCE_HISTORY_MAX_LIMIT }) ||
+    DATASOURCE_HISTORY_DEFAULT_LIMIT;
+  const revisions = await listDatasourceRevisions(sourceId, { limit });
+  // Deleted sources keep their history so they can be restored.
+  if (!revisions.length && !(await getDatasourceById(sourceId))) {
+    return res.status(404).json({ error: 'datasource_not_found' });
+  }
+  res.json({ sourceId, revisions });
+});
+
+app.post('/api/datasources/:id/rollback/:rev', requireAdmin, async (req, res) => {
+  const sourceId = normalizeDatasourceId(req.params.id);
+  const rev = normalizePositiveInteger(req.params.rev);
+  if (!sourceId || !rev) {
+    return res.status(400).json({ error: 'invalid_revision' });
+  }
+  const revision = await getDatasourceRevision(sourceId, rev);
+  if (!revision) {
+    return res.status(404).json({ error: 'revision_not_found' });
+  }
+  if (!revision.snapshot) {
+    return res.status(409).json({ error: 'revision_not_restorable' });
+  }
+  const existing = await getDatasourceById(sourceId);
+  const restored = normalizeDatasource({ ...revision.snapshot, id: sourceId }, sourceId);
+  const { errors, warnings } = validateDatasource(restored);
+  if (errors.length) {
+    return res.status(400).json({ error: 'invalid_datasource', errors, warnings });
+  }
+  try {
+    const saved = await saveDatasource(restored, { isNew: !existing, replace: true });
+    const recorded = await recordDatasourceChange(req, existing, saved, {
+      action: 'rollback',
+      restoredFrom: rev
     });
+    res.json({ source: saved, revision: recorded });
+  } catch (err) {
+    res.status(500).json({ error: 'datasource_save_failed' });
   }
 });
 
@@ -3941,7 +7169,7 @@ app.get('/api/datasources/:id', async (req, res) => {
   res.json({ source });
 });
 
-app.put('/api/datasources/:id', async (req, res) => {
+app.put('/api/datasources/:id', requireAdmin, async (req, res) => {
   const existing = await getDatasourceById(req.params.id);
   if (!existing) {
     return res.status(404).json({ error: 'datasource_not_found' });
@@ -3953,14 +7181,9 @@ app.put('/api/datasources/:id', async (req, res) => {
     id: existing.id
   };
   const normalized = normalizeDatasource(merged, existing.id);
-  if (!normalized || !normalized.name) {
-    return res.status(400).json({ error: 'missing_name' });
-  }
-  if (['json', 'rss', 'ical'].includes(normalized.type)) {
-    const feedUrl = normalized.config?.feedUrl;
-    if (!feedUrl || !isValidHttpUrl(feedUrl)) {
-      return res.status(400).json({ error: 'missing_feed_url' });
-    }
+  const { errors, warnings } = validateDatasource(normalized);
+  if (errors.length) {
+    return res.status(400).json({ error: 'invalid_datasource', errors, warnings });
   }
   if (normalized.type === 'ticketmaster' && !normalized.config?.segments) {
     normalized.config = {
@@ -3970,13 +7193,14 @@ app.put('/api/datasources/:id', async (req, res) => {
   }
   try {
     const saved = await saveDatasource(normalized, { isNew: false });
+    await recordDatasourceChange(req, existing, saved);
     res.json({ source: saved });
   } catch (err) {
     res.status(500).json({ error: 'datasource_save_failed' });
   }
 });
 
-app.post('/api/cache/clear', async (req, res) => {
+app.post('/api/cache/clear', requireAdmin, async (req, res) => {
   const feedUrlRaw = req.body?.feedUrl;
   const feedUrl = typeof feedUrlRaw === 'string' && feedUrlRaw.trim() ? feedUrlRaw.trim() : DEFAULT_SMITHSONIAN_FEED_URL;
   try {
@@ -3989,7 +7213,7 @@ app.post('/api/cache/clear', async (req, res) => {
   }
 });
 
-app.post('/api/cache/clear-all', async (req, res) => {
+app.post('/api/cache/clear-all', requireAdmin, async (req, res) => {
   try {
     const db = getFirestore();
     const cleared = {
@@ -3997,14 +7221,18 @@ app.post('/api/cache/clear-all', async (req, res) => {
       ticketmaster: 0,
       dcimprov: 0,
       blackcat: 0,
-      youtube: 0
+      html: 0,
+      youtube: 0,
+      images: 0
     };
     if (db) {
       cleared.rss = await clearFirestoreCollection(db, RSS_CACHE_COLLECTION);
       cleared.ticketmaster = await clearFirestoreCollection(db, TICKETMASTER_CACHE_COLLECTION);
       cleared.dcimprov = await clearFirestoreCollection(db, DC_IMPROV_CACHE_COLLECTION);
       cleared.blackcat = await clearFirestoreCollection(db, BLACK_CAT_CACHE_COLLECTION);
+      cleared.html = await clearFirestoreCollection(db, HTML_SCRAPE_CACHE_COLLECTION);
       cleared.youtube = await clearFirestoreCollection(db, YOUTUBE_SEARCH_CACHE_COLLECTION);
+      cleared.images = await clearFirestoreCollection(db, IMAGE_PROXY_CACHE_COLLECTION);
     }
     clearInMemoryCache();
     res.json({ status: 'ok', cleared });
@@ -4014,49 +7242,552 @@ app.post('/api/cache/clear-all', async (req, res) => {
   }
 });
 
-app.delete('/api/datasources/:id', async (req, res) => {
+app.delete('/api/datasources/:id', requireAdmin, async (req, res) => {
+  const existing = await getDatasourceById(req.params.id);
   const deleted = await deleteDatasourceById(req.params.id);
   if (!deleted) {
     return res.status(404).json({ error: 'datasource_not_found' });
   }
+  if (existing) {
+    await recordDatasourceChange(req, existing, null);
+  }
   res.json({ status: 'deleted' });
 });
 
-app.get('/api/shows', async (req, res) => {
-  const rawLat = req.query.lat ?? req.query.latitude;
-  const rawLon = req.query.lon ?? req.query.longitude;
-  const latitude = normalizeCoordinate(rawLat, 4);
-  const longitude = normalizeCoordinate(rawLon, 4);
+// --- /api/shows query filters ---
+
+const SHOW_FILTER_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SHOW_FACET_DIMENSIONS = ['genres', 'sources', 'venues'];
+const SHOW_FACET_IGNORED_VALUES = new Set(['undefined']);
+
+function invalidShowFilter(parameter, message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'invalid_filter';
+  err.parameter = parameter;
+  return err;
+}
+
+function parseShowFilterList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(entry => (typeof entry === 'string' ? entry.split(',') : []))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+function parseShowFilterDate(value, parameter) {
+  if (value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (!SHOW_FILTER_DATE_PATTERN.test(text) || Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+    throw invalidShowFilter(parameter, `${parameter} must be a YYYY-MM-DD date`);
+  }
+  return text;
+}
+
+function parseShowFilterTime(value, parameter) {
+  if (value === undefined || value === '') return null;
+  const parsed = parseHtmlTimeText(String(value));
+  if (!parsed) {
+    throw invalidShowFilter(parameter, `${parameter} must be a time of day such as 18:00 or 6pm`);
+  }
+  return parsed.hour * 60 + parsed.minute;
+}
+
+/**
+ * Reads the optional `/api/shows` filters from the query string. List
+ * parameters accept comma-separated values or repeated keys; dates are
+ * venue-local YYYY-MM-DD days (inclusive) and startsAfter/startsBefore are
+ * venue-local times of day. Throws a 400 `invalid_filter` error naming the
+ * offending parameter.
+ */
+function parseShowFilters(query = {}) {
+  const maxPrice = parseNumberQuery(query.maxPrice);
+  if (query.maxPrice !== undefined && query.maxPrice !== '' && !(maxPrice >= 0)) {
+    throw invalidShowFilter('maxPrice', 'maxPrice must be a non-negative number');
+  }
+  const filters = {
+    genres: normalizeFilterList(parseShowFilterList(query.genres)),
+    excludeGenres: normalizeFilterList(parseShowFilterList(query.excludeGenres)),
+    sources: parseShowFilterList(query.sources).map(normalizeDatasourceId).filter(Boolean),
+    venues: normalizeFilterList(parseShowFilterList(query.venues)),
+    q: normalizeFilterList(parseShowFilterList(query.q).flatMap(term => term.split(/\s+/))),
+    from: parseShowFilterDate(query.from, 'from'),
+    to: parseShowFilterDate(query.to, 'to'),
+    maxPrice,
+    freeOnly: parseBooleanQuery(query.freeOnly),
+    startsAfter: parseShowFilterTime(query.startsAfter, 'startsAfter'),
+    startsBefore: parseShowFilterTime(query.startsBefore, 'startsBefore')
+  };
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw invalidShowFilter('to', 'to must not be before from');
+  }
+  return filters;
+}
+
+/**
+ * Stretches the fetch window (`lookaheadDays`) so it reaches the `to` (or
+ * `from`) filter date; otherwise a date past the requested `days` would just
+ * come back empty. Dates beyond the longest window are a 400.
+ */
+function fitShowsContextToFilters(context, filters, now = Date.now()) {
+  const parameter = filters.to ? 'to' : filters.from ? 'from' : null;
+  if (!parameter) return context;
+  const today = new Date(now);
+  const todayMs = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const daysUntil = Math.round((Date.parse(`${filters[parameter]}T00:00:00Z`) - todayMs) / DAY_MS);
+  if (daysUntil >= MAX_LOOKAHEAD_DAYS) {
+    throw invalidShowFilter(parameter, `${parameter} must be within ${MAX_LOOKAHEAD_DAYS} days`);
+  }
+  // One more day so the whole venue-local day fits whatever the venue's offset from UTC.
+  const neededDays = clampDays(daysUntil + 2);
+  return neededDays > context.lookaheadDays ? { ...context, lookaheadDays: neededDays } : context;
+}
+
+/**
+ * Reads the listener's `timePolicy` (`off`, `default` or a JSON policy) so
+ * the time-window rule follows their preference rather than the default.
+ */
+function parseShowTimePolicy(query = {}) {
+  try {
+    return parseTimeWindowPolicy(query.timePolicy);
+  } catch (err) {
+    throw invalidShowFilter('timePolicy', err.message);
+  }
+}
+
+function describeActiveShowFilters(filters) {
+  return Object.fromEntries(
+    Object.entries(filters).filter(([, value]) =>
+      Array.isArray(value) ? value.length : value !== null && value !== false
+    )
+  );
+}
+
+function getEventSourceIds(event) {
+  const ids = Array.isArray(event?.sources) && event.sources.length
+    ? event.sources.map(entry => entry?.id)
+    : [event?.source];
+  return Array.from(new Set(ids.filter(Boolean)));
+}
+
+function resolveEventMinPrice(event) {
+  const ranges = event?.ticketmaster?.priceRanges || event?.priceRanges;
+  if (!Array.isArray(ranges)) return null;
+  const amounts = ranges
+    .map(range => (Number.isFinite(range?.min) ? range.min : range?.max))
+    .filter(Number.isFinite);
+  return amounts.length ? Math.min(...amounts) : null;
+}
+
+function prepareShowFilterEvent(event) {
+  const { genreTokens, textBlob } = buildEventFilterTokens(event);
+  const parts = parseEventLocalParts(getEventStartValue(event));
+  const minPrice = resolveEventMinPrice(event);
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    event,
+    genreTokens,
+    textBlob,
+    sourceIds: getEventSourceIds(event),
+    venueToken: normalizeFilterToken(event?.venue?.name || ''),
+    localDate: parts ? `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` : null,
+    localMinutes: parts && parts.hour !== null ? parts.hour * 60 + parts.minute : null,
+    minPrice,
+    // Feeds without price data often just say "Free" in the title or summary.
+    free: minPrice === 0 ||
+      (minPrice === null && /\bfree\b/i.test(`${event?.name?.text || ''} ${event?.summary || ''}`))
+  };
+}
+
+function buildShowFilterPredicates(filters) {
+  const predicates = [];
+  const add = (dimension, test) => predicates.push({ dimension, test });
+  if (filters.genres.length) {
+    add('genres', item => listHasTokenMatch(item.genreTokens, filters.genres));
+  }
+  if (filters.excludeGenres.length) {
+    add('excludeGenres', item => !listHasTokenMatch(item.genreTokens, filters.excludeGenres));
+  }
+  if (filters.sources.length) {
+    add('sources', item => item.sourceIds.some(id => filters.sources.includes(id)));
+  }
+  if (filters.venues.length) {
+    add('venues', item => filters.venues.some(token => filterTokenMatchesValue(token, item.venueToken)));
+  }
+  if (filters.q.length) {
+    add('q', item => filters.q.every(term => item.textBlob.includes(term)));
+  }
+  if (filters.from) {
+    add('from', item => Boolean(item.localDate) && item.localDate >= filters.from);
+  }
+  if (filters.to) {
+    add('to', item => Boolean(item.localDate) && item.localDate <= filters.to);
+  }
+  if (filters.freeOnly) {
+    add('freeOnly', item => item.free);
+  }
+  if (filters.maxPrice !== null) {
+    // Most non-Ticketmaster feeds carry no prices, so unknown prices are kept.
+    add('maxPrice', item => item.free || item.minPrice === null || item.minPrice <= filters.maxPrice);
+  }
+  if (filters.startsAfter !== null) {
+    add('startsAfter', item => item.localMinutes !== null && item.localMinutes >= filters.startsAfter);
+  }
+  if (filters.startsBefore !== null) {
+    add('startsBefore', item => item.localMinutes !== null && item.localMinutes <= filters.startsBefore);
+  }
+  return predicates;
+}
+
+function countShowFacet(items, dimension) {
+  const counts = new Map();
+  const bump = (key, value) => {
+    if (!key || SHOW_FACET_IGNORED_VALUES.has(key)) return;
+    const entry = counts.get(key) || { value, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  };
+  items.forEach(item => {
+    if (dimension === 'sources') {
+      item.sourceIds.forEach(id => bump(id, id));
+    } else if (dimension === 'venues') {
+      bump(item.venueToken, cleanText(item.event?.venue?.name || ''));
+    } else {
+      const seen = new Set();
+      (Array.isArray(item.event?.genres) ? item.event.genres : []).forEach(genre => {
+        const key = normalizeFilterToken(genre);
+        if (seen.has(key)) return;
+        seen.add(key);
+        bump(key, cleanText(genre));
+      });
+    }
+  });
+  return Array.from(counts.values()).sort(
+    (a, b) => b.count - a.count || a.value.localeCompare(b.value)
+  );
+}
+
+/**
+ * Applies the `/api/shows` filters and builds genre, source and venue facet
+ * counts. Each facet is counted with every filter except its own, so a
+ * sidebar can still offer the other genres while one is selected.
+ */
+function applyShowFilters(events, filters) {
+  const items = events.map(prepareShowFilterEvent);
+  const predicates = buildShowFilterPredicates(filters);
+  const passes = (item, skipDimension) =>
+    predicates.every(predicate => predicate.dimension === skipDimension || predicate.test(item));
+  const facets = Object.fromEntries(
+    SHOW_FACET_DIMENSIONS.map(dimension => [
+      dimension,
+      countShowFacet(items.filter(item => passes(item, dimension)), dimension)
+    ])
+  );
+  return {
+    events: items.filter(item => passes(item, null)).map(item => item.event),
+    facets
+  };
+}
+
+// --- /api/shows search index ---
+
+const SHOW_SEARCH_DEFAULT_LIMIT = 20;
+const SHOW_SEARCH_MAX_LIMIT = 100;
+const SHOW_SEARCH_MAX_INDEXES = 20;
+// Live feeds can edit an event without changing its id, so an index is also
+// rebuilt once it is older than the feed caches' soft TTL.
+const SHOW_SEARCH_INDEX_MAX_AGE_MS = RSS_CACHE_TTL_MS;
+// One index per request area, keyed by context and rebuilt when the aggregated events change.
+const showSearchIndexes = new Map();
+
+function buildShowSearchDocument(event) {
+  const attractions = [
+    ...(Array.isArray(event?.ticketmaster?.attractions) ? event.ticketmaster.attractions : []),
+    ...(Array.isArray(event?.performers) ? event.performers : [])
+  ].map(attraction => attraction?.name).filter(Boolean);
+  return {
+    id: String(event.id),
+    ref: event,
+    fields: {
+      title: event?.name?.text || '',
+      summary: typeof event?.summary === 'string' ? event.summary : '',
+      venue: event?.venue?.name || '',
+      attractions: attractions.join(', '),
+      genres: (Array.isArray(event?.genres) ? event.genres : []).filter(genre => typeof genre === 'string').join(', ')
+    }
+  };
+}
+
+/**
+ * A cheap version of an aggregation: which events it holds and when each
+ * stored source was ingested. Re-ingestion or a changed event list moves it.
+ */
+function describeShowAggregationVersion(aggregated) {
+  const ingested = aggregated.sourceSummaries.map(summary => `${summary?.id}@${summary?.ingestedAt || ''}`);
+  const ids = aggregated.events.map(event => event?.id ?? '');
+  return `${ingested.join(',')}\n${ids.join('\n')}`;
+}
+
+/**
+ * Returns the search index for the events aggregated for `context`, reusing
+ * the cached one while the aggregation version is unchanged and the index is
+ * younger than SHOW_SEARCH_INDEX_MAX_AGE_MS.
+ */
+function getShowSearchIndex(context, aggregated) {
+  const key = [context.latitude, context.longitude, context.radiusMiles, context.lookaheadDays].join('|');
+  const version = describeShowAggregationVersion(aggregated);
+  const existing = showSearchIndexes.get(key);
+  if (existing && existing.version === version && Date.now() - existing.builtAtMs < SHOW_SEARCH_INDEX_MAX_AGE_MS) {
+    return existing;
+  }
+  const documents = aggregated.events.filter(event => event && event.id).map(buildShowSearchDocument);
+  const builtAtMs = Date.now();
+  const entry = { version, builtAtMs, index: createSearchIndex(documents), builtAt: new Date(builtAtMs).toISOString() };
+  showSearchIndexes.delete(key);
+  showSearchIndexes.set(key, entry);
+  while (showSearchIndexes.size > SHOW_SEARCH_MAX_INDEXES) {
+    showSearchIndexes.delete(showSearchIndexes.keys().next().value);
+  }
+  return entry;
+}
+
+function clearShowSearchIndexes() {
+  showSearchIndexes.clear();
+}
+
+// --- /api/shows syndication feeds ---
+
+const SHOW_FEED_DEFAULT_LIMIT = 50;
+const SHOW_FEED_MAX_AGE_SECONDS = 300;
+const SHOW_FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRssFeed },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtomFeed },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+function resolveRequestOrigin(req) {
+  const forwardedProto = String(req.get('x-forwarded-proto') || '').split(',')[0].trim();
+  return `${forwardedProto || req.protocol}://${req.get('host')}`;
+}
+
+function resolveEventFeedImage(event) {
+  const ticketmasterImages = Array.isArray(event?.ticketmaster?.images)
+    ? event.ticketmaster.images
+        .filter(image => image && !image.fallback)
+        .sort((a, b) => (Number(b.width) || 0) - (Number(a.width) || 0))
+    : [];
+  const candidates = [...ticketmasterImages, ...(Array.isArray(event?.images) ? event.images : [])];
+  const image = candidates.find(entry => typeof entry?.url === 'string' && /^https?:\/\//i.test(entry.url));
+  return image ? { url: image.url } : null;
+}
+
+function formatFeedEventWhen(event) {
+  const local = typeof event?.start?.local === 'string' ? event.start.local.trim() : '';
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(local);
+  if (!dateOnly && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(local)) return '';
+  // The local value is the venue's wall clock, so format it without shifting zones.
+  const wallClock = new Date(`${dateOnly ? `${local}T00:00:00` : local.slice(0, 19)}Z`);
+  if (Number.isNaN(wallClock.getTime())) return '';
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    ...(dateOnly ? {} : { hour: 'numeric', minute: '2-digit' })
+  }).format(wallClock);
+}
+
+function buildShowFeedItem(event) {
+  const title = cleanText(event.name?.text || '') || 'Untitled event';
+  const when = formatFeedEventWhen(event);
+  const where = formatCalendarLocation(event.venue);
+  const details = cleanText(event.summary || '');
+  const url = typeof event.url === 'string' && /^https?:\/\//i.test(event.url) ? event.url : '';
+  const contentHtml = [
+    when ? `<p><strong>When:</strong> ${escapeXml(when)}</p>` : '',
+    where ? `<p><strong>Where:</strong> ${escapeXml(where)}</p>` : '',
+    details ? `<p>${escapeXml(details)}</p>` : ''
+  ].join('');
+  return {
+    id: String(event.id),
+    url,
+    title,
+    summary: [[when, where].filter(Boolean).join(' · '), details].filter(Boolean).join(' — '),
+    contentHtml,
+    date: event.start?.utc || event.start?.local || null,
+    image: resolveEventFeedImage(event),
+    categories: Array.isArray(event.genres) ? event.genres.filter(genre => typeof genre === 'string' && genre) : [],
+    extensions: {
+      event: {
+        start: event.start || null,
+        end: event.end || null,
+        venue: event.venue?.name || null,
+        sources: getEventSourceIds(event)
+      }
+    }
+  };
+}
+
+// --- /api/shows pagination and projection ---
+
+const SHOWS_PAGE_MAX_LIMIT = 200;
+const SHOW_FIELD_SETS = new Set(['full', 'summary']);
+const SERVED_EVENTS_MAX = 5000;
+// Full records of recently served events, so the detail endpoint can return
+// merged and live-fetched events that never reached the events store.
+const servedEventsById = new Map();
+
+function encodeShowsCursor(event) {
+  return Buffer.from(JSON.stringify(buildEventSortKey(event)), 'utf8').toString('base64url');
+}
+
+function decodeShowsCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const isNullableNumber = value => value === null || Number.isFinite(value);
+    if (key && isNullableNumber(key.time) && isNullableNumber(key.distance) && typeof key.id === 'string') {
+      return key;
+    }
+  } catch {
+    // fall through
+  }
+  const err = new Error('Invalid cursor');
+  err.status = 400;
+  err.code = 'invalid_cursor';
+  throw err;
+}
+
+/**
+ * Returns the page of sorted events that follows `cursor` (the sort key of the
+ * last event on the previous page) plus the cursor for the next page. Keyset
+ * cursors stay stable when events are added or removed between requests.
+ */
+function paginateSortedEvents(events, { limit, cursor }) {
+  let startIndex = 0;
+  if (cursor) {
+    const after = decodeShowsCursor(cursor);
+    startIndex = events.findIndex(event => compareEventSortKeys(buildEventSortKey(event), after) > 0);
+    if (startIndex < 0) startIndex = events.length;
+  }
+  if (!limit) {
+    return { events: events.slice(startIndex), nextCursor: null };
+  }
+  const page = events.slice(startIndex, startIndex + limit);
+  const hasMore = startIndex + limit < events.length;
+  return { events: page, nextCursor: hasMore && page.length ? encodeShowsCursor(page[page.length - 1]) : null };
+}
+
+/**
+ * `fields=summary` drops the upstream Ticketmaster object (`ticketmaster.raw`),
+ * which is most of the payload; the full record stays available from
+ * `/api/shows/:eventId`.
+ */
+function projectShowEvent(event, fields) {
+  const signed = signEventImages(event);
+  if (fields !== 'summary' || !signed?.ticketmaster?.raw) return signed;
+  const { raw, ...ticketmaster } = signed.ticketmaster;
+  return { ...signed, ticketmaster };
+}
+
+function rememberServedEvents(events) {
+  events.forEach(event => {
+    if (!event?.id) return;
+    const id = String(event.id);
+    servedEventsById.delete(id);
+    servedEventsById.set(id, event);
+  });
+  while (servedEventsById.size > SERVED_EVENTS_MAX) {
+    servedEventsById.delete(servedEventsById.keys().next().value);
+  }
+}
+
+/**
+ * Looks an event up among recently served events, then in the events store.
+ * A miss is a 404 for the caller: the lookup never fetches upstream, so a
+ * made-up id costs no more than a store read.
+ */
+async function findShowEventById(eventId, { store = getEventStore() } = {}) {
+  if (servedEventsById.has(eventId)) return servedEventsById.get(eventId);
+  const records = await store.findEventsById(eventId);
+  if (!records.length) return null;
+  const latest = records.reduce((best, record) =>
+    String(record.ingestedAt || '') > String(best.ingestedAt || '') ? record : best
+  );
+  return latest.event || null;
+}
+
+function invalidShowsRequest(code) {
+  const err = new Error(code);
+  err.status = 400;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Reads lat/lon/radius/days from a `/api/shows`-style query. Without
+ * coordinates it falls back to `defaultRegion` when given and otherwise throws
+ * a 400 `missing_coordinates` error.
+ */
+function parseShowsContext(query, { defaultRegion = null } = {}) {
+  const rawLat = query.lat ?? query.latitude;
+  const rawLon = query.lon ?? query.longitude;
+  let latitude = normalizeCoordinate(rawLat, 4);
+  let longitude = normalizeCoordinate(rawLon, 4);
   if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-    return res.status(400).json({ error: 'missing_coordinates' });
+    if (!defaultRegion) throw invalidShowsRequest('missing_coordinates');
+    latitude = defaultRegion.latitude;
+    longitude = defaultRegion.longitude;
   }
 
-  const parsedRadius = parseNumberQuery(req.query.radius);
+  const parsedRadius = parseNumberQuery(query.radius);
   const radiusMiles = Number.isFinite(parsedRadius) && parsedRadius > 0
     ? Math.min(Math.max(parsedRadius, 1), TICKETMASTER_MAX_RADIUS_MILES)
     : TICKETMASTER_DEFAULT_RADIUS;
 
-  const lookaheadDays = clampDays(req.query.days) || TICKETMASTER_DEFAULT_DAYS;
+  const lookaheadDays = clampDays(query.days) || TICKETMASTER_DEFAULT_DAYS;
+  return { latitude, longitude, radiusMiles, lookaheadDays };
+}
 
+/**
+ * Collects events from every enabled datasource for `context` — from the
+ * events store when it covers the request, otherwise live — then applies the
+ * time-window policy and cross-source dedupe. `ok` is false when no source
+ * succeeded, with `status`/`error` describing the failure.
+ */
+async function aggregateShowEvents(context, { forceLive = false, dedupe = true, timePolicy } = {}) {
   const { sources } = await loadDatasources();
   const enabledSources = sources.filter(source => source.enabled);
   if (!enabledSources.length) {
-    return res.status(500).json({ error: 'no_enabled_sources' });
+    return { ok: false, status: 500, error: 'no_enabled_sources', enabledSources, sourceSummaries: [] };
   }
 
-  const context = { latitude, longitude, radiusMiles, lookaheadDays };
-  const results = await Promise.all(enabledSources.map(source => runDatasourceFetch(source, context)));
+  let storedResults = null;
+  if (!forceLive) {
+    try {
+      storedResults = await readStoredShowResults(enabledSources, context);
+    } catch (err) {
+      console.error('Failed to read events store; fetching live', err);
+    }
+  }
+  const results = await Promise.all(
+    enabledSources.map((source, index) => storedResults?.[index] || runDatasourceFetch(source, context))
+  );
+  const storedCount = storedResults ? storedResults.filter(Boolean).length : 0;
 
   const events = [];
   const sourceSummaries = [];
   let anySuccess = false;
   let segments = null;
   let cached = true;
+  let stale = false;
 
   results.forEach(result => {
     sourceSummaries.push(result.summary);
     if (result.ok) {
       anySuccess = true;
+      stale = stale || Boolean(result.stale);
       cached = cached && Boolean(result.cached);
       events.push(...result.events);
       if (!segments && result.segments && result.segments.length) {
@@ -4069,58 +7800,686 @@ app.get('/api/shows', async (req, res) => {
 
   if (!anySuccess) {
     const missingKey = results.find(result => result?.error?.code === 'ticketmaster_api_key_missing');
-    if (missingKey) {
-      return res.status(500).json({
-        error: 'ticketmaster_api_key_missing',
-        sources: sourceSummaries
-      });
+    return {
+      ok: false,
+      status: missingKey ? 500 : 502,
+      error: missingKey ? 'ticketmaster_api_key_missing' : 'datasource_fetch_failed',
+      enabledSources,
+      sourceSummaries
+    };
+  }
+
+  const windowed = applyTimeWindowPolicy(events, timePolicy);
+  const merged = dedupe ? mergeDuplicateEvents(windowed) : { events: windowed, collapsed: 0 };
+  return {
+    ok: true,
+    enabledSources,
+    sourceSummaries,
+    events: merged.events,
+    collapsed: merged.collapsed,
+    segments,
+    cached,
+    stale,
+    origin: !storedCount ? 'live' : storedCount === enabledSources.length ? 'store' : 'mixed'
+  };
+}
+
+app.get('/api/shows', async (req, res) => {
+  let context;
+  let filters;
+  let timePolicy;
+  try {
+    context = parseShowsContext(req.query);
+    filters = parseShowFilters(req.query);
+    context = fitShowsContextToFilters(context, filters);
+    timePolicy = parseShowTimePolicy(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json(
+      err.parameter ? { error: err.code, parameter: err.parameter, message: err.message } : { error: err.code }
+    );
+  }
+  const fields = String(req.query.fields || 'full').trim().toLowerCase();
+  if (!SHOW_FIELD_SETS.has(fields)) {
+    return res.status(400).json({ error: 'invalid_fields' });
+  }
+  const limit = req.query.limit === undefined
+    ? null
+    : normalizePositiveInteger(req.query.limit, { min: 1, max: SHOWS_PAGE_MAX_LIMIT });
+  if (req.query.limit !== undefined && !limit) {
+    return res.status(400).json({ error: 'invalid_limit' });
+  }
+  const cursor = typeof req.query.cursor === 'string' && req.query.cursor ? req.query.cursor : null;
+  if (cursor) {
+    try {
+      decodeShowsCursor(cursor);
+    } catch (err) {
+      return res.status(400).json({ error: err.code });
     }
-    return res.status(502).json({
-      error: 'datasource_fetch_failed',
-      sources: sourceSummaries
-    });
   }
 
+  const aggregated = await aggregateShowEvents(context, {
+    forceLive: ['1', 'true'].includes(String(req.query.live ?? '').toLowerCase()),
+    dedupe: !['0', 'false', 'off'].includes(String(req.query.dedupe ?? '').toLowerCase()),
+    timePolicy
+  });
+  if (!aggregated.ok) {
+    return res.status(aggregated.status).json(
+      aggregated.sourceSummaries.length
+        ? { error: aggregated.error, sources: aggregated.sourceSummaries }
+        : { error: aggregated.error }
+    );
+  }
+
+  const { enabledSources } = aggregated;
+  const filtered = applyShowFilters(aggregated.events, filters);
+  const sortedEvents = sortEventsByTimeAndDistance(filtered.events);
+  const page = paginateSortedEvents(sortedEvents, { limit, cursor });
+  rememberServedEvents(page.events);
+
   const payload = {
     source: enabledSources.length === 1 ? enabledSources[0].id : 'mixed',
     generatedAt: new Date().toISOString(),
-    cached,
-    radiusMiles,
-    lookaheadDays,
-    events: sortEventsByTimeAndDistance(applyWeekdayCutoff(events)),
-    sources: sourceSummaries
+    cached: aggregated.cached,
+    stale: aggregated.stale,
+    radiusMiles: context.radiusMiles,
+    lookaheadDays: context.lookaheadDays,
+    events: page.events.map(event => projectShowEvent(event, fields)),
+    total: sortedEvents.length,
+    nextCursor: page.nextCursor,
+    duplicatesCollapsed: aggregated.collapsed,
+    filters: describeActiveShowFilters(filters),
+    timePolicy: describeTimeWindowPolicy(timePolicy),
+    facets: filtered.facets,
+    origin: aggregated.origin,
+    sources: aggregated.sourceSummaries
   };
 
-  if (segments) {
-    payload.segments = segments;
+  if (aggregated.segments) {
+    payload.segments = redactOutbound(aggregated.segments);
   }
 
   res.json(payload);
 });
 
-app.get('/api/youtube/search', async (req, res) => {
-  const rawQuery =
-    req.query.q ?? req.query.query ?? req.query.term ?? req.query.artist ?? req.query.name ?? '';
-  const query = normalizeYouTubeQuery(rawQuery);
-
+app.get('/api/shows/search', async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
   if (!query) {
     return res.status(400).json({ error: 'missing_query' });
   }
+  const limit =
+    normalizePositiveInteger(req.query.limit, { min: 1, max: SHOW_SEARCH_MAX_LIMIT }) || SHOW_SEARCH_DEFAULT_LIMIT;
+  let context;
+  let timePolicy;
+  try {
+    context = parseShowsContext(req.query, { defaultRegion: resolveIngestionRegions()[0] });
+    timePolicy = parseShowTimePolicy(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json(
+      err.parameter ? { error: err.code, parameter: err.parameter, message: err.message } : { error: err.code }
+    );
+  }
 
-  if (!YOUTUBE_API_KEY) {
-    return res.status(501).json({ error: 'youtube_api_key_missing' });
+  const aggregated = await aggregateShowEvents(context, { timePolicy });
+  if (!aggregated.ok) {
+    return res.status(aggregated.status).json({ error: aggregated.error });
+  }
+  const { index, builtAt } = getShowSearchIndex(context, aggregated);
+  const { total, hits } = index.search(query, { limit });
+  rememberServedEvents(hits.map(hit => hit.ref));
+  res.json({
+    query,
+    total,
+    results: hits.map(hit => ({
+      event: projectShowEvent(hit.ref, 'summary'),
+      score: hit.score,
+      highlights: hit.highlights
+    })),
+    index: { size: index.size, builtAt },
+    origin: aggregated.origin
+  });
+});
+
+app.get('/api/shows/feed.:format', async (req, res) => {
+  const format = SHOW_FEED_FORMATS[String(req.params.format || '').toLowerCase()];
+  if (!format) {
+    return res.status(404).json({ error: 'unsupported_feed_format' });
+  }
+  let context;
+  let filters;
+  let timePolicy;
+  try {
+    context = parseShowsContext(req.query, { defaultRegion: resolveIngestionRegions()[0] });
+    filters = parseShowFilters(req.query);
+    context = fitShowsContextToFilters(context, filters);
+    timePolicy = parseShowTimePolicy(req.query);
+  } catch (err) {
+    return res.status(err.status || 400).json(
+      err.parameter ? { error: err.code, parameter: err.parameter, message: err.message } : { error: err.code }
+    );
+  }
+  const limit = req.query.limit === undefined
+    ? SHOW_FEED_DEFAULT_LIMIT
+    : normalizePositiveInteger(req.query.limit, { min: 1, max: SHOWS_PAGE_MAX_LIMIT });
+  if (!limit) {
+    return res.status(400).json({ error: 'invalid_limit' });
+  }
+
+  const aggregated = await aggregateShowEvents(context, { timePolicy });
+  if (!aggregated.ok) {
+    return res.status(aggregated.status).json({ error: aggregated.error });
+  }
+  const { events } = applyShowFilters(aggregated.events, filters);
+  const items = sortEventsByTimeAndDistance(events).slice(0, limit).map(buildShowFeedItem);
+  const origin = resolveRequestOrigin(req);
+  const feedUrl = `${origin}${req.originalUrl}`;
+  const body = format.build(
+    {
+      title: 'Live events',
+      description: `Events within ${context.radiusMiles} miles of ${context.latitude}, ${context.longitude} over the next ${context.lookaheadDays} days`,
+      homeUrl: `${origin}/`,
+      feedUrl,
+      updated: new Date().toISOString(),
+      ttlMinutes: SHOW_FEED_MAX_AGE_SECONDS / 60
+    },
+    items
+  );
+
+  // The ETag covers the items only, so an unchanged event list revalidates
+  // with a 304 even though the build timestamp moves.
+  const etag = crypto.createHash('sha1').update(`${feedUrl}\n${JSON.stringify(items)}`).digest('base64url');
+  res.set('Content-Type', format.contentType);
+  res.set('Cache-Control', `public, max-age=${SHOW_FEED_MAX_AGE_SECONDS}`);
+  res.set('ETag', `"${etag}"`);
+  res.send(body);
+});
+
+app.get('/api/shows/:eventId', async (req, res) => {
+  const eventId = String(req.params.eventId || '').trim();
+  if (!eventId) {
+    return res.status(400).json({ error: 'missing_event_id' });
+  }
+  try {
+    const event = await findShowEventById(eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'event_not_found' });
+    }
+    res.json({ event: signEventImages(event) });
+  } catch (err) {
+    console.error('Failed to load event', err);
+    res.status(500).json({ error: 'event_lookup_failed' });
+  }
+});
+
+// --- Event image proxy ---
+
+const IMAGE_PROXY_CACHE_COLLECTION = 'imageProxyCache';
+const IMAGE_PROXY_CACHE_TTL_MS = 1000 * 60 * 60 * 24 * 30; // 30 days
+const IMAGE_PROXY_CACHE_VERSION = 'v1';
+const IMAGE_PROXY_FETCH_TIMEOUT_MS = 10000;
+const IMAGE_PROXY_MAX_SOURCE_BYTES = 15 * 1024 * 1024;
+const IMAGE_PROXY_MAX_AGE_SECONDS = 60 * 60 * 24 * 7;
+const IMAGE_PROXY_FORMAT_ALIASES = { webp: 'webp', jpeg: 'jpeg', jpg: 'jpeg' };
+const IMAGE_PROXY_MAX_REDIRECTS = 3;
+// /api/image only fetches artwork URLs the server signed when it served the
+// event, so the endpoint is not an open proxy. Every instance must share the
+// key, so without IMAGE_PROXY_SECRET nothing is signed and cards use the
+// original image URL.
+const IMAGE_PROXY_SECRET = process.env.IMAGE_PROXY_SECRET || '';
+if (!IMAGE_PROXY_SECRET) {
+  console.warn('IMAGE_PROXY_SECRET is not set; the image proxy is disabled');
+}
+
+// Concurrent requests for one source image share a single fetch and resize.
+const imageProxyInFlight = new Map();
+
+function imageProxyCacheKey(url, variant) {
+  return ['image', IMAGE_PROXY_CACHE_VERSION, url, variant];
+}
+
+function imageProxyError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function signImageProxyUrl(url) {
+  return crypto.createHmac('sha256', IMAGE_PROXY_SECRET).update(String(url)).digest('base64url').slice(0, 32);
+}
+
+function isValidImageProxySignature(url, signature) {
+  if (!IMAGE_PROXY_SECRET || typeof signature !== 'string' || !signature) return false;
+  const expected = Buffer.from(signImageProxyUrl(url));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function signImageList(images) {
+  if (!Array.isArray(images)) return images;
+  return images.map(image =>
+    image && typeof image.url === 'string' && isProxyableImageUrl(image.url)
+      ? { ...image, proxySignature: signImageProxyUrl(image.url) }
+      : image
+  );
+}
+
+/**
+ * Adds a `proxySignature` to each artwork entry so clients can load it through
+ * /api/image. Events pass through unchanged while the proxy is disabled.
+ */
+function signEventImages(event) {
+  if (!IMAGE_PROXY_SECRET || !event || typeof event !== 'object') return event;
+  const signed = { ...event };
+  if (Array.isArray(event.images)) signed.images = signImageList(event.images);
+  if (Array.isArray(event.ticketmaster?.images)) {
+    signed.ticketmaster = { ...event.ticketmaster, images: signImageList(event.ticketmaster.images) };
+  }
+  return signed;
+}
+
+async function assertProxyableImageHost(url) {
+  try {
+    await assertPublicHttpUrl(url);
+  } catch (err) {
+    throw imageProxyError(400, 'invalid_image_url', err.message);
+  }
+}
+
+// Streams the body so a response without Content-Length stops at the size cap.
+async function readImageProxyBody(response) {
+  if (!response.body) return Buffer.from(await response.arrayBuffer());
+  const reader = response.body.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > IMAGE_PROXY_MAX_SOURCE_BYTES) {
+      await reader.cancel().catch(() => {});
+      throw imageProxyError(422, 'invalid_image', 'Image is too large');
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, length);
+}
+
+// Redirects are followed by hand so every hop's host is resolved and checked.
+async function fetchImageProxySource(url) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timeout = controller ? setTimeout(() => controller.abort(), IMAGE_PROXY_FETCH_TIMEOUT_MS) : null;
+  try {
+    let response;
+    let target = url;
+    for (let hop = 0; ; hop += 1) {
+      await assertProxyableImageHost(target);
+      try {
+        response = await fetch(target, {
+          headers: { Accept: 'image/avif,image/webp,image/*;q=0.8', 'User-Agent': 'LiveShowsImageProxy/1.0' },
+          redirect: 'manual',
+          signal: controller?.signal
+        });
+      } catch (err) {
+        throw imageProxyError(502, 'image_fetch_failed', `Image request failed: ${err.message}`);
+      }
+      const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+      if (!location) break;
+      if (hop >= IMAGE_PROXY_MAX_REDIRECTS) {
+        throw imageProxyError(502, 'image_fetch_failed', 'Image request redirected too many times');
+      }
+      try {
+        target = new URL(location, target).toString();
+      } catch {
+        throw imageProxyError(502, 'image_fetch_failed', 'Image request redirected to an invalid URL');
+      }
+    }
+    if (!response.ok) {
+      throw imageProxyError(502, 'image_fetch_failed', `Image request failed: ${response.status}`);
+    }
+    const contentType = String(response.headers.get('content-type') || '').toLowerCase();
+    if (contentType && !contentType.startsWith('image/') && !contentType.startsWith('application/octet-stream')) {
+      throw imageProxyError(422, 'invalid_image', `Unexpected content type ${contentType}`);
+    }
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (Number.isFinite(declaredLength) && declaredLength > IMAGE_PROXY_MAX_SOURCE_BYTES) {
+      throw imageProxyError(422, 'invalid_image', 'Image is too large');
+    }
+    return await readImageProxyBody(response);
+  } finally {
+    if (timeout) clearTimeout(timeout);
+  }
+}
+
+/**
+ * Fetches `url` once, renders every thumbnail scale in `format` plus the
+ * placeholder, and caches each separately so later requests for any of them
+ * skip the upstream fetch.
+ */
+async function renderProxiedImage(url, format) {
+  const flightKey = `${format}|${url}`;
+  if (imageProxyInFlight.has(flightKey)) return imageProxyInFlight.get(flightKey);
+  const task = (async () => {
+    const source = await fetchImageProxySource(url);
+    const rendered = await renderThumbnails(source, { format });
+    const metadata = {
+      placeholder: rendered.placeholder,
+      source: rendered.source,
+      cachedAt: new Date().toISOString()
+    };
+    await Promise.all([
+      ...rendered.variants.map(variant =>
+        safeWriteCachedResponse(IMAGE_PROXY_CACHE_COLLECTION, imageProxyCacheKey(url, `${format}@${variant.scale}x`), {
+          status: 200,
+          contentType: variant.contentType,
+          body: variant.body.toString('base64'),
+          metadata: { ...metadata, width: variant.width, height: variant.height }
+        })
+      ),
+      safeWriteCachedResponse(IMAGE_PROXY_CACHE_COLLECTION, imageProxyCacheKey(url, 'placeholder'), {
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify(rendered.placeholder),
+        metadata
+      })
+    ]);
+    return rendered;
+  })();
+  imageProxyInFlight.set(flightKey, task);
+  try {
+    return await task;
+  } finally {
+    imageProxyInFlight.delete(flightKey);
   }
+}
 
-  const cacheKey = youtubeSearchCacheKey(query);
+async function getProxiedImage(url, { format, scale }) {
   const cached = await safeReadCachedResponse(
-    YOUTUBE_SEARCH_CACHE_COLLECTION,
-    cacheKey,
-    YOUTUBE_SEARCH_CACHE_TTL_MS
+    IMAGE_PROXY_CACHE_COLLECTION,
+    imageProxyCacheKey(url, `${format}@${scale}x`),
+    IMAGE_PROXY_CACHE_TTL_MS
   );
-  if (sendCachedResponse(res, cached)) {
-    return;
+  if (cached && typeof cached.body === 'string') {
+    return {
+      contentType: cached.contentType,
+      body: Buffer.from(cached.body, 'base64'),
+      placeholder: cached.metadata?.placeholder || null,
+      cached: true
+    };
+  }
+  const rendered = await renderProxiedImage(url, format);
+  const variant = rendered.variants.find(entry => entry.scale === scale);
+  return { contentType: variant.contentType, body: variant.body, placeholder: rendered.placeholder, cached: false };
+}
+
+async function getProxiedImagePlaceholder(url) {
+  const cached = await safeReadCachedResponse(
+    IMAGE_PROXY_CACHE_COLLECTION,
+    imageProxyCacheKey(url, 'placeholder'),
+    IMAGE_PROXY_CACHE_TTL_MS
+  );
+  if (cached && typeof cached.body === 'string') {
+    try {
+      return JSON.parse(cached.body);
+    } catch (err) {
+      console.warn('Unable to parse cached image placeholder', err);
+    }
+  }
+  return (await renderProxiedImage(url, 'webp')).placeholder;
+}
+
+function parseImageProxyRequest(req) {
+  if (!IMAGE_PROXY_SECRET) throw imageProxyError(501, 'image_proxy_disabled', 'IMAGE_PROXY_SECRET is not set');
+  const url = typeof req.query.url === 'string' ? req.query.url.trim() : '';
+  if (!isProxyableImageUrl(url)) throw imageProxyError(400, 'invalid_image_url', 'url must be a public http(s) URL');
+  if (!isValidImageProxySignature(url, req.query.sig)) {
+    throw imageProxyError(403, 'invalid_image_signature', 'Only image URLs served with events can be proxied');
+  }
+  const scale = req.query.scale === undefined ? 1 : Number(String(req.query.scale).replace(/x$/i, ''));
+  if (!THUMBNAIL_SCALES.includes(scale)) {
+    throw imageProxyError(400, 'invalid_image_scale', `scale must be one of ${THUMBNAIL_SCALES.join(', ')}`);
+  }
+  let format = null;
+  if (req.query.format !== undefined) {
+    format = IMAGE_PROXY_FORMAT_ALIASES[String(req.query.format).trim().toLowerCase()];
+    if (!format) throw imageProxyError(400, 'invalid_image_format', 'format must be webp or jpeg');
+  }
+  return { url, scale, format };
+}
+
+function sendImageProxyError(res, err, url) {
+  if (!err.status || err.status >= 500) {
+    console.warn('Image proxy failed', { url: redactOutbound(url || ''), error: redactOutbound(err?.message || String(err)) });
+  }
+  res.status(err.status || 502).json({ error: err.code || 'image_fetch_failed' });
+}
+
+app.get('/api/image', async (req, res) => {
+  let parsed;
+  try {
+    parsed = parseImageProxyRequest(req);
+  } catch (err) {
+    return sendImageProxyError(res, err);
+  }
+  if (!isImageProcessingAvailable()) {
+    return res.status(501).json({ error: 'image_processing_unavailable' });
+  }
+  let { format } = parsed;
+  if (!format) {
+    res.vary('Accept');
+    format = /image\/webp/i.test(req.get('accept') || '') ? 'webp' : 'jpeg';
+  }
+  try {
+    const image = await getProxiedImage(parsed.url, { format, scale: parsed.scale });
+    res.set('Cache-Control', `public, max-age=${IMAGE_PROXY_MAX_AGE_SECONDS}`);
+    if (image.placeholder?.color) res.set('X-Image-Placeholder', image.placeholder.color);
+    res.type(image.contentType);
+    res.send(image.body);
+  } catch (err) {
+    sendImageProxyError(res, err, parsed.url);
+  }
+});
+
+app.get('/api/image/placeholder', async (req, res) => {
+  let parsed;
+  try {
+    parsed = parseImageProxyRequest(req);
+  } catch (err) {
+    return sendImageProxyError(res, err);
+  }
+  if (!isImageProcessingAvailable()) {
+    return res.status(501).json({ error: 'image_processing_unavailable' });
+  }
+  try {
+    const placeholder = await getProxiedImagePlaceholder(parsed.url);
+    res.set('Cache-Control', `public, max-age=${IMAGE_PROXY_MAX_AGE_SECONDS}`);
+    res.json({ url: parsed.url, ...placeholder });
+  } catch (err) {
+    sendImageProxyError(res, err, parsed.url);
+  }
+});
+
+app.get('/api/image/lookups', requireAdmin, async (req, res) => {
+  try {
+    res.json({ sources: await getImageLookupStore().summarize() });
+  } catch (err) {
+    console.error('Failed to summarize image lookups', err);
+    res.status(500).json({ error: 'image_lookup_summary_failed' });
+  }
+});
+
+app.get('/api/browser-pool', requireAdmin, (req, res) => {
+  res.json({ available: headlessBrowserPool.isAvailable(), ...headlessBrowserPool.getMetrics() });
+});
+
+// --- Saved events calendar feed ---
+
+const CALENDAR_FEED_TOKEN_PATTERN = /^[A-Za-z0-9_-]{20,128}$/;
+const CALENDAR_FEED_DEFAULT_TIME_ZONE = 'America/New_York';
+const CALENDAR_FEED_DEFAULT_DURATION_MINUTES = 120;
+const CALENDAR_FEED_DEFAULT_REMINDER_MINUTES = 60;
+const CALENDAR_FEED_MAX_REMINDER_MINUTES = 7 * 24 * 60;
+const CALENDAR_FEED_REFRESH_MINUTES = 60;
+const CALENDAR_FEED_UID_DOMAIN = 'live-events';
+
+function resolveCalendarFeedTimeZone() {
+  const configured = process.env.SHOWS_CALENDAR_TIME_ZONE;
+  return isValidTimeZone(configured) ? configured.trim() : CALENDAR_FEED_DEFAULT_TIME_ZONE;
+}
+
+function resolveEventTimeZone(event, fallback) {
+  const candidates = [
+    event?.timeZone,
+    event?.start?.timeZone,
+    event?.start?.timezone,
+    event?.venue?.timeZone,
+    event?.ticketmaster?.raw?.dates?.timezone
+  ];
+  return candidates.find(isValidTimeZone) || fallback;
+}
+
+/**
+ * Maps an event `{ local, utc }` time onto the calendar writer's forms:
+ * date-only values become all-day, local wall-clock values keep the venue
+ * zone, and a bare UTC instant is written as UTC.
+ */
+function toCalendarTime(time, timeZone) {
+  if (!time || typeof time !== 'object') return null;
+  const local = typeof time.local === 'string' ? time.local.trim() : '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(local)) return { date: local };
+  // Saved events from before times were normalized may carry an instant here.
+  if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(local) && Number.isFinite(Date.parse(local))) {
+    return { utc: new Date(local).toISOString() };
+  }
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(local)) return { local, timeZone };
+  if (typeof time.utc === 'string' && Number.isFinite(Date.parse(time.utc))) return { utc: time.utc };
+  return null;
+}
+
+function formatCalendarLocation(venue) {
+  if (!venue || typeof venue !== 'object') return '';
+  const address = venue.address || {};
+  const locality = [address.region, address.postalCode].filter(Boolean).join(' ');
+  return [venue.name, address.line1, address.city, locality, address.country]
+    .map(part => (typeof part === 'string' ? part.trim() : ''))
+    .filter(Boolean)
+    .join(', ');
+}
+
+function buildCalendarFeedEntry(saved, { fallbackTimeZone, reminderMinutes }) {
+  const event = saved.event || {};
+  const timeZone = resolveEventTimeZone(event, fallbackTimeZone);
+  const start = toCalendarTime(event.start, timeZone);
+  if (!start) return null;
+  const title = cleanText(event.name?.text || event.name || event.title || '') || 'Saved event';
+  const summary = cleanText(event.summary || event.description || '');
+  const url = typeof event.url === 'string' && /^https?:\/\//i.test(event.url) ? event.url : '';
+  return {
+    uid: `${String(saved.id).replace(/[^A-Za-z0-9._-]/g, '-')}@${CALENDAR_FEED_UID_DOMAIN}`,
+    start,
+    end: toCalendarTime(event.end, timeZone),
+    durationMinutes: CALENDAR_FEED_DEFAULT_DURATION_MINUTES,
+    summary: title,
+    description: [summary, url].filter(Boolean).join('\n\n'),
+    location: formatCalendarLocation(event.venue),
+    geo: extractEventCoordinates(event),
+    url,
+    categories: Array.isArray(event.genres) ? event.genres.filter(genre => typeof genre === 'string' && genre) : [],
+    alarmMinutes: reminderMinutes
+  };
+}
+
+function parseCalendarReminder(value) {
+  if (value === undefined || value === '') return CALENDAR_FEED_DEFAULT_REMINDER_MINUTES;
+  const text = String(value).trim().toLowerCase();
+  if (['0', 'none', 'off'].includes(text)) return 0;
+  if (!/^\d+$/.test(text)) return null;
+  const minutes = Number(text);
+  return minutes <= CALENDAR_FEED_MAX_REMINDER_MINUTES ? minutes : null;
+}
+
+function buildCalendarFeedUrl(req, token) {
+  return `${resolveRequestOrigin(req)}/api/calendar/${token}.ics`;
+}
+
+app.get('/api/calendar/token', requireUser, async (req, res) => {
+  try {
+    const info = await getCalendarFeedStore().getTokenInfo(req.user.uid);
+    res.json({ active: Boolean(info), createdAt: info?.createdAt || null });
+  } catch (err) {
+    console.error('Failed to read calendar feed token', err);
+    res.status(500).json({ error: 'calendar_token_lookup_failed' });
+  }
+});
+
+// Issuing a token replaces any previous one, so the old subscription URL stops working.
+app.post('/api/calendar/token', requireUser, async (req, res) => {
+  try {
+    const { token, createdAt } = await getCalendarFeedStore().rotateToken(req.user.uid);
+    const url = buildCalendarFeedUrl(req, token);
+    res.status(201).json({ token, url, webcalUrl: url.replace(/^https?:/, 'webcal:'), createdAt });
+  } catch (err) {
+    console.error('Failed to issue calendar feed token', err);
+    res.status(500).json({ error: 'calendar_token_failed' });
+  }
+});
+
+app.delete('/api/calendar/token', requireUser, async (req, res) => {
+  try {
+    const revoked = await getCalendarFeedStore().revokeToken(req.user.uid);
+    res.json({ revoked });
+  } catch (err) {
+    console.error('Failed to revoke calendar feed token', err);
+    res.status(500).json({ error: 'calendar_token_failed' });
+  }
+});
+
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  const token = String(req.params.token || '');
+  const reminderMinutes = parseCalendarReminder(req.query.reminder);
+  if (reminderMinutes === null) {
+    return res.status(400).json({ error: 'invalid_reminder' });
+  }
+  // Unknown and malformed tokens look the same so URLs cannot be probed.
+  if (!CALENDAR_FEED_TOKEN_PATTERN.test(token)) {
+    return res.status(404).json({ error: 'calendar_not_found' });
+  }
+  try {
+    const store = getCalendarFeedStore();
+    const uid = await store.findUidByToken(token);
+    if (!uid) {
+      return res.status(404).json({ error: 'calendar_not_found' });
+    }
+    const fallbackTimeZone = resolveCalendarFeedTimeZone();
+    const entries = (await store.readSavedEvents(uid))
+      .map(saved => buildCalendarFeedEntry(saved, { fallbackTimeZone, reminderMinutes }))
+      .filter(Boolean);
+    const body = buildIcsCalendar({
+      name: 'Saved shows',
+      prodId: '-//live-events//Saved shows//EN',
+      timeZone: fallbackTimeZone,
+      refreshMinutes: CALENDAR_FEED_REFRESH_MINUTES,
+      events: entries
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="saved-shows.ics"');
+    res.set('Cache-Control', `private, max-age=${CALENDAR_FEED_REFRESH_MINUTES * 60}`);
+    res.send(body);
+  } catch (err) {
+    console.error('Failed to build calendar feed', err);
+    res.status(500).json({ error: 'calendar_feed_failed' });
   }
+});
+
+function youTubeSearchError(status, code) {
+  const err = new Error(code);
+  err.status = status;
+  err.code = code;
+  return err;
+}
 
+// Looks up the top embeddable video for `query`; resolves with a cacheable
+// response payload and throws coded errors for upstream failures.
+async function searchYouTube(query) {
   const params = new URLSearchParams({
     key: YOUTUBE_API_KEY,
     part: 'snippet',
@@ -4141,17 +8500,17 @@ app.get('/api/youtube/search', async (req, res) => {
     response = await fetch(url);
     text = await response.text();
   } catch (err) {
-    console.error('YouTube search request failed', { query, err });
-    return res.status(502).json({ error: 'youtube_search_failed' });
+    console.error('YouTube search request failed', { query, error: redactOutbound(err?.message || String(err)) });
+    throw youTubeSearchError(502, 'youtube_search_failed');
   }
 
   if (!response.ok) {
     console.error(
       'YouTube search responded with error',
       response.status,
-      text ? text.slice(0, 200) : ''
+      text ? redactOutbound(text.slice(0, 200)) : ''
     );
-    return res.status(response.status).json({ error: 'youtube_search_error' });
+    throw youTubeSearchError(response.status, 'youtube_search_error');
   }
 
   let data;
@@ -4159,7 +8518,7 @@ app.get('/api/youtube/search', async (req, res) => {
     data = text ? JSON.parse(text) : null;
   } catch (err) {
     console.error('Failed to parse YouTube search response as JSON', err);
-    return res.status(502).json({ error: 'youtube_response_invalid' });
+    throw youTubeSearchError(502, 'youtube_response_invalid');
   }
 
   const items = Array.isArray(data?.items) ? data.items : [];
@@ -4187,17 +8546,42 @@ app.get('/api/youtube/search', async (req, res) => {
       : null
   };
 
-  const body = JSON.stringify(payload);
-
-  await safeWriteCachedResponse(YOUTUBE_SEARCH_CACHE_COLLECTION, cacheKey, {
+  return {
     status: 200,
     contentType: 'application/json',
-    body,
+    body: JSON.stringify(payload),
     metadata: { query, fetchedAt: new Date().toISOString() }
-  });
+  };
+}
+
+app.get('/api/youtube/search', async (req, res) => {
+  const rawQuery =
+    req.query.q ?? req.query.query ?? req.query.term ?? req.query.artist ?? req.query.name ?? '';
+  const query = normalizeYouTubeQuery(rawQuery);
+
+  if (!query) {
+    return res.status(400).json({ error: 'missing_query' });
+  }
+
+  if (!YOUTUBE_API_KEY) {
+    return res.status(501).json({ error: 'youtube_api_key_missing' });
+  }
 
-  res.set('Cache-Control', 'public, max-age=1800');
-  res.type('application/json').send(body);
+  let result;
+  try {
+    result = await fetchCachedResponse(
+      YOUTUBE_SEARCH_CACHE_COLLECTION,
+      youtubeSearchCacheKey(query),
+      { softTtlMs: YOUTUBE_SEARCH_CACHE_TTL_MS, hardTtlMs: YOUTUBE_SEARCH_CACHE_HARD_TTL_MS },
+      () => searchYouTube(query)
+    );
+  } catch (err) {
+    return res.status(err.status || 502).json({ error: err.code || 'youtube_search_failed' });
+  }
+  if (!result.cached) {
+    res.set('Cache-Control', 'public, max-age=1800');
+  }
+  sendCachedResponse(res, result);
 });
 
 // --- GeoLayers game endpoints ---
@@ -4368,10 +8752,51 @@ if (require.main === module) {
       console.error('Failed to start server', err);
       process.exit(1);
     });
+  if (process.env.SHOWS_INGEST_LOCAL === 'true') {
+    startLocalIngestionLoop();
+  }
   module.exports = server;
   module.exports.app = app;
   module.exports.fetchImageFromEventLinks = fetchImageFromEventLinks;
+  module.exports.parseDcImprovShows = parseDcImprovShows;
+  module.exports.parseBlackCatSchedule = parseBlackCatSchedule;
+  module.exports.parseHtmlSourceEvents = parseHtmlSourceEvents;
+  module.exports.fetchHtmlSourceEvents = fetchHtmlSourceEvents;
+  module.exports.parseJsonFeedEvents = parseJsonFeedEvents;
+  module.exports.fetchJsonFeedEvents = fetchJsonFeedEvents;
+  module.exports.parseJsonLdEvents = parseJsonLdEvents;
+  module.exports.fetchJsonLdEvents = fetchJsonLdEvents;
+  module.exports.parseIcalFeed = parseIcalFeed;
+  module.exports.formatTicketmasterEvent = formatTicketmasterEvent;
+  module.exports.normalizeEventTimes = normalizeEventTimes;
+  module.exports.mergeDuplicateEvents = mergeDuplicateEvents;
+  module.exports.runEventIngestion = runEventIngestion;
+  module.exports.runDatasourceFetch = runDatasourceFetch;
+  module.exports.setEventStore = setEventStore;
+  module.exports.setCalendarFeedStore = setCalendarFeedStore;
+  module.exports.setImageLookupStore = setImageLookupStore;
+  module.exports.setHeadlessBrowserPool = setHeadlessBrowserPool;
+  module.exports.signImageProxyUrl = signImageProxyUrl;
 } else {
   module.exports = app;
   module.exports.fetchImageFromEventLinks = fetchImageFromEventLinks;
+  module.exports.parseDcImprovShows = parseDcImprovShows;
+  module.exports.parseBlackCatSchedule = parseBlackCatSchedule;
+  module.exports.parseHtmlSourceEvents = parseHtmlSourceEvents;
+  module.exports.fetchHtmlSourceEvents = fetchHtmlSourceEvents;
+  module.exports.parseJsonFeedEvents = parseJsonFeedEvents;
+  module.exports.fetchJsonFeedEvents = fetchJsonFeedEvents;
+  module.exports.parseJsonLdEvents = parseJsonLdEvents;
+  module.exports.fetchJsonLdEvents = fetchJsonLdEvents;
+  module.exports.parseIcalFeed = parseIcalFeed;
+  module.exports.formatTicketmasterEvent = formatTicketmasterEvent;
+  module.exports.normalizeEventTimes = normalizeEventTimes;
+  module.exports.mergeDuplicateEvents = mergeDuplicateEvents;
+  module.exports.runEventIngestion = runEventIngestion;
+  module.exports.runDatasourceFetch = runDatasourceFetch;
+  module.exports.setEventStore = setEventStore;
+  module.exports.setCalendarFeedStore = setCalendarFeedStore;
+  module.exports.setImageLookupStore = setImageLookupStore;
+  module.exports.setHeadlessBrowserPool = setHeadlessBrowserPool;
+  module.exports.signImageProxyUrl = signImageProxyUrl;
 }
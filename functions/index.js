@@ -4,3 +4,16 @@ const app = require('./backend/server');
 exports.api = functions
   .region(process.env.FUNCTIONS_REGION || 'us-central1')
   .https.onRequest(app);
+
+exports.ingestShows = functions
+  .region(process.env.FUNCTIONS_REGION || 'us-central1')
+  .pubsub.schedule(process.env.SHOWS_INGEST_SCHEDULE || 'every 5 minutes')
+  .onRun(async () => {
+    const result = await app.runEventIngestion();
+    const ran = result.runs.filter(run => !run.skipped);
+    const failed = ran.filter(run => !run.ok);
+    console.log(
+      `Ingested ${ran.length - failed.length}/${ran.length} datasource runs across ${result.regions.length} regions`
+    );
+    failed.forEach(run => console.warn(`Ingestion failed for ${run.sourceId} in ${run.regionId}: ${run.error}`));
+  });
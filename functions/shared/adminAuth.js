@@ -0,0 +1,106 @@
+const { firestoreAdmin } = require('./firestore');
+
+const DEFAULT_ADMIN_CLAIM = 'admin';
+
+let idTokenVerifier = null;
+
+function parseList(value) {
+  if (typeof value !== 'string') return [];
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+function resolveAdminPolicy() {
+  return {
+    emails: new Set(parseList(process.env.ADMIN_EMAILS).map(email => email.toLowerCase())),
+    uids: new Set(parseList(process.env.ADMIN_UIDS)),
+    claim: (process.env.ADMIN_CLAIM || DEFAULT_ADMIN_CLAIM).trim()
+  };
+}
+
+function isAdminToken(decoded, policy = resolveAdminPolicy()) {
+  if (!decoded) return false;
+  if (policy.claim && decoded[policy.claim] === true) return true;
+  if (decoded.uid && policy.uids.has(decoded.uid)) return true;
+  const email = typeof decoded.email === 'string' ? decoded.email.toLowerCase() : '';
+  return Boolean(email && decoded.email_verified !== false && policy.emails.has(email));
+}
+
+function readBearerToken(req) {
+  const header = req.get ? req.get('authorization') : req.headers?.authorization;
+  if (typeof header !== 'string') return '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+async function verifyIdToken(token) {
+  if (idTokenVerifier) return idTokenVerifier(token);
+  if (!firestoreAdmin.apps.length) {
+    firestoreAdmin.initializeApp();
+  }
+  return firestoreAdmin.auth().verifyIdToken(token);
+}
+
+/**
+ * Swaps the Firebase ID-token verifier, e.g. for tests. Pass null to restore
+ * the firebase-admin verifier.
+ */
+function setIdTokenVerifier(verifier) {
+  idTokenVerifier = typeof verifier === 'function' ? verifier : null;
+}
+
+/**
+ * Express middleware that requires a Firebase ID token belonging to an admin:
+ * either carrying the admin custom claim or listed in ADMIN_EMAILS / ADMIN_UIDS.
+ * Responds 401 when the token is missing or invalid and 403 when it is valid
+ * but not an admin. The decoded token is exposed as `req.user`.
+ */
+async function requireAdmin(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'unauthenticated' });
+  }
+  let decoded;
+  try {
+    decoded = await verifyIdToken(token);
+  } catch (err) {
+    console.warn('Rejected admin request with invalid ID token', err?.code || err?.message || err);
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  if (!isAdminToken(decoded)) {
+    return res.status(403).json({ error: 'forbidden' });
+  }
+  req.user = decoded;
+  next();
+}
+
+/**
+ * Express middleware that requires any valid Firebase ID token. Responds 401
+ * when the token is missing or invalid; the decoded token is exposed as
+ * `req.user`.
+ */
+async function requireUser(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'unauthenticated' });
+  }
+  try {
+    req.user = await verifyIdToken(token);
+  } catch (err) {
+    console.warn('Rejected user request with invalid ID token', err?.code || err?.message || err);
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  if (!req.user?.uid) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+  requireUser,
+  isAdminToken,
+  setIdTokenVerifier
+};
@@ -0,0 +1,231 @@
+/**
+ * A bounded pool of headless browser pages over one lazily launched browser.
+ * Jobs (`async page => result`) wait in a FIFO queue and run at most
+ * `maxPages` at a time, each in its own context so cookies and storage never
+ * leak between jobs. A job that runs past its timeout has its context closed
+ * and rejects. The browser is closed after `idleTimeoutMs` without work and
+ * relaunched on demand, including after a crash; a job whose browser crashed
+ * under it is retried once. When the process RSS exceeds `maxRssBytes` only
+ * one page runs at a time.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxPages: 2,
+  maxQueue: 50,
+  jobTimeoutMs: 45000,
+  idleTimeoutMs: 60000,
+  launchRetryMs: 60000,
+  maxRssBytes: 0
+};
+
+function poolError(code, message, status = 503) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function createBrowserPool(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const { launch, contextOptions = {} } = settings;
+  const queue = [];
+  let active = 0;
+  let browser = null;
+  let browserPromise = null;
+  let closingBrowser = null;
+  let idleTimer = null;
+  let launchFailedAt = 0;
+  const metrics = {
+    launches: 0,
+    launchFailures: 0,
+    crashes: 0,
+    idleShutdowns: 0,
+    completed: 0,
+    failed: 0,
+    timedOut: 0,
+    rejected: 0,
+    retried: 0,
+    totalPageMs: 0,
+    maxPageMs: 0,
+    totalWaitMs: 0,
+    maxQueueDepth: 0
+  };
+
+  const isUnderMemoryPressure = () =>
+    settings.maxRssBytes > 0 && process.memoryUsage().rss > settings.maxRssBytes;
+
+  const clearIdleTimer = () => {
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = null;
+  };
+
+  async function closeBrowser() {
+    const current = browser;
+    browser = null;
+    browserPromise = null;
+    if (!current) return;
+    closingBrowser = current;
+    try {
+      await current.close();
+    } catch {
+      // Already gone.
+    } finally {
+      if (closingBrowser === current) closingBrowser = null;
+    }
+  }
+
+  function scheduleIdleShutdown() {
+    clearIdleTimer();
+    if (active || queue.length || !browser || !(settings.idleTimeoutMs > 0)) return;
+    idleTimer = setTimeout(() => {
+      idleTimer = null;
+      if (active || queue.length) return;
+      metrics.idleShutdowns += 1;
+      closeBrowser();
+    }, settings.idleTimeoutMs);
+    if (typeof idleTimer.unref === 'function') idleTimer.unref();
+  }
+
+  async function ensureBrowser() {
+    if (browser && (typeof browser.isConnected !== 'function' || browser.isConnected())) return browser;
+    if (browserPromise) return browserPromise;
+    if (launchFailedAt && Date.now() - launchFailedAt < settings.launchRetryMs) {
+      throw poolError('browser_unavailable', 'Headless browser failed to launch recently');
+    }
+    browserPromise = (async () => {
+      try {
+        const launched = await launch();
+        metrics.launches += 1;
+        launchFailedAt = 0;
+        if (typeof launched.on === 'function') {
+          launched.on('disconnected', () => {
+            if (closingBrowser === launched) return;
+            metrics.crashes += 1;
+            if (browser === launched) {
+              browser = null;
+              browserPromise = null;
+            }
+          });
+        }
+        browser = launched;
+        return launched;
+      } catch (err) {
+        metrics.launchFailures += 1;
+        launchFailedAt = Date.now();
+        browserPromise = null;
+        console.warn('Failed to launch headless browser', err?.message || err);
+        throw poolError('browser_unavailable', 'Headless browser is unavailable');
+      }
+    })();
+    return browserPromise;
+  }
+
+  async function runOnPage(job, timeoutMs) {
+    const current = await ensureBrowser();
+    const context = await current.newContext(contextOptions);
+    let timer = null;
+    try {
+      const page = await context.newPage();
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          reject(poolError('browser_job_timeout', `Headless job exceeded ${timeoutMs}ms`, 504));
+        }, timeoutMs);
+      });
+      return await Promise.race([Promise.resolve().then(() => job(page)), timeout]);
+    } finally {
+      if (timer) clearTimeout(timer);
+      // Closing the context also aborts whatever a timed-out job was still doing.
+      await context.close().catch(() => {});
+    }
+  }
+
+  async function execute(entry) {
+    const startedAt = Date.now();
+    metrics.totalWaitMs += startedAt - entry.enqueuedAt;
+    try {
+      let result;
+      try {
+        result = await runOnPage(entry.job, entry.timeoutMs);
+      } catch (err) {
+        const crashed = err?.code !== 'browser_job_timeout' && err?.code !== 'browser_unavailable' && !browser;
+        if (!crashed) throw err;
+        metrics.retried += 1;
+        result = await runOnPage(entry.job, entry.timeoutMs);
+      }
+      metrics.completed += 1;
+      entry.resolve(result);
+    } catch (err) {
+      if (err?.code === 'browser_job_timeout') metrics.timedOut += 1;
+      else metrics.failed += 1;
+      entry.reject(err);
+    } finally {
+      const pageMs = Date.now() - startedAt;
+      metrics.totalPageMs += pageMs;
+      metrics.maxPageMs = Math.max(metrics.maxPageMs, pageMs);
+      active -= 1;
+      drain();
+    }
+  }
+
+  function drain() {
+    const limit = isUnderMemoryPressure() ? 1 : settings.maxPages;
+    while (active < limit && queue.length) {
+      clearIdleTimer();
+      active += 1;
+      execute(queue.shift());
+    }
+    scheduleIdleShutdown();
+  }
+
+  return {
+    isAvailable() {
+      return typeof launch === 'function';
+    },
+    /** Queues `job(page)`; resolves with its result or rejects with a coded error. */
+    run(job, { timeoutMs = settings.jobTimeoutMs } = {}) {
+      if (typeof launch !== 'function') {
+        return Promise.reject(poolError('browser_unavailable', 'Headless browser is not installed'));
+      }
+      if (queue.length >= settings.maxQueue) {
+        metrics.rejected += 1;
+        return Promise.reject(poolError('browser_queue_full', 'Headless browser queue is full'));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ job, resolve, reject, timeoutMs, enqueuedAt: Date.now() });
+        metrics.maxQueueDepth = Math.max(metrics.maxQueueDepth, queue.length);
+        drain();
+      });
+    },
+    getMetrics() {
+      const finished = metrics.completed + metrics.failed + metrics.timedOut;
+      return {
+        browserRunning: Boolean(browser),
+        activePages: active,
+        queueDepth: queue.length,
+        maxPages: settings.maxPages,
+        memoryPressure: isUnderMemoryPressure(),
+        launches: metrics.launches,
+        launchFailures: metrics.launchFailures,
+        crashes: metrics.crashes,
+        idleShutdowns: metrics.idleShutdowns,
+        completed: metrics.completed,
+        failed: metrics.failed,
+        timedOut: metrics.timedOut,
+        rejected: metrics.rejected,
+        retried: metrics.retried,
+        maxQueueDepth: metrics.maxQueueDepth,
+        averagePageMs: finished ? Math.round(metrics.totalPageMs / finished) : 0,
+        maxPageMs: metrics.maxPageMs,
+        averageWaitMs: finished ? Math.round(metrics.totalWaitMs / finished) : 0
+      };
+    },
+    /** Rejects queued jobs and closes the browser; running jobs finish or time out. */
+    async close() {
+      clearIdleTimer();
+      queue.splice(0).forEach(entry => entry.reject(poolError('browser_pool_closed', 'Headless browser pool closed')));
+      await closeBrowser();
+    }
+  };
+}
+
+module.exports = { createBrowserPool };
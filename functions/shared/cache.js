@@ -1,8 +1,19 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const zlib = require('zlib');
 const { getFirestore, serverTimestamp } = require('./firestore');
 
 const MAX_IN_MEMORY_CACHE_ENTRIES = 500;
 const MAX_FIRESTORE_BODY_BYTES = 950000;
+// Bodies at least this large are compressed before they go to Firestore.
+const CACHE_COMPRESSION_MIN_BYTES = 8 * 1024;
+const CACHE_BODY_ENCODING = 'br';
+// Compressed bodies larger than one document are split across this
+// subcollection, up to MAX_CACHE_CHUNKS documents.
+const CACHE_CHUNK_COLLECTION = 'chunks';
+const MAX_CACHE_CHUNKS = 16;
 const inMemoryCache = new Map();
+const inFlightFetches = new Map();
 
 function serializePart(part) {
   if (part === null || part === undefined) return '';
@@ -58,59 +69,214 @@ function rememberInMemory(docId, payload, fetchedAt = Date.now()) {
   }
 }
 
-function readInMemoryCache(docId, ttlMs) {
-  if (!docId) return null;
-  const entry = inMemoryCache.get(docId);
-  if (!entry) return null;
-  if (typeof ttlMs === 'number' && ttlMs > 0 && Date.now() - entry.fetchedAt > ttlMs) {
-    inMemoryCache.delete(docId);
-    return null;
+/**
+ * A TTL is either a number (entries older than it are gone) or
+ * `{ softTtlMs, hardTtlMs }`: past the soft TTL an entry is still returned but
+ * flagged `stale`, past the hard TTL it is gone.
+ */
+function resolveTtls(ttl) {
+  if (ttl && typeof ttl === 'object') {
+    const hardTtlMs = Number(ttl.hardTtlMs) > 0 ? Number(ttl.hardTtlMs) : null;
+    const softTtlMs = Number(ttl.softTtlMs) > 0 ? Number(ttl.softTtlMs) : hardTtlMs;
+    return { softTtlMs, hardTtlMs };
   }
+  const ttlMs = typeof ttl === 'number' && ttl > 0 ? ttl : null;
+  return { softTtlMs: ttlMs, hardTtlMs: ttlMs };
+}
+
+function toCachedPayload(entry, fetchedAt, { softTtlMs }) {
   return {
     status: entry.status,
     contentType: entry.contentType,
     body: entry.body,
-    metadata: entry.metadata || null
+    metadata: entry.metadata || null,
+    fetchedAt,
+    stale: Boolean(softTtlMs && Date.now() - fetchedAt > softTtlMs)
   };
 }
 
+function readInMemoryCache(docId, ttl) {
+  if (!docId) return null;
+  const entry = inMemoryCache.get(docId);
+  if (!entry) return null;
+  const ttls = resolveTtls(ttl);
+  if (ttls.hardTtlMs && Date.now() - entry.fetchedAt > ttls.hardTtlMs) {
+    inMemoryCache.delete(docId);
+    return null;
+  }
+  return toCachedPayload(entry, entry.fetchedAt, ttls);
+}
+
 function clearInMemoryCache() {
   inMemoryCache.clear();
+  inFlightFetches.clear();
+}
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+function checksum(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+async function compressBody(body, encoding) {
+  if (encoding === 'gzip') return gzip(body);
+  return brotliCompress(body, {
+    params: {
+      // Quality 11 is too slow for multi-megabyte feeds on a small instance.
+      [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: Buffer.byteLength(body, 'utf8')
+    }
+  });
 }
 
-async function readCachedResponse(collection, parts, ttlMs) {
+async function decompressBody(bytes, encoding) {
+  if (encoding === 'gzip') return (await gunzip(bytes)).toString('utf8');
+  if (encoding === 'br') return (await brotliDecompress(bytes)).toString('utf8');
+  throw new Error(`Unknown cache body encoding ${encoding}`);
+}
+
+/**
+ * Deletes the chunks a previous write left past `chunkCount`, so a body that
+ * shrinks (or stops being chunked) does not leave orphaned chunk documents.
+ */
+async function deleteStaleCacheChunks(docRef, chunkCount) {
+  const snap = await docRef.get();
+  const previousCount = snap.exists ? Number(snap.get('chunkCount')) || 0 : 0;
+  if (previousCount <= chunkCount) return;
+  const chunks = docRef.collection(CACHE_CHUNK_COLLECTION);
+  await Promise.all(
+    Array.from({ length: previousCount - chunkCount }, (_, offset) => chunks.doc(String(chunkCount + offset)).delete())
+  );
+}
+
+async function encodeCacheBodyFields(docRef, body, encoding) {
+  const bodyLength = Buffer.byteLength(body, 'utf8');
+  const fields = { checksum: checksum(body), bodyLength };
+  if (bodyLength < CACHE_COMPRESSION_MIN_BYTES) {
+    return { ...fields, body, encoding: null, bodyBytes: null, chunkCount: 0, generation: null };
+  }
+  const compressed = await compressBody(body, encoding);
+  if (compressed.length <= MAX_FIRESTORE_BODY_BYTES) {
+    return { ...fields, body: null, encoding, bodyBytes: compressed, chunkCount: 0, generation: null };
+  }
+  const chunkCount = Math.ceil(compressed.length / MAX_FIRESTORE_BODY_BYTES);
+  if (chunkCount > MAX_CACHE_CHUNKS) return null;
+  const generation = crypto.randomUUID();
+  const chunks = docRef.collection(CACHE_CHUNK_COLLECTION);
+  await Promise.all(
+    Array.from({ length: chunkCount }, (_, index) => {
+      const data = compressed.subarray(index * MAX_FIRESTORE_BODY_BYTES, (index + 1) * MAX_FIRESTORE_BODY_BYTES);
+      return chunks.doc(String(index)).set({ index, generation, data, checksum: checksum(data) });
+    })
+  );
+  return { ...fields, body: null, encoding, bodyBytes: null, chunkCount, generation };
+}
+
+/**
+ * Turns `body` into the fields stored on a cache document. Small bodies stay
+ * plain strings. Larger ones are compressed into `bodyBytes`, or, when that
+ * still exceeds one document, written as `chunkCount` documents under
+ * `docRef.collection('chunks')` before the parent is (re)written. Chunks carry
+ * the parent's `generation` and their own checksum, so a reader never mixes
+ * chunks from different writes; chunks an earlier write left beyond the new
+ * `chunkCount` are deleted. Resolves with null when the body is too large
+ * even for MAX_CACHE_CHUNKS chunks.
+ */
+async function encodeFirestoreCacheBody(docRef, body, { encoding = CACHE_BODY_ENCODING } = {}) {
+  const fields = await encodeCacheBodyFields(docRef, body, encoding);
+  if (fields) await deleteStaleCacheChunks(docRef, fields.chunkCount);
+  return fields;
+}
+
+/**
+ * Reads the body of a cache document written by encodeFirestoreCacheBody, or
+ * a plain `body` string from before compression existed. Resolves with null
+ * when a chunk is missing, from another write, or fails its checksum.
+ */
+async function decodeFirestoreCacheBody(docRef, data = {}) {
+  let body;
+  if (!data.encoding) {
+    body = typeof data.body === 'string' && data.body ? data.body : null;
+  } else {
+    let bytes = data.bodyBytes ? Buffer.from(data.bodyBytes) : null;
+    if (!bytes && data.chunkCount > 0) {
+      const chunks = docRef.collection(CACHE_CHUNK_COLLECTION);
+      const snaps = await Promise.all(
+        Array.from({ length: data.chunkCount }, (_, index) => chunks.doc(String(index)).get())
+      );
+      const parts = [];
+      for (const snap of snaps) {
+        const chunk = snap.exists ? snap.data() : null;
+        const chunkBytes = chunk?.data ? Buffer.from(chunk.data) : null;
+        if (!chunkBytes || chunk.generation !== data.generation || checksum(chunkBytes) !== chunk.checksum) {
+          console.warn(`Discarding cache entry ${docRef.path}: chunk ${snap.id} is missing or corrupt`);
+          return null;
+        }
+        parts.push(chunkBytes);
+      }
+      bytes = Buffer.concat(parts);
+    }
+    if (!bytes) return null;
+    try {
+      body = await decompressBody(bytes, data.encoding);
+    } catch (err) {
+      console.warn(`Discarding cache entry ${docRef.path}: ${err?.message || err}`);
+      return null;
+    }
+  }
+  if (body && data.checksum && checksum(body) !== data.checksum) {
+    console.warn(`Discarding cache entry ${docRef.path}: checksum mismatch`);
+    return null;
+  }
+  return body;
+}
+
+/** Deletes the chunk documents of a cache document snapshot, if it has any. */
+async function deleteFirestoreCacheChunks(snap) {
+  const chunkCount = Number(snap.get('chunkCount')) || 0;
+  const chunks = snap.ref.collection(CACHE_CHUNK_COLLECTION);
+  await Promise.all(Array.from({ length: chunkCount }, (_, index) => chunks.doc(String(index)).delete()));
+}
+
+async function readCachedResponse(collection, parts, ttl) {
   const db = getFirestore();
   const docId = buildCacheId(parts);
   if (!db) {
-    return readInMemoryCache(docId, ttlMs);
+    return readInMemoryCache(docId, ttl);
   }
   try {
-    const snap = await db.collection(collection).doc(docId).get();
-    if (!snap.exists) return readInMemoryCache(docId, ttlMs);
+    const docRef = db.collection(collection).doc(docId);
+    const snap = await docRef.get();
+    if (!snap.exists) return readInMemoryCache(docId, ttl);
     const data = snap.data() || {};
     const fetchedAt = data.fetchedAt;
     const fetchedMs =
       fetchedAt && typeof fetchedAt.toMillis === 'function' ? fetchedAt.toMillis() : null;
-    if (!fetchedMs) return readInMemoryCache(docId, ttlMs);
-    if (typeof ttlMs === 'number' && ttlMs > 0 && Date.now() - fetchedMs > ttlMs) {
+    if (!fetchedMs) return readInMemoryCache(docId, ttl);
+    const ttls = resolveTtls(ttl);
+    if (ttls.hardTtlMs && Date.now() - fetchedMs > ttls.hardTtlMs) {
       inMemoryCache.delete(docId);
       return null;
     }
-    if (typeof data.body !== 'string' || !data.body) return readInMemoryCache(docId, ttlMs);
+    const body = await decodeFirestoreCacheBody(docRef, data);
+    if (!body) return readInMemoryCache(docId, ttl);
     const payload = {
       status: typeof data.status === 'number' ? data.status : 200,
       contentType:
         typeof data.contentType === 'string' && data.contentType
           ? data.contentType
           : 'application/json',
-      body: data.body,
+      body,
       metadata: data.metadata || null
     };
     rememberInMemory(docId, payload, fetchedMs);
-    return payload;
+    return toCachedPayload(payload, fetchedMs, ttls);
   } catch (err) {
     console.error(`Failed to read cache entry ${collection}/${docId}`, err);
-    return readInMemoryCache(docId, ttlMs);
+    return readInMemoryCache(docId, ttl);
   }
 }
 
@@ -134,35 +300,86 @@ async function writeCachedResponse(collection, parts, payload = {}) {
   rememberInMemory(docId, normalizedPayload);
   const db = getFirestore();
   if (!db) return;
-  const bodyBytes = Buffer.byteLength(normalizedPayload.body, 'utf8');
-  if (bodyBytes > MAX_FIRESTORE_BODY_BYTES) {
-    console.warn(
-      `Skipping Firestore cache write ${collection}/${docId}: body is ${bodyBytes} bytes (limit ${MAX_FIRESTORE_BODY_BYTES})`
-    );
-    return;
-  }
   try {
-    await db
-      .collection(collection)
-      .doc(docId)
-      .set({
-        keyParts: normalizedParts,
-        status: normalizedPayload.status,
-        contentType: normalizedPayload.contentType,
-        body: normalizedPayload.body,
-        metadata: normalizedPayload.metadata,
-        fetchedAt: serverTimestamp()
-      });
+    const docRef = db.collection(collection).doc(docId);
+    const encodedBody = await encodeFirestoreCacheBody(docRef, normalizedPayload.body);
+    if (!encodedBody) {
+      const bodyBytes = Buffer.byteLength(normalizedPayload.body, 'utf8');
+      console.warn(
+        `Skipping Firestore cache write ${collection}/${docId}: body is ${bodyBytes} bytes and does not fit in ${MAX_CACHE_CHUNKS} compressed chunks`
+      );
+      return;
+    }
+    await docRef.set({
+      keyParts: normalizedParts,
+      status: normalizedPayload.status,
+      contentType: normalizedPayload.contentType,
+      ...encodedBody,
+      metadata: normalizedPayload.metadata,
+      fetchedAt: serverTimestamp()
+    });
   } catch (err) {
     console.error(`Failed to write cache entry ${collection}/${docId}`, err);
   }
 }
 
+/**
+ * Runs `loader` at most once at a time per cache key: concurrent callers share
+ * the pending promise. The loader resolves with a payload for
+ * writeCachedResponse (or null to skip caching); the payload is written before
+ * the shared promise settles.
+ */
+function fetchOnce(collection, parts, loader) {
+  const key = `${collection}/${buildCacheId(parts)}`;
+  const pending = inFlightFetches.get(key);
+  if (pending) return pending;
+  const promise = (async () => {
+    const payload = await loader();
+    if (payload && typeof payload.body === 'string') {
+      await writeCachedResponse(collection, parts, payload);
+    }
+    return payload;
+  })().finally(() => {
+    if (inFlightFetches.get(key) === promise) inFlightFetches.delete(key);
+  });
+  inFlightFetches.set(key, promise);
+  return promise;
+}
+
+/**
+ * Read-through cache with stale-while-revalidate. A fresh entry is returned
+ * as is; a stale one (past `softTtlMs`, within `hardTtlMs`) is returned while
+ * `loader` refreshes it in the background; otherwise the caller waits for
+ * `loader`. Loads are single-flight per key. Resolves with the payload plus
+ * `cached` and `stale` flags. Pass `isUsable` to reject cached entries (e.g.
+ * an old schema) and `forceRefresh` to skip the read but still share and
+ * cache the load. Background refresh failures are logged and leave the stale
+ * entry in place; a blocking load failure rejects.
+ */
+async function fetchCachedResponse(collection, parts, ttl, loader, { isUsable, forceRefresh = false } = {}) {
+  if (!forceRefresh) {
+    const cached = await readCachedResponse(collection, parts, ttl);
+    if (cached && (typeof isUsable !== 'function' || isUsable(cached))) {
+      if (cached.stale) {
+        fetchOnce(collection, parts, loader).catch(err => {
+          console.warn(`Background refresh failed for ${collection}`, err?.message || err);
+        });
+      }
+      return { ...cached, cached: true };
+    }
+  }
+  const payload = await fetchOnce(collection, parts, loader);
+  return payload ? { ...payload, cached: false, stale: false } : null;
+}
+
 module.exports = {
   buildCacheId,
+  decodeFirestoreCacheBody,
+  deleteFirestoreCacheChunks,
+  encodeFirestoreCacheBody,
+  fetchCachedResponse,
   readCachedResponse,
   writeCachedResponse,
-  serializePart
-  ,
+  serializePart,
   clearInMemoryCache
 };
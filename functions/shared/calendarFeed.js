@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { getFirestore, serverTimestamp } = require('./firestore');
+
+const TOKENS_COLLECTION = 'calendarFeedTokens';
+const USER_FEED_DOC = 'calendarFeed';
+const PREFERENCES_DOC = 'preferences';
+const TOKEN_BYTES = 24;
+
+/**
+ * Only a SHA-256 of each feed token is stored, so a leaked database export
+ * cannot be turned back into working subscription URLs.
+ */
+function hashCalendarToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateCalendarToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function normalizeSavedEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(entry => entry && typeof entry === 'object' && entry.id && entry.event)
+    .map(entry => ({
+      id: String(entry.id),
+      event: entry.event,
+      savedAt: Number.isFinite(entry.savedAt) ? entry.savedAt : null
+    }));
+}
+
+function createMemoryCalendarFeedStore() {
+  const tokens = new Map();
+  const feeds = new Map();
+  const savedEvents = new Map();
+
+  return {
+    kind: 'memory',
+    async rotateToken(uid) {
+      const previous = feeds.get(uid);
+      if (previous) tokens.delete(previous.tokenHash);
+      const token = generateCalendarToken();
+      const feed = { tokenHash: hashCalendarToken(token), createdAt: new Date().toISOString() };
+      tokens.set(feed.tokenHash, uid);
+      feeds.set(uid, feed);
+      return { token, createdAt: feed.createdAt };
+    },
+    async revokeToken(uid) {
+      const previous = feeds.get(uid);
+      if (!previous) return false;
+      tokens.delete(previous.tokenHash);
+      feeds.delete(uid);
+      return true;
+    },
+    async getTokenInfo(uid) {
+      const feed = feeds.get(uid);
+      return feed ? { createdAt: feed.createdAt } : null;
+    },
+    async findUidByToken(token) {
+      return tokens.get(hashCalendarToken(token)) || null;
+    },
+    async readSavedEvents(uid) {
+      return normalizeSavedEntries(savedEvents.get(uid));
+    },
+    async setSavedEvents(uid, entries) {
+      savedEvents.set(uid, Array.isArray(entries) ? entries.map(entry => ({ ...entry })) : []);
+    }
+  };
+}
+
+function createFirestoreCalendarFeedStore(db) {
+  const tokensRef = db.collection(TOKENS_COLLECTION);
+  const userShowsRef = uid => db.collection('users').doc(uid).collection('shows');
+
+  return {
+    kind: 'firestore',
+    async rotateToken(uid) {
+      const token = generateCalendarToken();
+      const tokenHash = hashCalendarToken(token);
+      const feedRef = userShowsRef(uid).doc(USER_FEED_DOC);
+      const createdAt = new Date().toISOString();
+      await db.runTransaction(async transaction => {
+        const snap = await transaction.get(feedRef);
+        const previousHash = snap.exists ? snap.data()?.tokenHash : null;
+        const previous = previousHash ? await transaction.get(tokensRef.doc(previousHash)) : null;
+        if (previous?.exists && previous.data()?.uid === uid) transaction.delete(previous.ref);
+        transaction.set(tokensRef.doc(tokenHash), { uid, createdAt, updatedAt: serverTimestamp() });
+        transaction.set(feedRef, { tokenHash, createdAt, updatedAt: serverTimestamp() });
+      });
+      return { token, createdAt };
+    },
+    async revokeToken(uid) {
+      const feedRef = userShowsRef(uid).doc(USER_FEED_DOC);
+      return db.runTransaction(async transaction => {
+        const snap = await transaction.get(feedRef);
+        const previousHash = snap.exists ? snap.data()?.tokenHash : null;
+        if (!previousHash) return false;
+        const previous = await transaction.get(tokensRef.doc(previousHash));
+        if (previous.exists && previous.data()?.uid === uid) transaction.delete(previous.ref);
+        transaction.delete(feedRef);
+        return true;
+      });
+    },
+    async getTokenInfo(uid) {
+      const snap = await userShowsRef(uid).doc(USER_FEED_DOC).get();
+      if (!snap.exists || !snap.data()?.tokenHash) return null;
+      return { createdAt: snap.data().createdAt || null };
+    },
+    async findUidByToken(token) {
+      const snap = await tokensRef.doc(hashCalendarToken(token)).get();
+      return snap.exists ? snap.data()?.uid || null : null;
+    },
+    async readSavedEvents(uid) {
+      const snap = await userShowsRef(uid).doc(PREFERENCES_DOC).get();
+      return snap.exists ? normalizeSavedEntries(snap.data()?.savedEvents) : [];
+    }
+  };
+}
+
+let activeStore = null;
+
+function getCalendarFeedStore() {
+  if (activeStore) return activeStore;
+  const db = getFirestore();
+  activeStore = db ? createFirestoreCalendarFeedStore(db) : createMemoryCalendarFeedStore();
+  return activeStore;
+}
+
+function setCalendarFeedStore(store) {
+  activeStore = store || null;
+}
+
+module.exports = {
+  createMemoryCalendarFeedStore,
+  createFirestoreCalendarFeedStore,
+  getCalendarFeedStore,
+  hashCalendarToken,
+  setCalendarFeedStore
+};
@@ -0,0 +1,87 @@
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60 * 1000;
+const circuits = new Map();
+
+function getCircuit(key) {
+  if (!circuits.has(key)) {
+    circuits.set(key, {
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      probeStartedAt: null,
+      lastFailureAt: null
+    });
+  }
+  return circuits.get(key);
+}
+
+function describeCircuit(circuit, cooldownMs) {
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    retryAt:
+      circuit.state === 'open' && circuit.openedAt
+        ? new Date(circuit.openedAt + cooldownMs).toISOString()
+        : null
+  };
+}
+
+/**
+ * Decides whether a call guarded by `key` may go upstream. An open circuit
+ * admits a single half-open probe once the cooldown has elapsed; everyone else
+ * is turned away until that probe reports back.
+ */
+function acquireCircuit(key, { now = Date.now(), cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+  const circuit = getCircuit(key);
+  if (circuit.state === 'closed') {
+    return { allowed: true, probe: false, circuit: describeCircuit(circuit, cooldownMs) };
+  }
+  const waitingSince = circuit.state === 'half_open' ? circuit.probeStartedAt : circuit.openedAt;
+  if (now - waitingSince < cooldownMs) {
+    return { allowed: false, probe: false, circuit: describeCircuit(circuit, cooldownMs) };
+  }
+  circuit.state = 'half_open';
+  circuit.probeStartedAt = now;
+  return { allowed: true, probe: true, circuit: describeCircuit(circuit, cooldownMs) };
+}
+
+function recordCircuitSuccess(key, { cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+  const circuit = getCircuit(key);
+  circuit.state = 'closed';
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.probeStartedAt = null;
+  return describeCircuit(circuit, cooldownMs);
+}
+
+function recordCircuitFailure(
+  key,
+  { now = Date.now(), failureThreshold = DEFAULT_FAILURE_THRESHOLD, cooldownMs = DEFAULT_COOLDOWN_MS } = {}
+) {
+  const circuit = getCircuit(key);
+  circuit.failures += 1;
+  circuit.lastFailureAt = now;
+  if (circuit.state === 'half_open' || circuit.failures >= failureThreshold) {
+    circuit.state = 'open';
+    circuit.openedAt = now;
+    circuit.probeStartedAt = null;
+  }
+  return describeCircuit(circuit, cooldownMs);
+}
+
+function getCircuitState(key, { cooldownMs = DEFAULT_COOLDOWN_MS } = {}) {
+  return describeCircuit(getCircuit(key), cooldownMs);
+}
+
+function clearInMemoryCircuits() {
+  circuits.clear();
+}
+
+module.exports = {
+  acquireCircuit,
+  recordCircuitSuccess,
+  recordCircuitFailure,
+  getCircuitState,
+  clearInMemoryCircuits
+};
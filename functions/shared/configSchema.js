@@ -0,0 +1,185 @@
+/**
+ * Minimal declarative validator for datasource configs. A schema maps field
+ * names to specs:
+ *
+ *   { type, required, min, max, enum, items, fields, validate }
+ *
+ * `type` is one of string, url, boolean, integer, number, stringList, object,
+ * array, timeZone or any. `items` is the spec for array entries, `fields` a
+ * nested schema for objects and `validate(value)` an extra check returning
+ * null or `{ code, message }`. Issues carry a dotted `field` path so the admin
+ * UI can point at the offending input.
+ */
+
+const MAX_SUGGESTION_DISTANCE = 2;
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function isValidHttpUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isValidTimeZone(value) {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  let previous = Array.from({ length: cols }, (_, index) => index);
+  for (let i = 1; i < rows; i += 1) {
+    const current = [i];
+    for (let j = 1; j < cols; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[cols - 1];
+}
+
+function suggestField(name, knownFields) {
+  const lowered = name.toLowerCase();
+  let best = null;
+  knownFields.forEach(candidate => {
+    const distance = editDistance(lowered, candidate.toLowerCase());
+    if (distance <= MAX_SUGGESTION_DISTANCE && (!best || distance < best.distance)) {
+      best = { candidate, distance };
+    }
+  });
+  return best ? best.candidate : null;
+}
+
+function checkType(value, spec) {
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() ? null : 'a non-empty string';
+    case 'url':
+      return isValidHttpUrl(value) ? null : 'an http(s) URL';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'true or false';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'an integer';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'a number';
+    case 'stringList':
+      return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim())
+        ? null
+        : 'a list of non-empty strings';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'a list';
+    case 'timeZone':
+      return isValidTimeZone(value) ? null : 'an IANA time zone such as America/New_York';
+    default:
+      return null;
+  }
+}
+
+function validateValue(value, spec, field, issues) {
+  const expected = checkType(value, spec);
+  if (expected) {
+    issues.errors.push({
+      field,
+      code: spec.type === 'timeZone' ? 'invalid_time_zone' : spec.type === 'url' ? 'invalid_url' : 'invalid_type',
+      message: `${field} must be ${expected} (got ${describeType(value)})`
+    });
+    return;
+  }
+  if (Array.isArray(spec.enum) && !spec.enum.includes(value)) {
+    issues.errors.push({
+      field,
+      code: 'invalid_value',
+      message: `${field} must be one of ${spec.enum.join(', ')}`
+    });
+    return;
+  }
+  if ((spec.type === 'integer' || spec.type === 'number') &&
+    ((Number.isFinite(spec.min) && value < spec.min) || (Number.isFinite(spec.max) && value > spec.max))) {
+    issues.errors.push({
+      field,
+      code: 'out_of_range',
+      message: `${field} must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}`
+    });
+    return;
+  }
+  if (spec.type === 'array' && Number.isFinite(spec.min) && value.length < spec.min) {
+    issues.errors.push({ field, code: 'too_few_items', message: `${field} needs at least ${spec.min} item(s)` });
+    return;
+  }
+  if (spec.type === 'array' && spec.items) {
+    value.forEach((item, index) => validateValue(item, spec.items, `${field}[${index}]`, issues));
+  }
+  if (spec.type === 'object' && spec.fields) {
+    validateFields(value, spec.fields, field, issues, spec);
+  }
+  if (typeof spec.validate === 'function') {
+    const problem = spec.validate(value);
+    if (problem) {
+      issues.errors.push({ field, code: problem.code || 'invalid_value', message: problem.message });
+    }
+  }
+}
+
+function validateFields(values, schema, prefix, issues, { allowUnknown = false } = {}) {
+  const knownFields = Object.keys(schema);
+  Object.entries(schema).forEach(([name, spec]) => {
+    const field = `${prefix}.${name}`;
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      if (spec.required) {
+        issues.errors.push({ field, code: 'required', message: `${field} is required` });
+      }
+      return;
+    }
+    validateValue(value, spec, field, issues);
+  });
+  if (allowUnknown) return;
+  Object.keys(values)
+    .filter(name => !Object.prototype.hasOwnProperty.call(schema, name))
+    .forEach(name => {
+      const field = `${prefix}.${name}`;
+      const suggestion = suggestField(name, knownFields);
+      // A near-miss of a known field is almost always a typo that would otherwise be ignored at fetch time.
+      if (suggestion) {
+        issues.errors.push({
+          field,
+          code: 'unknown_field',
+          message: `${field} is not a known setting; did you mean ${suggestion}?`,
+          suggestion
+        });
+      } else {
+        issues.warnings.push({ field, code: 'unknown_field', message: `${field} is not used by this source type` });
+      }
+    });
+}
+
+function validateConfigSchema(config, schema, { prefix = 'config' } = {}) {
+  const issues = { errors: [], warnings: [] };
+  const values = config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+  validateFields(values, schema || {}, prefix, issues);
+  return issues;
+}
+
+module.exports = {
+  validateConfigSchema,
+  isValidHttpUrl,
+  isValidTimeZone
+};
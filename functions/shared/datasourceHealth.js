@@ -0,0 +1,121 @@
+const { getFirestore, serverTimestamp } = require('./firestore');
+
+const DATASOURCE_HEALTH_COLLECTION = 'datasourceHealth';
+const DATASOURCE_RUNS_SUBCOLLECTION = 'runs';
+const MAX_IN_MEMORY_RUNS_PER_SOURCE = 100;
+// Firestore keeps every live fetch and failure, but cache hits only once per
+// window per instance; they say little beyond "still serving".
+const CACHED_RUN_SAMPLE_MS = 10 * 60 * 1000;
+const MAX_PERSISTED_RUNS_PER_SOURCE = 200;
+const PERSISTED_RUN_TRIM_EVERY = 20;
+// `expiresAt` is the field for a Firestore TTL policy on the runs collection group.
+const PERSISTED_RUN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const inMemoryRuns = new Map();
+const lastPersistedCachedRunAt = new Map();
+const persistedRunCounts = new Map();
+
+function normalizeRun(run = {}) {
+  return {
+    startedAt: typeof run.startedAt === 'string' ? run.startedAt : new Date().toISOString(),
+    durationMs: Number.isFinite(run.durationMs) ? Math.max(0, Math.round(run.durationMs)) : null,
+    ok: Boolean(run.ok),
+    status: Number.isFinite(run.status) ? run.status : null,
+    eventCount: Number.isFinite(run.eventCount) ? run.eventCount : 0,
+    cached: Boolean(run.cached),
+    error: typeof run.error === 'string' && run.error ? run.error.slice(0, 500) : null
+  };
+}
+
+function rememberRun(sourceId, run) {
+  const runs = inMemoryRuns.get(sourceId) || [];
+  runs.push(run);
+  if (runs.length > MAX_IN_MEMORY_RUNS_PER_SOURCE) {
+    runs.splice(0, runs.length - MAX_IN_MEMORY_RUNS_PER_SOURCE);
+  }
+  inMemoryRuns.set(sourceId, runs);
+}
+
+function shouldPersistRun(sourceId, run) {
+  if (!run.ok || !run.cached) return true;
+  const now = Date.now();
+  const last = lastPersistedCachedRunAt.get(sourceId);
+  if (last !== undefined && now - last < CACHED_RUN_SAMPLE_MS) return false;
+  lastPersistedCachedRunAt.set(sourceId, now);
+  return true;
+}
+
+/** Deletes persisted runs beyond the newest MAX_PERSISTED_RUNS_PER_SOURCE. */
+async function trimPersistedRuns(runsCollection) {
+  const snapshot = await runsCollection
+    .orderBy('startedAt', 'desc')
+    .offset(MAX_PERSISTED_RUNS_PER_SOURCE)
+    .limit(100)
+    .get();
+  if (snapshot.empty) return 0;
+  const batch = runsCollection.firestore.batch();
+  snapshot.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+  return snapshot.size;
+}
+
+async function recordDatasourceRun(sourceId, run) {
+  if (!sourceId) return;
+  const normalized = normalizeRun(run);
+  rememberRun(sourceId, normalized);
+  const db = getFirestore();
+  if (!db || !shouldPersistRun(sourceId, normalized)) return;
+  const runsCollection = db
+    .collection(DATASOURCE_HEALTH_COLLECTION)
+    .doc(sourceId)
+    .collection(DATASOURCE_RUNS_SUBCOLLECTION);
+  try {
+    await runsCollection.add({
+      ...normalized,
+      recordedAt: serverTimestamp(),
+      expiresAt: new Date(Date.now() + PERSISTED_RUN_TTL_MS)
+    });
+    const count = (persistedRunCounts.get(sourceId) || 0) + 1;
+    persistedRunCounts.set(sourceId, count);
+    if (count % PERSISTED_RUN_TRIM_EVERY === 1) {
+      await trimPersistedRuns(runsCollection);
+    }
+  } catch (err) {
+    console.error(`Failed to record datasource run for ${sourceId}`, err);
+  }
+}
+
+/**
+ * Returns the most recent runs for a datasource, newest first.
+ */
+async function listDatasourceRuns(sourceId, { limit = 50 } = {}) {
+  if (!sourceId) return [];
+  const db = getFirestore();
+  if (db) {
+    try {
+      const snapshot = await db
+        .collection(DATASOURCE_HEALTH_COLLECTION)
+        .doc(sourceId)
+        .collection(DATASOURCE_RUNS_SUBCOLLECTION)
+        .orderBy('startedAt', 'desc')
+        .limit(limit)
+        .get();
+      return snapshot.docs.map(doc => normalizeRun(doc.data() || {}));
+    } catch (err) {
+      console.error(`Failed to read datasource runs for ${sourceId}`, err);
+    }
+  }
+  const runs = inMemoryRuns.get(sourceId) || [];
+  return runs.slice(-limit).reverse();
+}
+
+function clearInMemoryDatasourceRuns() {
+  inMemoryRuns.clear();
+  lastPersistedCachedRunAt.clear();
+  persistedRunCounts.clear();
+}
+
+module.exports = {
+  recordDatasourceRun,
+  listDatasourceRuns,
+  clearInMemoryDatasourceRuns
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const { getFirestore, serverTimestamp } = require('./firestore');
+
+const DATASOURCE_REVISIONS_COLLECTION = 'datasourceRevisions';
+const DATASOURCE_REVISIONS_SUBCOLLECTION = 'revisions';
+const MAX_IN_MEMORY_REVISIONS_PER_SOURCE = 200;
+// Bookkeeping fields change on every save and would drown out the real diff.
+const IGNORED_DIFF_FIELDS = new Set(['createdAt', 'updatedAt']);
+const inMemoryRevisions = new Map();
+// Without Firestore the history is mirrored to this JSON file so it outlives the process.
+let localRevisionsPath = null;
+let localRevisionsLoaded = false;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function flattenFields(value, prefix, into) {
+  if (isPlainObject(value) && Object.keys(value).length) {
+    Object.entries(value).forEach(([key, item]) => {
+      if (!prefix && IGNORED_DIFF_FIELDS.has(key)) return;
+      flattenFields(item, prefix ? `${prefix}.${key}` : key, into);
+    });
+    return into;
+  }
+  if (prefix) into.set(prefix, value);
+  return into;
+}
+
+/**
+ * Returns the leaf-level differences between two datasource snapshots as
+ * `{ field, from, to }` entries with dotted field paths. Arrays are compared
+ * as whole values; a missing side is reported as null.
+ */
+function diffDatasources(before, after) {
+  const beforeFields = flattenFields(before || {}, '', new Map());
+  const afterFields = flattenFields(after || {}, '', new Map());
+  const fields = new Set([...beforeFields.keys(), ...afterFields.keys()]);
+  return Array.from(fields)
+    .sort()
+    .filter(field => JSON.stringify(beforeFields.get(field)) !== JSON.stringify(afterFields.get(field)))
+    .map(field => ({
+      field,
+      from: beforeFields.has(field) ? beforeFields.get(field) : null,
+      to: afterFields.has(field) ? afterFields.get(field) : null
+    }));
+}
+
+function normalizeActor(actor) {
+  if (!actor || typeof actor !== 'object') return null;
+  const uid = typeof actor.uid === 'string' && actor.uid ? actor.uid : null;
+  const email = typeof actor.email === 'string' && actor.email ? actor.email : null;
+  return uid || email ? { uid, email } : null;
+}
+
+function normalizeRevision(raw = {}) {
+  return {
+    rev: Number.isInteger(raw.rev) ? raw.rev : 0,
+    sourceId: typeof raw.sourceId === 'string' ? raw.sourceId : '',
+    action: typeof raw.action === 'string' ? raw.action : 'update',
+    actor: normalizeActor(raw.actor),
+    at: typeof raw.at === 'string' ? raw.at : new Date().toISOString(),
+    changes: Array.isArray(raw.changes) ? raw.changes : [],
+    snapshot: isPlainObject(raw.snapshot) ? raw.snapshot : null,
+    restoredFrom: Number.isInteger(raw.restoredFrom) ? raw.restoredFrom : null
+  };
+}
+
+function buildRevision(sourceId, rev, { action, actor, before, after, restoredFrom }) {
+  return normalizeRevision({
+    rev,
+    sourceId,
+    action,
+    actor,
+    at: new Date().toISOString(),
+    changes: diffDatasources(before, after),
+    snapshot: after ? JSON.parse(JSON.stringify(after)) : null,
+    restoredFrom
+  });
+}
+
+function loadLocalRevisions() {
+  if (localRevisionsLoaded) return;
+  localRevisionsLoaded = true;
+  if (!localRevisionsPath) return;
+  try {
+    if (!fs.existsSync(localRevisionsPath)) return;
+    const parsed = JSON.parse(fs.readFileSync(localRevisionsPath, 'utf8'));
+    Object.entries(parsed?.sources || {}).forEach(([sourceId, revisions]) => {
+      if (!Array.isArray(revisions)) return;
+      inMemoryRevisions.set(sourceId, revisions.map(revision => normalizeRevision(revision)));
+    });
+  } catch (err) {
+    console.warn('Failed to read local datasource revisions', err);
+  }
+}
+
+function writeLocalRevisions() {
+  if (!localRevisionsPath) return;
+  try {
+    fs.writeFileSync(
+      localRevisionsPath,
+      JSON.stringify({ sources: Object.fromEntries(inMemoryRevisions) }, null, 2),
+      'utf8'
+    );
+  } catch (err) {
+    console.warn('Failed to write local datasource revisions', err);
+  }
+}
+
+function rememberRevision(sourceId, revision) {
+  const revisions = inMemoryRevisions.get(sourceId) || [];
+  revisions.push(revision);
+  if (revisions.length > MAX_IN_MEMORY_REVISIONS_PER_SOURCE) {
+    revisions.splice(0, revisions.length - MAX_IN_MEMORY_REVISIONS_PER_SOURCE);
+  }
+  inMemoryRevisions.set(sourceId, revisions);
+  writeLocalRevisions();
+}
+
+/**
+ * Appends a revision for a datasource change. `before`/`after` are the full
+ * datasource snapshots (null for a create/delete respectively); the revision
+ * stores the field diff plus the `after` snapshot so it can be restored later.
+ * Firestore assigns revision numbers in a transaction; without Firestore the
+ * history is kept in memory and written to the local revisions file, if set.
+ */
+async function recordDatasourceRevision(sourceId, change = {}) {
+  if (!sourceId) return null;
+  const db = getFirestore();
+  if (db) {
+    try {
+      const parentRef = db.collection(DATASOURCE_REVISIONS_COLLECTION).doc(sourceId);
+      return await db.runTransaction(async transaction => {
+        const parent = await transaction.get(parentRef);
+        const rev = (Number(parent.exists ? parent.data()?.latestRev : 0) || 0) + 1;
+        const revision = buildRevision(sourceId, rev, change);
+        transaction.set(parentRef, { sourceId, latestRev: rev, updatedAt: serverTimestamp() }, { merge: true });
+        transaction.set(parentRef.collection(DATASOURCE_REVISIONS_SUBCOLLECTION).doc(String(rev)), {
+          ...revision,
+          recordedAt: serverTimestamp()
+        });
+        return revision;
+      });
+    } catch (err) {
+      console.error(`Failed to record datasource revision for ${sourceId}`, err);
+      return null;
+    }
+  }
+  loadLocalRevisions();
+  const revisions = inMemoryRevisions.get(sourceId) || [];
+  const rev = (revisions.length ? revisions[revisions.length - 1].rev : 0) + 1;
+  const revision = buildRevision(sourceId, rev, change);
+  rememberRevision(sourceId, revision);
+  return revision;
+}
+
+/**
+ * Returns the most recent revisions for a datasource, newest first.
+ */
+async function listDatasourceRevisions(sourceId, { limit = 50 } = {}) {
+  if (!sourceId) return [];
+  const db = getFirestore();
+  if (db) {
+    try {
+      const snapshot = await db
+        .collection(DATASOURCE_REVISIONS_COLLECTION)
+        .doc(sourceId)
+        .collection(DATASOURCE_REVISIONS_SUBCOLLECTION)
+        .orderBy('rev', 'desc')
+        .limit(limit)
+        .get();
+      return snapshot.docs.map(doc => normalizeRevision(doc.data() || {}));
+    } catch (err) {
+      console.error(`Failed to read datasource revisions for ${sourceId}`, err);
+      return [];
+    }
+  }
+  loadLocalRevisions();
+  const revisions = inMemoryRevisions.get(sourceId) || [];
+  return revisions.slice(-limit).reverse();
+}
+
+async function getDatasourceRevision(sourceId, rev) {
+  if (!sourceId || !Number.isInteger(rev)) return null;
+  const db = getFirestore();
+  if (db) {
+    try {
+      const doc = await db
+        .collection(DATASOURCE_REVISIONS_COLLECTION)
+        .doc(sourceId)
+        .collection(DATASOURCE_REVISIONS_SUBCOLLECTION)
+        .doc(String(rev))
+        .get();
+      return doc.exists ? normalizeRevision(doc.data() || {}) : null;
+    } catch (err) {
+      console.error(`Failed to read datasource revision ${sourceId}@${rev}`, err);
+      return null;
+    }
+  }
+  loadLocalRevisions();
+  const revisions = inMemoryRevisions.get(sourceId) || [];
+  return revisions.find(revision => revision.rev === rev) || null;
+}
+
+/**
+ * Sets the JSON file that backs the history when Firestore is unavailable
+ * (pass null to keep it in memory only). It is read on first use.
+ */
+function setLocalDatasourceRevisionsPath(filePath) {
+  localRevisionsPath = filePath || null;
+  localRevisionsLoaded = false;
+  inMemoryRevisions.clear();
+}
+
+/** Drops the local history, including the local revisions file. */
+function clearInMemoryDatasourceRevisions() {
+  inMemoryRevisions.clear();
+  localRevisionsLoaded = true;
+  if (localRevisionsPath) fs.rmSync(localRevisionsPath, { force: true });
+}
+
+module.exports = {
+  diffDatasources,
+  recordDatasourceRevision,
+  listDatasourceRevisions,
+  getDatasourceRevision,
+  setLocalDatasourceRevisionsPath,
+  clearInMemoryDatasourceRevisions
+};
@@ -0,0 +1,181 @@
+const { getFirestore, serverTimestamp } = require('./firestore');
+const { buildCacheId } = require('./cache');
+
+const EVENTS_COLLECTION = 'showEvents';
+const INGESTION_STATE_COLLECTION = 'showIngestionState';
+const FIRESTORE_BATCH_LIMIT = 400;
+const FIRESTORE_IN_LIMIT = 30;
+
+function buildEventRecordKey(sourceId, regionId, eventId) {
+  return buildCacheId([sourceId || '', regionId || '', eventId || '']);
+}
+
+function toTimestampMs(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function recordOverlapsWindow(record, fromMs, toMs) {
+  const startMs = Number.isFinite(record.startMs) ? record.startMs : null;
+  const endMs = Number.isFinite(record.endMs) ? record.endMs : startMs;
+  if (startMs === null && endMs === null) return true;
+  if (Number.isFinite(toMs) && startMs !== null && startMs > toMs) return false;
+  if (Number.isFinite(fromMs) && endMs !== null && endMs < fromMs) return false;
+  return true;
+}
+
+function createMemoryEventStore() {
+  const records = new Map();
+  const states = new Map();
+
+  return {
+    kind: 'memory',
+    async upsertEvents(newRecords) {
+      newRecords.forEach(record => {
+        records.set(record.key, { ...record });
+      });
+      return newRecords.length;
+    },
+    async pruneEvents({ sourceId, regionId, keepKeys }) {
+      const keep = new Set(keepKeys || []);
+      let removed = 0;
+      records.forEach((record, key) => {
+        if (record.sourceId === sourceId && record.regionId === regionId && !keep.has(key)) {
+          records.delete(key);
+          removed += 1;
+        }
+      });
+      return removed;
+    },
+    async queryEvents({ fromMs, toMs, sourceIds, regionIds } = {}) {
+      const allowed = Array.isArray(sourceIds) ? new Set(sourceIds) : null;
+      const regions = Array.isArray(regionIds) ? new Set(regionIds) : null;
+      return Array.from(records.values())
+        .filter(record => !allowed || allowed.has(record.sourceId))
+        .filter(record => !regions || regions.has(record.regionId))
+        .filter(record => recordOverlapsWindow(record, fromMs, toMs))
+        .map(record => ({ ...record }));
+    },
+    async findEventsById(eventId) {
+      return Array.from(records.values())
+        .filter(record => record.eventId === eventId)
+        .map(record => ({ ...record }));
+    },
+    async getIngestionState(key) {
+      const state = states.get(key);
+      return state ? { ...state } : null;
+    },
+    async setIngestionState(key, state) {
+      states.set(key, { ...(states.get(key) || {}), ...state });
+    },
+    async listIngestionStates({ regionIds } = {}) {
+      const regions = Array.isArray(regionIds) ? new Set(regionIds) : null;
+      return Array.from(states.entries())
+        .map(([key, state]) => ({ key, ...state }))
+        .filter(state => !regions || regions.has(state.regionId));
+    },
+    async clear() {
+      records.clear();
+      states.clear();
+    }
+  };
+}
+
+function createFirestoreEventStore(db) {
+  const eventsRef = db.collection(EVENTS_COLLECTION);
+  const statesRef = db.collection(INGESTION_STATE_COLLECTION);
+
+  const commitInBatches = async operations => {
+    for (let i = 0; i < operations.length; i += FIRESTORE_BATCH_LIMIT) {
+      const batch = db.batch();
+      operations.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(apply => apply(batch));
+      await batch.commit();
+    }
+  };
+
+  return {
+    kind: 'firestore',
+    async upsertEvents(newRecords) {
+      await commitInBatches(
+        newRecords.map(record => batch =>
+          batch.set(eventsRef.doc(record.key), { ...record, updatedAt: serverTimestamp() })
+        )
+      );
+      return newRecords.length;
+    },
+    async pruneEvents({ sourceId, regionId, keepKeys }) {
+      const keep = new Set(keepKeys || []);
+      const snapshot = await eventsRef
+        .where('sourceId', '==', sourceId)
+        .where('regionId', '==', regionId)
+        .get();
+      const stale = snapshot.docs.filter(doc => !keep.has(doc.id));
+      await commitInBatches(stale.map(doc => batch => batch.delete(doc.ref)));
+      return stale.length;
+    },
+    async queryEvents({ fromMs, toMs, sourceIds, regionIds } = {}) {
+      let query = eventsRef;
+      // A region filter bounds the read to that region's ingested events (kept
+      // small by pruning) without needing a composite index with startMs.
+      if (Array.isArray(regionIds) && regionIds.length) {
+        query = query.where('regionId', 'in', regionIds.slice(0, FIRESTORE_IN_LIMIT));
+      } else if (Number.isFinite(toMs)) {
+        query = query.where('startMs', '<=', toMs);
+      }
+      const snapshot = await query.get();
+      const allowed = Array.isArray(sourceIds) ? new Set(sourceIds) : null;
+      return snapshot.docs
+        .map(doc => {
+          const { updatedAt, ...record } = doc.data() || {};
+          return { ...record, key: doc.id };
+        })
+        .filter(record => !allowed || allowed.has(record.sourceId))
+        .filter(record => recordOverlapsWindow(record, fromMs, toMs));
+    },
+    async findEventsById(eventId) {
+      const snapshot = await eventsRef.where('eventId', '==', eventId).get();
+      return snapshot.docs.map(doc => {
+        const { updatedAt, ...record } = doc.data() || {};
+        return { ...record, key: doc.id };
+      });
+    },
+    async getIngestionState(key) {
+      const snap = await statesRef.doc(key).get();
+      return snap.exists ? snap.data() || null : null;
+    },
+    async setIngestionState(key, state) {
+      await statesRef.doc(key).set(state, { merge: true });
+    },
+    async listIngestionStates({ regionIds } = {}) {
+      const query = Array.isArray(regionIds) && regionIds.length
+        ? statesRef.where('regionId', 'in', regionIds.slice(0, FIRESTORE_IN_LIMIT))
+        : statesRef;
+      const snapshot = await query.get();
+      return snapshot.docs.map(doc => ({ key: doc.id, ...doc.data() }));
+    }
+  };
+}
+
+let activeStore = null;
+
+function getEventStore() {
+  if (activeStore) return activeStore;
+  const db = getFirestore();
+  activeStore = db ? createFirestoreEventStore(db) : createMemoryEventStore();
+  return activeStore;
+}
+
+function setEventStore(store) {
+  activeStore = store || null;
+}
+
+module.exports = {
+  buildEventRecordKey,
+  createMemoryEventStore,
+  createFirestoreEventStore,
+  getEventStore,
+  setEventStore,
+  toTimestampMs
+};
@@ -0,0 +1,167 @@
+/**
+ * Serializers for syndicating event lists as RSS 2.0, Atom 1.0 and
+ * JSON Feed 1.1. Every writer takes the same `feed` and `items` shapes:
+ *
+ *   feed:  { title, description, homeUrl, feedUrl, updated, ttlMinutes, author }
+ *   items: { id, url, title, summary, contentHtml, date, image: { url, type },
+ *            categories: [string], extensions }
+ *
+ * `extensions` is only emitted in JSON Feed, as `_`-prefixed item members.
+ */
+
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+const IMAGE_TYPES = {
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters other than tab and newlines are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function guessImageType(url) {
+  try {
+    const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+    return IMAGE_TYPES[extension] || 'image/jpeg';
+  } catch {
+    return 'image/jpeg';
+  }
+}
+
+function toDate(value) {
+  const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+function xmlElement(name, value, attributes = '') {
+  return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+function buildRssFeed(feed, items) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<rss version="2.0" xmlns:atom="${ATOM_NAMESPACE}">`,
+    '<channel>',
+    xmlElement('title', feed.title),
+    xmlElement('link', feed.homeUrl),
+    xmlElement('description', feed.description || feed.title),
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`
+  ];
+  const updated = toDate(feed.updated);
+  if (updated) lines.push(xmlElement('lastBuildDate', updated.toUTCString()));
+  if (Number.isFinite(feed.ttlMinutes)) lines.push(xmlElement('ttl', Math.round(feed.ttlMinutes)));
+
+  items.forEach(item => {
+    lines.push('<item>', xmlElement('title', item.title));
+    if (item.url) lines.push(xmlElement('link', item.url));
+    lines.push(xmlElement('guid', item.id, ' isPermaLink="false"'));
+    const date = toDate(item.date);
+    if (date) lines.push(xmlElement('pubDate', date.toUTCString()));
+    if (item.contentHtml || item.summary) lines.push(xmlElement('description', item.contentHtml || item.summary));
+    (item.categories || []).forEach(category => lines.push(xmlElement('category', category)));
+    if (item.image?.url) {
+      // RSS requires a length; 0 is the accepted value when it is unknown.
+      lines.push(
+        `<enclosure url="${escapeXml(item.image.url)}" length="0" type="${escapeXml(item.image.type || guessImageType(item.image.url))}"/>`
+      );
+    }
+    lines.push('</item>');
+  });
+
+  lines.push('</channel>', '</rss>');
+  return `${lines.join('\n')}\n`;
+}
+
+function buildAtomFeed(feed, items) {
+  const updated = toDate(feed.updated) || new Date();
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="${ATOM_NAMESPACE}">`,
+    xmlElement('id', feed.feedUrl),
+    xmlElement('title', feed.title),
+    xmlElement('updated', updated.toISOString()),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    `<author>${xmlElement('name', feed.author || feed.title)}</author>`
+  ];
+  if (feed.description) lines.push(xmlElement('subtitle', feed.description));
+
+  items.forEach(item => {
+    const date = toDate(item.date) || updated;
+    lines.push(
+      '<entry>',
+      xmlElement('id', `urn:live-events:event:${encodeURIComponent(item.id)}`),
+      xmlElement('title', item.title),
+      xmlElement('updated', date.toISOString()),
+      xmlElement('published', date.toISOString())
+    );
+    if (item.url) lines.push(`<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`);
+    if (item.summary) lines.push(xmlElement('summary', item.summary));
+    if (item.contentHtml) lines.push(xmlElement('content', item.contentHtml, ' type="html"'));
+    (item.categories || []).forEach(category => lines.push(`<category term="${escapeXml(category)}"/>`));
+    if (item.image?.url) {
+      lines.push(
+        `<link rel="enclosure" type="${escapeXml(item.image.type || guessImageType(item.image.url))}" href="${escapeXml(item.image.url)}"/>`
+      );
+    }
+    lines.push('</entry>');
+  });
+
+  lines.push('</feed>');
+  return `${lines.join('\n')}\n`;
+}
+
+function buildJsonFeed(feed, items) {
+  const payload = {
+    version: JSON_FEED_VERSION,
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description || undefined,
+    authors: [{ name: feed.author || feed.title }],
+    items: items.map(item => {
+      const date = toDate(item.date);
+      const entry = {
+        id: String(item.id),
+        url: item.url || undefined,
+        title: item.title,
+        summary: item.summary || undefined,
+        date_published: date ? date.toISOString() : undefined,
+        image: item.image?.url || undefined,
+        tags: item.categories?.length ? item.categories : undefined,
+        attachments: item.image?.url
+          ? [{ url: item.image.url, mime_type: item.image.type || guessImageType(item.image.url) }]
+          : undefined
+      };
+      // JSON Feed requires either content_html or content_text.
+      if (item.contentHtml) entry.content_html = item.contentHtml;
+      else entry.content_text = item.summary || item.title;
+      Object.entries(item.extensions || {}).forEach(([key, value]) => {
+        entry[`_${key}`] = value;
+      });
+      return entry;
+    })
+  };
+  return JSON.stringify(payload, null, 2);
+}
+
+module.exports = {
+  buildAtomFeed,
+  buildJsonFeed,
+  buildRssFeed,
+  escapeXml,
+  guessImageType
+};
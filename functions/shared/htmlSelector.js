@@ -0,0 +1,278 @@
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr'
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template']);
+const SELF_NESTING_CLOSERS = new Set(['p', 'li', 'option', 'tr', 'td', 'th', 'dt', 'dd']);
+const TAG_PATTERN =
+  /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseAttributes(source) {
+  const attributes = {};
+  if (!source) return attributes;
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!(name in attributes)) {
+      attributes[name] = value;
+    }
+  }
+  return attributes;
+}
+
+function parseHtml(html) {
+  const root = { type: 'root', tagName: '#root', attributes: {}, children: [], parent: null, index: 0 };
+  if (!html || typeof html !== 'string') return root;
+  const stack = [root];
+  let order = 1;
+  let cursor = 0;
+  const current = () => stack[stack.length - 1];
+  const pushText = value => {
+    if (!value) return;
+    current().children.push({ type: 'text', value, parent: current(), index: order++ });
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = TAG_PATTERN.exec(html)) !== null) {
+    pushText(html.slice(cursor, match.index));
+    cursor = TAG_PATTERN.lastIndex;
+    const [raw, closingName, openingName, attributeSource, selfClosing] = match;
+    if (closingName) {
+      const name = closingName.toLowerCase();
+      const openIndex = stack.map(node => node.tagName).lastIndexOf(name);
+      if (openIndex > 0) {
+        stack.length = openIndex;
+      }
+      continue;
+    }
+    if (!openingName) {
+      // Comments, doctypes and processing instructions carry no content we select on.
+      if (raw.startsWith('<![CDATA[')) pushText(raw.slice(9, -3));
+      continue;
+    }
+    const tagName = openingName.toLowerCase();
+    if (SELF_NESTING_CLOSERS.has(tagName) && current().tagName === tagName) {
+      stack.pop();
+    }
+    const element = {
+      type: 'element',
+      tagName,
+      attributes: parseAttributes(attributeSource),
+      children: [],
+      parent: current(),
+      index: order++
+    };
+    current().children.push(element);
+    if (RAW_TEXT_ELEMENTS.has(tagName)) {
+      const closePattern = new RegExp(`<\\/${tagName}\\s*>`, 'i');
+      const rest = html.slice(cursor);
+      const closeMatch = rest.match(closePattern);
+      const end = closeMatch ? cursor + closeMatch.index : html.length;
+      element.children.push({ type: 'text', value: html.slice(cursor, end), parent: element, index: order++ });
+      cursor = closeMatch ? end + closeMatch[0].length : html.length;
+      TAG_PATTERN.lastIndex = cursor;
+      continue;
+    }
+    if (!selfClosing && !VOID_ELEMENTS.has(tagName)) {
+      stack.push(element);
+    }
+  }
+  pushText(html.slice(cursor));
+  return root;
+}
+
+function splitSelectorList(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = '';
+  let buffer = '';
+  for (const char of String(selector || '')) {
+    if (quote) {
+      if (char === quote) quote = '';
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth += 1;
+    } else if (char === ']' || char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ',' && depth === 0) {
+      parts.push(buffer.trim());
+      buffer = '';
+      continue;
+    }
+    buffer += char;
+  }
+  if (buffer.trim()) parts.push(buffer.trim());
+  return parts.filter(Boolean);
+}
+
+function parseCompoundSelector(source) {
+  const compound = { tagName: '', id: '', classes: [], attributes: [], pseudos: [] };
+  const pattern =
+    /([a-zA-Z*][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]|:([\w-]+)/g;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index !== consumed) {
+      throw new Error(`Unsupported selector syntax near "${source.slice(consumed)}"`);
+    }
+    consumed = pattern.lastIndex;
+    if (match[1]) {
+      compound.tagName = match[1] === '*' ? '' : match[1].toLowerCase();
+    } else if (match[2]) {
+      compound.id = match[2];
+    } else if (match[3]) {
+      compound.classes.push(match[3]);
+    } else if (match[4]) {
+      compound.attributes.push({
+        name: match[4].toLowerCase(),
+        operator: match[5] || '',
+        value: match[6] ?? match[7] ?? match[8] ?? ''
+      });
+    } else if (match[9]) {
+      compound.pseudos.push(match[9].toLowerCase());
+    }
+  }
+  if (consumed !== source.length) {
+    throw new Error(`Unsupported selector syntax near "${source.slice(consumed)}"`);
+  }
+  return compound;
+}
+
+function parseComplexSelector(selector) {
+  const tokens = selector
+    .replace(/\s*>\s*/g, ' > ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const steps = [];
+  let combinator = ' ';
+  tokens.forEach(token => {
+    if (token === '>') {
+      combinator = '>';
+      return;
+    }
+    steps.push({ combinator, compound: parseCompoundSelector(token) });
+    combinator = ' ';
+  });
+  return steps;
+}
+
+function elementChildren(node) {
+  return (node?.children || []).filter(child => child.type === 'element');
+}
+
+function matchesAttribute(node, { name, operator, value }) {
+  if (!(name in node.attributes)) return false;
+  const actual = node.attributes[name];
+  switch (operator) {
+    case '':
+      return true;
+    case '=':
+      return actual === value;
+    case '~=':
+      return actual.split(/\s+/).includes(value);
+    case '|=':
+      return actual === value || actual.startsWith(`${value}-`);
+    case '^=':
+      return Boolean(value) && actual.startsWith(value);
+    case '$=':
+      return Boolean(value) && actual.endsWith(value);
+    case '*=':
+      return Boolean(value) && actual.includes(value);
+    default:
+      return false;
+  }
+}
+
+function matchesCompound(node, compound) {
+  if (!node || node.type !== 'element') return false;
+  if (compound.tagName && node.tagName !== compound.tagName) return false;
+  if (compound.id && node.attributes.id !== compound.id) return false;
+  if (compound.classes.length) {
+    const classList = String(node.attributes.class || '').split(/\s+/);
+    if (!compound.classes.every(name => classList.includes(name))) return false;
+  }
+  if (!compound.attributes.every(attribute => matchesAttribute(node, attribute))) return false;
+  for (const pseudo of compound.pseudos) {
+    const siblings = elementChildren(node.parent);
+    if (pseudo === 'first-child' && siblings[0] !== node) return false;
+    if (pseudo === 'last-child' && siblings[siblings.length - 1] !== node) return false;
+    if (!['first-child', 'last-child'].includes(pseudo)) return false;
+  }
+  return true;
+}
+
+function matchesSteps(node, steps, stepIndex, scope) {
+  if (!matchesCompound(node, steps[stepIndex].compound)) return false;
+  if (stepIndex === 0) return true;
+  const { combinator } = steps[stepIndex];
+  let ancestor = node.parent;
+  while (ancestor && ancestor !== scope) {
+    if (matchesSteps(ancestor, steps, stepIndex - 1, scope)) return true;
+    if (combinator === '>') return false;
+    ancestor = ancestor.parent;
+  }
+  return false;
+}
+
+function walkElements(node, visit) {
+  elementChildren(node).forEach(child => {
+    visit(child);
+    walkElements(child, visit);
+  });
+}
+
+function selectAll(scope, selector) {
+  if (!scope || !selector) return [];
+  const selectors = splitSelectorList(selector).map(parseComplexSelector);
+  const matches = [];
+  walkElements(scope, node => {
+    if (selectors.some(steps => matchesSteps(node, steps, steps.length - 1, scope))) {
+      matches.push(node);
+    }
+  });
+  return matches;
+}
+
+function selectOne(scope, selector) {
+  return selectAll(scope, selector)[0] || null;
+}
+
+function getText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  if (RAW_TEXT_ELEMENTS.has(node.tagName)) return '';
+  if (node.tagName === 'br') return '\n';
+  return (node.children || []).map(getText).join(' ');
+}
+
+function getAttribute(node, name) {
+  if (!node || node.type !== 'element' || !name) return '';
+  const value = node.attributes[String(name).toLowerCase()];
+  return typeof value === 'string' ? value : '';
+}
+
+module.exports = {
+  parseHtml,
+  selectAll,
+  selectOne,
+  getText,
+  getAttribute
+};
@@ -0,0 +1,283 @@
+/**
+ * Minimal RFC 5545 writer for publishing calendars. Timed events are written
+ * in their venue's IANA zone with a matching VTIMEZONE built from the zone's
+ * actual offset transitions, so subscribers render the venue's wall clock.
+ */
+
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const offsetFormatters = new Map();
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets per RFC 5545 §3.1 without splitting a
+ * UTF-8 sequence.
+ */
+function foldIcsLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    // Continuation lines spend one octet on the leading space.
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatIcsUtc(ms) {
+  const date = new Date(ms);
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`
+  );
+}
+
+function formatWallClock(ms) {
+  return formatIcsUtc(ms).slice(0, -1);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+}
+
+function getOffsetFormatter(timeZone) {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      })
+    );
+  }
+  return offsetFormatters.get(timeZone);
+}
+
+/** Returns the UTC offset of `timeZone` at `ms`, in minutes east of UTC. */
+function getZoneOffsetMinutes(timeZone, ms) {
+  const values = {};
+  getOffsetFormatter(timeZone)
+    .formatToParts(new Date(ms))
+    .forEach(part => {
+      if (part.type !== 'literal') values[part.type] = Number(part.value);
+    });
+  const wallMs = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return Math.round((wallMs - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+function getZoneAbbreviation(timeZone, ms) {
+  try {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(ms))
+      .find(entry => entry.type === 'timeZoneName');
+    return part ? part.value : '';
+  } catch {
+    return '';
+  }
+}
+
+function findZoneTransitions(timeZone, fromMs, toMs) {
+  const transitions = [];
+  let previousMs = fromMs;
+  let previousOffset = getZoneOffsetMinutes(timeZone, fromMs);
+  for (let ms = fromMs + DAY_MS; ms <= toMs + DAY_MS; ms += DAY_MS) {
+    const offset = getZoneOffsetMinutes(timeZone, ms);
+    if (offset !== previousOffset) {
+      let low = previousMs;
+      let high = ms;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 2);
+        if (getZoneOffsetMinutes(timeZone, middle) === previousOffset) low = middle;
+        else high = middle;
+      }
+      transitions.push({ atMs: Math.floor(high / 60000) * 60000, from: previousOffset, to: offset });
+      previousOffset = offset;
+    }
+    previousMs = ms;
+  }
+  return transitions;
+}
+
+/**
+ * Builds the VTIMEZONE lines for `timeZone` covering every year touched by
+ * `fromMs`..`toMs`: one observance from local midnight on January 1 of the
+ * first year plus one per offset transition in the range.
+ */
+function buildVTimezone(timeZone, fromMs, toMs) {
+  const firstYear = new Date(fromMs).getUTCFullYear();
+  const lastYear = new Date(toMs).getUTCFullYear();
+  const rangeStart = Date.UTC(firstYear, 0, 1);
+  const rangeEnd = Date.UTC(lastYear, 11, 31, 23, 59);
+  const baseOffset = getZoneOffsetMinutes(timeZone, rangeStart);
+  const midyearOffset = getZoneOffsetMinutes(timeZone, Date.UTC(firstYear, 6, 1));
+
+  const observance = (kind, startMs, from, to) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${formatWallClock(startMs + from * 60000)}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    ...(getZoneAbbreviation(timeZone, startMs) ? [`TZNAME:${getZoneAbbreviation(timeZone, startMs)}`] : []),
+    `END:${kind}`
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const baseKind = baseOffset > midyearOffset ? 'DAYLIGHT' : 'STANDARD';
+  lines.push(...observance(baseKind, rangeStart - baseOffset * 60000, baseOffset, baseOffset));
+  findZoneTransitions(timeZone, rangeStart, rangeEnd).forEach(({ atMs, from, to }) => {
+    lines.push(...observance(to > from ? 'DAYLIGHT' : 'STANDARD', atMs, from, to));
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function parseLocalDateTime(value) {
+  const match = typeof value === 'string' ? value.match(LOCAL_DATE_TIME_PATTERN) : null;
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second = '00'] = match;
+  return { text: `${year}${month}${day}T${hour}${minute}${second}`, approxMs: Date.UTC(year, month - 1, day, hour, minute) };
+}
+
+function formatDateValue(value, dayOffset = 0) {
+  const match = typeof value === 'string' ? value.match(DATE_ONLY_PATTERN) : null;
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) + dayOffset * DAY_MS);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Formats an event time `{ date }`, `{ local, timeZone }` or `{ utc }` as a
+ * DTSTART/DTEND property. Returns null when the time cannot be expressed.
+ */
+function formatEventTime(name, time, { endOfDay = false } = {}) {
+  if (!time) return null;
+  if (time.date) {
+    const value = formatDateValue(time.date, endOfDay ? 1 : 0);
+    return value ? `${name};VALUE=DATE:${value}` : null;
+  }
+  if (time.local && time.timeZone) {
+    const local = parseLocalDateTime(time.local);
+    return local ? `${name};TZID=${time.timeZone}:${local.text}` : null;
+  }
+  const utcMs = typeof time.utc === 'number' ? time.utc : Date.parse(time.utc);
+  return Number.isFinite(utcMs) ? `${name}:${formatIcsUtc(utcMs)}` : null;
+}
+
+function collectZoneRanges(events) {
+  const ranges = new Map();
+  events.forEach(event => {
+    [event.start, event.end].forEach(time => {
+      if (!time || time.date || !time.local || !time.timeZone) return;
+      const local = parseLocalDateTime(time.local);
+      if (!local) return;
+      const range = ranges.get(time.timeZone) || { fromMs: local.approxMs, toMs: local.approxMs };
+      range.fromMs = Math.min(range.fromMs, local.approxMs);
+      range.toMs = Math.max(range.toMs, local.approxMs);
+      ranges.set(time.timeZone, range);
+    });
+  });
+  return ranges;
+}
+
+function buildVEvent(event, dtstamp) {
+  const start = formatEventTime('DTSTART', event.start);
+  if (!start) return [];
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${dtstamp}`, start];
+  const end = formatEventTime('DTEND', event.end, { endOfDay: Boolean(event.end?.date) });
+  if (end) {
+    lines.push(end);
+  } else if (event.start.date) {
+    lines.push(formatEventTime('DTEND', event.start, { endOfDay: true }));
+  } else if (Number.isFinite(event.durationMinutes) && event.durationMinutes > 0) {
+    lines.push(`DURATION:PT${Math.round(event.durationMinutes)}M`);
+  }
+  if (event.summary) lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.geo && Number.isFinite(event.geo.latitude) && Number.isFinite(event.geo.longitude)) {
+    lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+  }
+  if (event.url) lines.push(`URL;VALUE=URI:${event.url}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (Array.isArray(event.categories) && event.categories.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeIcsText).join(',')}`);
+  }
+  if (Number.isFinite(event.alarmMinutes) && event.alarmMinutes > 0) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(event.summary || 'Event reminder')}`,
+      `TRIGGER:-PT${Math.round(event.alarmMinutes)}M`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serializes `events` into a VCALENDAR string with CRLF line endings.
+ * Each event is `{ uid, start, end?, durationMinutes?, summary, description?,
+ * location?, geo?, url?, categories?, alarmMinutes? }`, where times are
+ * `{ date }`, `{ local, timeZone }` or `{ utc }`.
+ */
+function buildIcsCalendar({ name, prodId, timeZone, refreshMinutes, events = [], now = Date.now() }) {
+  const dtstamp = formatIcsUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${prodId}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`NAME:${escapeIcsText(name)}`, `X-WR-CALNAME:${escapeIcsText(name)}`);
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  if (Number.isFinite(refreshMinutes) && refreshMinutes > 0) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  collectZoneRanges(events).forEach(({ fromMs, toMs }, zone) => {
+    lines.push(...buildVTimezone(zone, fromMs, toMs));
+  });
+  events.forEach(event => lines.push(...buildVEvent(event, dtstamp)));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  buildIcsCalendar,
+  buildVTimezone,
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsUtc,
+  getZoneOffsetMinutes
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { getFirestore, serverTimestamp } = require('./firestore');
+
+const IMAGE_LOOKUP_COLLECTION = 'imageLookups';
+const MAX_IN_MEMORY_LOOKUPS = 5000;
+const MAX_SUMMARY_DOCS = 5000;
+
+/**
+ * Remembers what scraping an event page for artwork found, keyed by page URL:
+ *
+ *   { url, sourceId, status: 'found' | 'none' | 'error', imageUrl,
+ *     strategy: 'og' | 'twitter' | 'image_src' | 'img' | 'browser' | null,
+ *     checkedAt, expiresAt }
+ *
+ * `none` entries are negative results ("the page has no usable image") and
+ * carry their own, usually shorter, expiry. Expired entries read as missing.
+ */
+
+function lookupDocId(url) {
+  return crypto.createHash('sha256').update(String(url)).digest('hex');
+}
+
+function normalizeLookup(url, entry = {}) {
+  const status = ['found', 'none', 'error'].includes(entry.status) ? entry.status : 'none';
+  return {
+    url: String(url),
+    sourceId: typeof entry.sourceId === 'string' && entry.sourceId ? entry.sourceId : null,
+    status,
+    imageUrl: status === 'found' && typeof entry.imageUrl === 'string' ? entry.imageUrl : null,
+    strategy: typeof entry.strategy === 'string' && entry.strategy ? entry.strategy : null,
+    checkedAt: typeof entry.checkedAt === 'string' ? entry.checkedAt : new Date().toISOString(),
+    expiresAt: typeof entry.expiresAt === 'string' ? entry.expiresAt : null
+  };
+}
+
+function isExpired(entry, now = Date.now()) {
+  return !entry.expiresAt || Date.parse(entry.expiresAt) <= now;
+}
+
+/**
+ * Per-source counts of lookup outcomes and winning strategies, so it is clear
+ * which sources only get artwork through the headless browser.
+ */
+function summarizeLookups(entries) {
+  const bySource = new Map();
+  entries.forEach(entry => {
+    const sourceId = entry.sourceId || 'unknown';
+    const summary = bySource.get(sourceId) || { sourceId, total: 0, found: 0, none: 0, error: 0, strategies: {} };
+    summary.total += 1;
+    summary[entry.status] = (summary[entry.status] || 0) + 1;
+    if (entry.status === 'found' && entry.strategy) {
+      summary.strategies[entry.strategy] = (summary.strategies[entry.strategy] || 0) + 1;
+    }
+    bySource.set(sourceId, summary);
+  });
+  return Array.from(bySource.values())
+    .map(summary => ({
+      ...summary,
+      needsBrowser: summary.found > 0 && summary.strategies.browser === summary.found
+    }))
+    .sort((a, b) => a.sourceId.localeCompare(b.sourceId));
+}
+
+function createMemoryImageLookupStore({ maxEntries = MAX_IN_MEMORY_LOOKUPS } = {}) {
+  const lookups = new Map();
+
+  return {
+    kind: 'memory',
+    async get(url) {
+      const entry = lookups.get(url);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        lookups.delete(url);
+        return null;
+      }
+      return { ...entry };
+    },
+    async set(url, entry) {
+      const normalized = normalizeLookup(url, entry);
+      lookups.delete(url);
+      lookups.set(url, normalized);
+      if (lookups.size > maxEntries) {
+        lookups.delete(lookups.keys().next().value);
+      }
+      return { ...normalized };
+    },
+    async delete(url) {
+      return lookups.delete(url);
+    },
+    async summarize() {
+      const now = Date.now();
+      return summarizeLookups(Array.from(lookups.values()).filter(entry => !isExpired(entry, now)));
+    }
+  };
+}
+
+function createFirestoreImageLookupStore(db) {
+  const collection = db.collection(IMAGE_LOOKUP_COLLECTION);
+
+  return {
+    kind: 'firestore',
+    async get(url) {
+      const snap = await collection.doc(lookupDocId(url)).get();
+      if (!snap.exists) return null;
+      const entry = normalizeLookup(url, snap.data());
+      return isExpired(entry) ? null : entry;
+    },
+    async set(url, entry) {
+      const normalized = normalizeLookup(url, entry);
+      await collection.doc(lookupDocId(url)).set({ ...normalized, updatedAt: serverTimestamp() });
+      return normalized;
+    },
+    async delete(url) {
+      await collection.doc(lookupDocId(url)).delete();
+      return true;
+    },
+    async summarize() {
+      const snapshot = await collection
+        .where('expiresAt', '>', new Date().toISOString())
+        .limit(MAX_SUMMARY_DOCS)
+        .get();
+      return summarizeLookups(snapshot.docs.map(doc => normalizeLookup(doc.data()?.url || doc.id, doc.data())));
+    }
+  };
+}
+
+let activeStore = null;
+
+function getImageLookupStore() {
+  if (activeStore) return activeStore;
+  const db = getFirestore();
+  activeStore = db ? createFirestoreImageLookupStore(db) : createMemoryImageLookupStore();
+  return activeStore;
+}
+
+function setImageLookupStore(store) {
+  activeStore = store || null;
+}
+
+module.exports = {
+  IMAGE_LOOKUP_COLLECTION,
+  createFirestoreImageLookupStore,
+  createMemoryImageLookupStore,
+  getImageLookupStore,
+  setImageLookupStore
+};
@@ -0,0 +1,123 @@
+const { parsePublicHttpUrl } = require('./publicUrl');
+
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (err) {
+  console.warn('sharp is not installed; the image proxy is disabled');
+  sharp = null;
+}
+
+/**
+ * Crops event artwork to the card size. Every source image becomes a
+ * 305x225 thumbnail plus a 2x variant, cropped around the most interesting
+ * region, and a tiny placeholder (average color and an 8x6 blurred preview)
+ * that cards paint while the real image loads.
+ */
+
+const THUMBNAIL_WIDTH = 305;
+const THUMBNAIL_HEIGHT = 225;
+const THUMBNAIL_SCALES = [1, 2];
+const THUMBNAIL_FORMATS = {
+  webp: { contentType: 'image/webp', options: { quality: 78 } },
+  jpeg: { contentType: 'image/jpeg', options: { quality: 80, mozjpeg: true } }
+};
+const PLACEHOLDER_WIDTH = 8;
+const PLACEHOLDER_HEIGHT = 6;
+// Refuse decompression bombs before sharp allocates the pixels.
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+function isImageProcessingAvailable() {
+  return Boolean(sharp);
+}
+
+/**
+ * Syntax check for proxy URLs: public http(s) only. Hosts are resolved and
+ * re-checked (assertPublicHttpUrl) before every fetch and redirect hop.
+ */
+function isProxyableImageUrl(value) {
+  return Boolean(parsePublicHttpUrl(value));
+}
+
+function invalidImage(message) {
+  const err = new Error(message);
+  err.status = 422;
+  err.code = 'invalid_image';
+  return err;
+}
+
+function toHexColor({ r, g, b }) {
+  return `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function renderPlaceholder(input) {
+  const { data } = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT, { fit: 'cover', position: 'attention' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const totals = { r: 0, g: 0, b: 0 };
+  for (let index = 0; index < data.length; index += 3) {
+    totals.r += data[index];
+    totals.g += data[index + 1];
+    totals.b += data[index + 2];
+  }
+  const pixels = data.length / 3;
+  const preview = await sharp(data, { raw: { width: PLACEHOLDER_WIDTH, height: PLACEHOLDER_HEIGHT, channels: 3 } })
+    .png()
+    .toBuffer();
+  return {
+    color: toHexColor({ r: totals.r / pixels, g: totals.g / pixels, b: totals.b / pixels }),
+    dataUri: `data:image/png;base64,${preview.toString('base64')}`
+  };
+}
+
+/**
+ * Renders every thumbnail scale of `input` (a Buffer) in `format` (`webp` or
+ * `jpeg`) and its placeholder. Throws a 422 `invalid_image` error when the
+ * bytes are not a decodable image.
+ */
+async function renderThumbnails(input, { format = 'webp' } = {}) {
+  if (!sharp) {
+    const err = new Error('Image processing is unavailable');
+    err.status = 501;
+    err.code = 'image_processing_unavailable';
+    throw err;
+  }
+  const encoder = THUMBNAIL_FORMATS[format] || THUMBNAIL_FORMATS.webp;
+  let metadata;
+  try {
+    metadata = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw invalidImage(`Unreadable image: ${err.message}`);
+  }
+  if (!metadata.width || !metadata.height) throw invalidImage('Image has no dimensions');
+
+  const variants = [];
+  for (const scale of THUMBNAIL_SCALES) {
+    const width = THUMBNAIL_WIDTH * scale;
+    const height = THUMBNAIL_HEIGHT * scale;
+    const body = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(width, height, { fit: 'cover', position: 'attention' })
+      .toFormat(format in THUMBNAIL_FORMATS ? format : 'webp', encoder.options)
+      .toBuffer();
+    variants.push({ scale, width, height, contentType: encoder.contentType, body });
+  }
+  return {
+    source: { width: metadata.width, height: metadata.height, format: metadata.format || null },
+    variants,
+    placeholder: await renderPlaceholder(input)
+  };
+}
+
+module.exports = {
+  THUMBNAIL_FORMATS,
+  THUMBNAIL_HEIGHT,
+  THUMBNAIL_SCALES,
+  THUMBNAIL_WIDTH,
+  isImageProcessingAvailable,
+  isProxyableImageUrl,
+  renderThumbnails
+};
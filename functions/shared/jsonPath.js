@@ -0,0 +1,115 @@
+const WILDCARD = Symbol('wildcard');
+const RECURSIVE = Symbol('recursive');
+
+function tokenizeJsonPath(path) {
+  const source = String(path || '').trim();
+  const tokens = [];
+  let index = source.startsWith('$') ? 1 : 0;
+  let expectDotless = index === 0;
+
+  const readName = () => {
+    const match = source.slice(index).match(/^[^.[\]\s]+/);
+    if (!match) {
+      throw new Error(`Invalid JSON path "${source}" near position ${index}`);
+    }
+    index += match[0].length;
+    return match[0];
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '.') {
+      if (source[index + 1] === '.') {
+        tokens.push(RECURSIVE);
+        index += 2;
+        if (source[index] === '[') continue;
+      } else {
+        index += 1;
+      }
+      if (source[index] === '*') {
+        tokens.push(WILDCARD);
+        index += 1;
+      } else {
+        tokens.push(readName());
+      }
+    } else if (char === '[') {
+      const close = source.indexOf(']', index);
+      if (close < 0) {
+        throw new Error(`Invalid JSON path "${source}": unclosed bracket`);
+      }
+      const inner = source.slice(index + 1, close).trim();
+      index = close + 1;
+      if (inner === '*') {
+        tokens.push(WILDCARD);
+      } else if (/^-?\d+$/.test(inner)) {
+        tokens.push(Number(inner));
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        tokens.push(inner.slice(1, -1));
+      } else {
+        throw new Error(`Unsupported JSON path segment "[${inner}]"`);
+      }
+    } else if (expectDotless) {
+      if (char === '*') {
+        tokens.push(WILDCARD);
+        index += 1;
+      } else {
+        tokens.push(readName());
+      }
+    } else {
+      throw new Error(`Invalid JSON path "${source}" near position ${index}`);
+    }
+    expectDotless = false;
+  }
+  return tokens;
+}
+
+function childValues(value, token) {
+  if (value === null || typeof value !== 'object') return [];
+  if (token === WILDCARD) {
+    return Array.isArray(value) ? value : Object.values(value);
+  }
+  if (typeof token === 'number') {
+    if (!Array.isArray(value)) return [];
+    const position = token < 0 ? value.length + token : token;
+    return position >= 0 && position < value.length ? [value[position]] : [];
+  }
+  if (Array.isArray(value) && !/^\d+$/.test(token)) {
+    return [];
+  }
+  return Object.prototype.hasOwnProperty.call(value, token) ? [value[token]] : [];
+}
+
+function descendantsAndSelf(value, out = []) {
+  out.push(value);
+  if (value && typeof value === 'object') {
+    (Array.isArray(value) ? value : Object.values(value)).forEach(child => descendantsAndSelf(child, out));
+  }
+  return out;
+}
+
+/**
+ * Evaluates a JSONPath-style expression and returns every matching value.
+ * Supports `$`, dotted and bracketed keys, array indexes, `[*]`/`.*` wildcards
+ * and `..key` recursive descent. A bare `a.b` is treated as `$.a.b`.
+ */
+function queryJsonPath(data, path) {
+  if (path === undefined || path === null || path === '' || path === '$') {
+    return data === undefined ? [] : [data];
+  }
+  const tokens = tokenizeJsonPath(path);
+  let current = [data];
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token === RECURSIVE) {
+      current = current.flatMap(value => descendantsAndSelf(value));
+      continue;
+    }
+    current = current.flatMap(value => childValues(value, token));
+    if (!current.length) break;
+  }
+  return current.filter(value => value !== undefined);
+}
+
+module.exports = {
+  queryJsonPath
+};
@@ -0,0 +1,153 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards server-side fetches of user-influenced URLs. A URL is public when it
+ * is http(s) without credentials and every address its host resolves to is a
+ * globally routable unicast address. IPv6 forms that embed an IPv4 address
+ * (mapped, compatible, NAT64, 6to4) are judged by the embedded address, so
+ * `[::ffff:127.0.0.1]` is as private as `127.0.0.1`.
+ */
+
+// [network, prefix length] pairs; the address is private when it falls inside any.
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+const PRIVATE_HOSTNAME_PATTERN = /(?:^|\.)(?:localhost|local|internal|localdomain|home\.arpa)$/;
+
+let lookupHost = hostname => dns.promises.lookup(hostname, { all: true, verbatim: true });
+
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+}
+
+function isPrivateIpv4(address) {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+    const size = 2 ** (32 - bits);
+    const start = ipv4ToNumber(network);
+    return value >= start && value < start + size;
+  });
+}
+
+/** Expands an IPv6 address into its eight 16-bit groups. */
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToNumber(dotted[1]);
+    text = `${text.slice(0, -dotted[1].length)}${Math.floor(value / 65536).toString(16)}:${(value % 65536).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16) || 0);
+}
+
+function groupsToIpv4(high, low) {
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isPrivateIpv6(address) {
+  const groups = ipv6Groups(address);
+  const leadingZeros = groups.slice(0, 5).every(group => group === 0);
+  // ::ffff:a.b.c.d (mapped) and ::a.b.c.d (compatible, which also covers :: and ::1).
+  if (leadingZeros && (groups[5] === 0xffff || groups[5] === 0)) {
+    if (groups[5] === 0 && groups[6] === 0) return true;
+    return isPrivateIpv4(groupsToIpv4(groups[6], groups[7]));
+  }
+  // 64:ff9b::/96 NAT64
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return isPrivateIpv4(groupsToIpv4(groups[6], groups[7]));
+  }
+  // 2002::/16 6to4
+  if (groups[0] === 0x2002) return isPrivateIpv4(groupsToIpv4(groups[1], groups[2]));
+  const first = groups[0];
+  return (
+    (first & 0xfe00) === 0xfc00 || // unique local
+    (first & 0xffc0) === 0xfe80 || // link-local
+    (first & 0xffc0) === 0xfec0 || // site-local
+    (first & 0xff00) === 0xff00 || // multicast
+    (first === 0x2001 && groups[1] === 0x0db8) // documentation
+  );
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return isPrivateIpv4(address);
+  if (family === 6) return isPrivateIpv6(address);
+  return true;
+}
+
+function unsafeUrl(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'unsafe_url';
+  return err;
+}
+
+/** Syntax-only check: http(s), no credentials, not an obviously internal host. */
+function parsePublicHttpUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  if (parsed.username || parsed.password) return null;
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (!host || PRIVATE_HOSTNAME_PATTERN.test(host)) return null;
+  if (net.isIP(host) && isPrivateAddress(host)) return null;
+  return parsed;
+}
+
+/**
+ * Resolves the URL's host and rejects it (status 400, code `unsafe_url`)
+ * unless every address is public. Resolves with the parsed URL.
+ */
+async function assertPublicHttpUrl(value) {
+  const parsed = parsePublicHttpUrl(value);
+  if (!parsed) throw unsafeUrl('URL must be a public http(s) URL');
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return parsed;
+  let addresses;
+  try {
+    addresses = await lookupHost(host);
+  } catch (err) {
+    throw unsafeUrl(`Unable to resolve ${host}: ${err?.code || err?.message || err}`);
+  }
+  const list = (Array.isArray(addresses) ? addresses : [addresses]).map(entry =>
+    typeof entry === 'string' ? entry : entry?.address
+  );
+  if (!list.length || list.some(address => !address || isPrivateAddress(address))) {
+    throw unsafeUrl(`${host} resolves to a non-public address`);
+  }
+  return parsed;
+}
+
+/** Replaces the DNS lookup (`hostname => [{ address }]`); pass null to restore it. */
+function setHostLookup(lookup) {
+  lookupHost = lookup || (hostname => dns.promises.lookup(hostname, { all: true, verbatim: true }));
+}
+
+module.exports = {
+  assertPublicHttpUrl,
+  isPrivateAddress,
+  parsePublicHttpUrl,
+  setHostLookup
+};
@@ -0,0 +1,52 @@
+const REDACTED = '[redacted]';
+const SECRET_QUERY_PARAMS = ['key', 'apikey', 'api_key', 'token', 'access_token', 'client_secret'];
+const SECRET_QUERY_PATTERN = new RegExp(
+  `([?&;](?:${SECRET_QUERY_PARAMS.join('|')})=)[^&#\\s"'<>]*`,
+  'gi'
+);
+const MIN_LITERAL_SECRET_LENGTH = 6;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Masks secret query parameters (`key`, `apikey`, `token`, …) anywhere in the
+ * string, plus any literal secret values passed in `secrets` — upstream error
+ * bodies sometimes echo a key outside of a URL.
+ */
+function redactSecrets(value, { secrets = [] } = {}) {
+  if (typeof value !== 'string' || !value) return value;
+  let redacted = value.replace(SECRET_QUERY_PATTERN, `$1${REDACTED}`);
+  secrets
+    .filter(secret => typeof secret === 'string' && secret.length >= MIN_LITERAL_SECRET_LENGTH)
+    .forEach(secret => {
+      redacted = redacted.replace(new RegExp(escapeRegExp(secret), 'g'), REDACTED);
+      const encoded = encodeURIComponent(secret);
+      if (encoded !== secret) {
+        redacted = redacted.replace(new RegExp(escapeRegExp(encoded), 'g'), REDACTED);
+      }
+    });
+  return redacted;
+}
+
+/**
+ * Returns a copy of a diagnostics object (summaries, segment lists, error
+ * payloads) with every string value passed through `redactSecrets`.
+ */
+function redactDiagnostics(value, options) {
+  if (typeof value === 'string') return redactSecrets(value, options);
+  if (Array.isArray(value)) return value.map(item => redactDiagnostics(item, options));
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redactDiagnostics(item, options)])
+    );
+  }
+  return value;
+}
+
+module.exports = {
+  REDACTED,
+  redactSecrets,
+  redactDiagnostics
+};
@@ -1,4 +1,5 @@
 const { getFirestore } = require('./firestore');
+const { deleteFirestoreCacheChunks } = require('./cache');
 const RSS_CACHE_COLLECTION = 'rssCache';
 
 async function clearRssCacheByFeed(feedUrl) {
@@ -15,7 +16,10 @@ async function clearRssCacheByFeed(feedUrl) {
       .get();
   }
   if (snapshot.empty) return 0;
-  const deletes = snapshot.docs.map(doc => doc.ref.delete());
+  const deletes = snapshot.docs.map(async doc => {
+    await deleteFirestoreCacheChunks(doc);
+    await doc.ref.delete();
+  });
   await Promise.all(deletes);
   return snapshot.size;
 }
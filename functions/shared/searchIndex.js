@@ -0,0 +1,214 @@
+/**
+ * In-process inverted index for ranked event search. Documents are indexed
+ * per field; a query matches when every term is found (exactly, as a prefix
+ * of an indexed term, or within a small edit distance) in at least one field.
+ * Scores weight each field by its boost and rarer terms by inverse document
+ * frequency.
+ */
+
+const DEFAULT_FIELD_BOOSTS = {
+  title: 5,
+  attractions: 4,
+  venue: 3,
+  genres: 2,
+  summary: 1
+};
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.75, fuzzy: 0.5 };
+const MIN_PREFIX_LENGTH = 2;
+const SNIPPET_RADIUS = 60;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function foldText(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Splits text into lower-cased, accent-folded tokens with their character
+ * offsets in the original string.
+ */
+function tokenize(text) {
+  const source = String(text || '');
+  const tokens = [];
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const term = foldText(match[0]);
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+function maxTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+function boundedEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Cuts long field text down to a window around the first match and returns
+ * it with match ranges relative to the snippet plus an HTML-escaped rendering
+ * that wraps matches in <mark>.
+ */
+function buildSnippet(text, ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_RADIUS * 2) {
+    start = Math.max(0, sorted[0][0] - SNIPPET_RADIUS);
+    end = Math.min(text.length, sorted[0][1] + SNIPPET_RADIUS);
+    // Snap the window to whole words.
+    const spaceAfterStart = text.indexOf(' ', start);
+    if (start > 0 && spaceAfterStart !== -1 && spaceAfterStart < sorted[0][0]) start = spaceAfterStart + 1;
+    const spaceBeforeEnd = text.lastIndexOf(' ', end);
+    if (end < text.length && spaceBeforeEnd > sorted[0][1]) end = spaceBeforeEnd;
+  }
+  const window = text.slice(start, end);
+  const matches = sorted
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [from - start, to - start]);
+  let html = '';
+  let cursor = 0;
+  matches.forEach(([from, to]) => {
+    if (from < cursor) return;
+    html += `${escapeHtml(window.slice(cursor, from))}<mark>${escapeHtml(window.slice(from, to))}</mark>`;
+    cursor = to;
+  });
+  html += escapeHtml(window.slice(cursor));
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return {
+    text: `${prefix}${window}${suffix}`,
+    matches: matches.map(([from, to]) => [from + prefix.length, to + prefix.length]),
+    html: `${prefix}${html}${suffix}`
+  };
+}
+
+/**
+ * Builds an index over `documents`, each `{ id, fields: { name: string }, ref }`.
+ * `ref` is returned with every hit untouched.
+ */
+function createSearchIndex(documents, { boosts = DEFAULT_FIELD_BOOSTS } = {}) {
+  const postings = new Map();
+  const docs = [];
+
+  documents.forEach(document => {
+    const docIndex = docs.length;
+    const fields = {};
+    Object.entries(document.fields || {}).forEach(([field, text]) => {
+      if (!boosts[field] || typeof text !== 'string' || !text.trim()) return;
+      const tokens = tokenize(text);
+      if (!tokens.length) return;
+      fields[field] = { text, tokens };
+      tokens.forEach(({ term }) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const byDoc = postings.get(term);
+        if (!byDoc.has(docIndex)) byDoc.set(docIndex, new Set());
+        byDoc.get(docIndex).add(field);
+      });
+    });
+    docs.push({ id: document.id, ref: document.ref, fields });
+  });
+
+  const vocabulary = Array.from(postings.keys());
+
+  const expandTerm = (queryTerm, { allowPrefix }) => {
+    const expansions = [];
+    if (postings.has(queryTerm)) expansions.push({ term: queryTerm, weight: MATCH_WEIGHTS.exact });
+    const typos = maxTypos(queryTerm);
+    vocabulary.forEach(term => {
+      if (term === queryTerm) return;
+      if (allowPrefix && queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+        expansions.push({ term, weight: MATCH_WEIGHTS.prefix });
+      } else if (typos && boundedEditDistance(queryTerm, term, typos) <= typos) {
+        expansions.push({ term, weight: MATCH_WEIGHTS.fuzzy });
+      }
+    });
+    return expansions;
+  };
+
+  function search(query, { limit = 20 } = {}) {
+    const queryTerms = Array.from(new Set(tokenize(query).map(token => token.term)));
+    if (!queryTerms.length || !docs.length) return { total: 0, hits: [] };
+
+    let candidates = null;
+    const perTerm = queryTerms.map((queryTerm, index) => {
+      // Only the last term may still be mid-typing, so only it matches by prefix.
+      const expansions = expandTerm(queryTerm, { allowPrefix: index === queryTerms.length - 1 });
+      const scores = new Map();
+      const matchedTerms = new Map();
+      expansions.forEach(({ term, weight }) => {
+        const byDoc = postings.get(term);
+        const idf = Math.log(1 + docs.length / byDoc.size);
+        byDoc.forEach((fields, docIndex) => {
+          const fieldBoost = Math.max(...Array.from(fields, field => boosts[field]));
+          const score = weight * idf * fieldBoost;
+          if (score > (scores.get(docIndex) || 0)) scores.set(docIndex, score);
+          if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, new Set());
+          matchedTerms.get(docIndex).add(term);
+        });
+      });
+      const docIndexes = new Set(scores.keys());
+      candidates = candidates
+        ? new Set(Array.from(candidates).filter(docIndex => docIndexes.has(docIndex)))
+        : docIndexes;
+      return { scores, matchedTerms };
+    });
+
+    const hits = Array.from(candidates || [])
+      .map(docIndex => {
+        const doc = docs[docIndex];
+        const terms = new Set();
+        let score = 0;
+        perTerm.forEach(({ scores, matchedTerms }) => {
+          score += scores.get(docIndex) || 0;
+          (matchedTerms.get(docIndex) || []).forEach(term => terms.add(term));
+        });
+        const highlights = Object.entries(doc.fields)
+          .map(([field, { text, tokens }]) => {
+            const ranges = tokens.filter(token => terms.has(token.term)).map(token => [token.start, token.end]);
+            return ranges.length ? { field, ...buildSnippet(text, ranges) } : null;
+          })
+          .filter(Boolean)
+          .sort((a, b) => boosts[b.field] - boosts[a.field]);
+        return { id: doc.id, ref: doc.ref, score: Math.round(score * 1000) / 1000, highlights };
+      })
+      .sort((a, b) => b.score - a.score || String(a.id).localeCompare(String(b.id)));
+
+    return { total: hits.length, hits: hits.slice(0, limit) };
+  }
+
+  return { size: docs.length, search };
+}
+
+module.exports = {
+  DEFAULT_FIELD_BOOSTS,
+  createSearchIndex,
+  tokenize
+};
@@ -0,0 +1,188 @@
+const { parseHtml, getText, getAttribute } = require('./htmlSelector');
+
+/**
+ * Reads schema.org structured data out of an HTML page. JSON-LD blocks are
+ * preferred; microdata (`itemscope`/`itemtype`/`itemprop`) is converted into
+ * the same JSON-LD-like object shape so callers handle one representation.
+ */
+
+const SCHEMA_TYPE_PREFIX = /^(?:https?:\/\/schema\.org\/|schema:)/i;
+const MICRODATA_URL_ELEMENTS = {
+  a: 'href',
+  area: 'href',
+  link: 'href',
+  audio: 'src',
+  embed: 'src',
+  iframe: 'src',
+  img: 'src',
+  source: 'src',
+  track: 'src',
+  video: 'src',
+  object: 'data'
+};
+
+function elementChildren(node) {
+  return (node?.children || []).filter(child => child.type === 'element');
+}
+
+function walkElements(node, visit) {
+  elementChildren(node).forEach(child => {
+    visit(child);
+    walkElements(child, visit);
+  });
+}
+
+function normalizeSchemaType(value) {
+  return String(value || '').trim().replace(SCHEMA_TYPE_PREFIX, '');
+}
+
+/** Returns a node's `@type` values without schema.org prefixes. */
+function getSchemaTypes(node) {
+  if (!node || typeof node !== 'object') return [];
+  return [].concat(node['@type'] || []).map(normalizeSchemaType).filter(Boolean);
+}
+
+function parseJsonLdText(text) {
+  const trimmed = String(text || '')
+    .trim()
+    .replace(/^<!--/, '')
+    .replace(/-->$/, '')
+    .replace(/^\s*\/\/\s*<!\[CDATA\[/, '')
+    .replace(/\/\/\s*\]\]>\s*$/, '')
+    .trim();
+  if (!trimmed) return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    // CMS templates often leave raw newlines or tabs inside string values.
+    try {
+      return JSON.parse(trimmed.replace(/[\u0000-\u001f]+/g, ' '));
+    } catch {
+      return null;
+    }
+  }
+}
+
+/** Parses every `application/ld+json` script on the page. Invalid blocks are skipped. */
+function extractJsonLdBlocks(document) {
+  const blocks = [];
+  walkElements(document, node => {
+    if (node.tagName !== 'script') return;
+    if (!/ld\+json/i.test(getAttribute(node, 'type'))) return;
+    const parsed = parseJsonLdText((node.children || []).map(child => child.value || '').join(''));
+    if (parsed !== null) blocks.push(parsed);
+  });
+  return blocks;
+}
+
+function readMicrodataValue(node) {
+  if (node.attributes.itemscope !== undefined) return readMicrodataItem(node);
+  if (node.attributes.content !== undefined) return getAttribute(node, 'content');
+  const urlAttribute = MICRODATA_URL_ELEMENTS[node.tagName];
+  if (urlAttribute) return getAttribute(node, urlAttribute);
+  if (node.tagName === 'time' && node.attributes.datetime !== undefined) return getAttribute(node, 'datetime');
+  if ((node.tagName === 'data' || node.tagName === 'meter') && node.attributes.value !== undefined) {
+    return getAttribute(node, 'value');
+  }
+  return getText(node).replace(/\s+/g, ' ').trim();
+}
+
+function collectMicrodataProperties(scope, item) {
+  elementChildren(scope).forEach(child => {
+    const names = getAttribute(child, 'itemprop').split(/\s+/).filter(Boolean);
+    if (names.length) {
+      const value = readMicrodataValue(child);
+      names.forEach(name => {
+        if (item[name] === undefined) item[name] = value;
+        else item[name] = [].concat(item[name], value);
+      });
+    }
+    // Properties inside a nested item belong to that item, not this one.
+    if (child.attributes.itemscope === undefined) collectMicrodataProperties(child, item);
+  });
+}
+
+function readMicrodataItem(node) {
+  const item = {};
+  const types = getAttribute(node, 'itemtype').split(/\s+/).filter(Boolean).map(type => type.replace(/^.*\//, ''));
+  if (types.length) item['@type'] = types.length === 1 ? types[0] : types;
+  const id = getAttribute(node, 'itemid');
+  if (id) item['@id'] = id;
+  collectMicrodataProperties(node, item);
+  return item;
+}
+
+/** Converts top-level microdata items (those not used as a property value) into objects. */
+function extractMicrodataItems(document) {
+  const items = [];
+  walkElements(document, node => {
+    if (node.attributes.itemscope === undefined || node.attributes.itemprop !== undefined) return;
+    items.push(readMicrodataItem(node));
+  });
+  return items;
+}
+
+/**
+ * Returns the structured data on a page as a flat list of root values plus a
+ * map of every node carrying an `@id`, so references such as
+ * `"location": { "@id": "#venue" }` can be resolved.
+ */
+function extractStructuredData(html) {
+  const document = parseHtml(html);
+  const jsonLd = extractJsonLdBlocks(document);
+  const microdata = extractMicrodataItems(document);
+  const nodesById = new Map();
+  const index = value => {
+    if (Array.isArray(value)) return value.forEach(index);
+    if (!value || typeof value !== 'object') return;
+    if (typeof value['@id'] === 'string' && Object.keys(value).length > 1 && !nodesById.has(value['@id'])) {
+      nodesById.set(value['@id'], value);
+    }
+    Object.values(value).forEach(index);
+  };
+  [...jsonLd, ...microdata].forEach(index);
+  return { jsonLd, microdata, nodesById };
+}
+
+/** Replaces a bare `{ "@id": ... }` reference with the node it points at. */
+function resolveSchemaReference(value, nodesById) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && typeof value['@id'] === 'string') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && nodesById.has(value['@id'])) return nodesById.get(value['@id']);
+  }
+  return value;
+}
+
+/**
+ * Walks structured data roots (arrays, `@graph` containers and nested
+ * values such as `ItemList` entries) and returns nodes whose `@type` is in
+ * `types`. Matching nodes are not searched further except for `subEvent`.
+ */
+function findSchemaNodes(roots, types, nodesById = new Map()) {
+  const wanted = new Set([].concat(types).map(normalizeSchemaType));
+  const found = [];
+  const seen = new Set();
+  const visit = raw => {
+    const value = resolveSchemaReference(raw, nodesById);
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object' || seen.has(value)) return;
+    seen.add(value);
+    if (getSchemaTypes(value).some(type => wanted.has(type))) {
+      found.push(value);
+      if (value.subEvent) visit(value.subEvent);
+      return;
+    }
+    Object.entries(value).forEach(([key, child]) => {
+      if (key !== '@context') visit(child);
+    });
+  };
+  roots.forEach(visit);
+  return found;
+}
+
+module.exports = {
+  extractStructuredData,
+  findSchemaNodes,
+  getSchemaTypes,
+  resolveSchemaReference
+};
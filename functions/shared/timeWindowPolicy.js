@@ -0,0 +1,243 @@
+/**
+ * Start-time windows that decide which events a listener wants to see. A
+ * policy is
+ *
+ *   { enabled, days: { mon: ['16:30-24:00'], ... }, holidaysAsWeekend,
+ *     holidays: ['YYYY-MM-DD'], sources: ['ticketmaster'] }
+ *
+ * `days` may also use `weekdays` and `weekend` as shorthands; explicit day
+ * keys win. A day without an entry allows any start time and an empty list
+ * hides the whole day. A range whose end is not after its start runs past
+ * midnight. With `holidaysAsWeekend`, US federal holidays (observed dates)
+ * and any listed `holidays` use Saturday's ranges. `sources` limits the
+ * policy to events from those datasources; an empty list applies it to all.
+ */
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekend: ['sat', 'sun']
+};
+const HOLIDAY_DAY_KEY = 'sat';
+const MAX_RANGES_PER_DAY = 6;
+const MAX_LISTED_HOLIDAYS = 100;
+const MAX_POLICY_LENGTH = 4000;
+
+const DEFAULT_TIME_WINDOW_POLICY = Object.freeze({
+  enabled: true,
+  days: Object.freeze(
+    Object.fromEntries(DAY_GROUPS.weekdays.map(day => [day, Object.freeze(['16:30-24:00'])]))
+  ),
+  holidaysAsWeekend: false,
+  holidays: Object.freeze([]),
+  sources: Object.freeze(['ticketmaster'])
+});
+
+let defaultPolicy = null;
+
+function invalidTimePolicy(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'invalid_time_policy';
+  return err;
+}
+
+function parseClockMinutes(value, { allowEndOfDay = false } = {}) {
+  const match = String(value ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  if (Number(match[2]) > 59) return null;
+  if (minutes < 24 * 60 || (allowEndOfDay && minutes === 24 * 60)) return minutes;
+  return null;
+}
+
+function formatClockMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseRange(value, label) {
+  const [rawStart, rawEnd] = typeof value === 'string'
+    ? value.split('-')
+    : [value?.start, value?.end];
+  const start = parseClockMinutes(rawStart);
+  const end = parseClockMinutes(rawEnd, { allowEndOfDay: true });
+  if (start === null || end === null) {
+    throw invalidTimePolicy(`${label} must be a range such as 16:30-24:00`);
+  }
+  return { start, end };
+}
+
+function parseDayRanges(value, label) {
+  if (!Array.isArray(value)) throw invalidTimePolicy(`${label} must be a list of time ranges`);
+  if (value.length > MAX_RANGES_PER_DAY) {
+    throw invalidTimePolicy(`${label} allows at most ${MAX_RANGES_PER_DAY} ranges`);
+  }
+  return value.map((range, index) => parseRange(range, `${label}[${index}]`));
+}
+
+function parseHolidayList(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_LISTED_HOLIDAYS) {
+    throw invalidTimePolicy(`holidays must be a list of at most ${MAX_LISTED_HOLIDAYS} YYYY-MM-DD dates`);
+  }
+  return value.map(entry => {
+    const text = String(entry).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) throw invalidTimePolicy(`holiday ${text} must be a YYYY-MM-DD date`);
+    return text;
+  });
+}
+
+/**
+ * Normalizes a policy from a query-string value (`off`, `default` or JSON) or
+ * an object. Missing input returns the default policy. Throws a 400
+ * `invalid_time_policy` error describing the first problem.
+ */
+function parseTimeWindowPolicy(input) {
+  if (input === undefined || input === null || input === '') return normalizeDefaultPolicy();
+  let value = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    if (/^(off|none|false|0)$/i.test(text)) return { ...normalizeDefaultPolicy(), enabled: false };
+    if (/^default$/i.test(text)) return normalizeDefaultPolicy();
+    if (text.length > MAX_POLICY_LENGTH) throw invalidTimePolicy('timePolicy is too long');
+    try {
+      value = JSON.parse(text);
+    } catch {
+      throw invalidTimePolicy('timePolicy must be off, default or a JSON policy object');
+    }
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw invalidTimePolicy('timePolicy must be an object');
+  }
+
+  const days = {};
+  const rawDays = value.days ?? {};
+  if (!rawDays || typeof rawDays !== 'object' || Array.isArray(rawDays)) {
+    throw invalidTimePolicy('days must map day names to time ranges');
+  }
+  Object.keys(rawDays).forEach(key => {
+    if (!DAY_GROUPS[key] && !DAY_KEYS.includes(key)) {
+      throw invalidTimePolicy(`days.${key} is not a day; use mon-sun, weekdays or weekend`);
+    }
+  });
+  Object.entries(DAY_GROUPS).forEach(([group, members]) => {
+    if (rawDays[group] === undefined) return;
+    const ranges = parseDayRanges(rawDays[group], `days.${group}`);
+    members.forEach(day => {
+      days[day] = ranges;
+    });
+  });
+  DAY_KEYS.forEach(day => {
+    if (rawDays[day] !== undefined) days[day] = parseDayRanges(rawDays[day], `days.${day}`);
+  });
+
+  const sources = value.sources === undefined ? [] : value.sources;
+  if (!Array.isArray(sources) || sources.some(source => typeof source !== 'string')) {
+    throw invalidTimePolicy('sources must be a list of datasource ids');
+  }
+
+  return {
+    enabled: value.enabled !== false,
+    days,
+    holidaysAsWeekend: Boolean(value.holidaysAsWeekend),
+    holidays: parseHolidayList(value.holidays),
+    sources: sources.map(source => source.trim()).filter(Boolean)
+  };
+}
+
+function normalizeDefaultPolicy() {
+  if (!defaultPolicy) {
+    defaultPolicy = parseTimeWindowPolicy(JSON.parse(JSON.stringify(DEFAULT_TIME_WINDOW_POLICY)));
+  }
+  return defaultPolicy;
+}
+
+/** Returns a policy in the same JSON shape clients send, e.g. for echoing in responses. */
+function describeTimeWindowPolicy(policy) {
+  return {
+    enabled: policy.enabled,
+    days: Object.fromEntries(
+      DAY_KEYS.filter(day => policy.days[day]).map(day => [
+        day,
+        policy.days[day].map(range => `${formatClockMinutes(range.start)}-${formatClockMinutes(range.end)}`)
+      ])
+    ),
+    holidaysAsWeekend: policy.holidaysAsWeekend,
+    holidays: policy.holidays,
+    sources: policy.sources
+  };
+}
+
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+}
+
+function lastWeekdayOfMonth(year, month, weekday) {
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const lastWeekday = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+  return lastDay - ((lastWeekday - weekday + 7) % 7);
+}
+
+function formatDateKey(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.toISOString().slice(0, 10);
+}
+
+const holidayCache = new Map();
+
+/** US federal holidays for `year`, moved to the observed weekday when they fall on a weekend. */
+function listFederalHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+  const observed = (month, day) => {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    const shift = weekday === 6 ? -1 : weekday === 0 ? 1 : 0;
+    return formatDateKey(year, month, day + shift);
+  };
+  const holidays = new Set([
+    observed(1, 1),
+    formatDateKey(year, 1, nthWeekdayOfMonth(year, 1, 1, 3)),
+    formatDateKey(year, 2, nthWeekdayOfMonth(year, 2, 1, 3)),
+    formatDateKey(year, 5, lastWeekdayOfMonth(year, 5, 1)),
+    observed(6, 19),
+    observed(7, 4),
+    formatDateKey(year, 9, nthWeekdayOfMonth(year, 9, 1, 1)),
+    formatDateKey(year, 10, nthWeekdayOfMonth(year, 10, 1, 2)),
+    observed(11, 11),
+    formatDateKey(year, 11, nthWeekdayOfMonth(year, 11, 4, 4)),
+    observed(12, 25),
+    // New Year's Day on a Saturday is observed on the last Friday of the previous year.
+    ...(new Date(Date.UTC(year + 1, 0, 1)).getUTCDay() === 6 ? [formatDateKey(year, 12, 31)] : [])
+  ]);
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+function isHoliday(policy, { year, month, day }) {
+  const key = formatDateKey(year, month, day);
+  return policy.holidays.includes(key) || listFederalHolidays(year).has(key);
+}
+
+/**
+ * Whether a venue-local start `{ year, month, day, hour, minute }` falls in
+ * the policy's windows for that day. Starts without a time are allowed.
+ */
+function isStartAllowed(policy, parts) {
+  if (!policy.enabled || !parts || parts.hour === null || parts.hour === undefined) return true;
+  const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  const dayKey = policy.holidaysAsWeekend && isHoliday(policy, parts) ? HOLIDAY_DAY_KEY : DAY_KEYS[weekday];
+  const ranges = policy.days[dayKey];
+  if (!ranges) return true;
+  const minutes = parts.hour * 60 + (parts.minute || 0);
+  return ranges.some(({ start, end }) =>
+    end > start ? minutes >= start && minutes < end : minutes >= start || minutes < end
+  );
+}
+
+module.exports = {
+  DEFAULT_TIME_WINDOW_POLICY,
+  describeTimeWindowPolicy,
+  isStartAllowed,
+  listFederalHolidays,
+  parseTimeWindowPolicy
+};
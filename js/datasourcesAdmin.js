@@ -1,4 +1,5 @@
 import { API_BASE_URL } from './config.js';
+import { formatEventDate } from './eventTime.js';
 
 const API_BASE = API_BASE_URL.replace(/\/$/, '');
 const FEED_SETTINGS_KEY = 'datasourcesAdmin.feedSettings';
@@ -22,12 +23,15 @@ const HARD_CODED_SOURCES = [
 ];
 
 const elements = {};
+let warnedAuthUnavailable = false;
 const state = {
   events: [],
   sources: HARD_CODED_SOURCES.map(source => ({ ...source, count: 0 })),
   selectedSource: 'all',
   payloadSource: null,
-  sourceKeywordFilters: {}
+  sourceKeywordFilters: {},
+  healthRequestId: 0,
+  historyRequestId: 0
 };
 
 const endpoints = {
@@ -67,11 +71,22 @@ function cacheElements() {
   elements.previewDays = document.getElementById('previewDays');
   elements.loadBtn = document.getElementById('feedLoadBtn');
   elements.clearCacheBtn = document.getElementById('cacheClearBtn');
+  elements.healthLabel = document.getElementById('healthLabel');
+  elements.healthStatus = document.getElementById('healthStatus');
+  elements.healthOutput = document.getElementById('healthOutput');
+  elements.historyLabel = document.getElementById('historyLabel');
+  elements.historyStatus = document.getElementById('historyStatus');
+  elements.historyOutput = document.getElementById('historyOutput');
+  elements.testConfig = document.getElementById('testSourceConfig');
+  elements.testBtn = document.getElementById('testSourceBtn');
+  elements.testStatus = document.getElementById('testSourceStatus');
+  elements.testOutput = document.getElementById('testSourceOutput');
 }
 
 function bindEvents() {
   elements.loadBtn?.addEventListener('click', () => loadFeed({ force: true }));
   elements.clearCacheBtn?.addEventListener('click', () => handleCacheClear());
+  elements.testBtn?.addEventListener('click', () => handleSourceTest());
   [elements.previewDays]
     .filter(Boolean)
     .forEach(input => input.addEventListener('change', saveFeedSettings));
@@ -91,6 +106,18 @@ function setSourcesStatus(message, stateName = 'info') {
   setStatus(elements.sourcesStatus, message, stateName);
 }
 
+function setTestStatus(message, stateName = 'info') {
+  setStatus(elements.testStatus, message, stateName);
+}
+
+function setHealthStatus(message, stateName = 'info') {
+  setStatus(elements.healthStatus, message, stateName);
+}
+
+function setHistoryStatus(message, stateName = 'info') {
+  setStatus(elements.historyStatus, message, stateName);
+}
+
 async function loadFeed({ force = false, fromAuto = false } = {}) {
   const params = buildFeedParams();
   if (!params) return;
@@ -248,6 +275,8 @@ function buildSourceRow(source) {
     state.selectedSource = source.id;
     renderSources();
     renderPreview();
+    loadSourceHealth(source.id);
+    loadSourceHistory(source.id);
   });
 
   wrapper.appendChild(button);
@@ -335,8 +364,7 @@ function buildPreviewEvent(event) {
   const meta = document.createElement('p');
   meta.className = 'show-card__meta';
 
-  const startIso = event?.start?.local || event?.start?.utc || '';
-  const dateText = formatEventDate(startIso);
+  const dateText = formatEventDate(event?.start, event?.timeZone);
   if (dateText) {
     const dateSpan = document.createElement('span');
     dateSpan.className = 'show-card__date';
@@ -364,7 +392,7 @@ function buildPreviewEvent(event) {
   const missing = [];
   const gallery = renderEventImages(event);
   if (!gallery) missing.push('Image');
-  if (!startIso) missing.push('Date/Time');
+  if (!event?.start?.local && !event?.start?.utc) missing.push('Date/Time');
   if (!event?.venue?.name) missing.push('Venue');
 
   if (missing.length) {
@@ -494,22 +522,6 @@ function parseKeywordList(raw) {
     .filter(Boolean);
 }
 
-function formatEventDate(value) {
-  if (!value) return '';
-  try {
-    const date = new Date(value);
-    if (Number.isNaN(date.getTime())) return String(value);
-    const formatted = new Intl.DateTimeFormat(undefined, {
-      dateStyle: 'medium',
-      timeStyle: 'short'
-    }).format(date);
-    const weekday = new Intl.DateTimeFormat(undefined, { weekday: 'short' }).format(date);
-    return `${formatted} (${weekday})`;
-  } catch {
-    return String(value);
-  }
-}
-
 function normalizeGenreLabel(genre) {
   if (!genre) return '';
   return genre
@@ -829,11 +841,346 @@ async function fetchJson(url, options) {
     } catch {
       // ignore
     }
-    throw new Error(message);
+    const error = new Error(message);
+    error.status = response.status;
+    try {
+      error.body = JSON.parse(message);
+    } catch {
+      error.body = null;
+    }
+    throw error;
   }
   return response.json();
 }
 
+async function buildAuthHeaders() {
+  try {
+    // This page never runs initAuth, so wait for Firebase to restore the persisted session.
+    const { awaitAuthUser } = await import('./auth.js');
+    const user = await awaitAuthUser();
+    if (user) {
+      const token = await user.getIdToken();
+      return { Authorization: `Bearer ${token}` };
+    }
+  } catch (authErr) {
+    if (!warnedAuthUnavailable) {
+      warnedAuthUnavailable = true;
+      console.warn('Auth module unavailable for admin request', authErr);
+    }
+  }
+  return {};
+}
+
+function resolveHealthEndpoint(sourceId) {
+  const base = API_BASE || '';
+  const path = `/api/datasources/${encodeURIComponent(sourceId)}/health`;
+  return base ? `${base}${path}` : path;
+}
+
+async function loadSourceHealth(sourceId) {
+  if (!elements.healthOutput) return;
+  const requestId = ++state.healthRequestId;
+  elements.healthOutput.innerHTML = '';
+  if (!sourceId || sourceId === 'all') {
+    if (elements.healthLabel) {
+      elements.healthLabel.textContent = 'Select a source to see its recent runs.';
+    }
+    setHealthStatus('', 'info');
+    return;
+  }
+  if (elements.healthLabel) elements.healthLabel.textContent = sourceId;
+  setHealthStatus('Loading health…', 'info');
+  try {
+    const health = await fetchJson(resolveHealthEndpoint(sourceId));
+    if (requestId !== state.healthRequestId) return;
+    renderSourceHealth(health);
+  } catch (err) {
+    if (requestId !== state.healthRequestId) return;
+    setHealthStatus(`Failed to load health: ${err.message}`, 'error');
+  }
+}
+
+function formatHealthTime(value) {
+  if (!value) return '—';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '—';
+  return date.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function buildHealthStat(label, value) {
+  const item = document.createElement('div');
+  item.className = 'datasource-health__stat';
+  const term = document.createElement('dt');
+  term.textContent = label;
+  const detail = document.createElement('dd');
+  detail.textContent = value;
+  item.append(term, detail);
+  return item;
+}
+
+function renderSourceHealth(health) {
+  const { stats = {}, eventCountTrend = {}, runs = [], alerts = [] } = health || {};
+  if (elements.healthLabel) {
+    elements.healthLabel.textContent = `${health?.name || health?.sourceId} · last ${runs.length} runs`;
+  }
+  if (!runs.length) {
+    setHealthStatus('No runs recorded yet.', 'info');
+    return;
+  }
+  if (alerts.length) {
+    setHealthStatus(alerts.map(alert => alert.message).join(' · '), 'warn');
+  } else {
+    setHealthStatus('Healthy', 'success');
+  }
+
+  const statsList = document.createElement('dl');
+  statsList.className = 'datasource-health__stats';
+  const successRate = Number.isFinite(stats.successRate)
+    ? `${Math.round(stats.successRate * 100)}%`
+    : '—';
+  const trendLabel = Number.isFinite(eventCountTrend.latest)
+    ? `${eventCountTrend.latest} (${eventCountTrend.direction})`
+    : '—';
+  statsList.append(
+    buildHealthStat('Success rate', `${successRate} of ${stats.total}`),
+    buildHealthStat('Last success', formatHealthTime(stats.lastSuccessAt)),
+    buildHealthStat('Last run', formatHealthTime(stats.lastRunAt)),
+    buildHealthStat('Events', trendLabel),
+    buildHealthStat(
+      'Avg duration',
+      Number.isFinite(stats.averageDurationMs) ? `${stats.averageDurationMs} ms` : '—'
+    )
+  );
+
+  const points = Array.isArray(eventCountTrend.points) ? eventCountTrend.points : [];
+  const trend = document.createElement('div');
+  trend.className = 'datasource-health__trend';
+  const maxCount = points.reduce((max, point) => Math.max(max, point.count || 0), 0);
+  points.forEach(point => {
+    const bar = document.createElement('span');
+    bar.className = 'datasource-health__bar';
+    bar.style.height = maxCount ? `${Math.round((point.count / maxCount) * 100)}%` : '0';
+    bar.title = `${formatHealthTime(point.at)}: ${point.count} events`;
+    trend.appendChild(bar);
+  });
+
+  const runList = document.createElement('ul');
+  runList.className = 'datasource-health__runs';
+  runs.forEach(run => {
+    const item = document.createElement('li');
+    item.className = 'datasource-health__run';
+    if (!run.ok) item.classList.add('is-failed');
+    const parts = [
+      formatHealthTime(run.startedAt),
+      run.ok ? `${run.eventCount} events` : run.error || `Failed (${run.status ?? 'error'})`,
+      Number.isFinite(run.durationMs) ? `${run.durationMs} ms` : '',
+      run.cached ? 'cached' : ''
+    ].filter(Boolean);
+    parts.forEach(text => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      item.appendChild(span);
+    });
+    runList.appendChild(item);
+  });
+
+  elements.healthOutput.append(statsList, trend, runList);
+}
+
+function resolveHistoryEndpoint(sourceId, suffix = 'history') {
+  const base = API_BASE || '';
+  const path = `/api/datasources/${encodeURIComponent(sourceId)}/${suffix}`;
+  return base ? `${base}${path}` : path;
+}
+
+async function loadSourceHistory(sourceId) {
+  if (!elements.historyOutput) return;
+  const requestId = ++state.historyRequestId;
+  elements.historyOutput.innerHTML = '';
+  if (!sourceId || sourceId === 'all') {
+    if (elements.historyLabel) {
+      elements.historyLabel.textContent = 'Select a source to see who changed it and when.';
+    }
+    setHistoryStatus('', 'info');
+    return;
+  }
+  if (elements.historyLabel) elements.historyLabel.textContent = sourceId;
+  setHistoryStatus('Loading history…', 'info');
+  try {
+    const history = await fetchJson(resolveHistoryEndpoint(sourceId), {
+      headers: await buildAuthHeaders()
+    });
+    if (requestId !== state.historyRequestId) return;
+    renderSourceHistory(sourceId, history?.revisions || []);
+  } catch (err) {
+    if (requestId !== state.historyRequestId) return;
+    if (err.status === 401 || err.status === 403) {
+      setHistoryStatus('Sign in with an admin account to see change history.', 'error');
+      return;
+    }
+    if (err.status === 404) {
+      setHistoryStatus('No changes recorded for this source.', 'info');
+      return;
+    }
+    setHistoryStatus(`Failed to load history: ${err.message}`, 'error');
+  }
+}
+
+function formatHistoryValue(value) {
+  if (value === null || value === undefined) return '∅';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}…` : text;
+}
+
+function renderSourceHistory(sourceId, revisions) {
+  if (!revisions.length) {
+    setHistoryStatus('No changes recorded for this source.', 'info');
+    return;
+  }
+  setHistoryStatus(`${revisions.length} revision(s)`, 'info');
+  revisions.forEach((revision, index) => {
+    const item = document.createElement('li');
+    item.className = 'datasource-history__entry';
+    item.dataset.action = revision.action;
+
+    const header = document.createElement('div');
+    header.className = 'datasource-history__header';
+    const title = document.createElement('strong');
+    title.textContent = revision.restoredFrom
+      ? `r${revision.rev} · rollback to r${revision.restoredFrom}`
+      : `r${revision.rev} · ${revision.action}`;
+    const meta = document.createElement('span');
+    const actor = revision.actor?.email || revision.actor?.uid || 'unknown';
+    meta.textContent = `${formatHealthTime(revision.at)} by ${actor}`;
+    header.append(title, meta);
+
+    // The newest revision is the current state, and delete revisions have nothing to restore.
+    if (index > 0 && revision.snapshot) {
+      const rollbackBtn = document.createElement('button');
+      rollbackBtn.type = 'button';
+      rollbackBtn.className = 'secondary';
+      rollbackBtn.textContent = 'Roll back to this';
+      rollbackBtn.addEventListener('click', () => handleRollback(sourceId, revision.rev, rollbackBtn));
+      header.appendChild(rollbackBtn);
+    }
+    item.appendChild(header);
+
+    if (revision.changes?.length) {
+      const changes = document.createElement('ul');
+      changes.className = 'datasource-history__changes';
+      revision.changes.forEach(change => {
+        const row = document.createElement('li');
+        const field = document.createElement('code');
+        field.textContent = change.field;
+        row.append(
+          field,
+          document.createTextNode(` ${formatHistoryValue(change.from)} → ${formatHistoryValue(change.to)}`)
+        );
+        changes.appendChild(row);
+      });
+      item.appendChild(changes);
+    }
+    elements.historyOutput.appendChild(item);
+  });
+}
+
+async function handleRollback(sourceId, rev, button) {
+  if (!window.confirm(`Restore ${sourceId} to revision ${rev}?`)) return;
+  if (button) button.disabled = true;
+  setHistoryStatus(`Rolling back to r${rev}…`, 'info');
+  try {
+    await fetchJson(resolveHistoryEndpoint(sourceId, `rollback/${rev}`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await buildAuthHeaders()) }
+    });
+    await loadSourceHistory(sourceId);
+    setHistoryStatus(`Restored revision ${rev}.`, 'success');
+  } catch (err) {
+    if (button) button.disabled = false;
+    if (err.status === 401 || err.status === 403) {
+      setHistoryStatus('Sign in with an admin account to roll back changes.', 'error');
+      return;
+    }
+    setHistoryStatus(`Rollback failed: ${err.body?.error || err.message}`, 'error');
+  }
+}
+
+function resolveTestEndpoint() {
+  const base = API_BASE || '';
+  return base ? `${base}/api/datasources/test` : '/api/datasources/test';
+}
+
+async function handleSourceTest() {
+  if (!elements.testConfig || !elements.testOutput) return;
+  elements.testOutput.innerHTML = '';
+  let definition;
+  try {
+    definition = JSON.parse(elements.testConfig.value || '{}');
+  } catch (err) {
+    setTestStatus(`Definition is not valid JSON: ${err.message}`, 'error');
+    return;
+  }
+  setTestStatus('Testing source…', 'info');
+  try {
+    const result = await fetchJson(resolveTestEndpoint(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await buildAuthHeaders()) },
+      body: JSON.stringify({ ...DEFAULT_COORDS, radius: DEFAULT_RADIUS, ...definition })
+    });
+    renderSourceTest(result);
+  } catch (err) {
+    if (err.status === 401 || err.status === 403) {
+      setTestStatus('Sign in with an admin account to test sources.', 'error');
+      return;
+    }
+    const body = err.body || {};
+    if (Array.isArray(body.errors)) {
+      setTestStatus(`Fix ${body.errors.length} field(s) before testing.`, 'error');
+      renderTestIssues(body.errors, 'error');
+      renderTestIssues(body.warnings, 'warn');
+      return;
+    }
+    setTestStatus(`Test failed: ${body.message || err.message}`, 'error');
+    renderTestIssues(body.warnings, 'warn');
+  }
+}
+
+function renderTestIssues(issues, kind) {
+  if (!Array.isArray(issues) || !issues.length) return;
+  const list = document.createElement('ul');
+  list.className = 'datasource-test__issues';
+  issues.forEach(issue => {
+    const item = document.createElement('li');
+    item.className = 'datasource-test__issue';
+    if (kind === 'error') item.classList.add('is-error');
+    const label = document.createElement('code');
+    label.textContent = issue.field || issue.code;
+    item.append(label, document.createTextNode(issue.message || issue.code));
+    list.appendChild(item);
+  });
+  elements.testOutput.appendChild(list);
+}
+
+function renderSourceTest(result) {
+  const events = Array.isArray(result?.events) ? result.events : [];
+  const shown = result?.truncated ? `${events.length} of ${result.total}` : `${result?.total ?? events.length}`;
+  setTestStatus(
+    `Parsed ${shown} events${result?.cached ? ' (cached)' : ''}.`,
+    result?.warnings?.length ? 'warn' : 'success'
+  );
+  renderTestIssues(result?.warnings, 'warn');
+  if (!events.length) return;
+  const list = document.createElement('div');
+  list.className = 'preview-events';
+  events.forEach(event => list.appendChild(buildPreviewEvent(event)));
+  elements.testOutput.appendChild(list);
+}
+
 function resolveCacheClearEndpoint() {
   const base = API_BASE || '';
   return base ? `${base}/api/cache/clear-all` : '/api/cache/clear-all';
@@ -844,7 +1191,7 @@ async function handleCacheClear() {
   try {
     await fetchJson(resolveCacheClearEndpoint(), {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' }
+      headers: { 'Content-Type': 'application/json', ...(await buildAuthHeaders()) }
     });
     try {
       localStorage.removeItem(FEED_CACHE_KEY);
@@ -854,6 +1201,10 @@ async function handleCacheClear() {
     setSourcesStatus('Caches cleared; reloading feed…', 'success');
     await loadFeed({ force: true });
   } catch (err) {
+    if (err.status === 401 || err.status === 403) {
+      setSourcesStatus('Sign in with an admin account to clear caches.', 'error');
+      return;
+    }
     setSourcesStatus(`Failed to clear cache: ${err.message}`, 'error');
   }
 }
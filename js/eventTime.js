@@ -0,0 +1,49 @@
+// Event times arrive as `{ local, utc }` plus the venue's IANA `timeZone`,
+// where `local` is the venue wall clock without an offset. Shows are listed
+// in venue time, not the viewer's, so a 9pm show reads 9pm from anywhere.
+
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function formatWithWeekday(date, options, locale) {
+  const formatted = new Intl.DateTimeFormat(locale, options).format(date);
+  const weekday = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: options.timeZone }).format(date);
+  return `${formatted} (${weekday})`;
+}
+
+export function formatEventDate(start, timeZone, locale) {
+  if (!start) return '';
+  const local = typeof start.local === 'string' ? start.local.trim() : '';
+  const utc = typeof start.utc === 'string' ? start.utc.trim() : '';
+  if (!local && !utc) return '';
+  try {
+    const wallClock = local.match(WALL_CLOCK_PATTERN);
+    if (wallClock) {
+      // Read the wall clock as if it were UTC and format it in UTC so neither
+      // the viewer's zone nor DST shifts it.
+      const [, year, month, day, hour, minute, second] = wallClock;
+      const date = new Date(Date.UTC(year, month - 1, day, Number(hour || 0), Number(minute || 0), Number(second || 0)));
+      const options = hour === undefined
+        ? { dateStyle: 'medium', timeZone: 'UTC' }
+        : { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' };
+      return formatWithWeekday(date, options, locale);
+    }
+    const date = new Date(utc || local);
+    if (Number.isNaN(date.getTime())) return local || utc;
+    const options = { dateStyle: 'medium', timeStyle: 'short' };
+    if (isValidTimeZone(timeZone)) options.timeZone = timeZone.trim();
+    return formatWithWeekday(date, options, locale);
+  } catch (err) {
+    console.warn('Unable to format event date', err);
+    return local || utc;
+  }
+}
@@ -1,4 +1,5 @@
 import { API_BASE_URL, DEFAULT_REMOTE_API_BASE } from './config.js';
+import { formatEventDate } from './eventTime.js';
 
 const DEFAULT_SHOWS_ENDPOINT =
   (typeof process !== 'undefined' &&
@@ -20,6 +21,23 @@ const SHOWS_HIDDEN_EVENTS_KEY = 'shows.hiddenEventIds';
 const SHOWS_HIDDEN_EVENT_TITLES_KEY = 'shows.hiddenEventTitles';
 const SHOWS_SEARCH_PREFS_KEY = 'shows.searchPrefs';
 const SHOWS_LOCATION_KEY = 'shows.location';
+const SHOWS_TIME_POLICY_KEY = 'shows.timePolicy';
+const TIME_POLICY_DAYS = [
+  ['mon', 'Mon'],
+  ['tue', 'Tue'],
+  ['wed', 'Wed'],
+  ['thu', 'Thu'],
+  ['fri', 'Fri'],
+  ['sat', 'Sat'],
+  ['sun', 'Sun']
+];
+// Mirrors the server default: Ticketmaster weekday shows from 4:30pm on.
+const DEFAULT_TIME_POLICY = {
+  enabled: true,
+  days: { mon: ['16:30-24:00'], tue: ['16:30-24:00'], wed: ['16:30-24:00'], thu: ['16:30-24:00'], fri: ['16:30-24:00'] },
+  holidaysAsWeekend: false,
+  sources: ['ticketmaster']
+};
 const TARGET_IMAGE_RATIO = '4_3';
 const TARGET_IMAGE_WIDTH = 305;
 const TARGET_IMAGE_HEIGHT = 225;
@@ -53,11 +71,14 @@ const elements = {
 let isDiscovering = false;
 let initialized = false;
 let latestEvents = [];
+// Genre facets from the last /api/shows response ([{ value, count }]), or null.
+let latestGenreFacets = null;
 let activeGenreFilters = null;
 let hiddenGenres = new Set();
 let hiddenEventIds = new Set();
 let hiddenEventTitles = new Set();
 let savedEvents = new Map();
+let timePolicy = null;
 let currentView = 'all';
 if (typeof window !== 'undefined') {
   window.currentShowsView = currentView;
@@ -214,6 +235,34 @@ function persistHiddenEventIds() {
   }
 }
 
+function loadTimePolicy() {
+  const storage = getStorage();
+  if (!storage) return null;
+  try {
+    const raw = storage.getItem(SHOWS_TIME_POLICY_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (err) {
+    console.warn('Unable to read show time preferences', err);
+    return null;
+  }
+}
+
+function persistTimePolicy() {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    if (timePolicy) {
+      storage.setItem(SHOWS_TIME_POLICY_KEY, JSON.stringify(timePolicy));
+    } else {
+      storage.removeItem(SHOWS_TIME_POLICY_KEY);
+    }
+  } catch (err) {
+    console.warn('Unable to store show time preferences', err);
+  }
+}
+
 function loadHiddenEventTitles() {
   const storage = getStorage();
   if (!storage) return new Set();
@@ -287,6 +336,7 @@ async function persistShowsStateToDb() {
       })),
       hiddenEventIds: Array.from(hiddenEventIds),
       hiddenEventTitles: Array.from(hiddenEventTitles),
+      timePolicy,
       updatedAt: firebase.firestore.FieldValue.serverTimestamp()
     };
     await docRef.set(payload, { merge: true });
@@ -330,6 +380,10 @@ async function syncShowsStateFromDb() {
       );
       persistHiddenEventTitles();
     }
+    if (data.timePolicy === null || (data.timePolicy && typeof data.timePolicy === 'object')) {
+      timePolicy = data.timePolicy;
+      persistTimePolicy();
+    }
   } catch (err) {
     console.warn('Unable to sync shows state from Firestore', err);
   }
@@ -440,6 +494,119 @@ function initDatePickerControl() {
   }
 }
 
+function readTimePolicyRange(policy, day) {
+  const range = Array.isArray(policy.days?.[day]) ? policy.days[day][0] : null;
+  if (typeof range !== 'string') return { from: '', until: '' };
+  const [from = '', until = ''] = range.split('-');
+  return { from, until: until === '24:00' ? '' : until };
+}
+
+/**
+ * Builds the time-window preference from the toolbar form. A day with both
+ * times empty allows any start; a missing "until" runs to midnight.
+ */
+function buildTimePolicyFromForm(form) {
+  const days = {};
+  TIME_POLICY_DAYS.forEach(([day]) => {
+    const from = form.querySelector(`[data-day="${day}"][data-edge="from"]`)?.value || '';
+    const until = form.querySelector(`[data-day="${day}"][data-edge="until"]`)?.value || '';
+    if (from || until) {
+      days[day] = [`${from || '00:00'}-${until || '24:00'}`];
+    }
+  });
+  return {
+    enabled: Boolean(form.querySelector('[name="timePolicyEnabled"]')?.checked),
+    days,
+    holidaysAsWeekend: Boolean(form.querySelector('[name="timePolicyHolidays"]')?.checked),
+    sources: Array.isArray(timePolicy?.sources) ? timePolicy.sources : DEFAULT_TIME_POLICY.sources
+  };
+}
+
+function fillTimePolicyForm(form, policy) {
+  form.querySelector('[name="timePolicyEnabled"]').checked = policy.enabled !== false;
+  form.querySelector('[name="timePolicyHolidays"]').checked = Boolean(policy.holidaysAsWeekend);
+  TIME_POLICY_DAYS.forEach(([day]) => {
+    const { from, until } = readTimePolicyRange(policy, day);
+    form.querySelector(`[data-day="${day}"][data-edge="from"]`).value = from;
+    form.querySelector(`[data-day="${day}"][data-edge="until"]`).value = until;
+  });
+}
+
+function createTimePolicyControl() {
+  const control = document.createElement('details');
+  control.className = 'shows-toolbar__control shows-toolbar__control--time-policy';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Start times';
+
+  const form = document.createElement('form');
+  form.className = 'shows-time-policy';
+
+  const enabled = document.createElement('label');
+  enabled.className = 'shows-time-policy__toggle';
+  enabled.innerHTML = '<input type="checkbox" name="timePolicyEnabled" /> <span>Only show events starting in these hours</span>';
+
+  const days = document.createElement('div');
+  days.className = 'shows-time-policy__days';
+  TIME_POLICY_DAYS.forEach(([day, label]) => {
+    const row = document.createElement('div');
+    row.className = 'shows-time-policy__day';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const from = document.createElement('input');
+    from.type = 'time';
+    from.dataset.day = day;
+    from.dataset.edge = 'from';
+    from.setAttribute('aria-label', `${label} from`);
+    const until = document.createElement('input');
+    until.type = 'time';
+    until.dataset.day = day;
+    until.dataset.edge = 'until';
+    until.setAttribute('aria-label', `${label} until (empty for midnight)`);
+    const separator = document.createElement('span');
+    separator.textContent = 'to';
+    row.append(name, from, separator, until);
+    days.appendChild(row);
+  });
+
+  const holidays = document.createElement('label');
+  holidays.className = 'shows-time-policy__toggle';
+  holidays.innerHTML = '<input type="checkbox" name="timePolicyHolidays" /> <span>Treat holidays like Saturday</span>';
+
+  const hint = document.createElement('p');
+  hint.className = 'shows-time-policy__hint';
+  hint.textContent = 'Leave both times empty to allow any start time that day.';
+
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.className = 'shows-time-policy__reset';
+  reset.textContent = 'Reset to default';
+
+  const apply = nextPolicy => {
+    timePolicy = nextPolicy;
+    persistTimePolicy();
+    persistShowsStateToDb();
+    discoverNewEvents({ days: searchPrefs.days, forceRefresh: true });
+  };
+  form.addEventListener('change', () => apply(buildTimePolicyFromForm(form)));
+  form.addEventListener('submit', event => event.preventDefault());
+  reset.addEventListener('click', () => {
+    fillTimePolicyForm(form, DEFAULT_TIME_POLICY);
+    apply(null);
+  });
+
+  form.append(enabled, days, holidays, hint, reset);
+  fillTimePolicyForm(form, timePolicy || DEFAULT_TIME_POLICY);
+  control.append(summary, form);
+  return control;
+}
+
+function initTimePolicyControl() {
+  if (!elements.toolbarFilters || elements.toolbarFilters.querySelector('.shows-time-policy')) return;
+  const control = createTimePolicyControl();
+  const shortcuts = elements.toolbarFilters.querySelector('.shows-toolbar__shortcut-group');
+  elements.toolbarFilters.insertBefore(control, shortcuts || null);
+}
+
 function loadSearchPrefs() {
   const storage = getStorage();
   if (!storage) {
@@ -817,6 +984,7 @@ function loadCachedEvents() {
     }
     return {
       events: parsed.events,
+      genreFacets: Array.isArray(parsed.genreFacets) ? parsed.genreFacets : null,
       fetchedAt: Number.isFinite(parsed?.fetchedAt) ? parsed.fetchedAt : null,
       location:
         parsed && typeof parsed.location === 'object' && parsed.location !== null
@@ -856,6 +1024,7 @@ function renderWithPrefsAndMaybeRefresh() {
   const cacheCoversPrefs = cacheFresh && cacheSatisfiesPrefs(cached, searchPrefs);
   if (cacheFresh && (!latestEvents || !latestEvents.length)) {
     latestEvents = cached.events;
+    latestGenreFacets = cached.genreFacets;
   }
   const workingEvents =
     (latestEvents && latestEvents.length ? latestEvents : cacheFresh ? cached.events : []) || [];
@@ -872,12 +1041,13 @@ function renderWithPrefsAndMaybeRefresh() {
   }
 }
 
-function saveEventsToCache(events, { location = null, fetchedAt = Date.now(), radiusMiles, days } = {}) {
+function saveEventsToCache(events, { location = null, fetchedAt = Date.now(), radiusMiles, days, genreFacets = null } = {}) {
   const storage = getStorage();
   if (!storage) return;
   try {
     const payload = {
       events: Array.isArray(events) ? events : [],
+      genreFacets: Array.isArray(genreFacets) ? genreFacets : null,
       fetchedAt,
       location: location || null,
       radiusMiles: Number.isFinite(radiusMiles) ? radiusMiles : DEFAULT_RADIUS_MILES,
@@ -1454,27 +1624,6 @@ async function ensureInitialLocation() {
   }
 }
 
-function formatEventDate(start) {
-  if (!start) return '';
-  const iso = start.local || start.utc;
-  if (!iso) return '';
-  const date = new Date(iso);
-  if (Number.isNaN(date.getTime())) {
-    return start.local || start.utc || '';
-  }
-  try {
-    const formatted = new Intl.DateTimeFormat(undefined, {
-      dateStyle: 'medium',
-      timeStyle: 'short'
-    }).format(date);
-    const weekday = new Intl.DateTimeFormat(undefined, { weekday: 'short' }).format(date);
-    return `${formatted} (${weekday})`;
-  } catch (err) {
-    console.warn('Unable to format event date', err);
-    return date.toLocaleString();
-  }
-}
-
 function formatDistance(distance) {
   if (!Number.isFinite(distance)) return '';
   const rounded = Math.round(distance * 10) / 10;
@@ -1526,7 +1675,7 @@ function buildHighlightRows(event) {
     rows.push({ label: 'Distance', value: distanceLabel });
   }
 
-  const priceLabel = formatPriceRanges(ticketmaster?.priceRanges);
+  const priceLabel = formatPriceRanges(ticketmaster?.priceRanges || event.priceRanges);
   if (priceLabel) {
     rows.push({ label: 'Price range', value: priceLabel });
   }
@@ -1566,6 +1715,48 @@ function getPrimaryArtistName(event) {
   return candidateNames[0] || '';
 }
 
+const imagePlaceholderRequests = new Map();
+
+function resolveImageProxyEndpoint() {
+  const { endpoint } = resolveShowsEndpoint(API_BASE_URL);
+  return /\/shows$/.test(endpoint) ? endpoint.replace(/\/shows$/, '/image') : '';
+}
+
+// Cards load artwork through /api/image, which crops it to the card size (with
+// a 2x variant) and serves a placeholder color to paint while it loads. Only
+// images the server signed can be proxied; others load directly.
+function buildImageProxyUrls(image) {
+  const endpoint = resolveImageProxyEndpoint();
+  const imageUrl = image?.url;
+  if (!endpoint || !image?.proxySignature || !/^https?:\/\//i.test(imageUrl || '')) return null;
+  const encoded = `${encodeURIComponent(imageUrl)}&sig=${encodeURIComponent(image.proxySignature)}`;
+  const src = `${endpoint}?url=${encoded}`;
+  return {
+    src,
+    srcset: `${src} 1x, ${src}&scale=2 2x`,
+    placeholder: `${endpoint}/placeholder?url=${encoded}`
+  };
+}
+
+function applyImagePlaceholder(figure, placeholderUrl) {
+  if (typeof fetch !== 'function' || !placeholderUrl) return;
+  if (!imagePlaceholderRequests.has(placeholderUrl)) {
+    imagePlaceholderRequests.set(
+      placeholderUrl,
+      fetch(placeholderUrl, { headers: { Accept: 'application/json' } })
+        .then(res => (res.ok ? res.json() : null))
+        .catch(() => null)
+    );
+  }
+  imagePlaceholderRequests.get(placeholderUrl).then(placeholder => {
+    if (!placeholder || !figure.classList.contains('is-loading')) return;
+    if (typeof placeholder.color === 'string') figure.style.backgroundColor = placeholder.color;
+    if (typeof placeholder.dataUri === 'string' && placeholder.dataUri.startsWith('data:image/')) {
+      figure.style.backgroundImage = `url("${placeholder.dataUri}")`;
+    }
+  });
+}
+
 function renderEventImages(event) {
   const ticketmaster = event && typeof event === 'object' ? event.ticketmaster : null;
   const allImages = ticketmaster && Array.isArray(ticketmaster.images) ? ticketmaster.images : [];
@@ -1607,8 +1798,31 @@ function renderEventImages(event) {
   figure.className = 'show-card__gallery-item';
 
   const img = document.createElement('img');
-  img.src = image.url;
   img.alt = `${event?.name?.text || 'Event'} image`;
+  img.width = TARGET_IMAGE_WIDTH;
+  img.height = TARGET_IMAGE_HEIGHT;
+  img.loading = 'lazy';
+  img.decoding = 'async';
+  const proxied = buildImageProxyUrls(image);
+  if (proxied) {
+    img.src = proxied.src;
+    img.srcset = proxied.srcset;
+    figure.classList.add('is-loading');
+    img.addEventListener('load', () => figure.classList.remove('is-loading'), { once: true });
+    // Fall back to the original file if the proxy cannot fetch or decode it.
+    img.addEventListener(
+      'error',
+      () => {
+        figure.classList.remove('is-loading');
+        img.removeAttribute('srcset');
+        img.src = image.url;
+      },
+      { once: true }
+    );
+    applyImagePlaceholder(figure, proxied.placeholder);
+  } else {
+    img.src = image.url;
+  }
   figure.appendChild(img);
 
   if (image.fallback && event?.source !== 'blackcat') {
@@ -1632,7 +1846,7 @@ function buildSearchQuery(event) {
     typeof event?.venue?.address?.region === 'string' ? event.venue.address.region.trim() : '';
   const cityRegion = [city, region].filter(Boolean).join(', ');
   if (cityRegion) parts.push(cityRegion);
-  const dateText = formatEventDate(event?.start);
+  const dateText = formatEventDate(event?.start, event?.timeZone);
   if (dateText) parts.push(dateText);
   return parts.filter(Boolean).join(' ');
 }
@@ -1918,7 +2132,7 @@ function createEventCard(event, options = {}) {
   const meta = document.createElement('p');
   meta.className = 'show-card__meta';
 
-  const dateText = formatEventDate(event?.start);
+  const dateText = formatEventDate(event?.start, event?.timeZone);
   if (dateText) {
     const dateSpan = document.createElement('span');
     dateSpan.className = 'show-card__date';
@@ -2230,9 +2444,21 @@ function createEventCard(event, options = {}) {
   return card;
 }
 
-function renderGenreFilters(events, options = {}) {
-  const renderOptions = { ...options };
+/**
+ * Genre counts for the sidebar: the server's facets for the whole result when
+ * the last response had them, otherwise counted from the unsaved events here.
+ */
+function collectGenreCounts(events) {
   const genres = new Map();
+  if (Array.isArray(latestGenreFacets)) {
+    latestGenreFacets.forEach(facet => {
+      const genre = normalizeGenreLabel(facet?.value);
+      const key = genre.toLowerCase();
+      if (!genre || IGNORED_GENRE_NAMES.has(key) || hiddenGenres.has(key)) return;
+      genres.set(genre, (genres.get(genre) || 0) + (Number(facet.count) || 0));
+    });
+    return genres;
+  }
   events.forEach(event => {
     const eventId = getEventId(event);
     if (savedEvents.has(eventId)) {
@@ -2242,6 +2468,12 @@ function renderGenreFilters(events, options = {}) {
       genres.set(genre, (genres.get(genre) || 0) + 1);
     });
   });
+  return genres;
+}
+
+function renderGenreFilters(events, options = {}) {
+  const renderOptions = { ...options };
+  const genres = collectGenreCounts(events);
 
   if (!genres.size) {
     return null;
@@ -2401,6 +2633,65 @@ function renderGenreFilters(events, options = {}) {
   return panel;
 }
 
+async function requestCalendarFeedLink() {
+  const { endpoint } = resolveShowsEndpoint(API_BASE_URL);
+  const url = endpoint.replace(/\/shows$/, '/calendar/token');
+  const { currentUser } = await import('./auth.js');
+  if (!currentUser) {
+    throw new Error('Sign in to subscribe to your saved shows.');
+  }
+  const token = await currentUser.getIdToken();
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { Accept: 'application/json', Authorization: `Bearer ${token}` }
+  });
+  if (!res.ok) {
+    throw new Error(`Unable to create a calendar link (${res.status}).`);
+  }
+  return res.json();
+}
+
+function createCalendarSubscriptionPanel() {
+  const panel = document.createElement('div');
+  panel.className = 'shows-saved-calendar__subscribe';
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'shows-saved-calendar__subscribe-btn';
+  button.textContent = 'Subscribe in calendar app';
+
+  const status = document.createElement('p');
+  status.className = 'shows-saved-calendar__subscribe-status';
+  status.textContent = 'Creating a new link turns off any earlier one.';
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    status.textContent = 'Creating link…';
+    try {
+      const { url, webcalUrl } = await requestCalendarFeedLink();
+      status.textContent = '';
+      const open = document.createElement('a');
+      open.href = webcalUrl;
+      open.textContent = 'Open in calendar app';
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.readOnly = true;
+      field.value = url;
+      field.setAttribute('aria-label', 'Calendar subscription URL');
+      field.addEventListener('focus', () => field.select());
+      status.append(open, field);
+    } catch (err) {
+      console.warn('Unable to create calendar subscription', err);
+      status.textContent = err.message;
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  panel.append(button, status);
+  return panel;
+}
+
 function createSavedCalendars(events) {
   if (!Array.isArray(events) || !events.length) return null;
 
@@ -2449,6 +2740,7 @@ function createSavedCalendars(events) {
   title.textContent = 'Saved dates';
   header.append(title);
   container.appendChild(header);
+  container.appendChild(createCalendarSubscriptionPanel());
 
   sortedMonths.forEach(monthData => {
     const monthStart = new Date(monthData.year, monthData.month, 1);
@@ -2658,7 +2950,9 @@ function renderEvents(events, options = {}) {
         if (activeGenreFilters.size === 0) return false;
         const eventGenres = getEventGenres(event);
         if (!eventGenres.length) return false;
-        return eventGenres.some(genre => activeGenreFilters.has(genre));
+        // Facet labels keep the first spelling the server saw, so compare case-insensitively.
+        const activeKeys = new Set(Array.from(activeGenreFilters, genre => genre.toLowerCase()));
+        return eventGenres.some(genre => activeKeys.has(genre.toLowerCase()));
       })
     : visibleEvents;
 
@@ -2879,6 +3173,7 @@ async function discoverNewEvents(options = {}) {
     cached.events.length
   ) {
     latestEvents = cached.events;
+    latestGenreFacets = cached.genreFacets;
     activeGenreFilters = null;
     renderEvents(cached.events, {
       view: currentView,
@@ -2900,6 +3195,9 @@ async function discoverNewEvents(options = {}) {
 
     params.set('radius', String(desiredRadius));
     params.set('days', String(desiredDays));
+    if (timePolicy) {
+      params.set('timePolicy', JSON.stringify(timePolicy));
+    }
 
     const url = appendQuery(endpoint, params);
     const headers = { Accept: 'application/json' };
@@ -2931,6 +3229,7 @@ async function discoverNewEvents(options = {}) {
     const events = Array.isArray(data?.events) ? data.events : [];
     const noNewEvents = events.length === 0;
     latestEvents = events;
+    latestGenreFacets = Array.isArray(data?.facets?.genres) ? data.facets.genres : null;
     if (savedEvents.size) {
       let updated = false;
       events.forEach(event => {
@@ -2954,7 +3253,8 @@ async function discoverNewEvents(options = {}) {
       location,
       fetchedAt: Date.now(),
       radiusMiles: desiredRadius,
-      days: desiredDays
+      days: desiredDays,
+      genreFacets: latestGenreFacets
     });
     activeGenreFilters = null;
     renderEvents(events, {
@@ -2987,6 +3287,7 @@ export async function initShowsPanel(options = {}) {
 
   savedEvents = loadSavedEvents();
   hiddenEventIds = loadHiddenEventIds();
+  timePolicy = loadTimePolicy();
   await syncShowsStateFromDb();
   preferredLocation = DEFAULT_LOCATION;
   const loadedPrefs = loadSearchPrefs();
@@ -3007,6 +3308,7 @@ export async function initShowsPanel(options = {}) {
   }
 
   initDatePickerControl();
+  initTimePolicyControl();
 
   if (elements.tabAll) {
     elements.tabAll.addEventListener('click', () => {
@@ -3040,6 +3342,7 @@ export async function initShowsPanel(options = {}) {
   let didInitialFetch = false;
   if (cached && Array.isArray(cached.events) && cached.events.length) {
     latestEvents = cached.events;
+    latestGenreFacets = cached.genreFacets;
     if (!hasPersistedSearchPrefs) {
       if (cached.days) {
         searchPrefs.days = clampDays(cached.days);
@@ -0,0 +1,50 @@
+const app = require('../functions/backend/server');
+const { getFirestore } = require('../functions/shared/firestore');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const watchIndex = args.indexOf('--watch');
+const watchMinutes = watchIndex >= 0 ? Number(args[watchIndex + 1]) || 5 : 0;
+const sourceIds = args
+  .filter((arg, index) => args[index - 1] === '--source')
+  .map(id => id.trim().toLowerCase());
+
+async function ingestOnce() {
+  const result = await app.runEventIngestion({
+    force,
+    sourceIds: sourceIds.length ? sourceIds : undefined
+  });
+  result.runs.forEach(run => {
+    if (run.skipped) {
+      console.log(`- ${run.sourceId} @ ${run.regionId}: skipped until ${run.nextRunAt}`);
+    } else if (run.ok) {
+      console.log(`✓ ${run.sourceId} @ ${run.regionId}: ${run.upserted} upserted, ${run.removed} removed`);
+    } else {
+      console.log(`✗ ${run.sourceId} @ ${run.regionId}: ${run.error}`);
+    }
+  });
+  console.log(`Events store: ${result.store}`);
+  return result;
+}
+
+async function run() {
+  // Without Firestore the events would land in this process's memory and vanish on exit.
+  if (!getFirestore()) {
+    console.error('Event ingestion needs Firestore; set up credentials (e.g. GOOGLE_APPLICATION_CREDENTIALS) and retry.');
+    process.exit(1);
+  }
+  try {
+    await ingestOnce();
+    if (!watchMinutes) {
+      process.exit(0);
+    }
+    setInterval(() => {
+      ingestOnce().catch(err => console.error('Event ingestion failed:', err));
+    }, watchMinutes * 60 * 1000);
+  } catch (err) {
+    console.error('Event ingestion failed:', err);
+    process.exit(1);
+  }
+}
+
+run();
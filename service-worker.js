@@ -1,4 +1,4 @@
-const STATIC_CACHE = 'dashboard-static-v7';
+const STATIC_CACHE = 'dashboard-static-v9';
 const DYNAMIC_CACHE = 'dashboard-dynamic-v3';
 const MAX_DYNAMIC_ENTRIES = 60;
 
@@ -9,6 +9,7 @@ const PRECACHE_URLS = [
   './js/main.js',
   './js/tabs.js',
   './js/shows.js',
+  './js/eventTime.js',
   './js/tabReports.js',
   './js/helpers.js',
   './js/auth.js',
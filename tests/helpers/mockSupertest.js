@@ -42,6 +42,8 @@ function performRequest(app, { method, path, headers = {}, body }) {
     res.assignSocket(resStream);
 
     resStream.resume();
+    // A real server relays socket drain to the response; without it streamed bodies stall.
+    resStream.on('drain', () => res.emit('drain'));
     resStream.on('error', reject);
     res.on('error', reject);
 
@@ -93,7 +95,12 @@ function performRequest(app, { method, path, headers = {}, body }) {
         }
         payload = JSON.stringify(payload);
       }
-      reqStream.end(payload);
+      if (!normalizedHeaders['content-length']) {
+        normalizedHeaders['content-length'] = String(Buffer.byteLength(payload));
+      }
+      req.push(Buffer.from(payload));
+      req.push(null);
+      reqStream.end();
     } else {
       reqStream.end();
     }
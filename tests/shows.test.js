@@ -279,6 +279,37 @@ describe('initShowsPanel (Ticketmaster)', () => {
     }
   });
 
+  it('counts the genre sidebar from the server facets', async () => {
+    await setup();
+
+    mockFetchForShows({
+      events: [
+        {
+          name: { text: 'Facet Show' },
+          start: { local: getFutureIso(5) },
+          venue: { name: 'Side Stage', address: { city: 'Austin', region: 'TX' } },
+          genres: ['Rock']
+        }
+      ],
+      facets: { genres: [{ value: 'Rock', count: 12 }, { value: 'Jazz', count: 3 }] },
+      segments: [],
+      cached: false
+    });
+
+    await initShowsPanel();
+    await flush();
+    await flush();
+
+    const counts = Array.from(document.querySelectorAll('.show-genre-checkbox')).map(label => [
+      label.dataset.genre,
+      label.querySelector('.show-genre-checkbox__count')?.textContent
+    ]);
+    expect(counts).toEqual([
+      ['Jazz', '3'],
+      ['Rock', '12']
+    ]);
+  });
+
   it('shows cached events while refreshing on load', async () => {
     await setup();
 
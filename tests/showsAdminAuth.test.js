@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+
+const { setIdTokenVerifier } = createRequire(import.meta.url)('../functions/shared/adminAuth.js');
+
+const TOKENS = {
+  'admin-claim': { uid: 'u-claim', email: 'ops@example.com', admin: true },
+  'allowlisted': { uid: 'u-list', email: 'Curator@Example.com', email_verified: true },
+  'allowlisted-uid': { uid: 'u-Owner', email: 'owner@example.com' },
+  'regular': { uid: 'u-fan', email: 'fan@example.com', email_verified: true }
+};
+
+describe('admin authorization', () => {
+  beforeEach(() => {
+    process.env.ADMIN_EMAILS = 'curator@example.com';
+    process.env.ADMIN_UIDS = 'u-Owner';
+    setIdTokenVerifier(async token => {
+      if (!TOKENS[token]) throw Object.assign(new Error('bad token'), { code: 'auth/argument-error' });
+      return TOKENS[token];
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+    delete process.env.ADMIN_UIDS;
+    setIdTokenVerifier(null);
+  });
+
+  const protectedRoutes = [
+    ['post', '/api/datasources'],
+    ['put', '/api/datasources/ticketmaster'],
+    ['delete', '/api/datasources/ticketmaster'],
+    ['post', '/api/cache/clear'],
+    ['post', '/api/cache/clear-all'],
+    ['post', '/api/description']
+  ];
+
+  it.each(protectedRoutes)('%s %s rejects anonymous and invalid tokens with 401', async (method, path) => {
+    const anonymous = await request(app)[method](path).send({});
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body).toEqual({ error: 'unauthenticated' });
+
+    const invalid = await request(app)[method](path).set('Authorization', 'Bearer forged').send({});
+    expect(invalid.status).toBe(401);
+    expect(invalid.body).toEqual({ error: 'invalid_token' });
+  });
+
+  it.each(protectedRoutes)('%s %s rejects signed-in non-admins with 403', async (method, path) => {
+    const response = await request(app)[method](path).set('Authorization', 'Bearer regular').send({});
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'forbidden' });
+  });
+
+  it('admits the admin custom claim, allowlisted emails and allowlisted uids', async () => {
+    const viaClaim = await request(app).post('/api/cache/clear-all').set('Authorization', 'Bearer admin-claim');
+    expect(viaClaim.status).toBe(200);
+
+    const viaEmail = await request(app)
+      .delete('/api/datasources/not-a-source')
+      .set('Authorization', 'Bearer allowlisted');
+    expect(viaEmail.status).toBe(404);
+
+    const viaUid = await request(app)
+      .post('/api/description')
+      .set('Authorization', 'Bearer allowlisted-uid')
+      .send({ panelId: 'shows', position: 'middle', text: 'x' });
+    expect(viaUid.status).toBe(400);
+  });
+
+  it('leaves read-only endpoints public', async () => {
+    const response = await request(app).get('/api/datasources');
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { createBrowserPool } = requireServerModule('../functions/shared/browserPool.js');
+const { createMemoryImageLookupStore } = requireServerModule('../functions/shared/imageLookupStore.js');
+const { setIdTokenVerifier } = requireServerModule('../functions/shared/adminAuth.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A stand-in for Playwright's Browser: contexts hand out `page` objects built by `makePage`.
+function createFakeLauncher(makePage = () => ({})) {
+  const browsers = [];
+  const launch = vi.fn(async () => {
+    const listeners = [];
+    const browser = {
+      connected: true,
+      contexts: [],
+      isConnected: () => browser.connected,
+      on: (event, listener) => event === 'disconnected' && listeners.push(listener),
+      crash() {
+        browser.connected = false;
+        listeners.forEach(listener => listener());
+      },
+      close: vi.fn(async () => {
+        browser.connected = false;
+        listeners.forEach(listener => listener());
+      }),
+      newContext: vi.fn(async () => {
+        const context = { closed: false, newPage: async () => makePage(), close: async () => { context.closed = true; } };
+        browser.contexts.push(context);
+        return context;
+      })
+    };
+    browsers.push(browser);
+    return browser;
+  });
+  return { launch, browsers };
+}
+
+describe('headless browser pool', () => {
+  afterEach(() => {
+    app.setHeadlessBrowserPool(null);
+    app.setImageLookupStore(null);
+    setIdTokenVerifier(null);
+    vi.unstubAllGlobals();
+  });
+
+  it('runs queued jobs in FIFO order without exceeding maxPages', async () => {
+    const { launch, browsers } = createFakeLauncher();
+    const pool = createBrowserPool({ launch, maxPages: 2, idleTimeoutMs: 0 });
+    const started = [];
+    let running = 0;
+    let peak = 0;
+    const job = id => async () => {
+      started.push(id);
+      running += 1;
+      peak = Math.max(peak, running);
+      await wait(5);
+      running -= 1;
+      return id;
+    };
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(id => pool.run(job(id))));
+
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+    expect(started).toEqual([1, 2, 3, 4, 5]);
+    expect(peak).toBe(2);
+    expect(launch).toHaveBeenCalledTimes(1);
+    expect(browsers[0].contexts.every(context => context.closed)).toBe(true);
+    expect(pool.getMetrics()).toMatchObject({ completed: 5, activePages: 0, queueDepth: 0, maxQueueDepth: 3, launches: 1 });
+    await pool.close();
+  });
+
+  it('times out stuck jobs, rejects overflow and backs off after a failed launch', async () => {
+    const { launch, browsers } = createFakeLauncher();
+    const pool = createBrowserPool({ launch, maxPages: 1, maxQueue: 1, idleTimeoutMs: 0 });
+
+    const stuck = pool.run(() => new Promise(() => {}), { timeoutMs: 20 });
+    const queued = pool.run(async () => 'after');
+    await expect(pool.run(async () => 'overflow')).rejects.toMatchObject({ code: 'browser_queue_full' });
+    await expect(stuck).rejects.toMatchObject({ code: 'browser_job_timeout', status: 504 });
+    await expect(queued).resolves.toBe('after');
+    expect(browsers[0].contexts[0].closed).toBe(true);
+    expect(pool.getMetrics()).toMatchObject({ timedOut: 1, completed: 1, rejected: 1 });
+    await pool.close();
+
+    const failingLaunch = vi.fn(async () => {
+      throw new Error('Executable does not exist');
+    });
+    const broken = createBrowserPool({ launch: failingLaunch, launchRetryMs: 60000 });
+    await expect(broken.run(async () => 'never')).rejects.toMatchObject({ code: 'browser_unavailable' });
+    await expect(broken.run(async () => 'never')).rejects.toMatchObject({ code: 'browser_unavailable' });
+    expect(failingLaunch).toHaveBeenCalledTimes(1);
+    expect(createBrowserPool({}).isAvailable()).toBe(false);
+  });
+
+  it('relaunches after a crash and shuts the browser down when idle', async () => {
+    const { launch, browsers } = createFakeLauncher();
+    const pool = createBrowserPool({ launch, maxPages: 1, idleTimeoutMs: 20 });
+    let attempts = 0;
+
+    const result = await pool.run(async () => {
+      attempts += 1;
+      if (attempts === 1) {
+        browsers[0].crash();
+        throw new Error('Target closed');
+      }
+      return 'recovered';
+    });
+
+    expect(result).toBe('recovered');
+    expect(launch).toHaveBeenCalledTimes(2);
+    expect(pool.getMetrics()).toMatchObject({ crashes: 1, retried: 1, browserRunning: true });
+
+    await wait(40);
+    expect(browsers[1].close).toHaveBeenCalled();
+    expect(pool.getMetrics()).toMatchObject({ browserRunning: false, idleShutdowns: 1, crashes: 1 });
+
+    await pool.run(async () => 'again');
+    expect(launch).toHaveBeenCalledTimes(3);
+    await pool.close();
+  });
+
+  it('routes image scraping through the pool and reports its metrics to admins', async () => {
+    const { launch } = createFakeLauncher(() => ({
+      goto: vi.fn(async () => {}),
+      waitForSelector: vi.fn(async () => {}),
+      evaluate: vi.fn(async () => '/rendered/poster.jpg'),
+      content: vi.fn(async () => '')
+    }));
+    app.setHeadlessBrowserPool(createBrowserPool({ launch, idleTimeoutMs: 0 }));
+    app.setImageLookupStore(createMemoryImageLookupStore());
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('<html><body>Loading…</body></html>', { status: 200 })));
+
+    const imageUrl = await app.fetchImageFromEventLinks({ url: 'https://venue.test/spa-event', source: 'sixthandi' });
+    expect(imageUrl).toBe('https://venue.test/rendered/poster.jpg');
+
+    setIdTokenVerifier(async () => ({ uid: 'admin', admin: true }));
+    const response = await request(app).get('/api/browser-pool').set('Authorization', 'Bearer admin-token');
+    expect(response.body).toMatchObject({ available: true, completed: 1, queueDepth: 0, maxPages: 2, launches: 1 });
+    expect((await request(app).get('/api/browser-pool')).status).toBe(401);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { setIdTokenVerifier } = requireServerModule('../functions/shared/adminAuth.js');
+const { createMemoryCalendarFeedStore } = requireServerModule('../functions/shared/calendarFeed.js');
+
+const TOKENS = {
+  'ada-token': { uid: 'u-ada', email: 'ada@example.com' },
+  'lin-token': { uid: 'u-lin', email: 'lin@example.com' }
+};
+
+const SAVED = [
+  {
+    id: 'blackcat-1',
+    savedAt: 1,
+    event: {
+      id: 'blackcat-1',
+      name: { text: 'Basement Punk, Night' },
+      start: { local: '2026-11-01T20:00:00', utc: '2026-11-02T01:00:00Z' },
+      url: 'https://events.test/blackcat-1',
+      venue: {
+        name: 'Black Cat',
+        address: { line1: '1811 14th St NW', city: 'Washington', region: 'DC', postalCode: '20009', country: 'US' }
+      },
+      coordinates: { latitude: 38.9147, longitude: -77.0319 },
+      summary: '<p>Three bands; one night.</p>',
+      genres: ['Punk']
+    }
+  },
+  {
+    id: 'tm-2',
+    savedAt: 2,
+    event: {
+      id: 'tm-2',
+      name: { text: 'Coastal Tour' },
+      start: { local: '2026-07-04T19:30:00', utc: '2026-07-05T02:30:00Z' },
+      end: { local: '2026-07-04T22:00:00', utc: '2026-07-05T05:00:00Z' },
+      url: 'https://events.test/tm-2',
+      venue: { name: 'Bowl', address: { city: 'Los Angeles', region: 'CA', country: 'US' } },
+      ticketmaster: { raw: { dates: { timezone: 'America/Los_Angeles' } } }
+    }
+  },
+  {
+    id: 'fest-3',
+    savedAt: 3,
+    event: { id: 'fest-3', name: { text: 'Folk Festival' }, start: { local: '2026-08-15' } }
+  }
+];
+
+const asUser = (call, token = 'ada-token') => call.set('Authorization', `Bearer ${token}`);
+const issueToken = async (token = 'ada-token') => (await asUser(request(app).post('/api/calendar/token'), token)).body;
+const fetchFeed = (token, query = '') => request(app).get(`/api/calendar/${token}.ics${query}`);
+
+describe('/api/calendar/:token.ics', () => {
+  let store;
+
+  beforeEach(async () => {
+    setIdTokenVerifier(async token => TOKENS[token]);
+    store = createMemoryCalendarFeedStore();
+    await store.setSavedEvents('u-ada', SAVED);
+    app.setCalendarFeedStore(store);
+  });
+
+  afterEach(() => {
+    setIdTokenVerifier(null);
+    app.setCalendarFeedStore(null);
+  });
+
+  it('serves saved events with venue time zones, location, url and a reminder', async () => {
+    const issued = await issueToken();
+    expect(issued.url).toBe(`http://localhost/api/calendar/${issued.token}.ics`);
+    expect(issued.webcalUrl).toBe(`webcal://localhost/api/calendar/${issued.token}.ics`);
+
+    const response = await fetchFeed(issued.token);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/calendar');
+    const lines = response.text.split('\r\n');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toEqual(expect.arrayContaining([
+      'TZID:America/New_York',
+      'TZID:America/Los_Angeles',
+      'DTSTART;TZID=America/New_York:20261101T200000',
+      'DURATION:PT120M',
+      'SUMMARY:Basement Punk\\, Night',
+      'URL;VALUE=URI:https://events.test/blackcat-1',
+      'GEO:38.9147;-77.0319',
+      'CATEGORIES:Punk',
+      'TRIGGER:-PT60M',
+      'DTSTART;TZID=America/Los_Angeles:20260704T193000',
+      'DTEND;TZID=America/Los_Angeles:20260704T220000',
+      'DTSTART;VALUE=DATE:20260815',
+      'DTEND;VALUE=DATE:20260816'
+    ]));
+    // New York leaves daylight time on 2026-11-01, the day of the saved show.
+    expect(response.text).toContain('BEGIN:STANDARD\r\nDTSTART:20261101T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500');
+    expect(response.text.replace(/\r\n /g, '')).toContain(
+      'LOCATION:Black Cat\\, 1811 14th St NW\\, Washington\\, DC 20009\\, US'
+    );
+    expect(response.text.match(/BEGIN:VALARM/g)).toHaveLength(3);
+    expect(lines.every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+  });
+
+  it('honours the reminder parameter', async () => {
+    const { token } = await issueToken();
+
+    const silent = await fetchFeed(token, '?reminder=0');
+    expect(silent.text).not.toContain('BEGIN:VALARM');
+
+    const early = await fetchFeed(token, '?reminder=1440');
+    expect(early.text).toContain('TRIGGER:-PT1440M');
+
+    const invalid = await fetchFeed(token, '?reminder=soon');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body).toEqual({ error: 'invalid_reminder' });
+  });
+
+  it('revokes the previous url when the token is regenerated or deleted', async () => {
+    const first = await issueToken();
+    const second = await issueToken();
+
+    expect(second.token).not.toBe(first.token);
+    expect((await fetchFeed(first.token)).status).toBe(404);
+    expect((await fetchFeed(second.token)).status).toBe(200);
+
+    const status = await asUser(request(app).get('/api/calendar/token'));
+    expect(status.body).toEqual({ active: true, createdAt: second.createdAt });
+
+    const revoked = await asUser(request(app).delete('/api/calendar/token'));
+    expect(revoked.body).toEqual({ revoked: true });
+    expect((await fetchFeed(second.token)).body).toEqual({ error: 'calendar_not_found' });
+    expect((await asUser(request(app).get('/api/calendar/token'))).body).toEqual({ active: false, createdAt: null });
+  });
+
+  it('keeps feeds per user and requires sign-in to manage tokens', async () => {
+    const { token } = await issueToken('lin-token');
+    const empty = await fetchFeed(token);
+    expect(empty.status).toBe(200);
+    expect(empty.text).not.toContain('BEGIN:VEVENT');
+
+    expect((await request(app).post('/api/calendar/token')).status).toBe(401);
+    expect((await asUser(request(app).post('/api/calendar/token'), 'bogus')).status).toBe(401);
+    expect((await fetchFeed('short')).status).toBe(404);
+  });
+});
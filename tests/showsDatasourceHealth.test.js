@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { clearInMemoryCache } = requireServerModule('../functions/shared/cache.js');
+const { clearInMemoryDatasourceRuns } = requireServerModule('../functions/shared/datasourceHealth.js');
+const { clearInMemoryCircuits } = requireServerModule('../functions/shared/circuitBreaker.js');
+
+const SMITHSONIAN_FEED = 'https://www.trumba.com/calendars/smithsonian-events.rss';
+const HOUR_MS = 60 * 60 * 1000;
+
+const rssFeed = titles => `<?xml version="1.0"?>
+<rss version="2.0" xmlns:x-trumba="http://schemas.trumba.com/rss/x-trumba">
+  <channel>
+    ${titles
+      .map(
+        (title, index) => `<item>
+      <title>${title}</title>
+      <guid>https://smithsonian.test/events/${index}</guid>
+      <link>https://smithsonian.test/events/${index}</link>
+      <x-trumba:startdatetime>${new Date(Date.now() + (index + 1) * 24 * HOUR_MS).toISOString()}</x-trumba:startdatetime>
+    </item>`
+      )
+      .join('\n')}
+  </channel>
+</rss>`;
+
+describe('datasource health history', () => {
+  let store;
+  let feedResponse;
+
+  const ingest = now => {
+    clearInMemoryCache();
+    return app.runEventIngestion({ store, sourceIds: ['smithsonian'], force: true, now });
+  };
+
+  beforeEach(() => {
+    clearInMemoryCache();
+    clearInMemoryDatasourceRuns();
+    clearInMemoryCircuits();
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    store = createMemoryEventStore();
+    app.setEventStore(store);
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async url => {
+        if (String(url).startsWith(SMITHSONIAN_FEED)) return feedResponse();
+        return new Response('not found', { status: 404 });
+      })
+    );
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('reports recent runs, success rate, last success and the event-count trend', async () => {
+    feedResponse = () => new Response(rssFeed(['Jazz Night', 'Film Talk', 'Star Party']), { status: 200 });
+    await ingest();
+    feedResponse = () => new Response('upstream down', { status: 503 });
+    await ingest(Date.now() + HOUR_MS);
+    feedResponse = () => new Response(rssFeed([]), { status: 200 });
+    await ingest(Date.now() + 2 * HOUR_MS);
+
+    const response = await request(app).get('/api/datasources/smithsonian/health');
+
+    expect(response.status).toBe(200);
+    const { runs, stats, eventCountTrend, alerts } = response.body;
+    expect(runs.map(run => [run.ok, run.eventCount])).toEqual([
+      [true, 0],
+      [false, 0],
+      [true, 3]
+    ]);
+    expect(runs.map(run => run.status)).toEqual([200, 503, 200]);
+    expect(stats).toMatchObject({ total: 3, successes: 2, failures: 1, successRate: 0.667 });
+    expect(stats.lastSuccessAt).toBe(runs[0].startedAt);
+    expect(stats.consecutiveFailures).toBe(0);
+    expect(eventCountTrend).toMatchObject({ latest: 0, previousAverage: 3, direction: 'down' });
+    expect(eventCountTrend.points.map(point => point.count)).toEqual([3, 0]);
+    expect(alerts.map(alert => alert.code)).toEqual(['zero_events']);
+  });
+
+  it('flags consecutive failures and caps the run list with limit', async () => {
+    feedResponse = () => new Response('upstream down', { status: 500 });
+    await ingest();
+    await ingest(Date.now() + HOUR_MS);
+
+    const response = await request(app).get('/api/datasources/smithsonian/health?limit=1');
+
+    expect(response.body.runs).toHaveLength(1);
+    expect(response.body.stats).toMatchObject({ total: 1, successRate: 0, lastSuccessAt: null });
+    expect(response.body.alerts.map(alert => alert.code)).toEqual(['failing']);
+  });
+
+  it('returns 404 for unknown datasources', async () => {
+    const response = await request(app).get('/api/datasources/nope/health');
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'datasource_not_found' });
+  });
+});
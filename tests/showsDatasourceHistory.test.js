@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach, afterAll, vi } from 'vitest';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import request from 'supertest';
+
+const { datasourcesPath } = await vi.hoisted(async () => {
+  const { mkdtempSync, copyFileSync } = await import('node:fs');
+  const { tmpdir } = await import('node:os');
+  const { join, resolve } = await import('node:path');
+  // Work on a copy so successful writes never touch the checked-in datasources.json.
+  const target = join(mkdtempSync(join(tmpdir(), 'datasources-')), 'datasources.json');
+  copyFileSync(resolve('functions/backend/datasources.json'), target);
+  process.env.SHOWS_DATASOURCES_PATH = target;
+  return { datasourcesPath: target };
+});
+
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { setIdTokenVerifier } = requireServerModule('../functions/shared/adminAuth.js');
+const { clearInMemoryDatasourceRevisions, setLocalDatasourceRevisionsPath } = requireServerModule(
+  '../functions/shared/datasourceHistory.js'
+);
+
+const FEED_URL = 'https://venue.test/events.rss';
+const TOKENS = {
+  'curator-token': { uid: 'u-curator', email: 'curator@example.com', admin: true },
+  'ops-token': { uid: 'u-ops', email: 'ops@example.com', admin: true }
+};
+
+const asAdmin = (call, token = 'curator-token') => call.set('Authorization', `Bearer ${token}`);
+const readLocalSource = id =>
+  JSON.parse(fs.readFileSync(datasourcesPath, 'utf8')).sources.find(source => source.id === id);
+
+describe('datasource revision history', () => {
+  beforeEach(() => {
+    clearInMemoryDatasourceRevisions();
+    setIdTokenVerifier(async token => TOKENS[token]);
+  });
+
+  afterAll(() => {
+    setIdTokenVerifier(null);
+    delete process.env.SHOWS_DATASOURCES_PATH;
+    fs.rmSync(path.dirname(datasourcesPath), { recursive: true, force: true });
+  });
+
+  it('records create, update, disable and delete with who, when and a field diff', async () => {
+    await asAdmin(request(app).post('/api/datasources')).send({
+      id: 'river-hall',
+      name: 'River Hall',
+      type: 'rss',
+      config: { feedUrl: FEED_URL }
+    });
+    await asAdmin(request(app).put('/api/datasources/river-hall'), 'ops-token').send({
+      config: { feedUrl: FEED_URL, timeZone: 'America/New_York' }
+    });
+    await asAdmin(request(app).put('/api/datasources/river-hall')).send({ enabled: false });
+    // Saving identical values is not a change.
+    await asAdmin(request(app).put('/api/datasources/river-hall')).send({ enabled: false });
+    await asAdmin(request(app).delete('/api/datasources/river-hall'));
+
+    const response = await asAdmin(request(app).get('/api/datasources/river-hall/history'));
+
+    expect(response.status).toBe(200);
+    const { revisions } = response.body;
+    expect(revisions.map(revision => [revision.rev, revision.action, revision.actor.uid])).toEqual([
+      [4, 'delete', 'u-curator'],
+      [3, 'disable', 'u-curator'],
+      [2, 'update', 'u-ops'],
+      [1, 'create', 'u-curator']
+    ]);
+    expect(revisions[2].actor.email).toBe('ops@example.com');
+    expect(revisions[2].changes).toEqual([{ field: 'config.timeZone', from: null, to: 'America/New_York' }]);
+    expect(revisions[1].changes).toEqual([{ field: 'enabled', from: true, to: false }]);
+    expect(revisions[0].snapshot).toBeNull();
+    expect(revisions[3].changes).toEqual(
+      expect.arrayContaining([{ field: 'config.feedUrl', from: null, to: FEED_URL }])
+    );
+    expect(Date.parse(revisions[0].at)).not.toBeNaN();
+  });
+
+  it('rolls back to an earlier revision and records the rollback', async () => {
+    await asAdmin(request(app).post('/api/datasources')).send({
+      id: 'canal-club',
+      name: 'Canal Club',
+      type: 'rss',
+      config: { feedUrl: FEED_URL }
+    });
+    await asAdmin(request(app).put('/api/datasources/canal-club')).send({
+      name: 'Canal Club (broken)',
+      config: { feedUrl: 'https://venue.test/moved.rss', imageFetchLimit: 5 }
+    });
+
+    const rollback = await asAdmin(request(app).post('/api/datasources/canal-club/rollback/1'), 'ops-token');
+
+    expect(rollback.status).toBe(200);
+    expect(rollback.body.source).toMatchObject({ name: 'Canal Club', config: { feedUrl: FEED_URL } });
+    expect(rollback.body.revision).toMatchObject({ rev: 3, action: 'rollback', restoredFrom: 1 });
+    expect(rollback.body.revision.changes.map(change => change.field)).toEqual([
+      'config.feedUrl',
+      'config.imageFetchLimit',
+      'name'
+    ]);
+    expect(readLocalSource('canal-club')).toMatchObject({ name: 'Canal Club', config: { feedUrl: FEED_URL } });
+    expect(readLocalSource('canal-club').config.imageFetchLimit).toBeUndefined();
+  });
+
+  it('restores a deleted datasource from its history', async () => {
+    await asAdmin(request(app).post('/api/datasources')).send({
+      id: 'old-mill',
+      name: 'Old Mill',
+      type: 'rss',
+      config: { feedUrl: FEED_URL }
+    });
+    await asAdmin(request(app).delete('/api/datasources/old-mill'));
+    expect(readLocalSource('old-mill')).toBeUndefined();
+
+    const notRestorable = await asAdmin(request(app).post('/api/datasources/old-mill/rollback/2'));
+    expect(notRestorable.status).toBe(409);
+
+    const restored = await asAdmin(request(app).post('/api/datasources/old-mill/rollback/1'));
+    expect(restored.status).toBe(200);
+    expect(readLocalSource('old-mill')).toMatchObject({ name: 'Old Mill', type: 'rss' });
+  });
+
+  it('keeps local history in a file next to datasources.json across restarts', async () => {
+    await asAdmin(request(app).post('/api/datasources')).send({
+      id: 'harbor-room',
+      name: 'Harbor Room',
+      type: 'rss',
+      config: { feedUrl: FEED_URL }
+    });
+    const revisionsPath = path.join(path.dirname(datasourcesPath), 'datasourceRevisions.json');
+    expect(JSON.parse(fs.readFileSync(revisionsPath, 'utf8')).sources['harbor-room']).toHaveLength(1);
+
+    // Pointing the store at the same file again is what a fresh process sees.
+    setLocalDatasourceRevisionsPath(revisionsPath);
+    await asAdmin(request(app).put('/api/datasources/harbor-room')).send({ enabled: false });
+
+    const response = await asAdmin(request(app).get('/api/datasources/harbor-room/history'));
+    expect(response.body.revisions.map(revision => [revision.rev, revision.action])).toEqual([
+      [2, 'disable'],
+      [1, 'create']
+    ]);
+  });
+
+  it('rejects unknown revisions, unknown sources and anonymous callers', async () => {
+    const missingRevision = await asAdmin(request(app).post('/api/datasources/smithsonian/rollback/99'));
+    expect(missingRevision.status).toBe(404);
+    expect(missingRevision.body).toEqual({ error: 'revision_not_found' });
+
+    const badRevision = await asAdmin(request(app).post('/api/datasources/smithsonian/rollback/latest'));
+    expect(badRevision.status).toBe(400);
+
+    const unknown = await asAdmin(request(app).get('/api/datasources/nope/history'));
+    expect(unknown.status).toBe(404);
+
+    const emptyHistory = await asAdmin(request(app).get('/api/datasources/smithsonian/history'));
+    expect(emptyHistory.body).toEqual({ sourceId: 'smithsonian', revisions: [] });
+
+    const anonymous = await request(app).get('/api/datasources/smithsonian/history');
+    expect(anonymous.status).toBe(401);
+  });
+});
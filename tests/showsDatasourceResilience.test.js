@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { clearInMemoryCache, readCachedResponse } = requireServerModule('../functions/shared/cache.js');
+const { clearInMemoryCircuits } = requireServerModule('../functions/shared/circuitBreaker.js');
+
+const FEED_URL = 'https://flaky.test/events.rss';
+const SMITHSONIAN_FEED = 'https://www.trumba.com/calendars/smithsonian-events.rss';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const source = { id: 'flaky', name: 'Flaky Venue', type: 'rss', enabled: true, config: { feedUrl: FEED_URL } };
+const context = { latitude: 38.9, longitude: -77.03, radiusMiles: 25, lookaheadDays: 14 };
+
+const rssFeed = title => `<?xml version="1.0"?>
+<rss version="2.0" xmlns:x-trumba="http://schemas.trumba.com/rss/x-trumba">
+  <channel>
+    <item>
+      <title>${title}</title>
+      <guid>https://flaky.test/events/1</guid>
+      <link>https://flaky.test/events/1</link>
+      <x-trumba:startdatetime>${new Date(Date.now() + DAY_MS).toISOString()}</x-trumba:startdatetime>
+    </item>
+  </channel>
+</rss>`;
+
+describe('datasource retries and circuit breaker', () => {
+  let upstream;
+
+  beforeEach(() => {
+    clearInMemoryCache();
+    clearInMemoryCircuits();
+    // Zero jitter keeps the backoff delays out of the test run.
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    upstream = vi.fn(async () => new Response(rssFeed('Late Show'), { status: 200 }));
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async url => {
+        const target = String(url);
+        if (target.startsWith(FEED_URL) || target.startsWith(SMITHSONIAN_FEED)) return upstream(target);
+        return new Response('not found', { status: 404 });
+      })
+    );
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('retries transient failures before succeeding', async () => {
+    upstream
+      .mockResolvedValueOnce(new Response('busy', { status: 503 }))
+      .mockRejectedValueOnce(new TypeError('fetch failed'));
+
+    const result = await app.runDatasourceFetch(source, context);
+
+    expect(upstream).toHaveBeenCalledTimes(3);
+    expect(result.ok).toBe(true);
+    expect(result.events.map(event => event.name.text)).toEqual(['Late Show']);
+    expect(result.summary.breaker).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('does not retry client errors', async () => {
+    upstream.mockImplementation(async () => new Response('gone', { status: 404 }));
+
+    const result = await app.runDatasourceFetch(source, context);
+
+    expect(upstream).toHaveBeenCalledTimes(1);
+    expect(result.ok).toBe(false);
+    expect(result.summary.breaker.state).toBe('closed');
+  });
+
+  it('does not retry errors that are neither HTTP nor network failures', async () => {
+    upstream.mockRejectedValueOnce(new Error('Unexpected token < in feed'));
+
+    const result = await app.runDatasourceFetch(source, context);
+
+    expect(upstream).toHaveBeenCalledTimes(1);
+    expect(result.ok).toBe(false);
+  });
+
+  it('stores the last good payload from live fetches only, keyed by rounded coordinates', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const readLastGood = () =>
+      readCachedResponse('datasourceLastGood', ['last-good', 'flaky', 'rss', '38.9000', '-77.0300', 25, 14], DAY_MS);
+
+    await app.runDatasourceFetch(source, context);
+    const stored = await readLastGood();
+    expect(stored.metadata.fetchedAt).toBe(new Date().toISOString());
+
+    vi.setSystemTime(Date.now() + 5 * 60 * 1000);
+    const cached = await app.runDatasourceFetch(source, { ...context, latitude: 38.900001 });
+    expect(cached.cached).toBe(true);
+    expect((await readLastGood()).metadata.fetchedAt).toBe(stored.metadata.fetchedAt);
+    expect(upstream).toHaveBeenCalledTimes(1);
+    vi.useRealTimers();
+  });
+
+  it('opens after repeated failures, serves the last good payload as stale and closes after a probe', async () => {
+    let clock = Date.now();
+    vi.spyOn(Date, 'now').mockImplementation(() => clock);
+    await app.runDatasourceFetch(source, context);
+
+    upstream.mockImplementation(async () => new Response('down', { status: 502 }));
+    for (let i = 0; i < 3; i += 1) {
+      // Step past the feed cache's hard TTL so each run waits on the upstream.
+      clock += 7 * 60 * 60 * 1000;
+      await app.runDatasourceFetch(source, context);
+    }
+    expect(upstream).toHaveBeenCalledTimes(1 + 9);
+
+    upstream.mockClear();
+    const open = await app.runDatasourceFetch(source, context);
+    expect(upstream).not.toHaveBeenCalled();
+    expect(open.ok).toBe(true);
+    expect(open.stale).toBe(true);
+    expect(open.events.map(event => event.name.text)).toEqual(['Late Show']);
+    expect(open.summary).toMatchObject({
+      ok: true,
+      total: 1,
+      stale: true,
+      error: 'Circuit open; upstream skipped',
+      breaker: { state: 'open', failures: 3 }
+    });
+
+    clock += 10 * 60 * 1000;
+    upstream.mockImplementation(async () => new Response(rssFeed('Encore'), { status: 200 }));
+    const probe = await app.runDatasourceFetch(source, context);
+    expect(upstream).toHaveBeenCalledTimes(1);
+    expect(probe.stale).toBeUndefined();
+    expect(probe.events.map(event => event.name.text)).toEqual(['Encore']);
+    expect(probe.summary.breaker).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('reports breaker state in /api/shows source summaries', async () => {
+    const store = createMemoryEventStore();
+    app.setEventStore(store);
+    await app.runEventIngestion({ store, sourceIds: ['smithsonian'], force: true });
+
+    upstream.mockImplementation(async () => new Response('down', { status: 500 }));
+    const smithsonian = { id: 'smithsonian', name: 'Smithsonian', type: 'rss', config: { feedUrl: SMITHSONIAN_FEED } };
+    for (let i = 0; i < 3; i += 1) {
+      await app.runDatasourceFetch(smithsonian, context);
+    }
+
+    const response = await request(app).get('/api/shows?lat=38.9&lon=-77.03&days=7');
+
+    expect(response.status).toBe(200);
+    const summaries = Object.fromEntries(response.body.sources.map(summary => [summary.id, summary]));
+    expect(summaries.smithsonian.breaker).toMatchObject({ state: 'open', failures: 3 });
+    expect(summaries.smithsonian.breaker.retryAt).toEqual(expect.any(String));
+  });
+});
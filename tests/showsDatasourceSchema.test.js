@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { setIdTokenVerifier } = requireServerModule('../functions/shared/adminAuth.js');
+const { clearInMemoryCache } = requireServerModule('../functions/shared/cache.js');
+
+const FEED_URL = 'https://venue.test/events.rss';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rssFeed = items => `<?xml version="1.0"?>
+<rss version="2.0" xmlns:x-trumba="http://schemas.trumba.com/rss/x-trumba">
+  <channel>
+    ${items
+      .map(
+        ({ title, link }, index) => `<item>
+      <title>${title}</title>
+      <guid>https://venue.test/events/${index}</guid>
+      ${link ? `<link>${link}</link>` : ''}
+      <x-trumba:startdatetime>${new Date(Date.now() + (index + 1) * DAY_MS).toISOString()}</x-trumba:startdatetime>
+    </item>`
+      )
+      .join('\n')}
+  </channel>
+</rss>`;
+
+const post = (path, body) =>
+  request(app).post(path).set('Authorization', 'Bearer admin-token').send(body);
+
+describe('datasource config schemas', () => {
+  let upstream;
+
+  beforeEach(() => {
+    clearInMemoryCache();
+    setIdTokenVerifier(async () => ({ uid: 'admin', admin: true }));
+    upstream = vi.fn(async () => new Response('not found', { status: 404 }));
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async url => (String(url).startsWith(FEED_URL) ? upstream(String(url)) : new Response('', { status: 404 })))
+    );
+  });
+
+  afterEach(() => {
+    setIdTokenVerifier(null);
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('returns field-level errors for invalid configs on create', async () => {
+    const response = await post('/api/datasources', {
+      id: 'new-venue',
+      name: 'New Venue',
+      type: 'html',
+      config: {
+        url: 'venue.test/calendar',
+        itemSelector: '.event[',
+        timezone: 'America/New_York',
+        imageFetchLimit: 500,
+        includeGenres: 'rock',
+        dateFormats: ['YYYY'],
+        fields: { title: { selector: 'h2', exclude: '(' } }
+      }
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('invalid_datasource');
+    const byField = Object.fromEntries(response.body.errors.map(issue => [issue.field, issue]));
+    expect(Object.keys(byField).sort()).toEqual([
+      'config.dateFormats[0]',
+      'config.fields.title',
+      'config.imageFetchLimit',
+      'config.includeGenres',
+      'config.itemSelector',
+      'config.timezone',
+      'config.url'
+    ]);
+    expect(byField['config.url'].code).toBe('invalid_url');
+    expect(byField['config.itemSelector'].code).toBe('invalid_selector');
+    expect(byField['config.timezone']).toMatchObject({ code: 'unknown_field', suggestion: 'timeZone' });
+    expect(byField['config.imageFetchLimit'].code).toBe('out_of_range');
+    expect(byField['config.includeGenres'].code).toBe('invalid_type');
+    expect(byField['config.dateFormats[0]'].code).toBe('invalid_date_format');
+    expect(byField['config.fields.title'].code).toBe('invalid_pattern');
+  });
+
+  it('validates updates against the merged config and rejects unknown types', async () => {
+    const badZone = await request(app)
+      .put('/api/datasources/smithsonian')
+      .set('Authorization', 'Bearer admin-token')
+      .send({ config: { feedUrl: 'https://www.trumba.com/calendars/smithsonian-events.rss', timeZone: 'Mars/Olympus' } });
+
+    expect(badZone.status).toBe(400);
+    expect(badZone.body.errors).toEqual([
+      expect.objectContaining({ field: 'config.timeZone', code: 'invalid_time_zone' })
+    ]);
+
+    const badType = await request(app)
+      .put('/api/datasources/smithsonian')
+      .set('Authorization', 'Bearer admin-token')
+      .send({ type: 'carrier-pigeon' });
+
+    expect(badType.status).toBe(400);
+    expect(badType.body.errors).toEqual([expect.objectContaining({ field: 'type', code: 'unsupported_type' })]);
+  });
+
+  it('checks ticketmaster segments and json pagination', async () => {
+    const ticketmaster = await post('/api/datasources', {
+      id: 'tm-copy',
+      type: 'ticketmaster',
+      config: { segments: [{ description: 'Music', params: 'Music' }] }
+    });
+    expect(ticketmaster.body.errors.map(issue => [issue.field, issue.code])).toEqual([
+      ['config.segments[0].key', 'required'],
+      ['config.segments[0].params', 'invalid_type']
+    ]);
+
+    const json = await post('/api/datasources', {
+      id: 'json-venue',
+      type: 'json',
+      config: { feedUrl: 'https://venue.test/api', mapping: { items: '$.data[' }, pagination: { type: 'cursor' } }
+    });
+    expect(json.body.errors.map(issue => [issue.field, issue.code])).toEqual([
+      ['config.mapping.items', 'invalid_json_path'],
+      ['config.pagination', 'required']
+    ]);
+  });
+
+  it('dry-runs an unsaved source and reports parsed events with warnings', async () => {
+    upstream.mockImplementation(
+      async () =>
+        new Response(
+          rssFeed([
+            { title: 'Jazz Night', link: 'https://venue.test/events/jazz' },
+            { title: 'Poetry Slam' }
+          ]),
+          { status: 200 }
+        )
+    );
+
+    const response = await post('/api/datasources/test', {
+      name: 'Draft Venue',
+      type: 'rss',
+      config: { feedUrl: FEED_URL, notes: 'draft' }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ ok: true, total: 2, truncated: false });
+    expect(response.body.source).toMatchObject({ id: 'draft-venue', type: 'rss' });
+    expect(response.body.events.map(event => event.name.text)).toEqual(['Jazz Night', 'Poetry Slam']);
+    expect(response.body.warnings.map(warning => [warning.field || null, warning.code])).toEqual([
+      ['config.notes', 'unknown_field'],
+      [null, 'events_missing_url']
+    ]);
+  });
+
+  it('keeps dry runs out of the shared feed cache', async () => {
+    const startDate = new Date(Date.now() + DAY_MS).toISOString();
+    let title = 'Live Show';
+    upstream.mockImplementation(
+      async () => new Response(JSON.stringify({ items: [{ id: '1', title, startDate }] }), { status: 200 })
+    );
+    const config = { feedUrl: `${FEED_URL}?format=json`, mapping: { items: 'items' } };
+    const context = { latitude: 38.9, longitude: -77.03, lookaheadDays: 7 };
+    await app.fetchJsonFeedEvents({ id: 'draft', type: 'json', config }, context);
+
+    title = 'Draft Show';
+    const response = await post('/api/datasources/test', {
+      name: 'Draft',
+      type: 'json',
+      config,
+      lat: context.latitude,
+      lon: context.longitude,
+      days: context.lookaheadDays
+    });
+    expect(response.body).toMatchObject({ ok: true, cached: false });
+    expect(response.body.events.map(event => event.name.text)).toEqual(['Draft Show']);
+
+    const live = await app.fetchJsonFeedEvents({ id: 'draft', type: 'json', config }, context);
+    expect(live.cached).toBe(true);
+    expect(live.events.map(event => event.name.text)).toEqual(['Live Show']);
+    expect(upstream).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports validation errors and upstream failures from the dry run', async () => {
+    const invalid = await post('/api/datasources/test', { name: 'Draft', type: 'rss', config: {} });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toEqual([expect.objectContaining({ field: 'config.feedUrl', code: 'required' })]);
+
+    upstream.mockImplementation(async () => new Response('down', { status: 503 }));
+    const failed = await post('/api/datasources/test', { name: 'Draft', type: 'rss', config: { feedUrl: FEED_URL } });
+    expect(failed.status).toBe(502);
+    expect(failed.body).toMatchObject({ error: 'datasource_test_failed', status: 503 });
+    expect(upstream).toHaveBeenCalledTimes(1);
+  });
+
+  it('requires an admin token for dry runs', async () => {
+    const response = await request(app)
+      .post('/api/datasources/test')
+      .send({ name: 'Draft', type: 'rss', config: { feedUrl: FEED_URL } });
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import app from '../functions/backend/server.js';
+
+const ticketmasterEvent = {
+  id: 'tm-1',
+  name: { text: 'Phoebe Bridgers - The Reunion Tour' },
+  start: { local: '2031-05-09T20:00:00', utc: '2031-05-10T00:00:00.000Z' },
+  url: 'https://www.ticketmaster.com/event/tm-1',
+  venue: { name: 'The Anthem', address: { city: 'Washington', region: 'DC', country: 'US' } },
+  segment: 'music',
+  distance: 2.4,
+  summary: 'Doors 7pm',
+  source: 'ticketmaster',
+  genres: ['Music', 'Rock'],
+  images: [
+    { url: 'https://s1.ticketm.net/small.jpg', ratio: '3_2', width: 305, height: 203, fallback: false },
+    { url: 'https://s1.ticketm.net/large.jpg', ratio: '16_9', width: 2048, height: 1152, fallback: false }
+  ],
+  ticketmaster: { priceRanges: [{ type: 'standard', currency: 'USD', min: 55, max: 95 }] }
+};
+
+const venueEvent = {
+  id: 'anthem::phoebe-bridgers::2031-05-09',
+  name: { text: 'PHOEBE BRIDGERS (Live)' },
+  start: { local: '2031-05-09T19:00:00', utc: '2031-05-09T23:00:00.000Z' },
+  url: 'https://theanthemdc.com/events/phoebe-bridgers',
+  venue: { name: 'Anthem', address: { city: 'Washington', region: 'DC', country: 'US' } },
+  summary: 'Phoebe Bridgers returns to the Wharf with special guests and a full band for a long-awaited set.',
+  source: 'anthem',
+  genres: ['rock', 'Indie'],
+  images: [{ url: 'https://theanthemdc.com/og.jpg', ratio: null, width: null, height: null, fallback: true }]
+};
+
+describe('cross-source duplicate merging', () => {
+  it('collapses the same show from two sources into one merged event', () => {
+    const unrelated = {
+      ...venueEvent,
+      id: 'anthem::other',
+      name: { text: 'Japanese Breakfast' },
+      url: 'https://theanthemdc.com/events/jbrekkie'
+    };
+    const { events, collapsed } = app.mergeDuplicateEvents([ticketmasterEvent, venueEvent, unrelated]);
+
+    expect(collapsed).toBe(1);
+    expect(events).toHaveLength(2);
+    const [merged] = events;
+    expect(merged.id).toBe('tm-1');
+    expect(merged.url).toBe('https://www.ticketmaster.com/event/tm-1');
+    expect(merged.summary).toBe(venueEvent.summary);
+    expect(merged.images).toBe(ticketmasterEvent.images);
+    expect(merged.genres).toEqual(['Music', 'Rock', 'Indie']);
+    expect(merged.ticketmaster).toBe(ticketmasterEvent.ticketmaster);
+    expect(merged.sources).toEqual([
+      { id: 'ticketmaster', eventId: 'tm-1', url: 'https://www.ticketmaster.com/event/tm-1' },
+      { id: 'anthem', eventId: venueEvent.id, url: venueEvent.url }
+    ]);
+    expect(events[1]).toBe(unrelated);
+  });
+
+  it('keeps events apart outside the start-time tolerance or at different venues', () => {
+    const matinee = {
+      ...venueEvent,
+      start: { local: '2031-05-09T14:00:00', utc: '2031-05-09T18:00:00.000Z' }
+    };
+    const elsewhere = { ...venueEvent, venue: { name: '9:30 Club', address: {} } };
+
+    expect(app.mergeDuplicateEvents([ticketmasterEvent, matinee]).collapsed).toBe(0);
+    expect(app.mergeDuplicateEvents([ticketmasterEvent, elsewhere]).collapsed).toBe(0);
+  });
+
+  it('compares zone-less wall clocks with each other and matches across midnight', () => {
+    const floating = ({ id, source, local }) => ({ ...venueEvent, id, source, start: { local, utc: null } });
+    const late = floating({ id: 'a', source: 'anthem', local: '2031-05-09T23:30:00' });
+    const afterMidnight = floating({ id: 'b', source: 'listings', local: '2031-05-10T00:15:00' });
+    const instantOnly = { ...venueEvent, id: 'c', source: 'feed', start: { local: null, utc: '2031-05-09T23:30:00.000Z' } };
+
+    expect(app.mergeDuplicateEvents([late, afterMidnight]).collapsed).toBe(1);
+    // One side only has an instant and the other only a wall clock, so their starts cannot be compared.
+    expect(app.mergeDuplicateEvents([late, instantOnly]).collapsed).toBe(0);
+  });
+
+  it('merges each event into the earliest matching cluster among many', () => {
+    const events = Array.from({ length: 400 }, (_, index) => ({
+      ...venueEvent,
+      id: `listing-${index}`,
+      name: { text: `Show number ${index}` },
+      source: index % 2 ? 'anthem' : 'listings',
+      start: { local: null, utc: new Date(Date.UTC(2031, 0, 1) + Math.floor(index / 2) * 60 * 60 * 1000 * 5).toISOString() }
+    }));
+    const { collapsed } = app.mergeDuplicateEvents(events);
+    expect(collapsed).toBe(0);
+    const withDuplicate = [...events, { ...events[10], id: 'dup', source: 'ticketmaster' }];
+    const result = app.mergeDuplicateEvents(withDuplicate);
+    expect(result.collapsed).toBe(1);
+    expect(result.events[10].sources.map(entry => entry.eventId)).toEqual(['listing-10', 'dup']);
+  });
+
+  it('never merges two events from the same source', () => {
+    const resale = { ...ticketmasterEvent, id: 'tm-2' };
+    const { events, collapsed } = app.mergeDuplicateEvents([ticketmasterEvent, resale, venueEvent]);
+
+    expect(collapsed).toBe(1);
+    expect(events.map(event => event.id)).toEqual(['tm-1', 'tm-2']);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import app from '../functions/backend/server.js';
+import { formatEventDate } from '../js/eventTime.js';
+
+const ticketmasterEvent = (start, dates = {}) => ({
+  id: 'tm-1',
+  name: 'Late Show',
+  dates: { start, ...dates },
+  _embedded: { venues: [{ name: '9:30 Club', city: { name: 'Washington' }, state: { stateCode: 'DC' } }] }
+});
+
+const ical = (...events) => ['BEGIN:VCALENDAR', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+
+describe('venue time zones', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps Ticketmaster wall clocks and instants apart across DST changes', () => {
+    // 2026-11-01 is the first day of EST (UTC-5); the day before is still EDT.
+    const beforeFallBack = app.formatTicketmasterEvent(
+      ticketmasterEvent(
+        { localDate: '2026-10-31', localTime: '20:00:00', dateTime: '2026-11-01T00:00:00Z' },
+        { timezone: 'America/New_York' }
+      )
+    );
+    expect(beforeFallBack.start).toEqual({ local: '2026-10-31T20:00:00', utc: '2026-11-01T00:00:00.000Z' });
+    expect(beforeFallBack.timeZone).toBe('America/New_York');
+
+    const afterFallBack = app.formatTicketmasterEvent(
+      ticketmasterEvent({ localDate: '2026-11-01', localTime: '20:00:00' }, { timezone: 'America/New_York' })
+    );
+    expect(afterFallBack.start).toEqual({ local: '2026-11-01T20:00:00', utc: '2026-11-02T01:00:00.000Z' });
+
+    const afterSpringForward = app.formatTicketmasterEvent(
+      ticketmasterEvent({ dateTime: '2026-03-09T02:30:00Z' }, { timezone: 'America/Los_Angeles' })
+    );
+    expect(afterSpringForward.start).toEqual({ local: '2026-03-08T19:30:00', utc: '2026-03-09T02:30:00.000Z' });
+
+    const dateOnly = app.formatTicketmasterEvent(ticketmasterEvent({ localDate: '2026-11-05', dateTBA: false }));
+    expect(dateOnly.start).toEqual({ local: '2026-11-05', utc: null });
+    expect(dateOnly.timeZone).toBeNull();
+  });
+
+  it('reads iCal times in their TZID and keeps all-day events as dates', () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-25T12:00:00Z'));
+    const events = app.parseIcalFeed(
+      ical(
+        ['BEGIN:VEVENT', 'UID:a', 'SUMMARY:Chicago Set', 'DTSTART;TZID=America/Chicago:20261101T193000', 'DTEND;TZID=America/Chicago:20261101T213000', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:b', 'SUMMARY:Utc Stamp', 'DTSTART:20261031T233000Z', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:c', 'SUMMARY:Festival', 'DTSTART;VALUE=DATE:20261102', 'END:VEVENT']
+      ),
+      { id: 'venue', name: 'Venue', type: 'ical', config: { timeZone: 'America/New_York' } },
+      { lookaheadDays: 14 }
+    );
+    const byName = Object.fromEntries(events.map(event => [event.name.text, event]));
+
+    expect(byName['Chicago Set'].timeZone).toBe('America/Chicago');
+    expect(byName['Chicago Set'].start).toEqual({ local: '2026-11-01T19:30:00', utc: '2026-11-02T01:30:00.000Z' });
+    expect(byName['Chicago Set'].end.local).toBe('2026-11-01T21:30:00');
+    expect(byName['Utc Stamp'].timeZone).toBe('America/New_York');
+    expect(byName['Utc Stamp'].start).toEqual({ local: '2026-10-31T19:30:00', utc: '2026-10-31T23:30:00.000Z' });
+    expect(byName.Festival.start).toEqual({ local: '2026-11-02', utc: '2026-11-02T05:00:00.000Z' });
+  });
+
+  it('normalizes scraped and feed times with the datasource zone', () => {
+    const scraped = app.normalizeEventTimes(
+      { id: 'improv', start: { local: '2026-03-08T20:00:00' } },
+      'America/New_York'
+    );
+    expect(scraped).toEqual({
+      id: 'improv',
+      start: { local: '2026-03-08T20:00:00', utc: '2026-03-09T00:00:00.000Z' },
+      timeZone: 'America/New_York'
+    });
+
+    const rss = app.normalizeEventTimes(
+      { id: 'talk', start: { local: '2026-03-07T23:00:00.000Z', utc: '2026-03-07T23:00:00.000Z' } },
+      'America/New_York'
+    );
+    expect(rss.start).toEqual({ local: '2026-03-07T18:00:00', utc: '2026-03-07T23:00:00.000Z' });
+
+    const ownZone = app.normalizeEventTimes(
+      { id: 'la', timeZone: 'America/Los_Angeles', start: { local: '2026-11-01T12:00:00-08:00' } },
+      'America/New_York'
+    );
+    expect(ownZone.start).toEqual({ local: '2026-11-01T12:00:00', utc: '2026-11-01T20:00:00.000Z' });
+    expect(ownZone.timeZone).toBe('America/Los_Angeles');
+
+    const unknownZone = app.normalizeEventTimes({ id: 'x', start: { local: '2026-11-01T20:00' } }, null);
+    expect(unknownZone).toEqual({ id: 'x', start: { local: '2026-11-01T20:00:00', utc: null } });
+
+    // An instant without a zone has no venue clock; keep only `utc`.
+    const unknownZoneInstant = app.normalizeEventTimes({ id: 'y', start: { local: '2025-10-21T00:00:00.000Z' } }, null);
+    expect(unknownZoneInstant.start).toEqual({ local: null, utc: '2025-10-21T00:00:00.000Z' });
+  });
+
+  it('renders venue-local times in the client regardless of the viewer zone', () => {
+    expect(formatEventDate({ local: '2026-11-01T20:00:00', utc: '2026-11-02T01:00:00.000Z' }, 'America/New_York', 'en-US'))
+      .toBe('Nov 1, 2026, 8:00 PM (Sun)');
+    expect(formatEventDate({ local: '2026-03-08T02:30:00' }, 'America/New_York', 'en-US'))
+      .toBe('Mar 8, 2026, 2:30 AM (Sun)');
+    // Legacy events without a wall clock fall back to the instant in the venue zone.
+    expect(formatEventDate({ utc: '2026-11-01T05:30:00.000Z' }, 'America/New_York', 'en-US'))
+      .toBe('Nov 1, 2026, 1:30 AM (Sun)');
+    expect(formatEventDate({ utc: '2026-11-01T06:30:00.000Z' }, 'America/New_York', 'en-US'))
+      .toBe('Nov 1, 2026, 1:30 AM (Sun)');
+    expect(formatEventDate({ local: '2026-11-02' }, 'America/New_York', 'en-US')).toBe('Nov 2, 2026 (Mon)');
+    expect(formatEventDate(null)).toBe('');
+  });
+});
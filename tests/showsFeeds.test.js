@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGION_ID = 'washington-dc';
+
+const makeEvent = (id, day, { title, genres = [], images, ticketmaster, summary = '' }) => {
+  const local = `${new Date(Date.now() + day * DAY_MS).toISOString().slice(0, 10)}T20:00:00`;
+  return {
+    id,
+    name: { text: title },
+    start: { local, utc: `${local}Z` },
+    url: `https://events.test/${id}`,
+    venue: { name: 'Black Cat', address: { line1: '1811 14th St NW', city: 'Washington', region: 'DC', country: 'US' } },
+    summary,
+    source: 'blackcat',
+    genres,
+    ...(images ? { images } : {}),
+    ...(ticketmaster ? { ticketmaster } : {})
+  };
+};
+
+const EVENTS = [
+  makeEvent('punk', 1, {
+    title: 'Basement Punk & Friends',
+    genres: ['Punk', 'Music'],
+    summary: '<b>Loud</b> bands',
+    images: [{ url: 'https://img.test/punk.png', fallback: false }]
+  }),
+  makeEvent('jazz', 2, {
+    title: 'Late Jazz Set',
+    genres: ['Jazz'],
+    ticketmaster: {
+      images: [
+        { url: 'https://img.test/jazz-small.jpg', width: 305, height: 225 },
+        { url: 'https://img.test/jazz-large.webp', width: 1024, height: 576 }
+      ]
+    }
+  })
+];
+
+const fetchFeed = (format, query = '') =>
+  request(app).get(`/api/shows/feed.${format}?lat=38.9&lon=-77.03&days=7${query ? `&${query}` : ''}`);
+
+describe('/api/shows syndication feeds', () => {
+  beforeEach(async () => {
+    const store = createMemoryEventStore();
+    app.setEventStore(store);
+    const ingestedAt = new Date().toISOString();
+    await store.upsertEvents(
+      EVENTS.map(event => ({
+        key: `blackcat_${event.id}`,
+        sourceId: 'blackcat',
+        regionId: REGION_ID,
+        eventId: event.id,
+        startMs: Date.parse(event.start.utc),
+        endMs: null,
+        latitude: null,
+        longitude: null,
+        event,
+        ingestedAt
+      }))
+    );
+    for (const sourceId of ['ticketmaster', 'dcimprov', 'smithsonian', 'blackcat', 'sixthandi']) {
+      await store.setIngestionState(`${sourceId}__${REGION_ID}`, {
+        sourceId,
+        regionId: REGION_ID,
+        lastRunAt: ingestedAt,
+        lastSuccessAt: ingestedAt,
+        ok: true
+      });
+    }
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+  });
+
+  it('renders RSS 2.0 with enclosures, categories and caching headers', async () => {
+    const response = await fetchFeed('rss');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(response.headers['cache-control']).toBe('public, max-age=300');
+    expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(response.text).toContain('<title>Basement Punk &amp; Friends</title>');
+    expect(response.text).toContain('<guid isPermaLink="false">punk</guid>');
+    expect(response.text).toContain('<category>Punk</category>');
+    expect(response.text).toContain('<enclosure url="https://img.test/punk.png" length="0" type="image/png"/>');
+    expect(response.text).toContain('<enclosure url="https://img.test/jazz-large.webp" length="0" type="image/webp"/>');
+    expect(response.text).toContain(
+      '<atom:link href="http://localhost/api/shows/feed.rss?lat=38.9&amp;lon=-77.03&amp;days=7" rel="self"'
+    );
+    expect(response.text.indexOf('punk</guid>')).toBeLessThan(response.text.indexOf('jazz</guid>'));
+  });
+
+  it('renders Atom entries with enclosure links and html content', async () => {
+    const response = await fetchFeed('atom');
+
+    expect(response.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(response.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(response.text).toContain('<id>urn:live-events:event:jazz</id>');
+    expect(response.text).toContain('<category term="Jazz"/>');
+    expect(response.text).toContain('<link rel="enclosure" type="image/png" href="https://img.test/punk.png"/>');
+    expect(response.text).toContain('<content type="html">&lt;p&gt;&lt;strong&gt;When:&lt;/strong&gt;');
+  });
+
+  it('renders JSON Feed 1.1 and applies the /api/shows filters', async () => {
+    const response = await fetchFeed('json', 'genres=punk');
+
+    expect(response.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+    const feed = JSON.parse(response.text);
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.feed_url).toBe('http://localhost/api/shows/feed.json?lat=38.9&lon=-77.03&days=7&genres=punk');
+    expect(feed.items).toHaveLength(1);
+    expect(feed.items[0]).toMatchObject({
+      id: 'punk',
+      url: 'https://events.test/punk',
+      title: 'Basement Punk & Friends',
+      image: 'https://img.test/punk.png',
+      tags: ['Punk', 'Music'],
+      attachments: [{ url: 'https://img.test/punk.png', mime_type: 'image/png' }],
+      _event: { venue: 'Black Cat', sources: ['blackcat'] }
+    });
+    expect(feed.items[0].summary).toMatch(/ · Black Cat, 1811 14th St NW, Washington, DC, US — Loud bands$/);
+    expect(feed.items[0].content_html).toContain('<p>Loud bands</p>');
+  });
+
+  it('revalidates with the ETag and rejects bad parameters', async () => {
+    const first = await fetchFeed('json');
+    const revalidated = await fetchFeed('json').set('If-None-Match', first.headers.etag);
+    expect(revalidated.status).toBe(304);
+
+    expect((await fetchFeed('json', 'limit=1')).headers.etag).not.toBe(first.headers.etag);
+    expect((await fetchFeed('xml')).body).toEqual({ error: 'unsupported_feed_format' });
+    expect((await fetchFeed('rss', 'from=soon')).body).toMatchObject({ error: 'invalid_filter', parameter: 'from' });
+    expect((await fetchFeed('rss', 'limit=0')).body).toEqual({ error: 'invalid_limit' });
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGION_ID = 'washington-dc';
+
+const dayOffset = days => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+const makeEvent = ({ id, title, source, day, time = '20:00', genres = [], venue, summary = '', priceRanges }) => {
+  const local = `${dayOffset(day)}T${time}:00`;
+  const event = {
+    id,
+    name: { text: title },
+    start: { local, utc: `${local}Z` },
+    url: `https://events.test/${id}`,
+    venue: { name: venue, address: { city: 'Washington', region: 'DC', country: 'US' } },
+    summary,
+    source,
+    genres
+  };
+  if (priceRanges) event.priceRanges = priceRanges;
+  return event;
+};
+
+const EVENTS = [
+  makeEvent({ id: 'jazz', title: 'Late Jazz Set', source: 'smithsonian', day: 1, time: '21:30', genres: ['Jazz', 'Music'], venue: 'Kogod Courtyard', summary: 'Free admission' }),
+  makeEvent({ id: 'film', title: 'Silent Film Night', source: 'smithsonian', day: 2, time: '18:00', genres: ['Film'], venue: 'Hirshhorn', priceRanges: [{ min: 15, max: 15, currency: 'USD' }] }),
+  makeEvent({ id: 'punk', title: 'Basement Punk Show', source: 'blackcat', day: 3, time: '20:00', genres: ['Punk', 'Music'], venue: 'Black Cat', priceRanges: [{ min: 25, max: 30, currency: 'USD' }] }),
+  makeEvent({ id: 'choir', title: 'Gospel Choir', source: 'sixthandi', day: 5, time: '12:00', genres: ['Music'], venue: 'Sixth & I' })
+];
+
+const fetchShows = query => request(app).get(`/api/shows?lat=38.9&lon=-77.03&days=7${query ? `&${query}` : ''}`);
+const titles = response => response.body.events.map(event => event.name.text);
+
+describe('/api/shows query filters', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryEventStore();
+    app.setEventStore(store);
+    const ingestedAt = new Date().toISOString();
+    await store.upsertEvents(
+      EVENTS.map(event => ({
+        key: `${event.source}_${event.id}`,
+        sourceId: event.source,
+        regionId: REGION_ID,
+        eventId: event.id,
+        startMs: Date.parse(event.start.utc),
+        endMs: null,
+        latitude: null,
+        longitude: null,
+        event,
+        ingestedAt
+      }))
+    );
+    for (const sourceId of ['ticketmaster', 'dcimprov', 'smithsonian', 'blackcat', 'sixthandi']) {
+      await store.setIngestionState(`${sourceId}__${REGION_ID}`, {
+        sourceId,
+        regionId: REGION_ID,
+        lastRunAt: ingestedAt,
+        lastSuccessAt: ingestedAt,
+        ok: true
+      });
+    }
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+  });
+
+  it('returns every event with facet counts when no filter is set', async () => {
+    const response = await fetchShows();
+
+    expect(response.status).toBe(200);
+    expect(titles(response)).toEqual(['Late Jazz Set', 'Silent Film Night', 'Basement Punk Show', 'Gospel Choir']);
+    expect(response.body.filters).toEqual({});
+    expect(response.body.facets.genres).toEqual([
+      { value: 'Music', count: 3 },
+      { value: 'Film', count: 1 },
+      { value: 'Jazz', count: 1 },
+      { value: 'Punk', count: 1 }
+    ]);
+    expect(response.body.facets.sources).toEqual([
+      { value: 'smithsonian', count: 2 },
+      { value: 'blackcat', count: 1 },
+      { value: 'sixthandi', count: 1 }
+    ]);
+    expect(response.body.facets.venues.map(facet => facet.value)).toContain('Sixth & I');
+  });
+
+  it('filters by genres, excluded genres, sources, venues and keywords', async () => {
+    expect(titles(await fetchShows('genres=jazz,punk'))).toEqual(['Late Jazz Set', 'Basement Punk Show']);
+    expect(titles(await fetchShows('genres=music&excludeGenres=punk'))).toEqual(['Late Jazz Set', 'Gospel Choir']);
+    expect(titles(await fetchShows('sources=blackcat&sources=sixthandi'))).toEqual(['Basement Punk Show', 'Gospel Choir']);
+    expect(titles(await fetchShows('venues=hirshhorn'))).toEqual(['Silent Film Night']);
+    expect(titles(await fetchShows('q=film%20night'))).toEqual(['Silent Film Night']);
+  });
+
+  it('keeps each facet counted without its own filter', async () => {
+    const response = await fetchShows('genres=punk&sources=blackcat,smithsonian');
+
+    expect(titles(response)).toEqual(['Basement Punk Show']);
+    expect(response.body.filters).toEqual({ genres: ['punk'], sources: ['blackcat', 'smithsonian'] });
+    // Genre counts ignore the genre filter but honour the source filter.
+    expect(response.body.facets.genres.map(facet => [facet.value, facet.count])).toEqual([
+      ['Music', 2],
+      ['Film', 1],
+      ['Jazz', 1],
+      ['Punk', 1]
+    ]);
+    expect(response.body.facets.sources).toEqual([{ value: 'blackcat', count: 1 }]);
+  });
+
+  it('filters by date range, price and time of day', async () => {
+    expect(titles(await fetchShows(`from=${dayOffset(2)}&to=${dayOffset(3)}`))).toEqual([
+      'Silent Film Night',
+      'Basement Punk Show'
+    ]);
+    expect(titles(await fetchShows('maxPrice=20'))).toEqual(['Late Jazz Set', 'Silent Film Night', 'Gospel Choir']);
+    expect(titles(await fetchShows('freeOnly=true'))).toEqual(['Late Jazz Set']);
+    expect(titles(await fetchShows('startsAfter=18:00&startsBefore=9pm'))).toEqual([
+      'Silent Film Night',
+      'Basement Punk Show'
+    ]);
+  });
+
+  it('widens the fetch window to the date filters and rejects dates past the longest window', async () => {
+    const narrow = await request(app).get(`/api/shows?lat=38.9&lon=-77.03&days=1&from=${dayOffset(3)}&to=${dayOffset(3)}`);
+    expect(narrow.status).toBe(200);
+    expect(titles(narrow)).toEqual(['Basement Punk Show']);
+
+    const tooFar = await fetchShows(`to=${dayOffset(40)}`);
+    expect(tooFar.status).toBe(400);
+    expect(tooFar.body).toMatchObject({ error: 'invalid_filter', parameter: 'to' });
+    expect((await fetchShows(`from=${dayOffset(40)}`)).body).toMatchObject({ parameter: 'from' });
+  });
+
+  it('rejects malformed filter values', async () => {
+    const badDate = await fetchShows('from=next-week');
+    expect(badDate.status).toBe(400);
+    expect(badDate.body).toMatchObject({ error: 'invalid_filter', parameter: 'from' });
+
+    const reversed = await fetchShows(`from=${dayOffset(3)}&to=${dayOffset(1)}`);
+    expect(reversed.body).toMatchObject({ error: 'invalid_filter', parameter: 'to' });
+
+    const badTime = await fetchShows('startsAfter=evening');
+    expect(badTime.body).toMatchObject({ error: 'invalid_filter', parameter: 'startsAfter' });
+
+    const badPrice = await fetchShows('maxPrice=-5');
+    expect(badPrice.body).toMatchObject({ error: 'invalid_filter', parameter: 'maxPrice' });
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { setIdTokenVerifier } = requireServerModule('../functions/shared/adminAuth.js');
+const { createMemoryImageLookupStore } = requireServerModule('../functions/shared/imageLookupStore.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures/html', name), 'utf8');
+
+const dcImprovSource = {
+  id: 'dcimprov',
+  name: 'DC Improv',
+  type: 'html',
+  config: {
+    url: 'https://www.dcimprov.com/index.php/shows',
+    itemSelector: '.show-listing',
+    fields: {
+      title: '.show-title a',
+      link: { selector: '.show-title a', attr: 'href' },
+      date: '.show-date',
+      time: { selector: '.show-date', pattern: '@\\s*(.+)$' },
+      image: { selector: 'img', attr: 'src' },
+      summary: '.show-description'
+    },
+    dateFormats: ['MMMM D'],
+    defaultTime: '20:00',
+    segment: 'comedy',
+    genres: ['Comedy'],
+    venue: {
+      name: 'DC Improv',
+      address: { city: 'Washington', region: 'DC', country: 'US' }
+    },
+    coordinates: { latitude: 38.9055, longitude: -77.0422 }
+  }
+};
+
+const blackCatSource = {
+  id: 'blackcat',
+  name: 'Black Cat',
+  type: 'html',
+  config: {
+    url: 'https://www.blackcatdc.com/schedule.html',
+    itemSelector: 'div.show',
+    assumePm: true,
+    fields: {
+      title: 'h1.headline a',
+      link: { selector: 'h1.headline a', attr: 'href' },
+      date: 'h2.date',
+      time: 'p.show-text',
+      image: { selector: 'img', attr: 'src', exclude: 'buy-button|ticket|button' },
+      summary: {
+        parts: [{ selector: 'h2.support', all: true, join: ' / ' }, 'p.show-text'],
+        join: ' · '
+      },
+      venue: {
+        selector: 'p.show-text',
+        map: { 'red room': 'Black Cat · Red Room', 'concert room': 'Black Cat · Concert Room' }
+      }
+    },
+    dateFormats: ['MMMM D'],
+    segment: 'music',
+    genres: ['Music'],
+    venue: {
+      name: 'Black Cat',
+      address: {
+        line1: '1811 14th St NW',
+        city: 'Washington',
+        region: 'DC',
+        postalCode: '20009',
+        country: 'US'
+      }
+    }
+  }
+};
+
+const listingSource = {
+  id: 'listing-venue',
+  name: 'Listing Venue',
+  type: 'html',
+  config: {
+    url: 'https://venue.test/listing',
+    itemSelector: '.event',
+    fields: { title: 'a', link: { selector: 'a', attr: 'href' }, date: '.date' },
+    dateFormats: ['YYYY-MM-DD'],
+    fetchImageFromLink: true,
+    imageFetchLimit: 2
+  }
+};
+
+const listingPage = count =>
+  Array.from(
+    { length: count },
+    (_, index) =>
+      `<div class="event"><a href="https://venue.test/events/${index}">Show ${index}</a><span class="date">2031-06-0${index + 1}</span></div>`
+  ).join('');
+
+describe('html datasource type', () => {
+  afterEach(() => {
+    setIdTokenVerifier(null);
+    app.setImageLookupStore(null);
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('matches the DC Improv parser on the saved shows page', () => {
+    const html = readFixture('dcimprov-shows.html');
+    const expected = app.parseDcImprovShows(html);
+    const events = app.parseHtmlSourceEvents(html, dcImprovSource);
+
+    expect(expected).toHaveLength(3);
+    expect(events).toEqual(expected);
+    expect(events[1].start.local).toMatch(/-05-10T21:45:00$/);
+    expect(events[2].images[0].url).toBe('https://cdn.dcimprov.com/open-mic.png');
+  });
+
+  it('matches the Black Cat parser on the saved schedule page', () => {
+    const html = readFixture('blackcat-schedule.html');
+    const expected = app.parseBlackCatSchedule(html);
+    const events = app.parseHtmlSourceEvents(html, blackCatSource);
+
+    expect(expected).toHaveLength(3);
+    expect(events).toEqual(expected);
+    expect(events[0].venue.name).toBe('Black Cat · Red Room');
+    expect(events[0].summary).toBe('OPENER ONE / OPENER TWO · Doors at 7:00 pm · Red Room');
+    expect(events[2].start.local).toMatch(/T19:00:00$/);
+  });
+
+  it('carries dates forward from heading selectors and computes UTC for a configured zone', () => {
+    const html = `
+      <h2 class="day">Saturday, June 7, 2031</h2>
+      <div class="event"><span class="name">Early Set</span><span class="when">6pm</span></div>
+      <div class="event"><span class="name">Late Set</span><span class="when">10:15 PM</span></div>
+      <h2 class="day">Sunday, June 8, 2031</h2>
+      <div class="event"><span class="name">Brunch Jazz</span><span class="when">11 a.m.</span></div>
+    `;
+    const events = app.parseHtmlSourceEvents(html, {
+      id: 'venue',
+      name: 'Venue',
+      config: {
+        url: 'https://venue.test/calendar',
+        itemSelector: '.event',
+        dateHeadingSelector: 'h2.day',
+        fields: { title: '.name', time: '.when' },
+        dateFormats: ['MMMM D, YYYY'],
+        timeZone: 'America/New_York'
+      }
+    });
+
+    expect(events.map(event => [event.name.text, event.start.local, event.start.utc])).toEqual([
+      ['Early Set', '2031-06-07T18:00:00', '2031-06-07T22:00:00.000Z'],
+      ['Late Set', '2031-06-07T22:15:00', '2031-06-08T02:15:00.000Z'],
+      ['Brunch Jazz', '2031-06-08T11:00:00', '2031-06-08T15:00:00.000Z']
+    ]);
+    expect(events[0].url).toBe('https://venue.test/calendar');
+    expect(events[0].venue.name).toBe('Venue');
+  });
+
+  it('caps image lookups by pages fetched, not images found', async () => {
+    app.setImageLookupStore(createMemoryImageLookupStore());
+    const fetchMock = vi.fn(async url =>
+      url === listingSource.config.url
+        ? new Response(listingPage(5), { status: 200 })
+        : new Response('<html><body><p>No pictures here.</p></body></html>', { status: 200 })
+    );
+    vi.stubGlobal('fetch', fetchMock);
+
+    const { events } = await app.fetchHtmlSourceEvents(listingSource, {}, { allowCache: false });
+
+    expect(events).toHaveLength(5);
+    const pageFetches = fetchMock.mock.calls.filter(([url]) => String(url).includes('/events/'));
+    expect(pageFetches.map(([url]) => url)).toEqual(['https://venue.test/events/0', 'https://venue.test/events/1']);
+  });
+
+  it('times out a page whose body stalls after the headers arrive', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url, { signal }) => {
+        const body = new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('<div class="event">'));
+            signal.addEventListener('abort', () => controller.error(signal.reason));
+          }
+        });
+        return new Response(body, { status: 200 });
+      })
+    );
+
+    const pending = app.fetchHtmlSourceEvents(listingSource, {}, { allowCache: false });
+    const outcome = expect(pending).rejects.toMatchObject({ status: 408 });
+    await vi.advanceTimersByTimeAsync(10000);
+    await outcome;
+  });
+
+  it('rejects html datasources without an item selector', async () => {
+    setIdTokenVerifier(async () => ({ uid: 'admin', admin: true }));
+    const response = await request(app)
+      .post('/api/datasources')
+      .set('Authorization', 'Bearer admin-token')
+      .send({ id: 'new-venue', name: 'New Venue', type: 'html', config: { url: 'https://venue.test' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'invalid_datasource',
+      errors: [{ field: 'config.itemSelector', code: 'required', message: 'config.itemSelector is required' }],
+      warnings: []
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import app from '../functions/backend/server.js';
+
+const source = { id: 'venue', name: 'Venue', type: 'ical', config: { feedUrl: 'https://venue.test/cal.ics' } };
+
+const calendar = (...events) =>
+  ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']), 'END:VCALENDAR']
+    .join('\r\n');
+
+describe('iCal recurrence expansion', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2031-03-01T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('expands weekly BYDAY rules on local time across DST with EXDATE and RECURRENCE-ID', () => {
+    const ics = calendar(
+      [
+        'UID:trivia@venue.test',
+        'SUMMARY:Trivia Night',
+        'DTSTART;TZID=America/New_York:20310204T190000',
+        'DTEND;TZID=America/New_York:20310204T210000',
+        'RRULE:FREQ=WEEKLY;BYDAY=TU,TH',
+        'EXDATE;TZID=America/New_York:20310306T190000'
+      ],
+      [
+        'UID:trivia@venue.test',
+        'RECURRENCE-ID;TZID=America/New_York:20310313T190000',
+        'SUMMARY:Trivia Night (Finals)',
+        'DTSTART;TZID=America/New_York:20310313T203000',
+        'DTEND;TZID=America/New_York:20310313T223000'
+      ]
+    );
+
+    const events = app.parseIcalFeed(ics, source, { lookaheadDays: 14 });
+
+    expect(events.map(event => [event.name.text, event.start.utc, event.end.utc])).toEqual([
+      ['Trivia Night', '2031-03-05T00:00:00.000Z', '2031-03-05T02:00:00.000Z'],
+      ['Trivia Night', '2031-03-11T23:00:00.000Z', '2031-03-12T01:00:00.000Z'],
+      ['Trivia Night (Finals)', '2031-03-14T00:30:00.000Z', '2031-03-14T02:30:00.000Z']
+    ]);
+    expect(events.map(event => event.id)).toEqual([
+      'venue::trivia-venue-test::2031-03-05',
+      'venue::trivia-venue-test::2031-03-11',
+      'venue::trivia-venue-test::2031-03-13'
+    ]);
+  });
+
+  it('counts COUNT from DTSTART and honours INTERVAL', () => {
+    const ics = calendar([
+      'UID:tour@venue.test',
+      'SUMMARY:Gallery Tour',
+      'DTSTART:20310226T180000Z',
+      'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3'
+    ]);
+
+    const events = app.parseIcalFeed(ics, source, { lookaheadDays: 14 });
+
+    expect(events.map(event => event.start.utc)).toEqual(['2031-03-02T18:00:00.000Z']);
+  });
+
+  it('expands monthly ordinal weekdays until UNTIL', () => {
+    const ics = calendar([
+      'UID:jam@venue.test',
+      'SUMMARY:Open Jam',
+      'DTSTART:20310110T230000Z',
+      'RRULE:FREQ=MONTHLY;BYDAY=2TU,-1FR;UNTIL=20310401T000000Z'
+    ]);
+
+    const events = app.parseIcalFeed(ics, source, { lookaheadDays: 31 });
+
+    expect(events.map(event => event.start.utc)).toEqual([
+      '2031-03-11T23:00:00.000Z',
+      '2031-03-28T23:00:00.000Z'
+    ]);
+  });
+
+  it('drops cancelled overrides and keeps single events untouched', () => {
+    const ics = calendar(
+      [
+        'UID:yoga@venue.test',
+        'SUMMARY:Morning Yoga',
+        'DTSTART:20310302T140000Z',
+        'RRULE:FREQ=DAILY;COUNT=3'
+      ],
+      [
+        'UID:yoga@venue.test',
+        'RECURRENCE-ID:20310303T140000Z',
+        'STATUS:CANCELLED',
+        'SUMMARY:Morning Yoga',
+        'DTSTART:20310303T140000Z'
+      ],
+      ['UID:gala@venue.test', 'SUMMARY:Spring Gala', 'DTSTART:20310310T000000Z']
+    );
+
+    const events = app.parseIcalFeed(ics, source, { lookaheadDays: 14 });
+
+    expect(events.map(event => [event.name.text, event.start.utc])).toEqual([
+      ['Morning Yoga', '2031-03-02T14:00:00.000Z'],
+      ['Morning Yoga', '2031-03-04T14:00:00.000Z'],
+      ['Spring Gala', '2031-03-10T00:00:00.000Z']
+    ]);
+  });
+});
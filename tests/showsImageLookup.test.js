@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { createMemoryImageLookupStore } = requireServerModule('../functions/shared/imageLookupStore.js');
+const { setIdTokenVerifier } = requireServerModule('../functions/shared/adminAuth.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAGES = {
+  'https://venue.test/og': '<html><head><meta property="og:image" content="/art/poster.jpg"></head></html>',
+  'https://venue.test/img':
+    '<html><body><img src="/logo.png" class="logo"><img src="/wp-content/uploads/show.jpg" width="600" height="400"></body></html>',
+  'https://venue.test/bare': '<html><body><p>No pictures here.</p></body></html>'
+};
+
+describe('image lookup store', () => {
+  let store;
+  let fetchMock;
+
+  beforeEach(() => {
+    store = createMemoryImageLookupStore();
+    app.setImageLookupStore(store);
+    fetchMock = vi.fn(async url => {
+      if (url === 'https://venue.test/down') return new Response('busy', { status: 503 });
+      if (url === 'https://venue.test/gone') return new Response('gone', { status: 404 });
+      return new Response(PAGES[url], { status: 200, headers: { 'content-type': 'text/html' } });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    app.setImageLookupStore(null);
+    setIdTokenVerifier(null);
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('remembers found images with the strategy that found them', async () => {
+    const ogEvent = { url: 'https://venue.test/og', source: 'smithsonian' };
+    expect(await app.fetchImageFromEventLinks(ogEvent)).toBe('https://venue.test/art/poster.jpg');
+    expect(await app.fetchImageFromEventLinks(ogEvent)).toBe('https://venue.test/art/poster.jpg');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(await store.get('https://venue.test/og')).toMatchObject({
+      sourceId: 'smithsonian',
+      status: 'found',
+      strategy: 'og'
+    });
+
+    const imgEvent = { url: 'https://venue.test/img', alternateLinks: ['https://venue.test/og'], source: 'sixthandi' };
+    expect(await app.fetchImageFromEventLinks(imgEvent)).toBe('https://venue.test/wp-content/uploads/show.jpg');
+    expect((await store.get('https://venue.test/img')).strategy).toBe('img');
+  });
+
+  it('caches "none found" with its own TTL and retries errors sooner', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-10-01T12:00:00Z'));
+    const bare = { url: 'https://venue.test/bare', source: 'blackcat' };
+
+    expect(await app.fetchImageFromEventLinks(bare)).toBe('');
+    expect(await app.fetchImageFromEventLinks(bare)).toBe('');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const none = await store.get('https://venue.test/bare');
+    expect(none).toMatchObject({ status: 'none', imageUrl: null, strategy: null });
+    expect(Date.parse(none.expiresAt) - Date.parse(none.checkedAt)).toBe(3 * DAY_MS);
+
+    await app.fetchImageFromEventLinks({ url: 'https://venue.test/gone', source: 'blackcat' });
+    expect((await store.get('https://venue.test/gone')).status).toBe('none');
+
+    await app.fetchImageFromEventLinks({ url: 'https://venue.test/down', source: 'blackcat' });
+    const error = await store.get('https://venue.test/down');
+    expect(error.status).toBe('error');
+    expect(Date.parse(error.expiresAt) - Date.parse(error.checkedAt)).toBe(60 * 60 * 1000);
+
+    vi.setSystemTime(new Date('2026-10-04T12:00:01Z'));
+    expect(await store.get('https://venue.test/bare')).toBeNull();
+    await app.fetchImageFromEventLinks(bare);
+    expect(fetchMock.mock.calls.filter(([url]) => url === 'https://venue.test/bare')).toHaveLength(2);
+  });
+
+  it('summarizes outcomes per source for admins', async () => {
+    await app.fetchImageFromEventLinks({ url: 'https://venue.test/og', source: 'smithsonian' });
+    await app.fetchImageFromEventLinks({ url: 'https://venue.test/bare', source: 'smithsonian' });
+    await store.set('https://venue.test/js-only', {
+      sourceId: 'sixthandi',
+      status: 'found',
+      imageUrl: 'https://venue.test/js.jpg',
+      strategy: 'browser',
+      expiresAt: new Date(Date.now() + DAY_MS).toISOString()
+    });
+
+    expect((await request(app).get('/api/image/lookups')).status).toBe(401);
+
+    setIdTokenVerifier(async () => ({ uid: 'admin', admin: true }));
+    const response = await request(app).get('/api/image/lookups').set('Authorization', 'Bearer admin-token');
+    expect(response.status).toBe(200);
+    expect(response.body.sources).toEqual([
+      { sourceId: 'sixthandi', total: 1, found: 1, none: 0, error: 0, strategies: { browser: 1 }, needsBrowser: true },
+      { sourceId: 'smithsonian', total: 2, found: 1, none: 1, error: 0, strategies: { og: 1 }, needsBrowser: false }
+    ]);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+
+vi.hoisted(() => {
+  process.env.IMAGE_PROXY_SECRET = 'image-proxy-test-secret';
+});
+
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const sharp = requireServerModule('sharp');
+const { isPrivateAddress, setHostLookup } = requireServerModule('../functions/shared/publicUrl.js');
+const { createMemoryEventStore } = requireServerModule('../functions/shared/eventStore.js');
+
+let sourcePng;
+
+const imageResponse = (body, type = 'image/png') =>
+  new Response(body, { status: 200, headers: { 'content-type': type, 'content-length': String(body.length) } });
+const proxyPath = (url, query = '') =>
+  `/api/image?url=${encodeURIComponent(url)}&sig=${app.signImageProxyUrl(url)}${query ? `&${query}` : ''}`;
+// Hosts ending in .internal-dns.test resolve to a private address, everything else to a public one.
+const fakeLookup = async hostname =>
+  hostname.endsWith('.internal-dns.test') ? [{ address: '10.0.0.7', family: 4 }] : [{ address: '93.184.216.34', family: 4 }];
+
+describe('/api/image proxy', () => {
+  beforeAll(async () => {
+    setHostLookup(fakeLookup);
+    // A wide red image with a blue right half, so the crop and average color are checkable.
+    const red = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#d02020' } }).png().toBuffer();
+    sourcePng = await sharp(red)
+      .composite([{ input: { create: { width: 400, height: 400, channels: 3, background: '#2040d0' } }, left: 400, top: 0 }])
+      .png()
+      .toBuffer();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  afterAll(() => {
+    setHostLookup(null);
+  });
+
+  it('crops to the card size, negotiates the format and caches every variant', async () => {
+    const fetchMock = vi.fn(async () => imageResponse(sourcePng));
+    vi.stubGlobal('fetch', fetchMock);
+    const url = 'https://img.test/poster-a.png';
+
+    const first = await request(app).get(proxyPath(url)).set('Accept', 'image/avif,image/webp,*/*');
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toBe('image/webp');
+    expect(first.headers['cache-control']).toBe('public, max-age=604800');
+    expect(first.headers.vary).toBe('Accept');
+    expect(first.headers['x-image-placeholder']).toMatch(/^#[0-9a-f]{6}$/);
+    expect(await sharp(first.body).metadata()).toMatchObject({ format: 'webp', width: 305, height: 225 });
+
+    const retina = await request(app).get(proxyPath(url, 'scale=2x')).set('Accept', 'image/webp');
+    expect(await sharp(retina.body).metadata()).toMatchObject({ width: 610, height: 450 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    const jpeg = await request(app).get(proxyPath(url)).set('Accept', 'image/png');
+    expect(jpeg.headers['content-type']).toBe('image/jpeg');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('serves the placeholder color and blurred preview from the cache', async () => {
+    const fetchMock = vi.fn(async () => imageResponse(sourcePng));
+    vi.stubGlobal('fetch', fetchMock);
+    const url = 'https://img.test/poster-b.png';
+
+    const [a, b] = await Promise.all([
+      request(app).get(`/api/image/placeholder?url=${encodeURIComponent(url)}&sig=${app.signImageProxyUrl(url)}`),
+      request(app).get(proxyPath(url, 'format=webp'))
+    ]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(b.status).toBe(200);
+    expect(a.body).toEqual({
+      url,
+      color: expect.stringMatching(/^#[0-9a-f]{6}$/),
+      dataUri: expect.stringMatching(/^data:image\/png;base64,/)
+    });
+    // The crop keeps parts of both halves, so the average mixes red and blue.
+    const [red, , blue] = [1, 3, 5].map(offset => parseInt(a.body.color.slice(offset, offset + 2), 16));
+    expect(red).toBeGreaterThan(50);
+    expect(blue).toBeGreaterThan(50);
+  });
+
+  it('rejects private hosts, bad parameters and non-images', async () => {
+    const fetchMock = vi.fn(async url => {
+      if (url.endsWith('missing.png')) return new Response('nope', { status: 404 });
+      return new Response('<html></html>', { status: 200, headers: { 'content-type': 'text/html' } });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    expect((await request(app).get(proxyPath('http://localhost:8080/a.png'))).body).toEqual({ error: 'invalid_image_url' });
+    expect((await request(app).get(proxyPath('http://192.168.1.4/a.png'))).status).toBe(400);
+    expect((await request(app).get('/api/image')).body).toEqual({ error: 'invalid_image_url' });
+    expect((await request(app).get(proxyPath('http://[::ffff:127.0.0.1]/a.png'))).status).toBe(400);
+    expect((await request(app).get(proxyPath('http://[::ffff:a9fe:a9fe]/latest/meta-data'))).status).toBe(400);
+    expect((await request(app).get(proxyPath('https://cdn.internal-dns.test/a.png'))).body).toEqual({
+      error: 'invalid_image_url'
+    });
+    expect((await request(app).get(proxyPath('https://img.test/a.png', 'scale=3'))).body).toEqual({
+      error: 'invalid_image_scale'
+    });
+    expect((await request(app).get(proxyPath('https://img.test/a.png', 'format=gif'))).body).toEqual({
+      error: 'invalid_image_format'
+    });
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    const missing = await request(app).get(proxyPath('https://img.test/missing.png'));
+    expect(missing.status).toBe(502);
+    expect(missing.body).toEqual({ error: 'image_fetch_failed' });
+
+    const page = await request(app).get(proxyPath('https://img.test/page.png'));
+    expect(page.status).toBe(422);
+    expect(page.body).toEqual({ error: 'invalid_image' });
+  });
+
+  it('stops reading a source without Content-Length once it passes the size cap', async () => {
+    let pulled = 0;
+    const chunk = new Uint8Array(1024 * 1024);
+    const body = new ReadableStream({
+      pull(controller) {
+        pulled += 1;
+        controller.enqueue(chunk);
+      }
+    });
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status: 200, headers: { 'content-type': 'image/png' } })));
+
+    const response = await request(app).get(proxyPath('https://img.test/endless.png'));
+
+    expect(response.status).toBe(422);
+    expect(response.body).toEqual({ error: 'invalid_image' });
+    expect(pulled).toBeLessThan(20);
+  });
+
+  it('is disabled, and signs nothing, without IMAGE_PROXY_SECRET', async () => {
+    const secret = process.env.IMAGE_PROXY_SECRET;
+    delete process.env.IMAGE_PROXY_SECRET;
+    vi.resetModules();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const { default: unsignedApp } = await import('../functions/backend/server.js');
+      expect(warn).toHaveBeenCalledWith('IMAGE_PROXY_SECRET is not set; the image proxy is disabled');
+      const store = createMemoryEventStore();
+      const event = { id: 'poster-show', name: { text: 'Poster Show' }, images: [{ url: 'https://img.test/a.png' }] };
+      await store.upsertEvents([{ key: 'rss_poster-show', sourceId: 'rss', eventId: 'poster-show', event }]);
+      app.setEventStore(store);
+      unsignedApp.setEventStore(store);
+      expect((await request(app).get('/api/shows/poster-show')).body.event.images[0].proxySignature).toBeTruthy();
+      expect((await request(unsignedApp).get('/api/shows/poster-show')).body.event.images[0]).toEqual({
+        url: 'https://img.test/a.png'
+      });
+
+      const response = await request(unsignedApp).get(proxyPath('https://img.test/a.png'));
+      expect(response.status).toBe(501);
+      expect(response.body).toEqual({ error: 'image_proxy_disabled' });
+    } finally {
+      app.setEventStore(null);
+      warn.mockRestore();
+      process.env.IMAGE_PROXY_SECRET = secret;
+      vi.resetModules();
+    }
+  });
+
+  it('only proxies signed URLs and re-checks every redirect hop', async () => {
+    const fetchMock = vi.fn(async url => {
+      if (url === 'https://img.test/moved.png') {
+        return new Response(null, { status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } });
+      }
+      return imageResponse(sourcePng);
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const unsigned = await request(app).get(`/api/image?url=${encodeURIComponent('https://img.test/a.png')}`);
+    expect(unsigned.status).toBe(403);
+    expect(unsigned.body).toEqual({ error: 'invalid_image_signature' });
+    const forged = await request(app).get(
+      `/api/image?url=${encodeURIComponent('https://img.test/a.png')}&sig=${app.signImageProxyUrl('https://img.test/b.png')}`
+    );
+    expect(forged.status).toBe(403);
+
+    const redirected = await request(app).get(proxyPath('https://img.test/moved.png'));
+    expect(redirected.status).toBe(400);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][1].redirect).toBe('manual');
+  });
+
+  it('treats IPv4-mapped and embedded IPv6 forms like the IPv4 address', () => {
+    ['127.0.0.1', '::1', '::', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::a9fe:a9fe', '2002:0a00:0001::1', 'fd00::1', 'fe80::1'].forEach(
+      address => expect(isPrivateAddress(address), address).toBe(true)
+    );
+    ['93.184.216.34', '::ffff:5db8:d822', '2606:4700:4700::1111'].forEach(address =>
+      expect(isPrivateAddress(address), address).toBe(false)
+    );
+  });
+});
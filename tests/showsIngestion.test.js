@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+// The server loads its cache module through require(), so clear that same instance.
+const { clearInMemoryCache } = createRequire(import.meta.url)('../functions/shared/cache.js');
+
+const SMITHSONIAN_FEED = 'https://www.trumba.com/calendars/smithsonian-events.rss';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startIso = offsetDays =>
+  `${new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10)}T23:00:00Z`;
+
+const rssFeed = titles => `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/" xmlns:x-trumba="http://schemas.trumba.com/rss/x-trumba">
+  <channel>
+    ${titles
+      .map(
+        (title, index) => `<item>
+      <title>${title}</title>
+      <guid>https://smithsonian.test/events/${index}</guid>
+      <link>https://smithsonian.test/events/${index}</link>
+      <description>Evening program</description>
+      <x-trumba:startdatetime>${startIso(index + 1)}</x-trumba:startdatetime>
+      <media:content url="https://smithsonian.test/images/${index}.jpg" />
+    </item>`
+      )
+      .join('\n')}
+  </channel>
+</rss>`;
+
+describe('background ingestion', () => {
+  let store;
+  let feedTitles;
+
+  beforeEach(() => {
+    clearInMemoryCache();
+    store = createMemoryEventStore();
+    app.setEventStore(store);
+    feedTitles = ['Jazz in the Courtyard', 'Planetarium Night'];
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async url => {
+        if (String(url).startsWith(SMITHSONIAN_FEED)) {
+          return new Response(rssFeed(feedTitles), { status: 200 });
+        }
+        return new Response('not found', { status: 404 });
+      })
+    );
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+    vi.unstubAllGlobals();
+  });
+
+  it('upserts events per source and honours the ingest interval', async () => {
+    const first = await app.runEventIngestion({ store, sourceIds: ['smithsonian'], force: true });
+    expect(first.runs).toEqual([
+      { sourceId: 'smithsonian', regionId: 'washington-dc', ok: true, upserted: 2, removed: 0 }
+    ]);
+
+    const second = await app.runEventIngestion({ store, sourceIds: ['smithsonian'] });
+    expect(second.runs[0]).toMatchObject({ sourceId: 'smithsonian', skipped: true });
+
+    const records = await store.queryEvents({ fromMs: Date.now() });
+    expect(records.map(record => record.event.name.text).sort()).toEqual([
+      'Jazz in the Courtyard',
+      'Planetarium Night'
+    ]);
+  });
+
+  it('prunes events that disappear from the latest fetch', async () => {
+    await app.runEventIngestion({ store, sourceIds: ['smithsonian'], force: true });
+    feedTitles = ['Jazz in the Courtyard'];
+    clearInMemoryCache();
+    const later = Date.now() + 60 * 60 * 1000;
+    const result = await app.runEventIngestion({ store, sourceIds: ['smithsonian'], now: later });
+
+    expect(result.runs[0]).toMatchObject({ ok: true, upserted: 1, removed: 1 });
+    const records = await store.queryEvents({});
+    expect(records.map(record => record.event.name.text)).toEqual(['Jazz in the Courtyard']);
+  });
+
+  it('records a store failure as a failed run instead of rejecting the pass', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    store.upsertEvents = async () => {
+      throw new Error('quota exceeded');
+    };
+
+    const result = await app.runEventIngestion({ store, sourceIds: ['smithsonian'], force: true });
+
+    expect(result.runs).toEqual([
+      { sourceId: 'smithsonian', regionId: 'washington-dc', ok: false, error: 'quota exceeded' }
+    ]);
+    error.mockRestore();
+  });
+
+  it('serves ingested sources from the store and fetches the rest live', async () => {
+    await app.runEventIngestion({ store, sourceIds: ['smithsonian'], force: true });
+    fetch.mockClear();
+
+    const response = await request(app).get('/api/shows?lat=38.9&lon=-77.03&days=7');
+
+    expect(response.status).toBe(200);
+    expect(response.body.origin).toBe('mixed');
+    const fetched = fetch.mock.calls.map(([url]) => String(url));
+    expect(fetched.some(url => url.startsWith(SMITHSONIAN_FEED))).toBe(false);
+    expect(fetched.some(url => url.includes('blackcat'))).toBe(true);
+    expect(response.body.events.map(event => event.name.text)).toEqual([
+      'Jazz in the Courtyard',
+      'Planetarium Night'
+    ]);
+    const summaries = Object.fromEntries(response.body.sources.map(summary => [summary.id, summary]));
+    expect(summaries.smithsonian).toMatchObject({ ok: true, total: 2, ingestedAt: expect.any(String) });
+    expect(summaries.blackcat.error).not.toBe('not_ingested');
+  });
+});
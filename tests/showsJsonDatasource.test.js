@@ -0,0 +1,201 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import app from '../functions/backend/server.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDate = offsetDays => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+const createJsonResponse = payload => ({
+  ok: true,
+  status: 200,
+  headers: new Headers({ 'content-type': 'application/json' }),
+  text: async () => JSON.stringify(payload)
+});
+
+const mapping = {
+  items: '$.data.events[*]',
+  id: 'eventId',
+  title: 'info.title',
+  start: ['schedule.startsAt', 'schedule.date'],
+  end: 'schedule.endsAt',
+  url: 'links.tickets',
+  image: 'media[*].src',
+  summary: 'info.blurb',
+  genres: 'tags[*].label',
+  venue: { name: 'place.name', city: 'place.city', region: 'place.state', country: 'place.country' },
+  price: { min: 'pricing.low', max: 'pricing.high', currency: 'pricing.currency' }
+};
+
+describe('json datasource type', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it('maps feed items into the shared event shape', () => {
+    const startDate = isoDate(3);
+    const events = app.parseJsonFeedEvents(
+      {
+        data: {
+          events: [
+            {
+              eventId: 'a-1',
+              info: { title: 'Late Night Jazz', blurb: '<p>Trio &amp; friends</p>' },
+              schedule: { startsAt: `${startDate}T21:30:00-04:00`, endsAt: `${startDate}T23:30:00-04:00` },
+              links: { tickets: '/tickets/a-1' },
+              media: [{ src: 'https://cdn.test/jazz.jpg' }],
+              tags: [{ label: 'Jazz' }, { label: 'Live Music' }],
+              place: { name: 'Blues Alley', city: 'Washington', state: 'DC', country: 'US' },
+              pricing: { low: '25', high: 40, currency: 'USD' }
+            },
+            { eventId: 'a-2', info: {}, schedule: { date: startDate } }
+          ]
+        }
+      },
+      { id: 'feed', name: 'Feed', type: 'json', config: { feedUrl: 'https://feed.test/events', mapping } },
+      { lookaheadDays: 14 },
+      { baseUrl: 'https://feed.test/events' }
+    );
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual({
+      id: `feed::a-1::${startDate}`,
+      name: { text: 'Late Night Jazz' },
+      start: { local: `${startDate}T21:30:00`, utc: new Date(`${startDate}T21:30:00-04:00`).toISOString() },
+      end: { local: `${startDate}T23:30:00`, utc: new Date(`${startDate}T23:30:00-04:00`).toISOString() },
+      url: 'https://feed.test/tickets/a-1',
+      venue: { name: 'Blues Alley', address: { city: 'Washington', region: 'DC', country: 'US' } },
+      segment: null,
+      distance: null,
+      summary: 'Trio & friends',
+      source: 'feed',
+      genres: ['Jazz', 'Live Music'],
+      images: [{ url: 'https://cdn.test/jazz.jpg', ratio: null, width: null, height: null, fallback: false }],
+      priceRanges: [{ type: 'standard', currency: 'USD', min: 25, max: 40 }]
+    });
+  });
+
+  it('interprets offset-less times in the configured time zone and drops events outside the lookahead', () => {
+    const soon = isoDate(2);
+    const later = isoDate(60);
+    const events = app.parseJsonFeedEvents(
+      [
+        { id: 1, name: 'Soon', start: `${soon}T20:00:00`, price: 'Free' },
+        { id: 2, name: 'Later', start: `${later}T20:00:00` }
+      ],
+      { id: 'plain', config: { feedUrl: 'https://feed.test/plain', timeZone: 'UTC' } },
+      { lookaheadDays: 14 }
+    );
+
+    expect(events.map(event => event.name.text)).toEqual(['Soon']);
+    expect(events[0].start).toEqual({ local: `${soon}T20:00:00`, utc: `${soon}T20:00:00.000Z` });
+    expect(events[0].priceRanges).toEqual([{ type: 'standard', currency: null, min: 0, max: 0 }]);
+  });
+
+  it('follows page pagination until a short page', async () => {
+    const startDate = isoDate(1);
+    const fetchMock = vi.fn(async url => {
+      const page = Number(new URL(url).searchParams.get('page'));
+      const items = page === 1
+        ? [{ id: 'p1-a', name: 'One', start: startDate }, { id: 'p1-b', name: 'Two', start: startDate }]
+        : [{ id: 'p2-a', name: 'Three', start: startDate }];
+      return createJsonResponse({ results: items });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await app.fetchJsonFeedEvents(
+      {
+        id: 'paged',
+        type: 'json',
+        config: {
+          feedUrl: 'https://feed.test/paged',
+          mapping: { items: 'results' },
+          pagination: { type: 'page', pageSize: 2, sizeParam: 'per_page', maxPages: 4 }
+        }
+      },
+      { lookaheadDays: 7 }
+    );
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls[0][0]).toBe('https://feed.test/paged?per_page=2&page=1');
+    expect(result.cached).toBe(false);
+    expect(result.events.map(event => event.name.text)).toEqual(['One', 'Two', 'Three']);
+  });
+
+  it('follows next links and reuses the cached payload', async () => {
+    const startDate = isoDate(1);
+    const fetchMock = vi.fn(async url =>
+      url.endsWith('/linked')
+        ? createJsonResponse({ items: [{ id: 'x', title: 'First', startDate }], next: '/linked?after=x' })
+        : createJsonResponse({ items: [{ id: 'y', title: 'Second', startDate }], next: null })
+    );
+    vi.stubGlobal('fetch', fetchMock);
+    const source = {
+      id: 'linked',
+      type: 'json',
+      config: {
+        feedUrl: 'https://feed.test/linked',
+        mapping: { items: '$.items' },
+        pagination: { type: 'link', nextPath: '$.next' }
+      }
+    };
+
+    const first = await app.fetchJsonFeedEvents(source, { lookaheadDays: 7 });
+    const second = await app.fetchJsonFeedEvents(source, { lookaheadDays: 7 });
+
+    expect(first.events.map(event => event.name.text)).toEqual(['First', 'Second']);
+    expect(second.cached).toBe(true);
+    expect(second.events).toEqual(first.events);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('keys the cache on every config field that shapes events', async () => {
+    const startDate = isoDate(1);
+    const fetchMock = vi.fn(async () => createJsonResponse({ items: [{ id: 'z', title: 'Keyed', startDate }] }));
+    vi.stubGlobal('fetch', fetchMock);
+    const config = { feedUrl: 'https://feed.test/keyed', mapping: { items: '$.items' } };
+
+    const plain = await app.fetchJsonFeedEvents({ id: 'keyed', type: 'json', config }, { lookaheadDays: 7 });
+    const tagged = await app.fetchJsonFeedEvents(
+      { id: 'keyed', type: 'json', config: { ...config, genres: ['Jazz'], segment: 'music', currency: 'EUR' } },
+      { lookaheadDays: 7 }
+    );
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(tagged.cached).toBe(false);
+    expect(plain.events[0].genres).not.toContain('Jazz');
+    expect(tagged.events[0].genres).toContain('Jazz');
+  });
+
+  it('reports upstream failures with the status and a short excerpt of the body', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(`<html>${'Internal error '.repeat(500)}</html>`, { status: 500 })));
+    const source = { id: 'broken', type: 'json', config: { feedUrl: 'https://feed.test/broken', mapping: { items: '$.items' } } };
+
+    const error = await app.fetchJsonFeedEvents(source, { lookaheadDays: 7 }).catch(err => err);
+
+    expect(error.status).toBe(500);
+    expect(error.message).toMatch(/^JSON feed request failed: 500 <html>Internal error/);
+    expect(error.message.length).toBeLessThan(260);
+  });
+
+  it('times out a feed whose body stalls after the headers arrive', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async (url, { signal }) => {
+        const body = new ReadableStream({
+          start(controller) {
+            controller.enqueue(new TextEncoder().encode('{"items": ['));
+            signal.addEventListener('abort', () => controller.error(signal.reason));
+          }
+        });
+        return new Response(body, { status: 200, headers: { 'content-type': 'application/json' } });
+      })
+    );
+    const source = { id: 'stalled', type: 'json', config: { feedUrl: 'https://feed.test/stalled', mapping: { items: '$.items' } } };
+
+    const pending = app.fetchJsonFeedEvents(source, { lookaheadDays: 7 }, { allowCache: false });
+    const outcome = expect(pending).rejects.toMatchObject({ status: 408 });
+    await vi.advanceTimersByTimeAsync(10000);
+    await outcome;
+  });
+});
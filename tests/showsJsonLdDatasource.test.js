@@ -0,0 +1,227 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { setIdTokenVerifier } = requireServerModule('../functions/shared/adminAuth.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDate = offsetDays => new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+const page = (...blocks) => `<!doctype html><html><head>
+${blocks.map(block => `<script type="application/ld+json">${typeof block === 'string' ? block : JSON.stringify(block)}</script>`).join('\n')}
+</head><body><h1>Calendar</h1></body></html>`;
+
+const htmlResponse = html => new Response(html, { status: 200, headers: { 'content-type': 'text/html' } });
+
+const source = config => ({ id: 'venue', name: 'Venue', type: 'jsonld', config: { url: 'https://venue.test/calendar', ...config } });
+
+describe('jsonld datasource type', () => {
+  afterEach(() => {
+    setIdTokenVerifier(null);
+    vi.unstubAllGlobals();
+  });
+
+  it('maps @graph events with referenced places, offers, performers and images', () => {
+    const day = isoDate(3);
+    const html = page({
+      '@context': 'https://schema.org',
+      '@graph': [
+        {
+          '@type': 'Place',
+          '@id': '#hall',
+          name: 'The Hall',
+          address: {
+            '@type': 'PostalAddress',
+            streetAddress: '815 V St NW',
+            addressLocality: 'Washington',
+            addressRegion: 'DC',
+            postalCode: '20001',
+            addressCountry: { '@type': 'Country', name: 'US' }
+          },
+          geo: { '@type': 'GeoCoordinates', latitude: '38.9178', longitude: -77.0237 }
+        },
+        {
+          '@type': 'MusicEvent',
+          name: 'Night &amp; Day',
+          description: '<p>Two sets.</p>',
+          startDate: `${day}T20:00:00-04:00`,
+          endDate: `${day}T23:00:00-04:00`,
+          url: '/shows/night-and-day',
+          location: { '@id': '#hall' },
+          performer: [{ '@type': 'MusicGroup', name: 'The Lanterns', sameAs: 'https://band.test' }, 'Opener'],
+          image: [{ '@type': 'ImageObject', contentUrl: '/img/lanterns.jpg', width: { value: 1200 }, height: '630' }],
+          offers: { '@type': 'AggregateOffer', lowPrice: '18.50', highPrice: 30, priceCurrency: 'USD', url: '/tickets/1' }
+        },
+        {
+          '@type': 'Event',
+          name: 'Called Off',
+          startDate: `${day}T19:00:00-04:00`,
+          eventStatus: 'https://schema.org/EventCancelled'
+        },
+        { '@type': 'Organization', name: 'Not an event' }
+      ]
+    });
+
+    const events = app.parseJsonLdEvents(html, source({ genres: ['Live'] }), { lookaheadDays: 14 }, {
+      baseUrl: 'https://venue.test/calendar'
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toEqual({
+      id: expect.stringMatching(new RegExp(`^venue::night-day::${day}::venue\\.test/shows/night-and-day`)),
+      name: { text: 'Night & Day' },
+      start: { local: `${day}T20:00:00`, utc: new Date(`${day}T20:00:00-04:00`).toISOString() },
+      end: { local: `${day}T23:00:00`, utc: new Date(`${day}T23:00:00-04:00`).toISOString() },
+      url: 'https://venue.test/shows/night-and-day',
+      venue: {
+        name: 'The Hall',
+        address: { city: 'Washington', region: 'DC', country: 'US', line1: '815 V St NW', postalCode: '20001' }
+      },
+      coordinates: { latitude: 38.9178, longitude: -77.0237 },
+      segment: null,
+      distance: null,
+      summary: 'Two sets.',
+      source: 'venue',
+      genres: ['Music', 'Live'],
+      performers: [{ name: 'The Lanterns', url: 'https://band.test/' }, { name: 'Opener' }],
+      images: [{ url: 'https://venue.test/img/lanterns.jpg', ratio: null, width: 1200, height: 630, fallback: false }],
+      priceRanges: [{ type: 'standard', currency: 'USD', min: 18.5, max: 30 }]
+    });
+  });
+
+  it('falls back to microdata and interprets offset-less dates in the configured time zone', () => {
+    const day = isoDate(2);
+    const html = `<html><body>
+      <div itemscope itemtype="https://schema.org/ComedyEvent">
+        <h2 itemprop="name">Open Mic</h2>
+        <time itemprop="startDate" datetime="${day}T19:30">7:30pm</time>
+        <div itemprop="location" itemscope itemtype="https://schema.org/Place">
+          <span itemprop="name">Back Room</span>
+          <div itemprop="address" itemscope itemtype="https://schema.org/PostalAddress">
+            <span itemprop="addressLocality">Arlington</span>
+          </div>
+        </div>
+        <a itemprop="url" href="/open-mic">Details</a>
+        <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+          <meta itemprop="price" content="Free"><meta itemprop="priceCurrency" content="USD">
+        </div>
+      </div>
+    </body></html>`;
+
+    const [event] = app.parseJsonLdEvents(
+      html,
+      source({ timeZone: 'America/New_York', venue: { name: 'Fallback', address: { region: 'VA' } } }),
+      { lookaheadDays: 7 },
+      { baseUrl: 'https://venue.test/calendar' }
+    );
+
+    expect(event.name.text).toBe('Open Mic');
+    expect(event.start.local).toBe(`${day}T19:30:00`);
+    expect(Date.parse(event.start.utc)).toBeGreaterThan(Date.parse(`${day}T19:30:00Z`));
+    expect(event.venue).toEqual({ name: 'Back Room', address: { city: 'Arlington', region: 'VA', country: '' } });
+    expect(event.url).toBe('https://venue.test/open-mic');
+    expect(event.genres).toEqual(['Comedy']);
+    expect(event.priceRanges).toEqual([{ type: 'standard', currency: 'USD', min: 0, max: 0 }]);
+  });
+
+  it('follows ItemList links to event pages, skips failing pages and caches the result', async () => {
+    const day = isoDate(1);
+    const detail = (name, url) => page({ '@context': 'https://schema.org', '@type': 'Event', name, startDate: day, url });
+    const fetchMock = vi.fn(async url => {
+      if (url === 'https://venue.test/calendar') {
+        return htmlResponse(page({
+          '@context': 'https://schema.org',
+          '@type': 'ItemList',
+          itemListElement: [
+            { '@type': 'ListItem', position: 1, url: 'https://venue.test/e/1' },
+            { '@type': 'ListItem', position: 2, item: { '@type': 'Event', name: 'Two', url: '/e/2' } },
+            { '@type': 'ListItem', position: 3, url: 'https://venue.test/e/broken' },
+            { '@type': 'ListItem', position: 4, url: 'https://venue.test/e/4' }
+          ]
+        }));
+      }
+      if (url === 'https://venue.test/e/1') return htmlResponse(detail('One'));
+      if (url === 'https://venue.test/e/2') return htmlResponse(detail('Two'));
+      if (url === 'https://venue.test/e/4') return htmlResponse(detail('Four'));
+      return new Response('gone', { status: 500 });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const jsonld = source({ followEventLinks: true, maxEventPages: 3 });
+
+    const first = await app.fetchJsonLdEvents(jsonld, { lookaheadDays: 7 });
+    const second = await app.fetchJsonLdEvents(jsonld, { lookaheadDays: 7 });
+
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+      'https://venue.test/calendar',
+      'https://venue.test/e/1',
+      'https://venue.test/e/2',
+      'https://venue.test/e/broken'
+    ]);
+    expect(first.cached).toBe(false);
+    expect(first.events.map(event => [event.name.text, event.url])).toEqual([
+      ['One', 'https://venue.test/e/1'],
+      ['Two', 'https://venue.test/e/2']
+    ]);
+    expect(second.cached).toBe(true);
+    expect(second.events).toEqual(first.events);
+  });
+
+  it('fetches event pages a few at a time and stops at the source deadline', async () => {
+    const day = isoDate(1);
+    const links = Array.from({ length: 12 }, (_, index) => `https://venue.test/e/${index}`);
+    let clock = Date.now();
+    vi.spyOn(Date, 'now').mockImplementation(() => clock);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    let inFlight = 0;
+    let peak = 0;
+    const fetchMock = vi.fn(async url => {
+      if (url === 'https://venue.test/calendar') {
+        return htmlResponse(page({ '@context': 'https://schema.org', '@type': 'ItemList', itemListElement: links.map((url, index) => ({ '@type': 'ListItem', position: index + 1, url })) }));
+      }
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      inFlight -= 1;
+      clock += 4000;
+      return htmlResponse(page({ '@context': 'https://schema.org', '@type': 'Event', name: url.slice(-2), startDate: day, url }));
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await app.fetchJsonLdEvents(source({ followEventLinks: true, maxEventPages: 12 }), { lookaheadDays: 7 });
+
+    expect(peak).toBe(4);
+    // Each page costs 4s of the 25s budget, so the tail of the list is skipped.
+    expect(fetchMock.mock.calls.length).toBeLessThan(links.length + 1);
+    expect(result.events.length).toBe(fetchMock.mock.calls.length - 1);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^Skipped \d+ event page\(s\) for venue after the fetch deadline$/));
+    vi.restoreAllMocks();
+  });
+
+  it('validates jsonld configs', async () => {
+    setIdTokenVerifier(async () => ({ uid: 'admin', admin: true }));
+
+    const response = await request(app)
+      .post('/api/datasources')
+      .set('Authorization', 'Bearer admin-token')
+      .send({
+        id: 'jsonld-venue',
+        name: 'JSON-LD Venue',
+        type: 'jsonld',
+        config: { urls: ['https://venue.test/a', 'nope'], eventLinkSelector: 'a[', maxEventPages: 0 }
+      });
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(issue => [issue.field, issue.code])).toEqual([
+      ['config.urls[1]', 'invalid_url'],
+      ['config.eventLinkSelector', 'invalid_selector'],
+      ['config.maxEventPages', 'out_of_range']
+    ]);
+
+    const missing = await request(app)
+      .post('/api/datasources')
+      .set('Authorization', 'Bearer admin-token')
+      .send({ id: 'jsonld-venue', name: 'JSON-LD Venue', type: 'jsonld', config: { followEventLinks: true } });
+    expect(missing.body.errors).toEqual([expect.objectContaining({ field: 'config.url', code: 'required' })]);
+  });
+});
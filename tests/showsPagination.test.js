@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { clearInMemoryCache } = requireServerModule('../functions/shared/cache.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGION_ID = 'washington-dc';
+
+const makeEvent = (id, day, extra = {}) => {
+  const local = `${new Date(Date.now() + day * DAY_MS).toISOString().slice(0, 10)}T20:00:00`;
+  return {
+    id,
+    name: { text: `Show ${id}` },
+    start: { local, utc: `${local}Z` },
+    url: `https://events.test/${id}`,
+    venue: { name: 'Hall', address: { city: 'Washington', region: 'DC', country: 'US' } },
+    summary: '',
+    source: 'smithsonian',
+    genres: ['Music'],
+    ...extra
+  };
+};
+
+const EVENTS = [
+  makeEvent('e1', 1, {
+    ticketmaster: {
+      raw: { id: 'e1', url: 'https://tm.test/e1', _embedded: { venues: [{ name: 'Hall' }] } },
+      priceRanges: [{ min: 20, max: 40, currency: 'USD' }]
+    }
+  }),
+  // e2 and e3 start at the same time, so the id breaks the tie.
+  makeEvent('e3', 2),
+  makeEvent('e2', 2),
+  makeEvent('e4', 3),
+  makeEvent('e5', 4)
+];
+
+const fetchShows = query => request(app).get(`/api/shows?lat=38.9&lon=-77.03&days=7&${query}`);
+const ids = response => response.body.events.map(event => event.id);
+
+describe('/api/shows pagination, projection and detail', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryEventStore();
+    app.setEventStore(store);
+    const ingestedAt = new Date().toISOString();
+    await store.upsertEvents(
+      EVENTS.map(event => ({
+        key: `smithsonian_${event.id}`,
+        sourceId: 'smithsonian',
+        regionId: REGION_ID,
+        eventId: event.id,
+        startMs: Date.parse(event.start.utc),
+        endMs: null,
+        latitude: null,
+        longitude: null,
+        event,
+        ingestedAt
+      }))
+    );
+    await store.setIngestionState(`smithsonian__${REGION_ID}`, {
+      sourceId: 'smithsonian',
+      regionId: REGION_ID,
+      lastRunAt: ingestedAt,
+      lastSuccessAt: ingestedAt,
+      ok: true
+    });
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+    vi.unstubAllGlobals();
+  });
+
+  it('walks the sorted result with limit and cursor', async () => {
+    const first = await fetchShows('limit=2');
+    expect(ids(first)).toEqual(['e1', 'e2']);
+    expect(first.body.total).toBe(5);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await fetchShows(`limit=2&cursor=${first.body.nextCursor}`);
+    expect(ids(second)).toEqual(['e3', 'e4']);
+
+    const last = await fetchShows(`limit=2&cursor=${second.body.nextCursor}`);
+    expect(ids(last)).toEqual(['e5']);
+    expect(last.body.nextCursor).toBeNull();
+  });
+
+  it('keeps its place when an earlier event disappears between pages', async () => {
+    const first = await fetchShows('limit=2');
+    await store.pruneEvents({
+      sourceId: 'smithsonian',
+      regionId: REGION_ID,
+      keepKeys: ['smithsonian_e2', 'smithsonian_e3', 'smithsonian_e4', 'smithsonian_e5']
+    });
+
+    const second = await fetchShows(`limit=2&cursor=${first.body.nextCursor}`);
+    expect(ids(second)).toEqual(['e3', 'e4']);
+  });
+
+  it('returns everything without a limit and rejects bad paging parameters', async () => {
+    const all = await fetchShows('');
+    expect(ids(all)).toEqual(['e1', 'e2', 'e3', 'e4', 'e5']);
+    expect(all.body.nextCursor).toBeNull();
+
+    expect((await fetchShows('limit=0')).body).toEqual({ error: 'invalid_limit' });
+    expect((await fetchShows('cursor=not-a-cursor')).body).toEqual({ error: 'invalid_cursor' });
+    expect((await fetchShows('fields=everything')).body).toEqual({ error: 'invalid_fields' });
+  });
+
+  it('drops raw upstream payloads with fields=summary', async () => {
+    const full = await fetchShows('limit=1');
+    expect(full.body.events[0].ticketmaster.raw).toBeDefined();
+
+    const summary = await fetchShows('limit=1&fields=summary');
+    expect(summary.body.events[0].ticketmaster).toEqual({
+      priceRanges: [{ min: 20, max: 40, currency: 'USD' }]
+    });
+    expect(summary.body.events[0].url).toBe('https://events.test/e1');
+  });
+
+  it('returns the full record from the detail endpoint', async () => {
+    const detail = await request(app).get('/api/shows/e1');
+    expect(detail.status).toBe(200);
+    expect(detail.body.event.ticketmaster.raw).toMatchObject({ id: 'e1', url: 'https://tm.test/e1' });
+
+    const missing = await request(app).get('/api/shows/nope');
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ error: 'event_not_found' });
+  });
+
+  it('orders zoneless local times the same whatever the server zone', async () => {
+    const day = new Date(Date.now() + 5 * DAY_MS).toISOString().slice(0, 10);
+    const wallOnly = { ...makeEvent('w1', 5), start: { local: `${day}T20:00:00` } };
+    const later = { ...makeEvent('u1', 5), start: { local: `${day}T21:00:00`, utc: `${day}T21:00:00Z` } };
+    await store.upsertEvents(
+      [wallOnly, later].map(event => ({
+        key: `smithsonian_${event.id}`,
+        sourceId: 'smithsonian',
+        regionId: REGION_ID,
+        eventId: event.id,
+        startMs: Date.parse(`${event.start.local}Z`),
+        endMs: null,
+        latitude: null,
+        longitude: null,
+        event,
+        ingestedAt: new Date().toISOString()
+      }))
+    );
+    const originalTz = process.env.TZ;
+    const orderIn = async tz => {
+      process.env.TZ = tz;
+      return ids(await fetchShows('timePolicy=off')).filter(id => id === 'w1' || id === 'u1');
+    };
+    try {
+      expect(await orderIn('America/Los_Angeles')).toEqual(['w1', 'u1']);
+      expect(await orderIn('Asia/Tokyo')).toEqual(['w1', 'u1']);
+    } finally {
+      if (originalTz === undefined) delete process.env.TZ;
+      else process.env.TZ = originalTz;
+    }
+  });
+
+  it('answers unknown ids from the store alone without fetching upstream', async () => {
+    clearInMemoryCache();
+    const fetchMock = vi.fn(async () => new Response('not found', { status: 404 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const detail = await request(app).get('/api/shows/made-up-id?lat=38.9&lon=-77.03&days=7');
+
+    expect(detail.status).toBe(404);
+    expect(detail.body).toEqual({ error: 'event_not_found' });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+
+vi.hoisted(() => {
+  process.env.TICKETMASTER_API_KEY = 'tm-secret-key-123';
+});
+
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { clearInMemoryCache } = requireServerModule('../functions/shared/cache.js');
+const { clearInMemoryCircuits } = requireServerModule('../functions/shared/circuitBreaker.js');
+const { redactSecrets } = requireServerModule('../functions/shared/redact.js');
+
+const SECRETS = ['tm-secret-key-123', 'feed-secret-999', 'session-secret-abc'];
+const context = { latitude: 38.9, longitude: -77.03, radiusMiles: 25, lookaheadDays: 14 };
+
+const expectNoSecrets = value => {
+  const text = JSON.stringify(value);
+  SECRETS.forEach(secret => expect(text).not.toContain(secret));
+};
+
+const failingFetch = vi.fn(async url => {
+  const target = String(url);
+  throw new TypeError(`request to ${target}${target.includes('?') ? '&' : '?'}token=session-secret-abc failed`);
+});
+
+describe('secret redaction in diagnostics', () => {
+  beforeEach(() => {
+    clearInMemoryCache();
+    clearInMemoryCircuits();
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('masks secret query parameters and literal keys', () => {
+    const text =
+      'GET https://api.test/v1?apikey=abc123&q=jazz&Token=xyz#frag failed; key tm-secret-key-123 rejected';
+    expect(redactSecrets(text, { secrets: ['tm-secret-key-123'] })).toBe(
+      'GET https://api.test/v1?apikey=[redacted]&q=jazz&Token=[redacted]#frag failed; key [redacted] rejected'
+    );
+    expect(redactSecrets('https://www.googleapis.com/youtube/v3/search?key=yt-1&part=snippet')).toBe(
+      'https://www.googleapis.com/youtube/v3/search?key=[redacted]&part=snippet'
+    );
+  });
+
+  it('strips the Ticketmaster key from segment summaries in /api/shows and previews', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async url => {
+        const target = String(url);
+        if (!target.startsWith('https://app.ticketmaster.com/')) {
+          return new Response('not found', { status: 404 });
+        }
+        if (target.includes('classificationName=Comedy')) {
+          return new Response(`Invalid ApiKey tm-secret-key-123 for ${target}`, { status: 401 });
+        }
+        return new Response(JSON.stringify({ _embedded: { events: [] }, page: { totalElements: 0 } }), {
+          status: 200
+        });
+      })
+    );
+
+    const shows = await request(app).get('/api/shows?lat=38.9&lon=-77.03&live=1');
+    expect(shows.status).toBe(200);
+    expectNoSecrets(shows.body);
+    const segments = Object.fromEntries(shows.body.segments.map(segment => [segment.key, segment]));
+    expect(segments.music.requestUrl).toContain('apikey=[redacted]');
+    expect(segments.comedy).toMatchObject({ ok: false, status: 401 });
+    expect(segments.comedy.error).toContain('Invalid ApiKey [redacted]');
+
+    clearInMemoryCache();
+    const preview = await request(app).get('/api/datasources/ticketmaster/preview?lat=38.9&lon=-77.03');
+    expect(preview.status).toBe(200);
+    expectNoSecrets(preview.body);
+    expect(preview.body.preview.segments).toHaveLength(2);
+  });
+
+  it.each([
+    ['rss', { feedUrl: 'https://feeds.test/events.rss?key=feed-secret-999' }],
+    ['json', { feedUrl: 'https://feeds.test/events.json?apikey=feed-secret-999', mapping: { title: 'name' } }],
+    ['ical', { feedUrl: 'https://feeds.test/calendar.ics?token=feed-secret-999' }],
+    ['html', { url: 'https://venue.test/calendar?api_key=feed-secret-999', itemSelector: '.event' }],
+    ['dcimprov', {}],
+    ['blackcat', {}]
+  ])('redacts %s failure summaries', async (type, config) => {
+    vi.stubGlobal('fetch', failingFetch);
+    const source = { id: `leaky-${type}`, name: `Leaky ${type}`, type, enabled: true, config };
+
+    const result = await app.runDatasourceFetch(source, context);
+
+    expect(result.ok).toBe(false);
+    expect(result.summary.error).toContain('[redacted]');
+    expectNoSecrets(result.summary);
+  });
+
+  it('redacts preview error messages', async () => {
+    vi.stubGlobal('fetch', failingFetch);
+
+    const response = await request(app).get('/api/datasources/smithsonian/preview');
+
+    expect(response.status).toBeGreaterThanOrEqual(400);
+    expect(response.body.message).toContain('token=[redacted]');
+    expectNoSecrets(response.body);
+  });
+});
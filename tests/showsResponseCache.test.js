@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import { randomBytes } from 'node:crypto';
+import app from '../functions/backend/server.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const {
+  clearInMemoryCache,
+  decodeFirestoreCacheBody,
+  deleteFirestoreCacheChunks,
+  encodeFirestoreCacheBody,
+  fetchCachedResponse,
+  readCachedResponse,
+  writeCachedResponse
+} = requireServerModule('../functions/shared/cache.js');
+
+const MINUTE_MS = 60 * 1000;
+const TTL = { softTtlMs: 10 * MINUTE_MS, hardTtlMs: 60 * MINUTE_MS };
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Just enough of a Firestore DocumentReference for cache documents and their chunks.
+function createFakeDocRef(docs, path) {
+  const ref = {
+    path,
+    id: path.split('/').pop(),
+    collection: name => ({ doc: id => createFakeDocRef(docs, `${path}/${name}/${id}`) }),
+    set: async data => {
+      docs.set(path, data);
+    },
+    delete: async () => {
+      docs.delete(path);
+    },
+    get: async () => ({
+      id: ref.id,
+      ref,
+      exists: docs.has(path),
+      data: () => docs.get(path),
+      get: field => docs.get(path)?.[field]
+    })
+  };
+  return ref;
+}
+
+async function storeBody(docRef, body, options) {
+  const fields = await encodeFirestoreCacheBody(docRef, body, options);
+  await docRef.set(fields);
+  return fields;
+}
+
+describe('shared response cache', () => {
+  let clock;
+
+  beforeEach(() => {
+    clearInMemoryCache();
+    clock = Date.now();
+    vi.spyOn(Date, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('flags entries stale past the soft TTL and drops them past the hard TTL', async () => {
+    await writeCachedResponse('testCache', ['entry'], { body: '{"v":1}' });
+
+    expect(await readCachedResponse('testCache', ['entry'], TTL)).toMatchObject({ body: '{"v":1}', stale: false });
+    clock += 11 * MINUTE_MS;
+    expect(await readCachedResponse('testCache', ['entry'], TTL)).toMatchObject({ body: '{"v":1}', stale: true });
+    // A plain number is a single hard TTL, so entries are never stale.
+    expect(await readCachedResponse('testCache', ['entry'], 20 * MINUTE_MS)).toMatchObject({ stale: false });
+    clock += 50 * MINUTE_MS;
+    expect(await readCachedResponse('testCache', ['entry'], TTL)).toBeNull();
+  });
+
+  it('shares one load between concurrent callers and refreshes stale entries in the background', async () => {
+    let version = 0;
+    const loader = vi.fn(async () => {
+      version += 1;
+      await flush();
+      return { status: 200, contentType: 'application/json', body: JSON.stringify({ version }) };
+    });
+
+    const [a, b] = await Promise.all([
+      fetchCachedResponse('testCache', ['shared'], TTL, loader),
+      fetchCachedResponse('testCache', ['shared'], TTL, loader)
+    ]);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect([a.body, a.cached, b.body]).toEqual(['{"version":1}', false, '{"version":1}']);
+
+    clock += 15 * MINUTE_MS;
+    const stale = await Promise.all([
+      fetchCachedResponse('testCache', ['shared'], TTL, loader),
+      fetchCachedResponse('testCache', ['shared'], TTL, loader)
+    ]);
+    expect(stale.map(entry => [entry.body, entry.cached, entry.stale])).toEqual([
+      ['{"version":1}', true, true],
+      ['{"version":1}', true, true]
+    ]);
+    await flush();
+    await flush();
+    expect(loader).toHaveBeenCalledTimes(2);
+    expect(await fetchCachedResponse('testCache', ['shared'], TTL, loader)).toMatchObject({
+      body: '{"version":2}',
+      cached: true,
+      stale: false
+    });
+
+    // A failed background refresh keeps serving the stale entry.
+    clock += 15 * MINUTE_MS;
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    loader.mockRejectedValueOnce(new Error('upstream down'));
+    expect((await fetchCachedResponse('testCache', ['shared'], TTL, loader)).body).toBe('{"version":2}');
+    await flush();
+    expect(warn).toHaveBeenCalledWith('Background refresh failed for testCache', 'upstream down');
+
+    clock += 2 * TTL.hardTtlMs;
+    await expect(
+      fetchCachedResponse('testCache', ['shared'], TTL, async () => {
+        throw new Error('still down');
+      })
+    ).rejects.toThrow('still down');
+  });
+
+  it('coalesces feed fetches and serves stale feed events while refreshing', async () => {
+    const startDate = new Date(clock + 2 * 24 * 60 * MINUTE_MS).toISOString();
+    let title = 'Matinee';
+    const fetchMock = vi.fn(async () => {
+      await flush();
+      return new Response(JSON.stringify({ items: [{ id: '1', title, startDate }] }), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+      });
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    const source = { id: 'coalesced', type: 'json', config: { feedUrl: 'https://feed.test/coalesced', mapping: { items: 'items' } } };
+
+    const results = await Promise.all([1, 2, 3].map(() => app.fetchJsonFeedEvents(source, { lookaheadDays: 7 })));
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.events[0].name.text)).toEqual(['Matinee', 'Matinee', 'Matinee']);
+
+    clock += 45 * MINUTE_MS;
+    title = 'Evening';
+    const stale = await app.fetchJsonFeedEvents(source, { lookaheadDays: 7 });
+    expect(stale.cached).toBe(true);
+    expect(stale.events[0].name.text).toBe('Matinee');
+    await flush();
+    await flush();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect((await app.fetchJsonFeedEvents(source, { lookaheadDays: 7 })).events[0].name.text).toBe('Evening');
+  });
+});
+
+describe('Firestore cache bodies', () => {
+  let docs;
+  let docRef;
+
+  beforeEach(() => {
+    docs = new Map();
+    docRef = createFakeDocRef(docs, 'rssCache/entry');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('keeps small bodies plain, compresses larger ones and still reads old entries', async () => {
+    const small = await storeBody(docRef, '{"events":[]}');
+    expect(small).toMatchObject({ body: '{"events":[]}', encoding: null, chunkCount: 0 });
+    expect(await decodeFirestoreCacheBody(docRef, small)).toBe('{"events":[]}');
+
+    const feed = JSON.stringify({ events: Array.from({ length: 2000 }, (_, i) => ({ id: i, name: `Show ${i}` })) });
+    const brotli = await storeBody(docRef, feed);
+    expect(brotli).toMatchObject({ body: null, encoding: 'br', chunkCount: 0, bodyLength: feed.length });
+    expect(brotli.bodyBytes.length).toBeLessThan(feed.length / 5);
+    expect(await decodeFirestoreCacheBody(docRef, brotli)).toBe(feed);
+    const gzip = await storeBody(docRef, feed, { encoding: 'gzip' });
+    expect(gzip.encoding).toBe('gzip');
+    expect(await decodeFirestoreCacheBody(docRef, gzip)).toBe(feed);
+
+    // Entries written before compression have only a plain body.
+    expect(await decodeFirestoreCacheBody(docRef, { body: feed, status: 200 })).toBe(feed);
+  });
+
+  it('chunks bodies too large for one document and rejects corrupt or partial chunks', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    // Random bytes barely compress, so this needs more than one 950 KB chunk.
+    const body = JSON.stringify({ blob: randomBytes(1500000).toString('base64') });
+    const fields = await storeBody(docRef, body);
+    expect(fields).toMatchObject({ body: null, bodyBytes: null, encoding: 'br', chunkCount: 2 });
+    expect(docs.has('rssCache/entry/chunks/0') && docs.has('rssCache/entry/chunks/1')).toBe(true);
+    expect(await decodeFirestoreCacheBody(docRef, fields)).toBe(body);
+
+    const chunk = docs.get('rssCache/entry/chunks/1');
+    docs.set('rssCache/entry/chunks/1', { ...chunk, data: Buffer.from(chunk.data).fill(0, 0, 16) });
+    expect(await decodeFirestoreCacheBody(docRef, fields)).toBeNull();
+    docs.set('rssCache/entry/chunks/1', { ...chunk, generation: 'an-older-write' });
+    expect(await decodeFirestoreCacheBody(docRef, fields)).toBeNull();
+    docs.delete('rssCache/entry/chunks/1');
+    expect(await decodeFirestoreCacheBody(docRef, fields)).toBeNull();
+    expect(warn).toHaveBeenCalledWith('Discarding cache entry rssCache/entry: chunk 1 is missing or corrupt');
+    docs.set('rssCache/entry/chunks/1', chunk);
+    expect(await decodeFirestoreCacheBody(docRef, { ...fields, checksum: 'f'.repeat(64) })).toBeNull();
+    expect(warn).toHaveBeenLastCalledWith('Discarding cache entry rssCache/entry: checksum mismatch');
+
+    await deleteFirestoreCacheChunks(await docRef.get());
+    expect(Array.from(docs.keys())).toEqual(['rssCache/entry']);
+  });
+
+  it('drops chunks left over from a larger earlier write', async () => {
+    const body = JSON.stringify({ blob: randomBytes(1500000).toString('base64') });
+    expect((await storeBody(docRef, body)).chunkCount).toBe(2);
+
+    const feed = JSON.stringify({ events: Array.from({ length: 2000 }, (_, i) => ({ id: i, name: `Show ${i}` })) });
+    expect(await storeBody(docRef, feed)).toMatchObject({ encoding: 'br', chunkCount: 0 });
+    expect(Array.from(docs.keys())).toEqual(['rssCache/entry']);
+
+    await storeBody(docRef, body);
+    await storeBody(docRef, '{"events":[]}');
+    expect(Array.from(docs.keys())).toEqual(['rssCache/entry']);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGION_ID = 'washington-dc';
+
+const makeEvent = (id, day, { title, summary = '', venue = 'Hall', genres = [], attractions } = {}) => {
+  const local = `${new Date(Date.now() + day * DAY_MS).toISOString().slice(0, 10)}T20:00:00`;
+  const event = {
+    id,
+    name: { text: title },
+    start: { local, utc: `${local}Z` },
+    url: `https://events.test/${id}`,
+    venue: { name: venue, address: { city: 'Washington', region: 'DC', country: 'US' } },
+    summary,
+    source: 'smithsonian',
+    genres
+  };
+  if (attractions) {
+    event.ticketmaster = { raw: { id }, attractions: attractions.map(name => ({ name })) };
+  }
+  return event;
+};
+
+const seed = async (store, events) => {
+  const ingestedAt = new Date().toISOString();
+  await store.upsertEvents(
+    events.map(event => ({
+      key: `smithsonian_${event.id}`,
+      sourceId: 'smithsonian',
+      regionId: REGION_ID,
+      eventId: event.id,
+      startMs: Date.parse(event.start.utc),
+      endMs: null,
+      latitude: null,
+      longitude: null,
+      event,
+      ingestedAt
+    }))
+  );
+  await store.setIngestionState(`smithsonian__${REGION_ID}`, {
+    sourceId: 'smithsonian',
+    regionId: REGION_ID,
+    lastRunAt: ingestedAt,
+    lastSuccessAt: ingestedAt,
+    ok: true
+  });
+};
+
+const search = q => request(app).get(`/api/shows/search?lat=38.9&lon=-77.03&q=${encodeURIComponent(q)}`);
+const ids = response => response.body.results.map(result => result.event.id);
+
+describe('/api/shows/search', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMemoryEventStore();
+    app.setEventStore(store);
+    await seed(store, [
+      makeEvent('quartet', 1, {
+        title: 'Coltrane Tribute Quartet',
+        summary: 'An evening of modal jazz standards.',
+        genres: ['Jazz'],
+        attractions: ['Blue Note Quartet']
+      }),
+      makeEvent('gallery', 2, {
+        title: 'Gallery Talk',
+        summary:
+          'Curators & critics discuss the quartet of portraits by Alice Neel in the east wing of the gallery, while a trio plays <jazz> standards softly through the afternoon.',
+        venue: 'National Portrait Gallery'
+      }),
+      makeEvent('punk', 3, { title: 'Basement Punk Night', venue: 'Black Cat', genres: ['Punk'] })
+    ]);
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+  });
+
+  it('ranks title and performer matches above summary matches', async () => {
+    const response = await search('quartet');
+
+    expect(response.status).toBe(200);
+    expect(ids(response)).toEqual(['quartet', 'gallery']);
+    expect(response.body.results[0].score).toBeGreaterThan(response.body.results[1].score);
+    expect(response.body.total).toBe(2);
+  });
+
+  it('tolerates typos and matches the last term as a prefix', async () => {
+    expect(ids(await search('coltrain'))).toEqual(['quartet']);
+    expect(ids(await search('basement pun'))).toEqual(['punk']);
+    expect(ids(await search('portrait galery'))).toEqual(['gallery']);
+  });
+
+  it('requires every term to match and searches venue, performer and genre', async () => {
+    expect(ids(await search('jazz punk'))).toEqual([]);
+    expect(ids(await search('black cat'))).toEqual(['punk']);
+    expect(ids(await search('blue note'))).toEqual(['quartet']);
+  });
+
+  it('returns highlighted snippets with escaped html', async () => {
+    const response = await search('jazz');
+    const gallery = response.body.results.find(result => result.event.id === 'gallery');
+
+    expect(gallery.highlights).toEqual([
+      {
+        field: 'summary',
+        text: '…Neel in the east wing of the gallery, while a trio plays <jazz> standards softly through the afternoon.',
+        matches: [[59, 63]],
+        html: '…Neel in the east wing of the gallery, while a trio plays &lt;<mark>jazz</mark>&gt; standards softly through the afternoon.'
+      }
+    ]);
+    const quartet = response.body.results.find(result => result.event.id === 'quartet');
+    expect(quartet.highlights.map(highlight => highlight.field)).toEqual(['genres', 'summary']);
+    expect(quartet.event.ticketmaster.raw).toBeUndefined();
+  });
+
+  it('rebuilds the index when the aggregated events change', async () => {
+    const before = await search('planetarium');
+    expect(before.body.total).toBe(0);
+    const firstBuild = before.body.index.builtAt;
+
+    const unchanged = await search('quartet');
+    expect(unchanged.body.index.builtAt).toBe(firstBuild);
+
+    await seed(store, [makeEvent('stars', 4, { title: 'Planetarium Night' })]);
+    const after = await search('planetarium');
+    expect(ids(after)).toEqual(['stars']);
+    expect(after.body.index.size).toBe(4);
+
+    // Re-ingesting an event under the same id still rebuilds the index.
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await seed(store, [makeEvent('stars', 4, { title: 'Observatory Night' })]);
+    expect(ids(await search('observatory'))).toEqual(['stars']);
+  });
+
+  it('requires a query and defaults to the ingestion region without coordinates', async () => {
+    const missing = await request(app).get('/api/shows/search');
+    expect(missing.status).toBe(400);
+    expect(missing.body).toEqual({ error: 'missing_query' });
+
+    const regional = await request(app).get('/api/shows/search?q=punk');
+    expect(regional.status).toBe(200);
+    expect(ids(regional)).toEqual(['punk']);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, afterAll, vi } from 'vitest';
+import fs from 'node:fs';
+import request from 'supertest';
+
+// Serve a throwaway root holding the files the import scripts and emulators may leave in
+// the repository root, so the 404s below prove the allowlist rather than an absent file,
+// and nothing secret-looking lands in the checkout.
+const { staticRoot, SENSITIVE_FILES } = await vi.hoisted(async () => {
+  const { mkdtempSync, mkdirSync, writeFileSync } = await import('node:fs');
+  const { tmpdir } = await import('node:os');
+  const { dirname, join } = await import('node:path');
+  const sensitiveFiles = [
+    'backup.json',
+    'requests.jsonl',
+    'functions/firebase-debug.log',
+    'functions/backend/descriptions.json',
+    'serviceAccountKey.json',
+    'functions/backend/serviceAccountKey.json'
+  ];
+  const target = mkdtempSync(join(tmpdir(), 'static-root-'));
+  const write = (file, content) => {
+    mkdirSync(dirname(join(target, file)), { recursive: true });
+    writeFileSync(join(target, file), content);
+  };
+  [...sensitiveFiles, '.git/config', 'package.json', 'functions/index.js', 'public/index.html'].forEach(file =>
+    write(file, '{"secret":true}')
+  );
+  ['index.html', 'datasources-admin.html', 'style.css', 'service-worker.js', 'js/shows.js', 'assets/favicon.png'].forEach(file =>
+    write(file, 'public')
+  );
+  process.env.STATIC_ROOT = target;
+  return { staticRoot: target, SENSITIVE_FILES: sensitiveFiles };
+});
+
+import app from '../functions/backend/server.js';
+
+describe('static asset allowlist', () => {
+  afterAll(() => {
+    delete process.env.STATIC_ROOT;
+    fs.rmSync(staticRoot, { recursive: true, force: true });
+  });
+
+  it.each(SENSITIVE_FILES)('does not serve %s', async file => {
+    const response = await request(app).get(`/${file}`);
+    expect(response.status).toBe(404);
+    expect(response.text).not.toContain('"secret"');
+  });
+
+  it.each([
+    '/js/../backup.json',
+    '/js/%2e%2e/backup.json',
+    '/assets/..%2fserviceAccountKey.json',
+    '/.git/config',
+    '/package.json',
+    '/functions/index.js',
+    '/public/index.html'
+  ])('rejects %s', async url => {
+    const response = await request(app).get(url);
+    expect(response.status).toBe(404);
+  });
+
+  it.each(['/', '/index.html', '/datasources-admin.html', '/style.css', '/service-worker.js', '/js/shows.js', '/assets/favicon.png'])(
+    'serves %s',
+    async url => {
+      const response = await request(app).get(url);
+      expect(response.status).toBe(200);
+    }
+  );
+
+  it('still routes API requests', async () => {
+    const response = await request(app).get('/api/datasources');
+    expect(response.status).toBe(200);
+  });
+});
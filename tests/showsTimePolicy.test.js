@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'node:module';
+import request from 'supertest';
+import app from '../functions/backend/server.js';
+import { createMemoryEventStore } from '../functions/shared/eventStore.js';
+
+const requireServerModule = createRequire(import.meta.url);
+const { listFederalHolidays } = requireServerModule('../functions/shared/timeWindowPolicy.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGION_ID = 'washington-dc';
+
+// The next date (at least two days out) falling on `weekday` (0 = Sunday).
+const nextDate = weekday => {
+  const date = new Date(Date.now() + 2 * DAY_MS);
+  while (date.getUTCDay() !== weekday) date.setTime(date.getTime() + DAY_MS);
+  return date.toISOString().slice(0, 10);
+};
+
+const TUESDAY = nextDate(2);
+const SATURDAY = nextDate(6);
+
+const makeEvent = (id, source, day, time) => {
+  const local = `${day}T${time}:00`;
+  return {
+    id,
+    name: { text: id },
+    start: { local, utc: `${local}Z` },
+    url: `https://events.test/${id}`,
+    venue: { name: 'Hall', address: { city: 'Washington', region: 'DC', country: 'US' } },
+    source,
+    genres: []
+  };
+};
+
+const EVENTS = [
+  makeEvent('tm-tuesday-noon', 'ticketmaster', TUESDAY, '12:00'),
+  makeEvent('tm-tuesday-evening', 'ticketmaster', TUESDAY, '19:30'),
+  makeEvent('museum-tuesday-talk', 'smithsonian', TUESDAY, '11:00'),
+  makeEvent('tm-saturday-matinee', 'ticketmaster', SATURDAY, '14:00'),
+  makeEvent('tm-saturday-late', 'ticketmaster', SATURDAY, '23:30')
+];
+
+const fetchShows = (query = '') =>
+  request(app).get(`/api/shows?lat=38.9&lon=-77.03&days=14${query ? `&${query}` : ''}`);
+const withPolicy = policy => `timePolicy=${encodeURIComponent(typeof policy === 'string' ? policy : JSON.stringify(policy))}`;
+const ids = response => response.body.events.map(event => event.id).sort();
+
+describe('/api/shows time-window policy', () => {
+  beforeEach(async () => {
+    const store = createMemoryEventStore();
+    app.setEventStore(store);
+    const ingestedAt = new Date().toISOString();
+    await store.upsertEvents(
+      EVENTS.map(event => ({
+        key: `${event.source}_${event.id}`,
+        sourceId: event.source,
+        regionId: REGION_ID,
+        eventId: event.id,
+        startMs: Date.parse(event.start.utc),
+        endMs: null,
+        latitude: null,
+        longitude: null,
+        event,
+        ingestedAt
+      }))
+    );
+    for (const sourceId of ['ticketmaster', 'dcimprov', 'smithsonian', 'blackcat', 'sixthandi']) {
+      await store.setIngestionState(`${sourceId}__${REGION_ID}`, {
+        sourceId,
+        regionId: REGION_ID,
+        lastRunAt: ingestedAt,
+        lastSuccessAt: ingestedAt,
+        ok: true
+      });
+    }
+  });
+
+  afterEach(() => {
+    app.setEventStore(null);
+  });
+
+  it('applies the default weekday rule to Ticketmaster events only', async () => {
+    const response = await fetchShows();
+
+    expect(response.status).toBe(200);
+    expect(ids(response)).toEqual([
+      'museum-tuesday-talk',
+      'tm-saturday-late',
+      'tm-saturday-matinee',
+      'tm-tuesday-evening'
+    ]);
+    expect(response.body.timePolicy).toMatchObject({
+      enabled: true,
+      days: { mon: ['16:30-24:00'], fri: ['16:30-24:00'] },
+      sources: ['ticketmaster']
+    });
+  });
+
+  it('uses per-weekday ranges from the client policy and honours the off switch', async () => {
+    const daytime = await fetchShows(
+      withPolicy({ days: { weekdays: ['09:00-13:00'], sat: ['12:00-17:00', '23:00-01:00'] } })
+    );
+    expect(ids(daytime)).toEqual([
+      'museum-tuesday-talk',
+      'tm-saturday-late',
+      'tm-saturday-matinee',
+      'tm-tuesday-noon'
+    ]);
+    expect(daytime.body.timePolicy.days.tue).toEqual(['09:00-13:00']);
+
+    const eveningsOnly = await fetchShows(withPolicy({ days: { weekdays: ['18:00-24:00'], weekend: ['18:00-24:00'] } }));
+    expect(ids(eveningsOnly)).toEqual(['tm-saturday-late', 'tm-tuesday-evening']);
+
+    const off = await fetchShows(withPolicy('off'));
+    expect(ids(off)).toHaveLength(EVENTS.length);
+    expect(off.body.timePolicy.enabled).toBe(false);
+  });
+
+  it('treats listed and federal holidays as Saturdays when asked', async () => {
+    const policy = { days: { weekdays: ['18:00-24:00'], sat: [] }, holidays: [TUESDAY] };
+
+    expect(ids(await fetchShows(withPolicy(policy)))).toEqual(['tm-tuesday-evening']);
+    expect(ids(await fetchShows(withPolicy({ ...policy, holidaysAsWeekend: true })))).toEqual([]);
+
+    // Independence Day 2026 is a Saturday, so it is observed on Friday the 3rd.
+    expect(Array.from(listFederalHolidays(2026))).toEqual(
+      expect.arrayContaining(['2026-01-19', '2026-07-03', '2026-11-26', '2026-12-25'])
+    );
+    expect(listFederalHolidays(2026).has('2026-07-04')).toBe(false);
+  });
+
+  it('rejects malformed policies', async () => {
+    const badDay = await fetchShows(withPolicy({ days: { funday: [] } }));
+    expect(badDay.status).toBe(400);
+    expect(badDay.body).toMatchObject({ error: 'invalid_filter', parameter: 'timePolicy' });
+
+    const badRange = await fetchShows(withPolicy({ days: { mon: ['4pm-late'] } }));
+    expect(badRange.body.message).toBe('days.mon[0] must be a range such as 16:30-24:00');
+
+    expect((await fetchShows(withPolicy('{not json'))).status).toBe(400);
+  });
+});